@@ -127,10 +127,14 @@ const tagDeleteResponse = document.getElementById('tag-delete-response');
         element.textContent = JSON.stringify(data, null, 2);
     };
 
+    // Latest article ETag seen per article ID ("<id>-<version>"), sent back as If-Match on edits
+    const articleEtags = new Map();
+
     // Generic API Request Function
-    const apiRequest = async (endpoint, method = 'GET', body = null, authenticated = false) => {
+    const apiRequest = async (endpoint, method = 'GET', body = null, authenticated = false, extraHeaders = {}) => {
         const headers = {
             'Content-Type': 'application/json',
+            ...extraHeaders,
         };
 
         if (authenticated && authToken) {
@@ -147,6 +151,10 @@ const tagDeleteResponse = document.getElementById('tag-delete-response');
             }
 
             const response = await fetch(endpoint, options);
+            const etag = /^"(\d+)-\d+"$/.exec(response.headers.get('ETag') || '');
+            if (etag) {
+                articleEtags.set(etag[1], etag[0]);
+            }
             if (response.status === 204) {
                 return { ok: true, message: 'No Content' }; // Or simply return null/undefined
             }
@@ -159,6 +167,22 @@ const tagDeleteResponse = document.getElementById('tag-delete-response');
         }
     };
 
+    // If-Match header for an edit: the ETag from the last read of the article, read through the
+    // editor endpoint when the article has not been loaded yet
+    const ifMatchHeader = async (articleId) => {
+        if (!articleEtags.has(articleId)) {
+            await apiRequest(`/api/articles/${articleId}/edit`, 'GET', null, true);
+        }
+        return articleEtags.has(articleId) ? { 'If-Match': articleEtags.get(articleId) } : {};
+    };
+
+    // After a 412 the article changed under us: the next attempt reads it again
+    const forgetStaleEtag = (articleId, data) => {
+        if (data && data.current_version !== undefined) {
+            articleEtags.delete(articleId);
+        }
+    };
+
 
     // Function to add a new log entry
     const addLogEntry = (logMessage) => {
@@ -415,7 +439,8 @@ const tagDeleteResponse = document.getElementById('tag-delete-response');
             body.tags = tagsInput.split(',').map(tag => tag.trim());
         }
 
-        const data = await apiRequest(`/api/articles/${articleId}`, 'PUT', body, true);
+        const data = await apiRequest(`/api/articles/${articleId}`, 'PUT', body, true, await ifMatchHeader(articleId));
+        forgetStaleEtag(articleId, data);
         displayResponse(articleUpdateResponse, data);
     });
 
@@ -710,7 +735,8 @@ txAddBtn?.addEventListener('click', async () => {
   }
   const body = { language_code, title, content };
   if (excerpt) body.excerpt = excerpt;
-  const data = await apiRequest(`/api/articles/${id}/translations`, 'POST', body, true);
+  const data = await apiRequest(`/api/articles/${id}/translations`, 'POST', body, true, await ifMatchHeader(id));
+  forgetStaleEtag(id, data);
   displayResponse(txAddResponse, data);
 });
 
@@ -737,7 +763,8 @@ txUpdateBtn?.addEventListener('click', async () => {
     displayResponse(txUpdateResponse, { error: 'Provide at least one of: title, content, excerpt.' });
     return;
   }
-  const data = await apiRequest(`/api/articles/${id}/translations/${lang}`, 'PUT', body, true);
+  const data = await apiRequest(`/api/articles/${id}/translations/${lang}`, 'PUT', body, true, await ifMatchHeader(id));
+  forgetStaleEtag(id, data);
   displayResponse(txUpdateResponse, data);
 });
 
@@ -753,7 +780,8 @@ txDeleteBtn?.addEventListener('click', async () => {
     displayResponse(txDeleteResponse, { error: "lang must be 'en' or 'bn'." });
     return;
   }
-  const data = await apiRequest(`/api/articles/${id}/translations/${lang}`, 'DELETE', null, true);
+  const data = await apiRequest(`/api/articles/${id}/translations/${lang}`, 'DELETE', null, true, await ifMatchHeader(id));
+  forgetStaleEtag(id, data);
   displayResponse(txDeleteResponse, data);
 });
 
@@ -3,6 +3,8 @@
 
 const { query } = require('../../db');
 const { toISO } = require('../utils/articleUtils');
+const { articleTextFields } = require('../utils/textUtils');
+const { escapeHtml } = require('../utils/sanitizeUtils');
 
 const ALL_TYPES = ['articles', 'categories', 'tags'];
 
@@ -17,13 +19,6 @@ function parseCSV(value) {
   return value.split(',').map(s => s.trim()).filter(Boolean);
 }
 
-function deriveExcerpt(excerpt, body) {
-  if (excerpt && typeof excerpt === 'string' && excerpt.trim().length > 0) return excerpt.trim();
-  if (typeof body !== 'string' || body.length === 0) return '';
-  const plain = body.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
-  return plain.slice(0, 220);
-}
-
 function validateParams(req) {
   const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
   if (!q) return { error: { code: 400, message: 'q is required' } };
@@ -58,6 +53,8 @@ async function searchArticles({ q, lang, limit, offset, includeCounts }) {
       at.slug,
       at.excerpt,
       at.body,
+      at.word_count,
+      at.reading_time_minutes,
       a.created_at,
       a.updated_at,
       ${nameCol} AS category_name,
@@ -68,7 +65,7 @@ async function searchArticles({ q, lang, limit, offset, includeCounts }) {
     LEFT JOIN categories c ON c.id = a.category_id
     LEFT JOIN article_tags artag ON artag.article_id = a.id
     LEFT JOIN tags t ON t.id = artag.tag_id
-    WHERE a.status = 'published' AND (
+    WHERE a.deleted_at IS NULL AND a.status = 'published' AND (
       LOWER(at.title)   LIKE ? OR
       LOWER(at.excerpt) LIKE ? OR
       LOWER(at.body)    LIKE ? OR
@@ -99,7 +96,7 @@ async function searchArticles({ q, lang, limit, offset, includeCounts }) {
     id: String(r.id),
     title: r.title,
     slug: r.slug,
-    excerpt: deriveExcerpt(r.excerpt, r.body),
+    ...articleTextFields(r, lang),
     created_at: toISO(r.created_at),
     updated_at: toISO(r.updated_at),
     category_name: r.category_name || null,
@@ -122,7 +119,7 @@ async function searchArticles({ q, lang, limit, offset, includeCounts }) {
       LEFT JOIN categories c ON c.id = a.category_id
       LEFT JOIN article_tags artag ON artag.article_id = a.id
       LEFT JOIN tags t ON t.id = artag.tag_id
-      WHERE a.status = 'published' AND (
+      WHERE a.deleted_at IS NULL AND a.status = 'published' AND (
         LOWER(at.title)   LIKE ? OR
         LOWER(at.excerpt) LIKE ? OR
         LOWER(at.body)    LIKE ? OR
@@ -249,8 +246,8 @@ async function searchHandler(req, res) {
 
 /**
  * Build a simple case-insensitive highlight string by wrapping the first match of q
- * inside <c>...</c>. Returns original text if no match or invalid inputs.
- * Example: buildHighlight('React State', 'rea') => '<c>Rea</c>ct State'
+ * inside <c>...</c>. The text is HTML-escaped, so the <c> markers are the only markup.
+ * Example: buildHighlight('React & State', 'rea') => '<c>Rea</c>ct &amp; State'
  */
 function buildHighlight(text, q) {
   if (typeof text !== 'string' || typeof q !== 'string') return text;
@@ -258,9 +255,9 @@ function buildHighlight(text, q) {
   const lower = src.toLowerCase();
   const ql = q.toLowerCase();
   const idx = lower.indexOf(ql);
-  if (idx < 0) return src;
+  if (idx < 0) return escapeHtml(src);
   const end = idx + ql.length;
-  return src.slice(0, idx) + '<c>' + src.slice(idx, end) + '</c>' + src.slice(end);
+  return escapeHtml(src.slice(0, idx)) + '<c>' + escapeHtml(src.slice(idx, end)) + '</c>' + escapeHtml(src.slice(end));
 }
 
 /**
@@ -322,7 +319,7 @@ async function getSuggestions(req, res) {
           FROM articles a
           INNER JOIN article_translations at
             ON a.id = at.article_id AND at.language_code = ?
-          WHERE a.status = 'published'
+          WHERE a.deleted_at IS NULL AND a.status = 'published'
             AND (LOWER(at.title) LIKE ? OR LOWER(at.slug) LIKE ?)
           ORDER BY
             CASE
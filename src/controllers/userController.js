@@ -3,13 +3,14 @@ const { query, pool } = require('../../db');
 
 const getAllUsers = async (req, res) => {
   try {
-    const { rows } = await query('SELECT id, email, display_name, role, created_at, updated_at FROM users WHERE is_active = 1');
+    const { rows } = await query('SELECT id, email, display_name, role, can_review, created_at, updated_at FROM users WHERE is_active = 1');
     
     const users = rows.map(user => ({
       id: user.id,
       email: user.email,
       displayName: user.display_name,
       role: user.role,
+      canReview: Boolean(user.can_review),
       createdAt: user.created_at,
       updatedAt: user.updated_at,
     }));
@@ -27,7 +28,7 @@ const getAllUsers = async (req, res) => {
 const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
-    const { rows } = await query('SELECT id, email, display_name, role, created_at, updated_at FROM users WHERE id = ? AND is_active = 1', [id]);
+    const { rows } = await query('SELECT id, email, display_name, role, can_review, created_at, updated_at FROM users WHERE id = ? AND is_active = 1', [id]);
 
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, error: 'User not found or inactive' });
@@ -38,6 +39,7 @@ const getUserById = async (req, res) => {
       email: rows[0].email,
       displayName: rows[0].display_name,
       role: rows[0].role,
+      canReview: Boolean(rows[0].can_review),
       createdAt: rows[0].created_at,
       updatedAt: rows[0].updated_at,
     };
@@ -92,6 +94,31 @@ const toggleUserActiveStatus = async (req, res) => {
   }
 };
 
+const setReviewerStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { canReview } = req.body; // Expect boolean true/false
+
+    if (typeof canReview !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'canReview must be a boolean' });
+    }
+
+    const { rows } = await query(
+      'UPDATE users SET can_review = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1',
+      [canReview ? 1 : 0, id]
+    );
+
+    if (!rows || rows.affectedRows === 0) {
+      return res.status(404).json({ ok: false, error: 'User not found or inactive' });
+    }
+
+    res.json({ ok: true, message: `User ${canReview ? 'granted' : 'revoked'} review permissions successfully` });
+  } catch (error) {
+    console.error('Error updating reviewer status:', error);
+    res.status(500).json({ ok: false, error: 'Failed to update reviewer status' });
+  }
+};
+
 const softDeleteUser = async (req, res) => {
   try {
     const { id } = req.params;
@@ -137,6 +164,7 @@ module.exports = {
   getUserById,
   updateUser,
   toggleUserActiveStatus,
+  setReviewerStatus,
   softDeleteUser,
   getUserStats,
 };
\ No newline at end of file
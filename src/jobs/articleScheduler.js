@@ -0,0 +1,117 @@
+// src/jobs/articleScheduler.js
+// In-process scheduler for timed publishing (publish_at) and automatic unpublishing (expire_at)
+// Publishing only applies to articles that passed review ('approved').
+
+const { pool } = require("../../db");
+const { recordStatusTransition } = require("../utils/workflowUtils");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Apply all due transitions in one transaction:
+ * - approved articles whose publish_at has passed (or is unset) become 'published'
+ *   (drafts must go through review first; approval leaves them 'approved' until publish_at)
+ * - published articles whose expire_at has passed become 'hidden'
+ * Every transition is recorded in article_status_history with no user.
+ * @returns {Object} - { published: [ids], hidden: [ids] }
+ */
+async function runScheduledTransitions(now = new Date()) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [dueRows] = await connection.execute(
+      "SELECT id FROM articles WHERE status = 'approved' AND deleted_at IS NULL AND (publish_at IS NULL OR publish_at <= ?) FOR UPDATE",
+      [now]
+    );
+    const published = dueRows.map((r) => r.id);
+    if (published.length > 0) {
+      await connection.query(
+        "UPDATE articles SET status = 'published', published_at = COALESCE(publish_at, NOW()), publish_at = NULL, version = version + 1, updated_at = NOW() WHERE id IN (?)",
+        [published]
+      );
+      for (const articleId of published) {
+        await recordStatusTransition(connection, {
+          articleId,
+          fromStatus: "approved",
+          toStatus: "published",
+          action: "scheduled_publish",
+        });
+      }
+    }
+
+    const [expiredRows] = await connection.execute(
+      "SELECT id FROM articles WHERE status = 'published' AND deleted_at IS NULL AND expire_at IS NOT NULL AND expire_at <= ? FOR UPDATE",
+      [now]
+    );
+    const hidden = expiredRows.map((r) => r.id);
+    if (hidden.length > 0) {
+      await connection.query(
+        "UPDATE articles SET status = 'hidden', expire_at = NULL, version = version + 1, updated_at = NOW() WHERE id IN (?)",
+        [hidden]
+      );
+      for (const articleId of hidden) {
+        await recordStatusTransition(connection, {
+          articleId,
+          fromStatus: "published",
+          toStatus: "hidden",
+          action: "scheduled_expire",
+        });
+      }
+    }
+
+    await connection.commit();
+    return { published, hidden };
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// One tick of the scheduler; overlapping ticks are skipped
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { published, hidden } = await runScheduledTransitions();
+    if (published.length > 0 || hidden.length > 0) {
+      console.log(`Article scheduler: published [${published.join(", ")}], hidden [${hidden.join(", ")}]`);
+    }
+  } catch (error) {
+    console.error("Article scheduler error:", error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the scheduler loop.
+ * Interval comes from ARTICLE_SCHEDULER_INTERVAL_MS (default 60000); 0 disables it.
+ */
+function startArticleScheduler() {
+  if (timer) return timer;
+  const raw = process.env.ARTICLE_SCHEDULER_INTERVAL_MS;
+  const intervalMs = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_INTERVAL_MS;
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    console.log("Article scheduler disabled");
+    return null;
+  }
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+function stopArticleScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = { runScheduledTransitions, startArticleScheduler, stopArticleScheduler };
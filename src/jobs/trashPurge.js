@@ -0,0 +1,83 @@
+// src/jobs/trashPurge.js
+// In-process job that permanently removes trashed articles once their retention period has passed
+
+const { pool } = require("../../db");
+const { getTrashRetentionDays, purgeArticles } = require("../utils/trashUtils");
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Purge every article that has been in the trash for longer than TRASH_RETENTION_DAYS,
+ * in one transaction.
+ * @returns {Object} - { purged: [ids] }
+ */
+async function runTrashPurge(now = new Date()) {
+  const retentionDays = getTrashRetentionDays();
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [dueRows] = await connection.execute(
+      "SELECT id FROM articles WHERE deleted_at IS NOT NULL AND deleted_at <= ? FOR UPDATE",
+      [cutoff]
+    );
+    const purged = dueRows.map((r) => r.id);
+    await purgeArticles(connection, purged);
+
+    await connection.commit();
+    return { purged };
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// One tick of the purge job; overlapping ticks are skipped
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { purged } = await runTrashPurge();
+    if (purged.length > 0) {
+      console.log(`Trash purge: removed [${purged.join(", ")}]`);
+    }
+  } catch (error) {
+    console.error("Trash purge error:", error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the purge loop.
+ * Interval comes from TRASH_PURGE_INTERVAL_MS (default 3600000); 0 disables it.
+ */
+function startTrashPurge() {
+  if (timer) return timer;
+  const raw = process.env.TRASH_PURGE_INTERVAL_MS;
+  const intervalMs = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_INTERVAL_MS;
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    console.log("Trash purge disabled");
+    return null;
+  }
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+function stopTrashPurge() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = { runTrashPurge, startTrashPurge, stopTrashPurge };
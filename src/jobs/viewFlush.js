@@ -0,0 +1,59 @@
+// src/jobs/viewFlush.js
+// In-process job that writes buffered article views to article_view_counts
+
+const { pool } = require("../../db");
+const { flushArticleViews } = require("../utils/viewUtils");
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+let inFlight = null;
+
+async function flush() {
+  try {
+    await flushArticleViews(pool);
+  } catch (error) {
+    console.error("View flush error:", error.message);
+  }
+}
+
+// One tick of the flush job; overlapping ticks are skipped
+function tick() {
+  if (inFlight) return inFlight;
+  inFlight = flush().finally(() => {
+    inFlight = null;
+  });
+  return inFlight;
+}
+
+/**
+ * Start the flush loop.
+ * Interval comes from ARTICLE_VIEW_FLUSH_INTERVAL_MS (default 30000); 0 disables it, and
+ * views are then only written on shutdown.
+ */
+function startViewFlush() {
+  if (timer) return timer;
+  const raw = process.env.ARTICLE_VIEW_FLUSH_INTERVAL_MS;
+  const intervalMs = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_INTERVAL_MS;
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    console.log("View flush disabled");
+    return null;
+  }
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Stop the loop and write what is still buffered
+async function stopViewFlush() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  // A tick already running may have taken its batch before the latest views arrived, so wait
+  // for it and then flush whatever is left
+  if (inFlight) await inFlight;
+  await tick();
+}
+
+module.exports = { startViewFlush, stopViewFlush };
@@ -26,9 +26,17 @@ const authenticate = async (req, res, next) => {
     
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. bulk purge confirmations) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid token'
+      });
+    }
     
     // Get user from database
-    const { rows } = await query('SELECT id, email, display_name, role FROM users WHERE id = ? AND is_active = 1', [decoded.userId]);
+    const { rows } = await query('SELECT id, email, display_name, role, can_review FROM users WHERE id = ? AND is_active = 1', [decoded.userId]);
     
     if (rows.length === 0) {
       return res.status(401).json({
@@ -62,6 +70,34 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Attach the user when a valid access token is sent, and carry on anonymously otherwise
+ * (no token, or one that is expired, invalid or for an inactive user). For public endpoints
+ * that behave differently for signed-in users.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+    if (!decoded.purpose) {
+      const { rows } = await query('SELECT id, email, display_name, role, can_review FROM users WHERE id = ? AND is_active = 1', [decoded.userId]);
+      if (rows.length > 0) {
+        req.user = rows[0];
+      }
+    }
+  } catch (error) {
+    // Treated as anonymous
+  }
+  next();
+};
+
 /**
  * Check if user has required role
  * @param {string} role - Required role ('admin', 'editor', 'reader')
@@ -80,4 +116,28 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { authenticate, requireRole };
\ No newline at end of file
+/**
+ * Whether a user may approve/reject articles in the review workflow
+ * (admins always; other users when flagged with users.can_review)
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const canReview = (user) => Boolean(user && (user.role === 'admin' || Number(user.can_review) === 1));
+
+/**
+ * Require review permissions (see canReview)
+ * @returns {Function} Express middleware function
+ */
+const requireReviewer = () => {
+  return (req, res, next) => {
+    if (!canReview(req.user)) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Reviewer permissions required'
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { authenticate, optionalAuthenticate, requireRole, canReview, requireReviewer };
\ No newline at end of file
@@ -2,8 +2,19 @@
 // Admin routes for the Information Dissemination Platform
 
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { authenticate, requireRole } = require('../middleware/auth');
-const { query } = require('../../db');
+const { query, pool } = require('../../db');
+const {
+  purgeArticles,
+  summarizeArticlePurge,
+  exclusiveMediaAssetIds,
+  purgeFingerprint,
+} = require('../utils/trashUtils');
+const { recordAdminAction, formatAuditEntry } = require('../utils/auditUtils');
+const { sanitizeArticleHtml, sanitizeCommentHtml } = require('../utils/sanitizeUtils');
+const { snapshotTranslation, ensureBaselineRevision } = require('../utils/revisionUtils');
+const { translationTextFields, excerptText } = require('../utils/textUtils');
 
 const router = express.Router();
 
@@ -22,7 +33,10 @@ const router = express.Router();
  *       "total": 100,
  *       "published": 80,
  *       "drafts": 15,
- *       "hidden": 5
+ *       "hidden": 5,
+ *       "pendingReview": 3,
+ *       "approved": 1,
+ *       "trashed": 4
  *     },
  *     "users": {
  *       "total": 50,
@@ -56,10 +70,14 @@ const router = express.Router();
 router.get('/stats', authenticate, requireRole('admin'), async (req, res) => {
   try {
     // Get articles statistics
-    const totalArticles = await query('SELECT COUNT(*) as count FROM articles');
-    const publishedArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ?', ['published']);
-    const draftArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ?', ['draft']);
-    const hiddenArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ?', ['hidden']);
+    // Trashed articles are counted separately and excluded from the status counts
+    const totalArticles = await query('SELECT COUNT(*) as count FROM articles WHERE deleted_at IS NULL');
+    const publishedArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ? AND deleted_at IS NULL', ['published']);
+    const draftArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ? AND deleted_at IS NULL', ['draft']);
+    const hiddenArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ? AND deleted_at IS NULL', ['hidden']);
+    const pendingReviewArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ? AND deleted_at IS NULL', ['pending_review']);
+    const approvedArticles = await query('SELECT COUNT(*) as count FROM articles WHERE status = ? AND deleted_at IS NULL', ['approved']);
+    const trashedArticles = await query('SELECT COUNT(*) as count FROM articles WHERE deleted_at IS NOT NULL');
     
     // Get users statistics
     const totalUsers = await query('SELECT COUNT(*) as count FROM users');
@@ -108,7 +126,10 @@ router.get('/stats', authenticate, requireRole('admin'), async (req, res) => {
         total: parseInt(totalArticles.rows[0].count, 10),
         published: parseInt(publishedArticles.rows[0].count, 10),
         drafts: parseInt(draftArticles.rows[0].count, 10),
-        hidden: parseInt(hiddenArticles.rows[0].count, 10)
+        hidden: parseInt(hiddenArticles.rows[0].count, 10),
+        pendingReview: parseInt(pendingReviewArticles.rows[0].count, 10),
+        approved: parseInt(approvedArticles.rows[0].count, 10),
+        trashed: parseInt(trashedArticles.rows[0].count, 10)
       },
       users: {
         total: parseInt(totalUsers.rows[0].count, 10),
@@ -343,4 +364,423 @@ router.post('/cleanup', authenticate, requireRole('admin'), async (req, res) =>
   }
 });
 
+// Confirmation tokens from the dry run are valid for this long
+const PURGE_CONFIRM_TTL_SECONDS = 5 * 60;
+
+// The bulk purge is meant for test environments and stays off unless ALLOW_BULK_PURGE=true
+const bulkPurgeEnabled = () => process.env.ALLOW_BULK_PURGE === 'true';
+
+const requireBulkPurgeEnabled = (req, res, next) => {
+  if (!bulkPurgeEnabled()) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Bulk purge is disabled in this environment'
+    });
+  }
+  next();
+};
+
+// Lock every article (including trashed ones) and describe what a purge would remove
+async function loadPurgeTarget(connection) {
+  const [rows] = await connection.query('SELECT id FROM articles ORDER BY id FOR UPDATE');
+  const articleIds = rows.map(row => row.id);
+  const summary = await summarizeArticlePurge(connection, articleIds);
+  return { articleIds, summary, fingerprint: purgeFingerprint(articleIds, summary) };
+}
+
+/**
+ * POST /api/admin/articles/purge/dry-run
+ * Report exactly what POST /api/admin/articles/purge would remove, without removing anything,
+ * and issue the confirmation token the purge requires. Nothing is locked after the call;
+ * if the content changes before the purge, the purge is refused and a new dry run is needed.
+ * Only available when ALLOW_BULK_PURGE=true.
+ *
+ * Request headers:
+ * Authorization: Bearer <jwt_token>
+ *
+ * Response (success):
+ * {
+ *   "ok": true,
+ *   "summary": {
+ *     "articles": 12,
+ *     "article_translations": 20,
+ *     "article_revisions": 31,
+ *     "article_tags": 18,
+ *     "article_media": 9,
+ *     "comments": 4,
+ *     "article_status_history": 25,
+ *     "article_slug_history": 2,
+ *     "article_locks": 1,
+ *     "article_contributors": 3,
+ *     "article_features": 1,
+ *     "collection_items": 2,
+ *     "article_view_counts": 40,
+ *     "article_reactions": 15,
+ *     "article_bookmarks": 8,
+ *     "reading_progress": 12,
+ *     "media_assets": 7
+ *   },
+ *   "confirm_token": "string",
+ *   "expires_at": "ISO string"
+ * }
+ */
+router.post('/articles/purge/dry-run', authenticate, requireRole('admin'), requireBulkPurgeEnabled, async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const { summary, fingerprint } = await loadPurgeTarget(connection);
+    await connection.commit();
+
+    const confirmToken = jwt.sign(
+      { purpose: 'bulk_purge', fingerprint },
+      process.env.JWT_SECRET,
+      { subject: String(req.user.id), expiresIn: PURGE_CONFIRM_TTL_SECONDS }
+    );
+
+    res.json({
+      ok: true,
+      summary,
+      confirm_token: confirmToken,
+      expires_at: new Date(Date.now() + PURGE_CONFIRM_TTL_SECONDS * 1000).toISOString()
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error preparing article purge:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to prepare article purge'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/admin/articles/purge
+ * Permanently delete all articles (live and trashed) with their translations, revisions,
+ * tags, media links, comments and history, plus the media assets only they used.
+ * Requires the confirm_token from a dry run by the same admin; answers 409 with the
+ * current summary if anything changed since the dry run. The purge is recorded in
+ * admin_audit_log. Only available when ALLOW_BULK_PURGE=true.
+ *
+ * Request headers:
+ * Authorization: Bearer <jwt_token>
+ *
+ * Request body:
+ * {
+ *   "confirm_token": "string"
+ * }
+ *
+ * Response (success):
+ * {
+ *   "ok": true,
+ *   "message": "Articles purged successfully",
+ *   "summary": { ... same shape as the dry run ... }
+ * }
+ */
+router.post('/articles/purge', authenticate, requireRole('admin'), requireBulkPurgeEnabled, async (req, res) => {
+  const { confirm_token: confirmToken } = req.body || {};
+  if (!confirmToken || typeof confirmToken !== 'string') {
+    return res.status(400).json({
+      ok: false,
+      error: 'confirm_token is required. Call POST /api/admin/articles/purge/dry-run first'
+    });
+  }
+
+  let confirmation;
+  try {
+    confirmation = jwt.verify(confirmToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      error: error.name === 'TokenExpiredError'
+        ? 'Confirmation token expired. Run the dry run again'
+        : 'Invalid confirmation token'
+    });
+  }
+  if (confirmation.purpose !== 'bulk_purge' || confirmation.sub !== String(req.user.id)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Invalid confirmation token'
+    });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { articleIds, summary, fingerprint } = await loadPurgeTarget(connection);
+    if (fingerprint !== confirmation.fingerprint) {
+      await connection.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: 'Content changed since the dry run. Review the new summary and run the dry run again',
+        summary
+      });
+    }
+
+    const mediaAssetIds = await exclusiveMediaAssetIds(connection, articleIds);
+    await purgeArticles(connection, articleIds);
+    if (mediaAssetIds.length > 0) {
+      await connection.query('DELETE FROM media_assets WHERE id IN (?)', [mediaAssetIds]);
+    }
+
+    await recordAdminAction(connection, {
+      userId: req.user.id,
+      action: 'articles.bulk_purge',
+      details: summary,
+      ipAddress: req.ip || null
+    });
+
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      message: 'Articles purged successfully',
+      summary
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error purging articles:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to purge articles'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Rows read per batch by the content sanitisation task
+const SANITIZE_BATCH_SIZE = 200;
+// Changed rows listed in the sanitisation report
+const SANITIZE_REPORT_LIMIT = 100;
+
+// Clean one stored translation in place: sanitised body, plain-text excerpt, recomputed text
+// stats, a revision for the change and a version bump. The body and excerpt must still be the
+// ones that were scanned, so a concurrent edit is never overwritten.
+async function sanitizeStoredTranslation(connection, row, cleanBody, userId) {
+  await connection.beginTransaction();
+  try {
+    await connection.execute('SELECT id FROM articles WHERE id = ? FOR UPDATE', [row.article_id]);
+    await ensureBaselineRevision(connection, row.article_id, row.language_code);
+    const text = translationTextFields(cleanBody, row.language_code, { current: row });
+    const [result] = await connection.execute(
+      `UPDATE article_translations
+       SET body = ?, excerpt = ?, excerpt_auto = ?, word_count = ?, reading_time_minutes = ?, updated_at = NOW()
+       WHERE id = ? AND body <=> ? AND excerpt <=> ?`,
+      [cleanBody, text.excerpt, text.excerpt_auto, text.word_count, text.reading_time_minutes, row.id, row.body, row.excerpt]
+    );
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+    await snapshotTranslation(connection, row.article_id, row.language_code, userId);
+    await connection.execute('UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?', [row.article_id]);
+    await connection.commit();
+    return true;
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    throw error;
+  }
+}
+
+/**
+ * POST /api/admin/content/sanitize
+ * One-off cleanup of content stored before bodies were sanitised on write: runs every
+ * article translation body and comment body (including trashed articles and deleted
+ * comments) through the same allowlists as new writes, and reduces translation excerpts to
+ * plain text as new writes do. Defaults to a dry run that only
+ * reports what would change. Cleaned translations get a revision (so the old body can be
+ * restored) and a new article version. A real run is recorded in admin_audit_log as
+ * content.sanitize.
+ *
+ * Request headers:
+ * Authorization: Bearer <jwt_token>
+ *
+ * Request body (optional):
+ * {
+ *   "dry_run": true        // false to write the cleaned bodies and excerpts
+ * }
+ *
+ * Response (success):
+ * {
+ *   "ok": true,
+ *   "dry_run": true,
+ *   "scanned": { "article_translations": 120, "comments": 300 },
+ *   "changed": { "article_translations": 3, "comments": 1 },
+ *   "items": [
+ *     { "type": "article_translation", "id": "string", "article_id": "string", "language_code": "en" },
+ *     { "type": "comment", "id": "string", "article_id": "string" }
+ *   ]
+ * }
+ * items lists at most 100 changed rows.
+ */
+router.post('/content/sanitize', authenticate, requireRole('admin'), async (req, res) => {
+  const { dry_run: dryRunInput = true } = req.body || {};
+  if (typeof dryRunInput !== 'boolean') {
+    return res.status(400).json({
+      ok: false,
+      error: 'dry_run must be a boolean'
+    });
+  }
+  const dryRun = dryRunInput;
+
+  const scanned = { article_translations: 0, comments: 0 };
+  const changed = { article_translations: 0, comments: 0 };
+  const items = [];
+  const report = (item) => {
+    if (items.length < SANITIZE_REPORT_LIMIT) items.push(item);
+  };
+
+  const connection = await pool.getConnection();
+  try {
+    let lastId = 0;
+    for (;;) {
+      const [rows] = await connection.execute(
+        `SELECT id, article_id, language_code, body, excerpt, excerpt_auto
+         FROM article_translations WHERE id > ? ORDER BY id ASC LIMIT ${SANITIZE_BATCH_SIZE}`,
+        [lastId]
+      );
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+      for (const row of rows) {
+        scanned.article_translations += 1;
+        const cleanBody = typeof row.body === 'string' && row.body.length > 0
+          ? sanitizeArticleHtml(row.body)
+          : row.body;
+        const cleanExcerpt = typeof row.excerpt === 'string' ? excerptText(row.excerpt) : row.excerpt;
+        if (cleanBody === row.body && cleanExcerpt === row.excerpt) continue;
+        if (!dryRun && !(await sanitizeStoredTranslation(connection, row, cleanBody, req.user.id))) continue;
+        changed.article_translations += 1;
+        report({
+          type: 'article_translation',
+          id: String(row.id),
+          article_id: String(row.article_id),
+          language_code: row.language_code
+        });
+      }
+    }
+
+    lastId = 0;
+    for (;;) {
+      const [rows] = await connection.execute(
+        `SELECT id, article_id, body FROM comments WHERE id > ? ORDER BY id ASC LIMIT ${SANITIZE_BATCH_SIZE}`,
+        [lastId]
+      );
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+      for (const row of rows) {
+        scanned.comments += 1;
+        if (typeof row.body !== 'string' || row.body.length === 0) continue;
+        const cleanBody = sanitizeCommentHtml(row.body);
+        if (cleanBody === row.body) continue;
+        if (!dryRun) {
+          const [result] = await connection.execute(
+            'UPDATE comments SET body = ? WHERE id = ? AND body = ?',
+            [cleanBody, row.id, row.body]
+          );
+          if (result.affectedRows === 0) continue;
+        }
+        changed.comments += 1;
+        report({ type: 'comment', id: String(row.id), article_id: String(row.article_id) });
+      }
+    }
+
+    if (!dryRun) {
+      await recordAdminAction(connection, {
+        userId: req.user.id,
+        action: 'content.sanitize',
+        details: { scanned, changed },
+        ipAddress: req.ip || null
+      });
+    }
+
+    res.json({
+      ok: true,
+      dry_run: dryRun,
+      scanned,
+      changed,
+      items
+    });
+  } catch (error) {
+    console.error('Error sanitising stored content:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to sanitise stored content'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Destructive admin operations, newest first
+ *
+ * Request headers:
+ * Authorization: Bearer <jwt_token>
+ *
+ * Query params:
+ * - action: optional exact action name (e.g. articles.bulk_purge)
+ * - limit: optional, 1..100 (default 50)
+ *
+ * Response (success):
+ * {
+ *   "ok": true,
+ *   "entries": [{
+ *     "id": "string",
+ *     "user_id": "string|null",
+ *     "user_display_name": "string|null",
+ *     "action": "articles.bulk_purge",
+ *     "details": { ... },
+ *     "ip_address": "string|null",
+ *     "created_at": "ISO string"
+ *   }]
+ * }
+ */
+router.get('/audit-log', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { action, limit } = req.query;
+    let limitInt = 50;
+    if (limit !== undefined && limit !== '') {
+      limitInt = /^\d+$/.test(String(limit)) ? parseInt(limit, 10) : NaN;
+      if (!Number.isInteger(limitInt) || limitInt < 1 || limitInt > 100) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Invalid limit. Must be between 1 and 100'
+        });
+      }
+    }
+
+    const params = [];
+    let where = '';
+    if (action && typeof action === 'string') {
+      where = 'WHERE l.action = ?';
+      params.push(action);
+    }
+
+    const { rows } = await query(
+      `SELECT l.id, l.user_id, u.display_name AS user_display_name, l.action, l.details, l.ip_address, l.created_at
+       FROM admin_audit_log l
+       LEFT JOIN users u ON l.user_id = u.id
+       ${where}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT ${limitInt}`,
+      params
+    );
+
+    res.json({
+      ok: true,
+      entries: rows.map(formatAuditEntry)
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,7 +4,7 @@
 
 const express = require("express");
 const { query, pool } = require("../../db");
-const { authenticate, requireRole } = require("../middleware/auth");
+const { authenticate, optionalAuthenticate, requireRole, canReview, requireReviewer } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -12,11 +12,69 @@ const router = express.Router();
 // Import utility functions
 const {
   toISO,
+  parseDateInput,
   slugify,
   generateUniqueSlug,
+  recordSlugChange,
   findOrCreateTags,
+  findOrCreateMedia,
   mimeFromUrl,
 } = require("../utils/articleUtils");
+const {
+  snapshotTranslation,
+  ensureBaselineRevision,
+  diffRevisions,
+  formatRevision,
+} = require("../utils/revisionUtils");
+const { CREATE_STATUSES, isSelfPublish, recordStatusTransition, formatTransition } = require("../utils/workflowUtils");
+const { ARTICLE_SORTS, parsePagination, keysetSql, buildPage } = require("../utils/pagination");
+const { getTrashRetentionDays, purgeAfter, purgeArticles } = require("../utils/trashUtils");
+const { setArticleEtag, checkIfMatch } = require("../utils/etagUtils");
+const { getLockTtlSeconds, getActiveLock, formatLock, checkEditLock } = require("../utils/lockUtils");
+const { recordAdminAction } = require("../utils/auditUtils");
+const {
+  MAX_PREVIEW_TTL_HOURS,
+  getPreviewTtlHours,
+  signPreviewToken,
+  verifyPreviewToken,
+} = require("../utils/previewUtils");
+const { loadContributors, validateContributors, replaceContributors } = require("../utils/contributorUtils");
+const { loadCollectionNavigation } = require("../utils/collectionUtils");
+const {
+  MAX_PINNED,
+  LIVE_FEATURE,
+  PIN_SQL,
+  parseFeatureInput,
+  upsertFeature,
+  removeFeature,
+  countOtherLivePins,
+  formatFeature,
+} = require("../utils/featureUtils");
+const {
+  deriveExcerpt,
+  validateExcerpt,
+  translationTextFields,
+  articleTextFields,
+} = require("../utils/textUtils");
+const { sanitizeCommentHtml } = require("../utils/sanitizeUtils");
+const { VIEW_WINDOWS, recordArticleView, viewWindowStart, loadArticleViewStats } = require("../utils/viewUtils");
+const { REACTIONS, loadReactionSummary, loadReactionBreakdown } = require("../utils/reactionUtils");
+const { isBookmarked } = require("../utils/bookmarkUtils");
+const {
+  readBodyInput,
+  inheritedFormat,
+  prepareBody,
+  rebuildBody,
+  sourceFields,
+  parseOutputFormat,
+  bodyFields,
+} = require("../utils/bodyFormatUtils");
+
+// The trash listing can also be ordered by deletion time
+const TRASH_SORTS = {
+  ...ARTICLE_SORTS,
+  deleted: { key: "a.deleted_at", direction: "DESC", type: "date" },
+};
 
 
 /**
@@ -24,27 +82,48 @@ const {
  * Optional query: ?search=term
  * - Without ?search: Retrieve all published articles with multilingual support
  * - With ?search: Search by title/content (English)
+ * - Paginated: ?limit=1..100 (default 20), ?sort=newest|oldest|updated|title (default newest),
+ *   ?cursor=<next_cursor from the previous page>
+ * - Articles pinned to the main listing (PUT /api/articles/:id/pin) come first on the first page,
+ *   in pin order and in addition to `limit`, and are not repeated on later pages
  *
  * Response:
- * [{
- *   "id": "string",
- *   "title": "string",
- *   "content": "string",
- *   "image_url": "string|null",
- *   "created_at": "ISO string",
- *   "updated_at": "ISO string"
- * }]
+ * {
+ *   "items": [{
+ *     "id": "string",
+ *     "title": "string",
+ *     "content": "string",
+ *     "excerpt": "string",
+ *     "word_count": 420,
+ *     "reading_time_minutes": 2,
+ *     "image_url": "string|null",
+ *     "created_at": "ISO string",
+ *     "updated_at": "ISO string",
+ *     "pinned": false
+ *   }],
+ *   "next_cursor": "string|null",
+ *   "limit": 20,
+ *   "sort": "newest"
+ * }
  */
 router.get("/", async (req, res) => {
   try {
-
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
     const baseSelect = `
       SELECT
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        ${keyset.select},
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -61,10 +140,9 @@ router.get("/", async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'published'
+      WHERE a.deleted_at IS NULL AND a.status = 'published'
     `;
 
-    let sql;
     const { search, lang, tag } = req.query; // Added 'tag' query parameter
     const languageCode = (lang === 'bn') ? 'bn' : 'en';
     let params = [languageCode];
@@ -80,18 +158,25 @@ router.get("/", async (req, res) => {
       params.push(tag.trim());
     }
 
-    if (conditions.length > 0) {
-      sql = `${baseSelect} AND ${conditions.join(' AND ')} GROUP BY a.id ORDER BY a.created_at DESC`;
-    } else {
-      sql = `${baseSelect} GROUP BY a.id ORDER BY a.created_at DESC`;
-    }
+    const filters = conditions.map((c) => `AND ${c}`).join(" ");
 
-    const { rows } = await query(sql, params);
+    // Pinned articles go above the first page and are left out of the pages themselves
+    const sql = `${baseSelect} ${filters} AND ${PIN_SQL.notPinned} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`;
+    const { rows } = await query(sql, [...params, null, ...keyset.params]);
 
-    const articles = rows.map((article) => ({
+    let pinnedRows = [];
+    if (!page.after) {
+      ({ rows: pinnedRows } = await query(
+        `${baseSelect} ${filters} AND ${PIN_SQL.pinned} GROUP BY a.id ORDER BY ${PIN_SQL.position} ASC, a.id DESC LIMIT ${MAX_PINNED}`,
+        [...params, null, null]
+      ));
+    }
+
+    const mapArticle = (article) => ({
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, languageCode),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
       tags: article.tags_codes ? article.tags_codes.split(',') : [],
@@ -99,9 +184,10 @@ router.get("/", async (req, res) => {
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
-    }));
-
-    res.json(articles);
+    });
+    const result = buildPage(rows, page, (article) => ({ ...mapArticle(article), pinned: false }));
+    result.items = [...pinnedRows.map((article) => ({ ...mapArticle(article), pinned: true })), ...result.items];
+    res.json(result);
   } catch (error) {
     console.error("Error fetching/searching articles:", error);
     res.status(500).json({ error: "Failed to retrieve articles" });
@@ -116,9 +202,15 @@ router.get("/", async (req, res) => {
  *    - lang: 'en' | 'bn' (default 'en')
  *    - search: optional search term (matches title/body)
  *    - tag: optional tag code filter
+ *    - limit, sort, cursor: pagination (see GET /api/articles)
  */
 router.get("/recent", async (req, res) => {
   try {
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
     const { search, lang, tag } = req.query;
     let { days } = req.query;
 
@@ -140,8 +232,12 @@ router.get("/recent", async (req, res) => {
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        ${keyset.select},
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -158,7 +254,7 @@ router.get("/recent", async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'published'
+      WHERE a.deleted_at IS NULL AND a.status = 'published'
         AND a.published_at IS NOT NULL
         AND a.published_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
     `;
@@ -177,17 +273,16 @@ router.get("/recent", async (req, res) => {
       params.push(tag.trim());
     }
 
-    const sql =
-      conditions.length > 0
-        ? `${baseSelect} AND ${conditions.join(' AND ')} GROUP BY a.id ORDER BY a.published_at DESC`
-        : `${baseSelect} GROUP BY a.id ORDER BY a.published_at DESC`;
+    const sql = `${baseSelect} ${conditions.map((c) => `AND ${c}`).join(" ")} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`;
+    params.push(...keyset.params);
 
     const { rows } = await query(sql, params);
 
-    const articles = rows.map((article) => ({
+    res.json(buildPage(rows, page, (article) => ({
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, languageCode),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
       tags: article.tags_codes ? article.tags_codes.split(',') : [],
@@ -195,9 +290,7 @@ router.get("/recent", async (req, res) => {
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
-    }));
-
-    res.json(articles);
+    })));
   } catch (error) {
     console.error("Error fetching recent articles:", error);
     res.status(500).json({ error: "Failed to retrieve recent articles" });
@@ -206,14 +299,22 @@ router.get("/recent", async (req, res) => {
 /**
  * GET /api/articles/by-author/:userId
  * List published articles by a specific author with multilingual support
+ * - Includes articles the user co-authored (article_contributors role co_author);
+ *   each item's author_role is "author" or "co_author"
  * - Public endpoint (no auth)
  * - Supports optional query params:
  *    - lang: 'en' | 'bn' (default 'en')
  *    - search: optional search term (matches title/body)
  *    - tag: optional tag code filter
+ *    - limit, sort, cursor: pagination (see GET /api/articles)
  */
 router.get("/by-author/:userId", async (req, res) => {
   try {
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
     const { userId } = req.params;
     const { search, lang, tag } = req.query;
 
@@ -228,8 +329,13 @@ router.get("/by-author/:userId", async (req, res) => {
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        CASE WHEN a.author_user_id = ? THEN 'author' ELSE 'co_author' END AS author_role,
+        ${keyset.select},
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -246,11 +352,19 @@ router.get("/by-author/:userId", async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'published' AND a.author_user_id = ?
+      WHERE a.deleted_at IS NULL AND a.status = 'published'
+        AND (
+          a.author_user_id = ?
+          OR EXISTS (
+            SELECT 1 FROM article_contributors ac
+            WHERE ac.article_id = a.id AND ac.user_id = ? AND ac.role = 'co_author'
+          )
+        )
     `;
 
+    const authorId = parseInt(userId, 10);
     const conditions = [];
-    const params = [languageCode, parseInt(userId, 10)];
+    const params = [authorId, languageCode, authorId, authorId];
 
     if (search && typeof search === "string" && search.trim().length > 0) {
       const like = `%${search.trim()}%`;
@@ -263,17 +377,17 @@ router.get("/by-author/:userId", async (req, res) => {
       params.push(tag.trim());
     }
 
-    const sql =
-      conditions.length > 0
-        ? `${baseSelect} AND ${conditions.join(' AND ')} GROUP BY a.id ORDER BY a.created_at DESC`
-        : `${baseSelect} GROUP BY a.id ORDER BY a.created_at DESC`;
+    const sql = `${baseSelect} ${conditions.map((c) => `AND ${c}`).join(" ")} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`;
+    params.push(...keyset.params);
 
     const { rows } = await query(sql, params);
 
-    const articles = rows.map((article) => ({
+    res.json(buildPage(rows, page, (article) => ({
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, languageCode),
+      author_role: article.author_role,
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
       tags: article.tags_codes ? article.tags_codes.split(',') : [],
@@ -281,9 +395,7 @@ router.get("/by-author/:userId", async (req, res) => {
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
-    }));
-
-    res.json(articles);
+    })));
   } catch (error) {
     console.error("Error fetching articles by author:", error);
     res.status(500).json({ error: "Failed to retrieve articles by author" });
@@ -299,9 +411,15 @@ router.get("/by-author/:userId", async (req, res) => {
  * - search: optional search term
  * - lang: optional 'en' or 'bn' (default 'en')
  * - tag: optional tag code to filter
+ * - limit, sort, cursor: pagination (see GET /api/articles)
  */
 router.get("/drafts", authenticate, async (req, res) => {
   try {
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
     const { search, lang, tag } = req.query;
     const languageCode = (lang === 'bn') ? 'bn' : 'en';
 
@@ -310,8 +428,13 @@ router.get("/drafts", authenticate, async (req, res) => {
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        a.version,
+        ${keyset.select},
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -328,7 +451,7 @@ router.get("/drafts", authenticate, async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'draft'
+      WHERE a.deleted_at IS NULL AND a.status = 'draft'
     `;
 
     let params = [languageCode];
@@ -352,27 +475,25 @@ router.get("/drafts", authenticate, async (req, res) => {
       params.push(tag.trim());
     }
 
-    const sql =
-      conditions.length > 0
-        ? `${baseSelect} AND ${conditions.join(' AND ')} GROUP BY a.id ORDER BY a.created_at DESC`
-        : `${baseSelect} GROUP BY a.id ORDER BY a.created_at DESC`;
+    const sql = `${baseSelect} ${conditions.map((c) => `AND ${c}`).join(" ")} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`;
+    params.push(...keyset.params);
 
     const { rows } = await query(sql, params);
 
-    const articles = rows.map((article) => ({
+    res.json(buildPage(rows, page, (article) => ({
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, languageCode),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
+      version: Number(article.version),
       tags: article.tags_codes ? article.tags_codes.split(',') : [],
       tags_names: article.tags_names ? article.tags_names.split(',') : [],
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
-    }));
-
-    res.json(articles);
+    })));
   } catch (error) {
     console.error("Error fetching draft articles:", error);
     res.status(500).json({ error: "Failed to retrieve draft articles" });
@@ -406,6 +527,8 @@ router.get("/tags/lang/:langCode", async (req, res) => {
         at.title,
         at.slug,
         at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.published_at,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
         GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'image' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS image_urls,
@@ -418,7 +541,7 @@ router.get("/tags/lang/:langCode", async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'published'
+      WHERE a.deleted_at IS NULL AND a.status = 'published'
     `;
 
     const params = [langCode];
@@ -451,7 +574,7 @@ router.get("/tags/lang/:langCode", async (req, res) => {
         id: String(articleData.article_id),
         title: articleData.title,
         slug: articleData.slug,
-        excerpt: articleData.excerpt,
+        ...articleTextFields(articleData, langCode),
         published_at: toISO(articleData.published_at),
         media_urls: articleData.media_urls ? articleData.media_urls.split('|||').filter(Boolean) : [],
         image_urls: articleData.image_urls ? articleData.image_urls.split('|||').filter(Boolean) : [],
@@ -471,7 +594,9 @@ router.get("/tags/lang/:langCode", async (req, res) => {
  * GET /api/articles/:id/translations
  * Get all translations for a published article
  * - Public endpoint (no auth), but only returns when article is published
- * - Returns an array of translations with language_code, title, slug, excerpt, body, created_at, updated_at
+ * - Returns an array of translations with language_code, title, slug, excerpt, body (HTML), content
+ *   (in ?format=html|markdown|text), content_format, body_format, body_source, blocks, word_count,
+ *   reading_time_minutes, created_at, updated_at
  */
 router.get("/:id/translations", async (req, res) => {
   try {
@@ -480,6 +605,10 @@ router.get("/:id/translations", async (req, res) => {
     if (!id || !/^\d+$/.test(String(id))) {
       return res.status(400).json({ error: "Invalid article ID" });
     }
+    const output = parseOutputFormat(req.query.format);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
 
     const sql = `
       SELECT
@@ -489,12 +618,16 @@ router.get("/:id/translations", async (req, res) => {
         at.slug,
         at.excerpt,
         at.body,
+        at.body_format,
+        at.body_source,
+        at.word_count,
+        at.reading_time_minutes,
         at.created_at,
         at.updated_at
       FROM articles a
       INNER JOIN article_translations at
         ON a.id = at.article_id
-      WHERE a.id = ? AND a.status = 'published'
+      WHERE a.deleted_at IS NULL AND a.id = ? AND a.status = 'published'
       ORDER BY at.language_code ASC, at.id ASC
     `;
 
@@ -509,8 +642,9 @@ router.get("/:id/translations", async (req, res) => {
       language_code: t.language_code,
       title: t.title || "",
       slug: t.slug || "",
-      excerpt: t.excerpt || "",
       body: t.body || "",
+      ...bodyFields(t, output.format),
+      ...articleTextFields(t, t.language_code),
       created_at: toISO(t.created_at),
       updated_at: toISO(t.updated_at),
     }));
@@ -521,20 +655,6 @@ router.get("/:id/translations", async (req, res) => {
     res.status(500).json({ error: "Failed to retrieve translations" });
   }
 });
-/**
- * GET /api/articles/:id
- * Retrieve a specific published article by ID with multilingual support
- *
- * Response:
- * {
- *   "id": "string",
- *   "title": "string",
- *   "content": "string",
- *   "image_url": "string|null",
- *   "created_at": "ISO string",
- *   "updated_at": "ISO string"
- * }
- */
 /**
  * GET /api/articles/hidden
  * List hidden articles (admin/editor only)
@@ -542,9 +662,15 @@ router.get("/:id/translations", async (req, res) => {
  * - search: optional search term
  * - lang: optional 'en' or 'bn' (default 'en')
  * - tag: optional tag code to filter
+ * - limit, sort, cursor: pagination (see GET /api/articles)
  */
 router.get("/hidden", authenticate, requireRole(['admin','editor']), async (req, res) => {
   try {
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
     const { search, lang, tag } = req.query;
     const languageCode = (lang === 'bn') ? 'bn' : 'en';
 
@@ -553,8 +679,13 @@ router.get("/hidden", authenticate, requireRole(['admin','editor']), async (req,
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        a.version,
+        ${keyset.select},
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -571,7 +702,7 @@ router.get("/hidden", authenticate, requireRole(['admin','editor']), async (req,
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'hidden'
+      WHERE a.deleted_at IS NULL AND a.status = 'hidden'
     `;
 
     let params = [languageCode];
@@ -588,27 +719,25 @@ router.get("/hidden", authenticate, requireRole(['admin','editor']), async (req,
       params.push(tag.trim());
     }
 
-    const sql =
-      conditions.length > 0
-        ? `${baseSelect} AND ${conditions.join(' AND ')} GROUP BY a.id ORDER BY a.created_at DESC`
-        : `${baseSelect} GROUP BY a.id ORDER BY a.created_at DESC`;
+    const sql = `${baseSelect} ${conditions.map((c) => `AND ${c}`).join(" ")} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`;
+    params.push(...keyset.params);
 
     const { rows } = await query(sql, params);
 
-    const articles = rows.map((article) => ({
+    res.json(buildPage(rows, page, (article) => ({
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, languageCode),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
+      version: Number(article.version),
       tags: article.tags_codes ? article.tags_codes.split(',') : [],
       tags_names: article.tags_names ? article.tags_names.split(',') : [],
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
-    }));
-
-    res.json(articles);
+    })));
   } catch (error) {
     console.error("Error fetching hidden articles:", error);
     res.status(500).json({ error: "Failed to retrieve hidden articles" });
@@ -616,225 +745,663 @@ router.get("/hidden", authenticate, requireRole(['admin','editor']), async (req,
 });
 
 /**
- * POST /api/articles/:id/translations
- * Add a new translation for an article
- * - Authz: admin/editor only
- * - Validates that the translation for the given language doesn't already exist
- * - Regenerates a unique slug from title for the given language
- *
- * Body:
- * {
- *   "language_code": "en" | "bn",
- *   "title": "string (required)",
- *   "content": "string (required)",
- *   "excerpt": "string (optional)"
- * }
+ * GET /api/articles/scheduled
+ * List articles with a pending publish_at or expire_at (admin/editor only)
+ * Ordered by the next scheduled event first. Unreviewed articles are listed with
+ * requires_review = true: they only go live once approved.
+ * Query params:
+ * - lang: optional 'en' or 'bn' (default 'en')
  */
-router.post("/:id/translations", authenticate, requireRole(['admin','editor']), async (req, res) => {
-  const { id } = req.params;
-  const { language_code, title, content, excerpt } = req.body || {};
+router.get("/scheduled", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { lang } = req.query;
+    const languageCode = (lang === 'bn') ? 'bn' : 'en';
 
-  if (!id || !/^\d+$/.test(String(id))) {
-    return res.status(400).json({ error: "Invalid article ID" });
-  }
+    const sql = `
+      SELECT
+        a.id,
+        a.status,
+        a.publish_at,
+        a.expire_at,
+        a.published_at,
+        a.author_user_id,
+        at.title,
+        a.created_at,
+        a.updated_at
+      FROM articles a
+      LEFT JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      WHERE a.deleted_at IS NULL
+        AND (
+          (a.status IN ('draft', 'pending_review', 'approved') AND a.publish_at IS NOT NULL)
+          OR (a.status = 'published' AND a.expire_at IS NOT NULL)
+        )
+      ORDER BY
+        CASE WHEN a.status = 'published' THEN a.expire_at ELSE a.publish_at END ASC,
+        a.id ASC
+    `;
 
-  const allowedLangs = new Set(["en", "bn"]);
-  if (typeof language_code !== "string" || !allowedLangs.has(language_code)) {
-    return res.status(400).json({ error: "Invalid language_code. Allowed: 'en' or 'bn'" });
-  }
+    const { rows } = await query(sql, [languageCode]);
 
-  if (!title || typeof title !== "string" || title.trim().length === 0) {
-    return res.status(400).json({ error: "Title is required" });
-  }
-  if (!content || typeof content !== "string" || content.trim().length === 0) {
-    return res.status(400).json({ error: "Content is required" });
+    const articles = rows.map((article) => ({
+      id: String(article.id),
+      title: article.title || "",
+      status: article.status,
+      author_user_id: article.author_user_id ? String(article.author_user_id) : null,
+      publish_at: toISO(article.publish_at),
+      expire_at: toISO(article.expire_at),
+      published_at: toISO(article.published_at),
+      next_transition: article.status === 'published'
+        ? { to: 'hidden', at: toISO(article.expire_at), requires_review: false }
+        : { to: 'published', at: toISO(article.publish_at), requires_review: article.status !== 'approved' },
+      created_at: toISO(article.created_at),
+      updated_at: toISO(article.updated_at),
+    }));
+
+    res.json(articles);
+  } catch (error) {
+    console.error("Error fetching scheduled articles:", error);
+    res.status(500).json({ error: "Failed to retrieve scheduled articles" });
   }
+});
 
-  const connection = await pool.getConnection();
+/**
+ * GET /api/articles/review-queue
+ * Articles waiting for review (admin/editor only), oldest submission first
+ * Query params:
+ * - lang: optional 'en' or 'bn' (default 'en')
+ *
+ * Response:
+ * [{
+ *   "id": "string",
+ *   "title": "string",
+ *   "author_user_id": "string",
+ *   "author_display_name": "string",
+ *   "submitted_at": "ISO string|null",
+ *   "submitted_by_user_id": "string|null",
+ *   "submission_comment": "string|null",
+ *   "publish_at": "ISO string|null",
+ *   "created_at": "ISO string",
+ *   "updated_at": "ISO string"
+ * }]
+ */
+router.get("/review-queue", authenticate, requireRole(['admin','editor']), async (req, res) => {
   try {
-    await connection.beginTransaction();
+    const { lang } = req.query;
+    const languageCode = (lang === 'bn') ? 'bn' : 'en';
 
-    // Ensure the article exists and lock for update
-    const [articleRows] = await connection.execute(
-      "SELECT id FROM articles WHERE id = ? FOR UPDATE",
-      [id]
-    );
-    if (!Array.isArray(articleRows) || articleRows.length === 0) {
-      await connection.rollback();
-      return res.status(404).json({ error: "Article not found" });
-    }
+    // Latest transition into pending_review per article = the current submission
+    const sql = `
+      SELECT
+        a.id,
+        at.title,
+        a.author_user_id,
+        u.display_name AS author_display_name,
+        a.publish_at,
+        a.created_at,
+        a.updated_at,
+        h.created_at AS submitted_at,
+        h.user_id AS submitted_by_user_id,
+        h.comment AS submission_comment
+      FROM articles a
+      LEFT JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      LEFT JOIN users u
+        ON a.author_user_id = u.id
+      LEFT JOIN article_status_history h
+        ON h.id = (
+          SELECT MAX(h2.id) FROM article_status_history h2
+          WHERE h2.article_id = a.id AND h2.to_status = 'pending_review'
+        )
+      WHERE a.deleted_at IS NULL AND a.status = 'pending_review'
+      ORDER BY COALESCE(h.created_at, a.updated_at) ASC, a.id ASC
+    `;
 
-    // Ensure translation for this language does not already exist
-    const [existingRows] = await connection.execute(
-      "SELECT id FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
-      [id, language_code]
-    );
-    if (Array.isArray(existingRows) && existingRows.length > 0) {
-      await connection.rollback();
-      return res.status(409).json({ error: "Translation for this language already exists" });
-    }
+    const { rows } = await query(sql, [languageCode]);
 
-    // Generate unique slug for this language
-    const baseSlug = slugify(title);
-    const uniqueSlug = await generateUniqueSlug(connection, baseSlug, language_code);
+    const articles = rows.map((article) => ({
+      id: String(article.id),
+      title: article.title || "",
+      author_user_id: article.author_user_id ? String(article.author_user_id) : null,
+      author_display_name: article.author_display_name || null,
+      submitted_at: toISO(article.submitted_at),
+      submitted_by_user_id: article.submitted_by_user_id ? String(article.submitted_by_user_id) : null,
+      submission_comment: article.submission_comment || null,
+      publish_at: toISO(article.publish_at),
+      created_at: toISO(article.created_at),
+      updated_at: toISO(article.updated_at),
+    }));
 
-    // Insert translation
-    const [insertRes] = await connection.execute(
-      "INSERT INTO article_translations (article_id, language_code, title, slug, excerpt, body, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())",
-      [id, language_code, title, uniqueSlug, excerpt || "", content]
-    );
-    const translationId = insertRes.insertId;
+    res.json(articles);
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    res.status(500).json({ error: "Failed to retrieve review queue" });
+  }
+});
 
-    // Touch the article's updated_at
-    await connection.execute(
-      "UPDATE articles SET updated_at = NOW() WHERE id = ?",
-      [id]
-    );
+/**
+ * GET /api/articles/trash
+ * Articles in the trash (admin/editor only), most recently deleted first
+ * Query params:
+ * - lang: optional 'en' or 'bn' (default 'en')
+ * - limit, sort, cursor: pagination (see GET /api/articles); sort also accepts
+ *   'deleted' (default)
+ *
+ * Response:
+ * {
+ *   "items": [{
+ *     "id": "string",
+ *     "title": "string",
+ *     "status": "draft|pending_review|approved|published|hidden",
+ *     "deleted_at": "ISO string",
+ *     "deleted_by_user_id": "string|null",
+ *     "deleted_by_display_name": "string|null",
+ *     "purge_after": "ISO string",
+ *     "created_at": "ISO string",
+ *     "updated_at": "ISO string"
+ *   }],
+ *   "next_cursor": "string|null",
+ *   "limit": 20,
+ *   "sort": "deleted",
+ *   "retention_days": 30
+ * }
+ */
+router.get("/trash", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const page = parsePagination(req.query, { defaultSort: "deleted", sorts: TRASH_SORTS });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
+    const { lang } = req.query;
+    const languageCode = (lang === 'bn') ? 'bn' : 'en';
+    const retentionDays = getTrashRetentionDays();
 
-    await connection.commit();
+    const sql = `
+      SELECT
+        a.id,
+        at.title,
+        a.status,
+        a.deleted_at,
+        a.deleted_by_user_id,
+        u.display_name AS deleted_by_display_name,
+        a.created_at,
+        a.updated_at,
+        ${keyset.select}
+      FROM articles a
+      LEFT JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      LEFT JOIN users u
+        ON a.deleted_by_user_id = u.id
+      WHERE a.deleted_at IS NOT NULL
+      ${keyset.where}
+      ${keyset.orderBy}
+    `;
 
-    const nowIso = new Date().toISOString();
-    res.status(201).json({
-      ok: true,
-      translation: {
-        id: String(translationId),
-        article_id: String(id),
-        language_code,
-        title,
-        slug: uniqueSlug,
-        excerpt: excerpt || "",
-        body: content,
-        created_at: nowIso,
-        updated_at: nowIso
-      }
+    const { rows } = await query(sql, [languageCode, ...keyset.params]);
+
+    res.json({
+      ...buildPage(rows, page, (article) => ({
+        id: String(article.id),
+        title: article.title || "",
+        status: article.status,
+        deleted_at: toISO(article.deleted_at),
+        deleted_by_user_id: article.deleted_by_user_id ? String(article.deleted_by_user_id) : null,
+        deleted_by_display_name: article.deleted_by_display_name || null,
+        purge_after: purgeAfter(article.deleted_at, retentionDays),
+        created_at: toISO(article.created_at),
+        updated_at: toISO(article.updated_at),
+      })),
+      retention_days: retentionDays,
     });
   } catch (error) {
-    try { await connection.rollback(); } catch {}
-    console.error("Error creating translation:", error);
-    res.status(500).json({ error: "Failed to create translation" });
-  } finally {
-    connection.release();
+    console.error("Error fetching trashed articles:", error);
+    res.status(500).json({ error: "Failed to retrieve trashed articles" });
   }
 });
 
 /**
- * PUT /api/articles/:id/translations/:lang
- * Update specific language translation
- * - Authz: admin/editor only
- * - Updates any subset of: title, content, excerpt
- * - If title changes, slug is regenerated uniquely for that language (excluding current article)
+ * GET /api/articles/featured
+ * Featured published articles, in editorial order (position, then most recently featured)
+ * - Public endpoint (no auth)
+ * - Optional query: ?lang=en|bn (default en), ?category_id=<id> (only articles in that category),
+ *   ?limit=1..50 (default 10)
+ * - Expired features are left out
  *
- * Body:
+ * Response:
  * {
- *   "title": "string (optional)",
- *   "content": "string (optional)",
- *   "excerpt": "string (optional)"
+ *   "items": [{
+ *     "id": "string",
+ *     "title": "string",
+ *     "excerpt": "string",
+ *     "word_count": 420,
+ *     "reading_time_minutes": 2,
+ *     "content": "string",
+ *     "created_at": "ISO string",
+ *     "updated_at": "ISO string",
+ *     "featured_position": 0,
+ *     "featured_until": "ISO string|null",
+ *     "tags": ["string"],
+ *     "tags_names": ["string"],
+ *     "media_urls": ["string"],
+ *     "image_urls": ["string"],
+ *     "video_urls": ["string"]
+ *   }]
  * }
  */
-router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor']), async (req, res) => {
-  const { id, lang } = req.params;
-  const { title, content, excerpt } = req.body || {};
-
-  if (!id || !/^\d+$/.test(String(id))) {
-    return res.status(400).json({ error: "Invalid article ID" });
-  }
-  const allowedLangs = new Set(["en", "bn"]);
-  if (!allowedLangs.has(lang)) {
-    return res.status(400).json({ error: "Invalid lang. Allowed: 'en' or 'bn'" });
-  }
-  if (
-    (title === undefined || title === null) &&
-    (content === undefined || content === null) &&
-    (excerpt === undefined || excerpt === null)
-  ) {
-    return res.status(400).json({ error: "At least one of title, content, excerpt must be provided" });
-  }
-
-  const connection = await pool.getConnection();
+router.get("/featured", async (req, res) => {
   try {
-    await connection.beginTransaction();
+    const { lang, category_id: categoryId, limit } = req.query;
+    const languageCode = (lang === 'bn') ? 'bn' : 'en';
 
-    // Ensure the article exists and lock for update
-    const [articleRows] = await connection.execute(
-      "SELECT id FROM articles WHERE id = ? FOR UPDATE",
-      [id]
-    );
-    if (!Array.isArray(articleRows) || articleRows.length === 0) {
-      await connection.rollback();
-      return res.status(404).json({ error: "Article not found" });
+    let limitInt = 10;
+    if (limit !== undefined && limit !== "") {
+      limitInt = /^\d+$/.test(String(limit)) ? parseInt(String(limit), 10) : NaN;
+      if (!Number.isInteger(limitInt) || limitInt < 1 || limitInt > 50) {
+        return res.status(400).json({ error: "Invalid limit. Must be an integer between 1 and 50" });
+      }
+    }
+    if (categoryId !== undefined && categoryId !== "" && !/^\d+$/.test(String(categoryId))) {
+      return res.status(400).json({ error: "Invalid category_id" });
     }
 
-    // Ensure the translation row exists and lock it
-    const [txRows] = await connection.execute(
-      "SELECT id FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
-      [id, lang]
-    );
-    if (!Array.isArray(txRows) || txRows.length === 0) {
-      await connection.rollback();
-      return res.status(404).json({ error: "Translation not found for specified language" });
+    const params = [languageCode];
+    let categoryFilter = "";
+    if (categoryId !== undefined && categoryId !== "") {
+      categoryFilter = "AND a.category_id = ?";
+      params.push(categoryId);
     }
 
-    const sets = [];
-    const params = [];
+    const { rows } = await query(
+      `SELECT
+        a.id,
+        at.title,
+        at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        a.created_at,
+        a.updated_at,
+        f.position AS featured_position,
+        f.expires_at AS featured_until,
+        GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
+        GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
+        GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'image' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS image_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'video' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS video_urls
+      FROM article_features f
+      INNER JOIN articles a
+        ON a.id = f.article_id
+      INNER JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      LEFT JOIN article_tags artag
+        ON a.id = artag.article_id
+      LEFT JOIN tags t
+        ON artag.tag_id = t.id
+      LEFT JOIN article_media am
+        ON a.id = am.article_id
+      LEFT JOIN media_assets ma
+        ON am.media_asset_id = ma.id
+      WHERE f.kind = 'featured' AND ${LIVE_FEATURE}
+        AND a.deleted_at IS NULL AND a.status = 'published' ${categoryFilter}
+      GROUP BY a.id, f.id
+      ORDER BY f.position ASC, f.created_at DESC, a.id DESC
+      LIMIT ${limitInt}`,
+      params
+    );
 
-    let newSlug = null;
-    if (typeof title === "string") {
-      sets.push("title = ?");
-      params.push(title);
-      // Regenerate slug based on new title
-      const baseSlug = slugify(title);
-      newSlug = await generateUniqueSlug(connection, baseSlug, lang, parseInt(id, 10));
-      sets.push("slug = ?");
-      params.push(newSlug);
+    res.json({
+      items: rows.map((article) => ({
+        id: String(article.id),
+        title: article.title,
+        content: article.content,
+        ...articleTextFields(article, languageCode),
+        created_at: toISO(article.created_at),
+        updated_at: toISO(article.updated_at),
+        featured_position: Number(article.featured_position),
+        featured_until: toISO(article.featured_until),
+        tags: article.tags_codes ? article.tags_codes.split(',') : [],
+        tags_names: article.tags_names ? article.tags_names.split(',') : [],
+        media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
+        image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
+        video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching featured articles:", error);
+    res.status(500).json({ error: "Failed to retrieve featured articles" });
+  }
+});
+
+/**
+ * GET /api/articles/trending
+ * Published articles with the most views in a recent window (public)
+ * - Views are counted on GET /api/articles/:id and /:id/:lang, once per reader within
+ *   ARTICLE_VIEW_DEDUP_MINUTES, in hourly buckets; recent views appear after the next flush
+ * - Optional query: ?window=24h|7d (default 24h), ?lang=en|bn (only views of that language;
+ *   titles in English when omitted), ?limit=1..50 (default 10)
+ *
+ * Response:
+ * {
+ *   "window": "24h",
+ *   "language_code": "en|bn|null",
+ *   "items": [{
+ *     "id": "string",
+ *     "title": "string",
+ *     "slug": "string",
+ *     "excerpt": "string",
+ *     "word_count": 420,
+ *     "reading_time_minutes": 2,
+ *     "image_url": "string|null",
+ *     "published_at": "ISO string|null",
+ *     "views": 128
+ *   }]
+ * }
+ */
+router.get("/trending", async (req, res) => {
+  try {
+    const { window = "24h", lang, limit } = req.query;
+
+    const since = viewWindowStart(window);
+    if (!since) {
+      return res.status(400).json({ error: `Invalid window. Allowed: ${Object.keys(VIEW_WINDOWS).join(", ")}` });
+    }
+    if (lang !== undefined && lang !== "" && lang !== "en" && lang !== "bn") {
+      return res.status(400).json({ error: "Invalid language. Allowed: 'en' or 'bn'" });
+    }
+    const viewLanguage = lang === "en" || lang === "bn" ? lang : null;
+    const languageCode = viewLanguage || "en";
+
+    let limitInt = 10;
+    if (limit !== undefined && limit !== "") {
+      limitInt = /^\d+$/.test(String(limit)) ? parseInt(String(limit), 10) : NaN;
+      if (!Number.isInteger(limitInt) || limitInt < 1 || limitInt > 50) {
+        return res.status(400).json({ error: "Invalid limit. Must be an integer between 1 and 50" });
+      }
     }
 
-    if (typeof content === "string") {
-      sets.push("body = ?");
-      params.push(content);
+    const params = [since];
+    let languageFilter = "";
+    if (viewLanguage) {
+      languageFilter = "AND language_code = ?";
+      params.push(viewLanguage);
     }
+    params.push(languageCode);
+
+    const { rows } = await query(
+      `SELECT
+        a.id,
+        at.title,
+        at.slug,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        a.published_at,
+        (
+          SELECT MIN(ma.url)
+          FROM article_media am
+          INNER JOIN media_assets ma ON am.media_asset_id = ma.id
+          WHERE am.article_id = a.id AND ma.type = 'image'
+        ) AS image_url,
+        v.views
+      FROM (
+        SELECT article_id, SUM(views) AS views
+        FROM article_view_counts
+        WHERE bucket_start >= ? ${languageFilter}
+        GROUP BY article_id
+      ) v
+      INNER JOIN articles a
+        ON a.id = v.article_id AND a.deleted_at IS NULL AND a.status = 'published'
+      INNER JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      ORDER BY v.views DESC, a.published_at DESC, a.id DESC
+      LIMIT ${limitInt}`,
+      params
+    );
 
-    if (typeof excerpt === "string") {
-      sets.push("excerpt = ?");
-      params.push(excerpt);
+    res.json({
+      window,
+      language_code: viewLanguage,
+      items: rows.map((article) => ({
+        id: String(article.id),
+        title: article.title || "",
+        slug: article.slug || "",
+        ...articleTextFields(article, languageCode),
+        image_url: article.image_url || null,
+        published_at: toISO(article.published_at),
+        views: Number(article.views),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching trending articles:", error);
+    res.status(500).json({ error: "Failed to retrieve trending articles" });
+  }
+});
+
+/**
+ * GET /api/articles/preview/:token
+ * Read an article in any status (draft, pending review, hidden, ...) through a preview link
+ * minted with POST /api/articles/:id/preview. No account needed; the token names the article
+ * and language and expires on its own. Trashed articles are not previewable.
+ * Responses are marked no-store / noindex so previews do not end up in caches or search engines.
+ * Query: format=html|markdown|text (default html)
+ *
+ * Response: same shape as GET /api/articles/:id/:lang, plus
+ * {
+ *   "language_code": "en|bn",
+ *   "excerpt": "string",
+ *   "word_count": 420,
+ *   "reading_time_minutes": 2,
+ *   "status": "draft|pending_review|approved|published|hidden",
+ *   "preview": { "expires_at": "ISO string" }
+ * }
+ * Errors: 401 for an invalid link, 410 for an expired one
+ */
+router.get("/preview/:token", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.set("X-Robots-Tag", "noindex, nofollow");
+
+  try {
+    const preview = verifyPreviewToken(req.params.token);
+    if (preview.error === "expired") {
+      return res.status(410).json({ error: "This preview link has expired" });
+    }
+    if (preview.error) {
+      return res.status(401).json({ error: "Invalid preview link" });
     }
 
-    sets.push("updated_at = NOW()");
+    const output = parseOutputFormat(req.query.format);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
 
-    const updateSql = `UPDATE article_translations SET ${sets.join(", ")} WHERE article_id = ? AND language_code = ?`;
-    params.push(id, lang);
-    await connection.execute(updateSql, params);
+    const sql = `
+      SELECT
+        a.id,
+        a.status,
+        at.title,
+        at.slug,
+        at.body AS content,
+        at.body_format,
+        at.body_source,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        a.created_at,
+        a.updated_at,
+        a.version,
+        GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
+        GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
+        GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'image' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS image_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'video' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS video_urls
+      FROM articles a
+      INNER JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      LEFT JOIN article_tags artag
+        ON a.id = artag.article_id
+      LEFT JOIN tags t
+        ON artag.tag_id = t.id
+      LEFT JOIN article_media am
+        ON a.id = am.article_id
+      LEFT JOIN media_assets ma
+        ON am.media_asset_id = ma.id
+      WHERE a.deleted_at IS NULL AND a.id = ?
+      GROUP BY a.id, a.status, at.title, at.slug, at.body, at.body_format, at.body_source, at.excerpt, at.word_count, at.reading_time_minutes, a.created_at, a.updated_at, a.version
+    `;
 
-    // Touch parent article
-    await connection.execute("UPDATE articles SET updated_at = NOW() WHERE id = ?", [id]);
+    const { rows } = await query(sql, [preview.languageCode, preview.articleId]);
 
-    await connection.commit();
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ error: "Article not found in the requested language" });
+    }
 
+    const article = rows[0];
     res.json({
-      ok: true,
-      article_id: String(id),
-      language_code: lang,
-      ...(typeof title === "string" ? { title } : {}),
-      ...(newSlug ? { slug: newSlug } : {}),
-      ...(typeof excerpt === "string" ? { excerpt } : {}),
-      ...(typeof content === "string" ? { body: content } : {}),
-      updated_at: new Date().toISOString()
+      id: String(article.id),
+      language_code: preview.languageCode,
+      slug: article.slug,
+      title: article.title,
+      ...bodyFields(article, output.format),
+      ...articleTextFields(article, preview.languageCode),
+      status: article.status,
+      created_at: toISO(article.created_at),
+      updated_at: toISO(article.updated_at),
+      version: Number(article.version),
+      tags: article.tags_codes ? article.tags_codes.split(",") : [],
+      tags_names: article.tags_names ? article.tags_names.split(",") : [],
+      media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
+      image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
+      video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
+      contributors: await loadContributors(pool, article.id),
+      preview: { expires_at: preview.expiresAt },
     });
   } catch (error) {
-    try { await connection.rollback(); } catch {}
-    console.error("Error updating translation:", error);
-    res.status(500).json({ error: "Failed to update translation" });
-  } finally {
-    connection.release();
+    console.error("Error fetching article preview:", error);
+    res.status(500).json({ error: "Failed to retrieve article preview" });
   }
-});/**
- * GET /api/articles/hidden
- * List hidden articles (admin/editor only)
- * Query params:
- * - search: optional search term
- * - lang: optional 'en' or 'bn' (default 'en')
- * - tag: optional tag code to filter
+});
+
+/**
+ * GET /api/articles/slug/:lang/:slug
+ * Resolve a published article by its per-language slug
+ * - A current slug returns the article (same shape as GET /api/articles/:id/:lang, plus slug/language_code);
+ *   ?format=html|markdown|text works as there
+ * - A previous slug (kept in article_slug_history after a title change) answers
+ *   301 Moved Permanently with a Location header and a JSON redirect hint
+ *
+ * Response (301):
+ * {
+ *   "redirect": true,
+ *   "article_id": "string",
+ *   "language_code": "en|bn",
+ *   "slug": "current-slug",
+ *   "location": "/api/articles/slug/en/current-slug"
+ * }
  */
- // Removed duplicate /hidden route (consolidated earlier)
+router.get("/slug/:lang/:slug", async (req, res) => {
+  try {
+    const { lang, slug } = req.params;
+
+    const allowedLangs = new Set(["en", "bn"]);
+    if (!allowedLangs.has(lang)) {
+      return res.status(400).json({ error: "Invalid language. Allowed: 'en' or 'bn'" });
+    }
+    if (!slug || slug.length > 255) {
+      return res.status(400).json({ error: "Invalid slug" });
+    }
+
+    const output = parseOutputFormat(req.query.format);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
+
+    const sql = `
+      SELECT
+        a.id,
+        at.title,
+        at.slug,
+        at.body AS content,
+        at.body_format,
+        at.body_source,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        a.created_at,
+        a.updated_at,
+        GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
+        GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
+        GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'image' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS image_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'video' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS video_urls
+      FROM articles a
+      INNER JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      LEFT JOIN article_tags artag
+        ON a.id = artag.article_id
+      LEFT JOIN tags t
+        ON artag.tag_id = t.id
+      LEFT JOIN article_media am
+        ON a.id = am.article_id
+      LEFT JOIN media_assets ma
+        ON am.media_asset_id = ma.id
+      WHERE a.deleted_at IS NULL AND at.slug = ? AND a.status = 'published'
+      GROUP BY a.id, at.title, at.slug, at.body, at.body_format, at.body_source, at.excerpt, at.word_count, at.reading_time_minutes, a.created_at, a.updated_at
+    `;
+
+    const { rows } = await query(sql, [lang, slug]);
+
+    if (rows && rows.length > 0) {
+      const article = rows[0];
+      return res.json({
+        id: String(article.id),
+        language_code: lang,
+        slug: article.slug,
+        title: article.title,
+        ...bodyFields(article, output.format),
+        ...articleTextFields(article, lang),
+        created_at: toISO(article.created_at),
+        updated_at: toISO(article.updated_at),
+        tags: article.tags_codes ? article.tags_codes.split(",") : [],
+        tags_names: article.tags_names ? article.tags_names.split(",") : [],
+        media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
+        image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
+        video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
+        contributors: await loadContributors(pool, article.id),
+      });
+    }
+
+    // Not a current slug: look for a previous one and point at its replacement
+    const { rows: historyRows } = await query(
+      `SELECT h.article_id, at.slug
+       FROM article_slug_history h
+       INNER JOIN article_translations at
+         ON at.article_id = h.article_id AND at.language_code = h.language_code
+       INNER JOIN articles a
+         ON a.id = h.article_id
+       WHERE a.deleted_at IS NULL AND h.language_code = ? AND h.slug = ? AND a.status = 'published'
+       LIMIT 1`,
+      [lang, slug]
+    );
+
+    if (!historyRows || historyRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const target = historyRows[0];
+    const location = `${req.baseUrl}/slug/${lang}/${encodeURIComponent(target.slug)}`;
+    res.status(301).location(location).json({
+      redirect: true,
+      article_id: String(target.article_id),
+      language_code: lang,
+      slug: target.slug,
+      location,
+    });
+  } catch (error) {
+    console.error("Error fetching article by slug:", error);
+    res.status(500).json({ error: "Failed to retrieve article" });
+  }
+});
 
 /**
  * POST /api/articles/:id/translations
@@ -842,18 +1409,26 @@ router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor
  * - Authz: admin/editor only
  * - Validates that the translation for the given language doesn't already exist
  * - Regenerates a unique slug from title for the given language
+ * - Without an excerpt, one is generated from the content; word_count and
+ *   reading_time_minutes are computed from the content
+ * - With body_format "markdown", content is Markdown: the source is kept and body is the rendered HTML
+ * - blocks (content blocks, see contentBlockUtils) can be sent instead of content; body is rendered from them
+ * - Requires If-Match with the article's ETag: 428 without it, 412 (with the current version)
+ *   when the article changed since it was read. The response carries the new ETag.
  *
  * Body:
  * {
  *   "language_code": "en" | "bn",
  *   "title": "string (required)",
- *   "content": "string (required)",
- *   "excerpt": "string (optional)"
+ *   "content": "string (required unless blocks are given)",
+ *   "body_format": "html | markdown (optional, default html)",
+ *   "blocks": [{ "type": "paragraph", "text": "string" }, ...] (optional, instead of content),
+ *   "excerpt": "string (optional, max 1000 characters)"
  * }
  */
 router.post("/:id/translations", authenticate, requireRole(['admin','editor']), async (req, res) => {
   const { id } = req.params;
-  const { language_code, title, content, excerpt } = req.body || {};
+  const { language_code, title, content, blocks, excerpt, body_format: bodyFormat } = req.body || {};
 
   if (!id || !/^\d+$/.test(String(id))) {
     return res.status(400).json({ error: "Invalid article ID" });
@@ -867,9 +1442,21 @@ router.post("/:id/translations", authenticate, requireRole(['admin','editor']),
   if (!title || typeof title !== "string" || title.trim().length === 0) {
     return res.status(400).json({ error: "Title is required" });
   }
-  if (!content || typeof content !== "string" || content.trim().length === 0) {
+  const input = readBodyInput({ content, blocks, bodyFormat });
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+  if (input.format !== "blocks" && (!content || typeof content !== "string" || content.trim().length === 0)) {
     return res.status(400).json({ error: "Content is required" });
   }
+  const prepared = prepareBody(input.source, input.format ?? "html");
+  if (prepared.error) {
+    return res.status(400).json({ error: prepared.error });
+  }
+  const excerptError = validateExcerpt(excerpt);
+  if (excerptError) {
+    return res.status(400).json({ error: excerptError });
+  }
 
   const connection = await pool.getConnection();
   try {
@@ -877,13 +1464,23 @@ router.post("/:id/translations", authenticate, requireRole(['admin','editor']),
 
     // Ensure the article exists and lock for update
     const [articleRows] = await connection.execute(
-      "SELECT id FROM articles WHERE id = ? FOR UPDATE",
+      "SELECT id, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
       [id]
     );
     if (!Array.isArray(articleRows) || articleRows.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Article not found" });
     }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const precondition = checkIfMatch(req, id, articleRows[0].version);
+    if (precondition) {
+      await connection.rollback();
+      return res.status(precondition.status).json(precondition.body);
+    }
 
     // Ensure translation for this language does not already exist
     const [existingRows] = await connection.execute(
@@ -900,31 +1497,46 @@ router.post("/:id/translations", authenticate, requireRole(['admin','editor']),
     const uniqueSlug = await generateUniqueSlug(connection, baseSlug, language_code);
 
     // Insert translation
+    const text = translationTextFields(prepared.body, language_code, { excerpt });
     const [insertRes] = await connection.execute(
-      "INSERT INTO article_translations (article_id, language_code, title, slug, excerpt, body, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())",
-      [id, language_code, title, uniqueSlug, excerpt || "", content]
+      `INSERT INTO article_translations
+         (article_id, language_code, title, slug, excerpt, excerpt_auto, body, body_format, body_source,
+          word_count, reading_time_minutes, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        id, language_code, title, uniqueSlug, text.excerpt, text.excerpt_auto,
+        prepared.body, prepared.bodyFormat, prepared.bodySource, text.word_count, text.reading_time_minutes,
+      ]
     );
     const translationId = insertRes.insertId;
 
+    // Record the initial revision of this translation
+    await snapshotTranslation(connection, id, language_code, req.user.id);
+
     // Touch the article's updated_at
     await connection.execute(
-      "UPDATE articles SET updated_at = NOW() WHERE id = ?",
+      "UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?",
       [id]
     );
 
     await connection.commit();
 
+    const version = setArticleEtag(res, id, articleRows[0].version + 1);
     const nowIso = new Date().toISOString();
     res.status(201).json({
       ok: true,
+      version,
       translation: {
         id: String(translationId),
         article_id: String(id),
         language_code,
         title,
         slug: uniqueSlug,
-        excerpt: excerpt || "",
-        body: content,
+        excerpt: text.excerpt,
+        body: prepared.body,
+        ...sourceFields(prepared.bodyFormat, prepared.bodySource),
+        word_count: text.word_count,
+        reading_time_minutes: text.reading_time_minutes,
         created_at: nowIso,
         updated_at: nowIso
       }
@@ -942,19 +1554,28 @@ router.post("/:id/translations", authenticate, requireRole(['admin','editor']),
  * PUT /api/articles/:id/translations/:lang
  * Update specific language translation
  * - Authz: admin/editor only
- * - Updates any subset of: title, content, excerpt
- * - If title changes, slug is regenerated uniquely for that language (excluding current article)
+ * - Updates any subset of: title, content (or blocks), excerpt
+ * - excerpt null or "" switches back to a generated excerpt; a generated excerpt follows
+ *   content changes, one that was written by hand is kept
+ * - content is read in body_format when given (only together with content), otherwise in the
+ *   translation's current format (HTML for translations written as blocks)
+ * - If title changes, slug is regenerated uniquely for that language (excluding current article);
+ *   the previous slug is kept in article_slug_history and redirects to the new one
+ * - Requires If-Match with the article's ETag: 428 without it, 412 (with the current version)
+ *   when the article changed since it was read. The response carries the new ETag.
  *
  * Body:
  * {
  *   "title": "string (optional)",
  *   "content": "string (optional)",
+ *   "body_format": "html | markdown (optional)",
+ *   "blocks": [{ "type": "string", ... }] (optional, instead of content),
  *   "excerpt": "string (optional)"
  * }
  */
 router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor']), async (req, res) => {
   const { id, lang } = req.params;
-  const { title, content, excerpt } = req.body || {};
+  const { title, content, blocks, excerpt, body_format: bodyFormat } = req.body || {};
 
   if (!id || !/^\d+$/.test(String(id))) {
     return res.status(400).json({ error: "Invalid article ID" });
@@ -966,9 +1587,21 @@ router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor
   if (
     (title === undefined || title === null) &&
     (content === undefined || content === null) &&
+    blocks === undefined &&
     (excerpt === undefined || excerpt === null)
   ) {
-    return res.status(400).json({ error: "At least one of title, content, excerpt must be provided" });
+    return res.status(400).json({ error: "At least one of title, content, blocks, excerpt must be provided" });
+  }
+  const excerptError = validateExcerpt(excerpt);
+  if (excerptError) {
+    return res.status(400).json({ error: excerptError });
+  }
+  const input = readBodyInput({ content, blocks, bodyFormat });
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+  if (bodyFormat !== undefined && typeof content !== "string" && blocks === undefined) {
+    return res.status(400).json({ error: "body_format can only be given together with content" });
   }
 
   const connection = await pool.getConnection();
@@ -977,23 +1610,46 @@ router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor
 
     // Ensure the article exists and lock for update
     const [articleRows] = await connection.execute(
-      "SELECT id FROM articles WHERE id = ? FOR UPDATE",
+      "SELECT id, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
       [id]
     );
     if (!Array.isArray(articleRows) || articleRows.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Article not found" });
     }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const precondition = checkIfMatch(req, id, articleRows[0].version);
+    if (precondition) {
+      await connection.rollback();
+      return res.status(precondition.status).json(precondition.body);
+    }
 
     // Ensure the translation row exists and lock it
     const [txRows] = await connection.execute(
-      "SELECT id FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
+      "SELECT id, title, slug, excerpt, excerpt_auto, body, body_format FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
       [id, lang]
     );
     if (!Array.isArray(txRows) || txRows.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Translation not found for specified language" });
     }
+    const current = txRows[0];
+
+    let prepared = null;
+    if (typeof content === "string" || input.format === "blocks") {
+      prepared = prepareBody(input.source, input.format ?? inheritedFormat(current.body_format));
+      if (prepared.error) {
+        await connection.rollback();
+        return res.status(400).json({ error: prepared.error });
+      }
+    }
+
+    // Keep the pre-edit state recoverable for translations that predate revisions
+    await ensureBaselineRevision(connection, id, lang);
 
     const sets = [];
     const params = [];
@@ -1002,21 +1658,26 @@ router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor
     if (typeof title === "string") {
       sets.push("title = ?");
       params.push(title);
-      // Regenerate slug based on new title
-      const baseSlug = slugify(title);
-      newSlug = await generateUniqueSlug(connection, baseSlug, lang, parseInt(id, 10));
-      sets.push("slug = ?");
-      params.push(newSlug);
+      // Regenerate slug only when the title actually changes
+      if (title !== current.title) {
+        const baseSlug = slugify(title);
+        newSlug = await generateUniqueSlug(connection, baseSlug, lang, parseInt(id, 10));
+        sets.push("slug = ?");
+        params.push(newSlug);
+        await recordSlugChange(connection, id, lang, current.slug, newSlug);
+      }
     }
 
-    if (typeof content === "string") {
-      sets.push("body = ?");
-      params.push(content);
+    if (prepared) {
+      sets.push("body = ?", "body_format = ?", "body_source = ?");
+      params.push(prepared.body, prepared.bodyFormat, prepared.bodySource);
     }
 
-    if (typeof excerpt === "string") {
-      sets.push("excerpt = ?");
-      params.push(excerpt);
+    let text = null;
+    if (prepared || excerpt !== undefined) {
+      text = translationTextFields(prepared ? prepared.body : current.body, lang, { excerpt, current });
+      sets.push("excerpt = ?", "excerpt_auto = ?", "word_count = ?", "reading_time_minutes = ?");
+      params.push(text.excerpt, text.excerpt_auto, text.word_count, text.reading_time_minutes);
     }
 
     sets.push("updated_at = NOW()");
@@ -1025,19 +1686,25 @@ router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor
     params.push(id, lang);
     await connection.execute(updateSql, params);
 
+    // Snapshot the saved state
+    const revisionId = await snapshotTranslation(connection, id, lang, req.user.id);
+
     // Touch parent article
-    await connection.execute("UPDATE articles SET updated_at = NOW() WHERE id = ?", [id]);
+    await connection.execute("UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?", [id]);
 
     await connection.commit();
 
+    const version = setArticleEtag(res, id, articleRows[0].version + 1);
     res.json({
       ok: true,
       article_id: String(id),
       language_code: lang,
       ...(typeof title === "string" ? { title } : {}),
       ...(newSlug ? { slug: newSlug } : {}),
-      ...(typeof excerpt === "string" ? { excerpt } : {}),
-      ...(typeof content === "string" ? { body: content } : {}),
+      ...(prepared ? { body: prepared.body, ...sourceFields(prepared.bodyFormat, prepared.bodySource) } : {}),
+      ...(text ? { excerpt: text.excerpt, word_count: text.word_count, reading_time_minutes: text.reading_time_minutes } : {}),
+      revision_id: revisionId ? String(revisionId) : null,
+      version,
       updated_at: new Date().toISOString()
     });
   } catch (error) {
@@ -1048,17 +1715,21 @@ router.put("/:id/translations/:lang", authenticate, requireRole(['admin','editor
     connection.release();
   }
 });
+
 /**
  * DELETE /api/articles/:id/translations/:lang
  * Delete a specific language translation for an article
  * - Authz: admin/editor only
  * - Prevents deleting the last remaining translation for an article
+ * - Requires If-Match with the article's ETag
  *
  * Response:
- * - 204 No Content on success
+ * - 204 No Content on success, with the new ETag
  * - 400 Invalid input
  * - 404 Article or translation not found
  * - 409 If attempting to delete the last remaining translation
+ * - 412 The article changed since it was read (body has current_version and etag)
+ * - 428 If-Match missing
  */
 router.delete("/:id/translations/:lang", authenticate, requireRole(['admin','editor']), async (req, res) => {
   const { id, lang } = req.params;
@@ -1077,13 +1748,23 @@ router.delete("/:id/translations/:lang", authenticate, requireRole(['admin','edi
 
     // Ensure the article exists and lock for update
     const [articleRows] = await connection.execute(
-      "SELECT id FROM articles WHERE id = ? FOR UPDATE",
+      "SELECT id, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
       [id]
     );
     if (!Array.isArray(articleRows) || articleRows.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Article not found" });
     }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const precondition = checkIfMatch(req, id, articleRows[0].version);
+    if (precondition) {
+      await connection.rollback();
+      return res.status(precondition.status).json(precondition.body);
+    }
 
     // Ensure the specific translation exists and lock it
     const [txRows] = await connection.execute(
@@ -1113,11 +1794,12 @@ router.delete("/:id/translations/:lang", authenticate, requireRole(['admin','edi
 
     // Touch parent article
     await connection.execute(
-      "UPDATE articles SET updated_at = NOW() WHERE id = ?",
+      "UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?",
       [id]
     );
 
     await connection.commit();
+    setArticleEtag(res, id, articleRows[0].version + 1);
     return res.status(204).send();
   } catch (error) {
     try { await connection.rollback(); } catch {}
@@ -1128,54 +1810,341 @@ router.delete("/:id/translations/:lang", authenticate, requireRole(['admin','edi
   }
 });
 /**
- * POST /api/articles/:id/duplicate
- * Duplicate an article (container, translations, tags, media)
+ * GET /api/articles/:id/revisions
+ * List saved revisions of an article's translations (newest first)
  * - Authz: admin/editor only
- * - New article is created as draft, authored by the requesting user
- * - Slugs are regenerated uniquely per language (base: original slug + "-copy")
- * - Tags and single media asset (if any) are copied
- *
- * Response (201 Created):
- * {
- *   "ok": true,
- *   "id": "newArticleId",
- *   "status": "draft",
- *   "created_at": "...",
- *   "updated_at": "..."
- * }
+ * - Optional query: ?lang=en|bn to restrict to one translation
+ * - Bodies are omitted; fetch a single revision for the full text
  */
-router.post("/:id/duplicate", authenticate, requireRole(['admin','editor']), async (req, res) => {
-  const { id } = req.params;
-
-  if (!id || !/^\d+$/.test(String(id))) {
-    return res.status(400).json({ error: "Invalid article ID" });
-  }
-
-  const connection = await pool.getConnection();
+router.get("/:id/revisions", authenticate, requireRole(['admin','editor']), async (req, res) => {
   try {
-    await connection.beginTransaction();
+    const { id } = req.params;
+    const { lang } = req.query;
 
-    // 1) Load and lock the source article
-    const [articleRows] = await connection.execute(
-      "SELECT id, category_id, author_user_id, status FROM articles WHERE id = ? FOR UPDATE",
-      [id]
-    );
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    const allowedLangs = new Set(["en", "bn"]);
+    if (lang !== undefined && !allowedLangs.has(lang)) {
+      return res.status(400).json({ error: "Invalid lang. Allowed: 'en' or 'bn'" });
+    }
+
+    const { rows: articleRows } = await query("SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const params = [id];
+    let langFilter = "";
+    if (lang) {
+      langFilter = " AND r.language_code = ?";
+      params.push(lang);
+    }
+
+    const { rows } = await query(
+      `SELECT
+        r.id, r.article_id, r.language_code, r.title, r.slug, r.excerpt,
+        r.edited_by_user_id, r.restored_from_revision_id, r.created_at,
+        u.display_name AS edited_by_display_name
+      FROM article_revisions r
+      LEFT JOIN users u ON r.edited_by_user_id = u.id
+      WHERE r.article_id = ?${langFilter}
+      ORDER BY r.created_at DESC, r.id DESC`,
+      params
+    );
+
+    res.json(rows.map((r) => formatRevision(r)));
+  } catch (error) {
+    console.error("Error fetching article revisions:", error);
+    res.status(500).json({ error: "Failed to retrieve revisions" });
+  }
+});
+
+/**
+ * GET /api/articles/:id/revisions/diff?from=:revId&to=:revId
+ * Field-level diff (title, slug, excerpt, body) between two revisions of the same translation
+ * - Authz: admin/editor only
+ *
+ * Response:
+ * {
+ *   "article_id": "string",
+ *   "language_code": "en" | "bn",
+ *   "from": { revision summary },
+ *   "to": { revision summary },
+ *   "changes": [{ "field": "title", "from": "old", "to": "new" }],
+ *   "unchanged_fields": ["slug", ...]
+ * }
+ */
+router.get("/:id/revisions/diff", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    if (!/^\d+$/.test(String(from || "")) || !/^\d+$/.test(String(to || ""))) {
+      return res.status(400).json({ error: "Query params 'from' and 'to' must be revision IDs" });
+    }
+
+    const { rows } = await query(
+      `SELECT r.*, u.display_name AS edited_by_display_name
+      FROM article_revisions r
+      LEFT JOIN users u ON r.edited_by_user_id = u.id
+      WHERE r.article_id = ? AND r.id IN (?, ?)`,
+      [id, from, to]
+    );
+
+    const fromRow = rows.find((r) => String(r.id) === String(from));
+    const toRow = rows.find((r) => String(r.id) === String(to));
+    if (!fromRow || !toRow) {
+      return res.status(404).json({ error: "Revision not found for this article" });
+    }
+    if (fromRow.language_code !== toRow.language_code) {
+      return res.status(400).json({ error: "Revisions belong to different languages" });
+    }
+
+    res.json({
+      article_id: String(id),
+      language_code: fromRow.language_code,
+      from: formatRevision(fromRow),
+      to: formatRevision(toRow),
+      ...diffRevisions(fromRow, toRow),
+    });
+  } catch (error) {
+    console.error("Error diffing article revisions:", error);
+    res.status(500).json({ error: "Failed to diff revisions" });
+  }
+});
+
+/**
+ * GET /api/articles/:id/revisions/:revId
+ * Retrieve a single revision including its body
+ * - Authz: admin/editor only
+ */
+router.get("/:id/revisions/:revId", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { id, revId } = req.params;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    if (!revId || !/^\d+$/.test(String(revId))) {
+      return res.status(400).json({ error: "Invalid revision ID" });
+    }
+
+    const { rows } = await query(
+      `SELECT r.*, u.display_name AS edited_by_display_name
+      FROM article_revisions r
+      LEFT JOIN users u ON r.edited_by_user_id = u.id
+      WHERE r.article_id = ? AND r.id = ?`,
+      [id, revId]
+    );
+
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ error: "Revision not found for this article" });
+    }
+
+    res.json(formatRevision(rows[0], { includeBody: true }));
+  } catch (error) {
+    console.error("Error fetching article revision:", error);
+    res.status(500).json({ error: "Failed to retrieve revision" });
+  }
+});
+
+/**
+ * POST /api/articles/:id/revisions/:revId/restore
+ * Restore a translation's title/excerpt/body from a saved revision
+ * - Authz: admin/editor only
+ * - The current state is kept as a revision before being overwritten
+ * - The revision's slug is reused when still free, otherwise a unique one is generated;
+ *   the replaced slug is kept in article_slug_history
+ * - If the translation was deleted since, it is re-created from the revision
+ * - The restore itself is recorded as a new revision (restored_from_revision_id)
+ * - Requires If-Match with the article's ETag: 428 without it, 412 (with the current version)
+ *   when the article changed since it was read. The response carries the new ETag.
+ */
+router.post("/:id/revisions/:revId/restore", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id, revId } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  if (!revId || !/^\d+$/.test(String(revId))) {
+    return res.status(400).json({ error: "Invalid revision ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Ensure the article exists and lock for update
+    const [articleRows] = await connection.execute(
+      "SELECT id, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(articleRows) || articleRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const precondition = checkIfMatch(req, id, articleRows[0].version);
+    if (precondition) {
+      await connection.rollback();
+      return res.status(precondition.status).json(precondition.body);
+    }
+
+    const [revRows] = await connection.execute(
+      "SELECT id, language_code, title, slug, excerpt, body, body_format, body_source FROM article_revisions WHERE id = ? AND article_id = ?",
+      [revId, id]
+    );
+    if (!Array.isArray(revRows) || revRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Revision not found for this article" });
+    }
+    const revision = revRows[0];
+    const lang = revision.language_code;
+
+    const [txRows] = await connection.execute(
+      "SELECT id, slug FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
+      [id, lang]
+    );
+
+    const slug = await generateUniqueSlug(
+      connection,
+      revision.slug || slugify(revision.title),
+      lang,
+      parseInt(id, 10)
+    );
+
+    // Markdown and block revisions are rendered again from their source; revisions saved before
+    // sanitisation was introduced may hold disallowed HTML
+    const { body, bodyFormat, bodySource } = rebuildBody(revision);
+    // Revisions do not record whether the excerpt was generated: one that matches what would be
+    // generated from the restored body stays generated, anything else counts as written by hand
+    const restoredExcerpt = revision.excerpt && revision.excerpt !== deriveExcerpt(body)
+      ? revision.excerpt
+      : null;
+    const text = translationTextFields(body, lang, { excerpt: restoredExcerpt });
+
+    if (Array.isArray(txRows) && txRows.length > 0) {
+      await ensureBaselineRevision(connection, id, lang);
+      await connection.execute(
+        `UPDATE article_translations
+         SET title = ?, slug = ?, excerpt = ?, excerpt_auto = ?, body = ?, body_format = ?, body_source = ?,
+             word_count = ?, reading_time_minutes = ?, updated_at = NOW()
+         WHERE article_id = ? AND language_code = ?`,
+        [
+          revision.title || "", slug, text.excerpt, text.excerpt_auto, body, bodyFormat, bodySource,
+          text.word_count, text.reading_time_minutes, id, lang,
+        ]
+      );
+      await recordSlugChange(connection, id, lang, txRows[0].slug, slug);
+    } else {
+      await connection.execute(
+        `INSERT INTO article_translations
+           (article_id, language_code, title, slug, excerpt, excerpt_auto, body, body_format, body_source,
+            word_count, reading_time_minutes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          id, lang, revision.title || "", slug, text.excerpt, text.excerpt_auto, body, bodyFormat, bodySource,
+          text.word_count, text.reading_time_minutes,
+        ]
+      );
+    }
+
+    const newRevisionId = await snapshotTranslation(connection, id, lang, req.user.id, revision.id);
+
+    // Touch parent article
+    await connection.execute("UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?", [id]);
+
+    await connection.commit();
+
+    const version = setArticleEtag(res, id, articleRows[0].version + 1);
+    res.json({
+      ok: true,
+      article_id: String(id),
+      language_code: lang,
+      restored_from_revision_id: String(revision.id),
+      revision_id: newRevisionId ? String(newRevisionId) : null,
+      version,
+      title: revision.title || "",
+      slug,
+      excerpt: text.excerpt,
+      body,
+      ...sourceFields(bodyFormat, bodySource),
+      word_count: text.word_count,
+      reading_time_minutes: text.reading_time_minutes,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error restoring article revision:", error);
+    res.status(500).json({ error: "Failed to restore revision" });
+  } finally {
+    connection.release();
+  }
+});
+/**
+ * POST /api/articles/:id/duplicate
+ * Duplicate an article (container, translations, tags, media)
+ * - Authz: admin/editor only
+ * - New article is created as draft with the original author and contributor credits
+ * - Slugs are regenerated uniquely per language (base: original slug + "-copy")
+ * - Tags and single media asset (if any) are copied
+ *
+ * Response (201 Created):
+ * {
+ *   "ok": true,
+ *   "id": "newArticleId",
+ *   "status": "draft",
+ *   "created_at": "...",
+ *   "updated_at": "..."
+ * }
+ */
+router.post("/:id/duplicate", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // 1) Load and lock the source article
+    const [articleRows] = await connection.execute(
+      "SELECT id, category_id, author_user_id, status FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
     if (!Array.isArray(articleRows) || articleRows.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Article not found" });
     }
     const source = articleRows[0];
 
-    // 2) Create the new article as a draft, author = current user
+    // 2) Create the new article as a draft, keeping the original author
     const [insertArticleRes] = await connection.execute(
       "INSERT INTO articles (category_id, author_user_id, status, published_at, created_at, updated_at) VALUES (?, ?, ?, NULL, NOW(), NOW())",
-      [source.category_id, req.user.id, "draft"]
+      [source.category_id, source.author_user_id || req.user.id, "draft"]
     );
     const newArticleId = insertArticleRes.insertId;
+    await recordStatusTransition(connection, {
+      articleId: newArticleId,
+      toStatus: "draft",
+      action: "create",
+      comment: `Duplicated from article ${id}`,
+      userId: req.user.id,
+    });
 
     // 3) Copy translations (generate unique slugs)
     const [txRows] = await connection.execute(
-      "SELECT language_code, title, slug, body FROM article_translations WHERE article_id = ?",
+      "SELECT language_code, title, slug, excerpt, excerpt_auto, body, body_format, body_source FROM article_translations WHERE article_id = ?",
       [id]
     );
     if (Array.isArray(txRows) && txRows.length > 0) {
@@ -1183,10 +2152,18 @@ router.post("/:id/duplicate", authenticate, requireRole(['admin','editor']), asy
         const languageCode = row.language_code;
         const baseSlug = `${row.slug || slugify(row.title || "article")}-copy`.slice(0, 255);
         const uniqueSlug = await generateUniqueSlug(connection, baseSlug, languageCode);
+        // Keeps a hand-written excerpt; a generated one is generated again
+        const text = translationTextFields(row.body || "", languageCode, { current: row });
 
         await connection.execute(
-          "INSERT INTO article_translations (article_id, language_code, title, slug, body, created_at, updated_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW())",
-          [newArticleId, languageCode, row.title || "", uniqueSlug, row.body || ""]
+          `INSERT INTO article_translations
+             (article_id, language_code, title, slug, excerpt, excerpt_auto, body, body_format, body_source,
+              word_count, reading_time_minutes, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+          [
+            newArticleId, languageCode, row.title || "", uniqueSlug, text.excerpt, text.excerpt_auto, row.body || "",
+            row.body_format || "html", row.body_source ?? null, text.word_count, text.reading_time_minutes,
+          ]
         );
       }
     } else {
@@ -1214,7 +2191,15 @@ router.post("/:id/duplicate", authenticate, requireRole(['admin','editor']), asy
       }
     }
 
-    // 5) Copy media asset (if any) into a new row with id = newArticleId (1:1 mapping pattern)
+    // 5) Copy contributor credits
+    await connection.execute(
+      `INSERT INTO article_contributors (article_id, user_id, role, language_code, position, created_at)
+       SELECT ?, user_id, role, language_code, position, NOW()
+       FROM article_contributors WHERE article_id = ?`,
+      [newArticleId, id]
+    );
+
+    // 6) Copy media asset (if any) into a new row with id = newArticleId (1:1 mapping pattern)
     const [mediaRows] = await connection.execute(
       "SELECT type, url, mime_type FROM media_assets WHERE id = ?",
       [id]
@@ -1248,7 +2233,11 @@ router.post("/:id/duplicate", authenticate, requireRole(['admin','editor']), asy
 /**
  * PUT /api/articles/:id/status
  * Change article status to 'draft' | 'published' | 'hidden'
- * Authz: admin/editor only
+ * Authz: admin/editor only; publishing requires reviewer permissions
+ * (editors submit via POST /api/articles/:id/submit instead). Reviewers other than admins cannot
+ * publish their own article until someone else has approved or published it (403).
+ * Publishing immediately clears any pending publish_at (see PUT /api/articles/:id/schedule)
+ * The transition is recorded in the article's status history.
  * Body:
  * {
  *   "status": "draft" | "published" | "hidden"
@@ -1266,6 +2255,9 @@ router.put("/:id/status", authenticate, requireRole(['admin','editor']), async (
   if (typeof status !== "string" || !allowedStatuses.has(status)) {
     return res.status(400).json({ error: "Invalid status. Allowed: draft, published, hidden" });
   }
+  if (status === "published" && !canReview(req.user)) {
+    return res.status(403).json({ error: "Publishing requires reviewer permissions. Submit the article for review instead" });
+  }
 
   const connection = await pool.getConnection();
   try {
@@ -1273,27 +2265,50 @@ router.put("/:id/status", authenticate, requireRole(['admin','editor']), async (
 
     // Ensure the article exists and lock it for update
     const [rows] = await connection.execute(
-      "SELECT id FROM articles WHERE id = ? FOR UPDATE",
+      "SELECT id, status, author_user_id FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
       [id]
     );
     if (!Array.isArray(rows) || rows.length === 0) {
       await connection.rollback();
       return res.status(404).json({ error: "Article not found" });
     }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const fromStatus = rows[0].status;
+    if (
+      status === "published" && fromStatus !== status &&
+      await isSelfPublish(connection, req.user, { articleId: id, authorUserId: rows[0].author_user_id, fromStatus })
+    ) {
+      await connection.rollback();
+      return res.status(403).json({ error: "Authors cannot publish their own articles without review. Submit the article for review instead" });
+    }
 
     // Set published_at appropriately when changing status
     if (status === "published") {
       await connection.execute(
-        "UPDATE articles SET status = ?, published_at = NOW(), updated_at = NOW() WHERE id = ?",
+        "UPDATE articles SET status = ?, published_at = NOW(), publish_at = NULL, version = version + 1, updated_at = NOW() WHERE id = ?",
         [status, id]
       );
     } else {
       await connection.execute(
-        "UPDATE articles SET status = ?, published_at = NULL, updated_at = NOW() WHERE id = ?",
+        "UPDATE articles SET status = ?, published_at = NULL, version = version + 1, updated_at = NOW() WHERE id = ?",
         [status, id]
       );
     }
 
+    if (fromStatus !== status) {
+      await recordStatusTransition(connection, {
+        articleId: id,
+        fromStatus,
+        toStatus: status,
+        action: "status_change",
+        userId: req.user.id,
+      });
+    }
+
     await connection.commit();
 
     res.json({
@@ -1311,50 +2326,1477 @@ router.put("/:id/status", authenticate, requireRole(['admin','editor']), async (
     connection.release();
   }
 });
+
+// Operations accepted by POST /api/articles/bulk, and the most articles one call may touch
+const BULK_OPERATIONS = ["set_status", "move_category", "add_tags", "remove_tags", "delete"];
+const BULK_MAX_ITEMS = 200;
+
 /**
- * GET /api/articles/:id/comments
- * List comments for a specific article (public; excludes soft-deleted)
+ * POST /api/articles/bulk
+ * Apply one operation to many articles in a single transaction (admin/editor only).
+ * Either every article is updated or none is: if any ID is unknown (or trashed) or locked by
+ * another editor, nothing changes and the response is 409 with the per-item results showing
+ * which ones failed.
  *
- * Response:
- * [{
- *   "id": "string",
- *   "article_id": "string",
- *   "user_id": "string",
- *   "author_display_name": "string",
- *   "body": "string",
- *   "created_at": "ISO string",
- *   "updated_at": "ISO string",
- *   "edited_at": "ISO string|null",
- *   "edited_by_user_id": "string|null",
- *   "deleted_at": "ISO string|null",
- *   "deleted_by_user_id": "string|null"
- * }]
+ * Operations:
+ * - set_status: { "status": "draft" | "published" | "hidden" } (publishing requires reviewer
+ *   permissions; a non-admin reviewer's own unreviewed articles fail like locked ones)
+ * - move_category: { "category_id": 3 } or { "category_code": "politics" } (must exist)
+ * - add_tags: { "tags": ["code", ...] } (unknown tags are created, like PUT /api/articles/:id)
+ * - remove_tags: { "tags": ["code", ...] } (unknown tags are ignored)
+ * - delete: moves the articles to the trash
+ *
+ * Body:
+ * {
+ *   "ids": ["1", "2", ...],          // up to 200
+ *   "operation": "set_status",
+ *   "status": "hidden"
+ * }
+ *
+ * Response (200, or 409 when nothing was applied):
+ * {
+ *   "ok": true,
+ *   "operation": "set_status",
+ *   "applied": 2,
+ *   "results": [
+ *     { "id": "1", "ok": true, "changed": true },
+ *     { "id": "2", "ok": true, "changed": false }
+ *   ]
+ * }
  */
-router.get("/:id/comments", async (req, res) => {
+router.post("/bulk", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { ids, operation, status, category_id: categoryId, category_code: categoryCode, tags } = req.body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => /^\d+$/.test(String(id)))) {
+    return res.status(400).json({ error: "ids must be a non-empty array of article IDs" });
+  }
+  const articleIds = [...new Set(ids.map((id) => parseInt(String(id), 10)))];
+  if (articleIds.length > BULK_MAX_ITEMS) {
+    return res.status(400).json({ error: `At most ${BULK_MAX_ITEMS} articles can be updated at once` });
+  }
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return res.status(400).json({ error: `operation must be one of: ${BULK_OPERATIONS.join(", ")}` });
+  }
+
+  if (operation === "set_status") {
+    const allowedStatuses = new Set(["draft", "published", "hidden"]);
+    if (typeof status !== "string" || !allowedStatuses.has(status)) {
+      return res.status(400).json({ error: "Invalid status. Allowed: draft, published, hidden" });
+    }
+    if (status === "published" && !canReview(req.user)) {
+      return res.status(403).json({ error: "Publishing requires reviewer permissions. Submit the articles for review instead" });
+    }
+  }
+  if (operation === "move_category") {
+    const hasId = categoryId !== undefined && categoryId !== null && /^\d+$/.test(String(categoryId));
+    const hasCode = typeof categoryCode === "string" && categoryCode.trim().length > 0;
+    if (!hasId && !hasCode) {
+      return res.status(400).json({ error: "category_id or category_code is required" });
+    }
+  }
+  if (operation === "add_tags" || operation === "remove_tags") {
+    if (!Array.isArray(tags) || tags.length === 0 || !tags.every((t) => typeof t === "string" && t.trim().length > 0)) {
+      return res.status(400).json({ error: "tags must be a non-empty array of tag codes" });
+    }
+  }
+
+  const connection = await pool.getConnection();
   try {
-    const { id } = req.params;
+    await connection.beginTransaction();
 
-    if (!id || !/^\d+$/.test(id)) {
-      return res.status(400).json({ error: "Invalid article ID" });
+    const [rows] = await connection.query(
+      "SELECT id, status, category_id, author_user_id FROM articles WHERE id IN (?) AND deleted_at IS NULL FOR UPDATE",
+      [articleIds]
+    );
+    const found = new Map(rows.map((row) => [Number(row.id), row]));
+
+    // Articles that cannot be changed: unknown/trashed, locked by another editor, or the
+    // caller's own unreviewed work when publishing
+    const failures = new Map();
+    for (const id of articleIds) {
+      if (!found.has(id)) {
+        failures.set(id, "Article not found");
+        continue;
+      }
+      const lockConflict = await checkEditLock(connection, id, req.user);
+      if (lockConflict) {
+        failures.set(id, lockConflict.error);
+        continue;
+      }
+      const article = found.get(id);
+      if (
+        operation === "set_status" && status === "published" && article.status !== status &&
+        await isSelfPublish(connection, req.user, { articleId: id, authorUserId: article.author_user_id, fromStatus: article.status })
+      ) {
+        failures.set(id, "Authors cannot publish their own articles without review");
+      }
+    }
+    if (failures.size > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        ok: false,
+        operation,
+        applied: 0,
+        error: "Some articles cannot be changed; nothing was changed",
+        results: articleIds.map((id) => (failures.has(id)
+          ? { id: String(id), ok: false, error: failures.get(id) }
+          : { id: String(id), ok: true, changed: false })),
+      });
     }
 
-        // Verify the article exists and is published
-        const { rows: articleRows } = await query(
-          "SELECT id FROM articles WHERE id = ? AND status = 'published'",
-          [id]
+    // Per-article "changed" flags, filled in by the operation
+    const changed = new Map(articleIds.map((id) => [id, false]));
+
+    if (operation === "set_status") {
+      for (const id of articleIds) {
+        const fromStatus = found.get(id).status;
+        if (fromStatus === status) continue;
+        if (status === "published") {
+          await connection.execute(
+            "UPDATE articles SET status = ?, published_at = NOW(), publish_at = NULL, version = version + 1, updated_at = NOW() WHERE id = ?",
+            [status, id]
+          );
+        } else {
+          await connection.execute(
+            "UPDATE articles SET status = ?, published_at = NULL, version = version + 1, updated_at = NOW() WHERE id = ?",
+            [status, id]
+          );
+        }
+        await recordStatusTransition(connection, {
+          articleId: id,
+          fromStatus,
+          toStatus: status,
+          action: "status_change",
+          userId: req.user.id,
+        });
+        changed.set(id, true);
+      }
+    } else if (operation === "move_category") {
+      const [catRows] = categoryId !== undefined && categoryId !== null && /^\d+$/.test(String(categoryId))
+        ? await connection.execute("SELECT id FROM categories WHERE id = ?", [parseInt(String(categoryId), 10)])
+        : await connection.execute("SELECT id FROM categories WHERE code = ?", [categoryCode.trim().toLowerCase()]);
+      if (!Array.isArray(catRows) || catRows.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: "Category not found" });
+      }
+      const targetCategoryId = catRows[0].id;
+      const toMove = articleIds.filter((id) => found.get(id).category_id !== targetCategoryId);
+      if (toMove.length > 0) {
+        await connection.query(
+          "UPDATE articles SET category_id = ?, version = version + 1, updated_at = NOW() WHERE id IN (?)",
+          [targetCategoryId, toMove]
         );
+      }
+      toMove.forEach((id) => changed.set(id, true));
+    } else if (operation === "add_tags") {
+      const tagIds = await findOrCreateTags(connection, tags, "en");
+      for (const id of articleIds) {
+        for (const tagId of tagIds) {
+          const [result] = await connection.execute(
+            "INSERT IGNORE INTO article_tags (article_id, tag_id) VALUES (?, ?)",
+            [id, tagId]
+          );
+          if (result.affectedRows > 0) changed.set(id, true);
+        }
+      }
+    } else if (operation === "remove_tags") {
+      const codes = tags.map((t) => t.trim().toLowerCase());
+      const [tagRows] = await connection.query("SELECT id FROM tags WHERE code IN (?)", [codes]);
+      if (tagRows.length > 0) {
+        const tagIds = tagRows.map((t) => t.id);
+        for (const id of articleIds) {
+          const [result] = await connection.query(
+            "DELETE FROM article_tags WHERE article_id = ? AND tag_id IN (?)",
+            [id, tagIds]
+          );
+          if (result.affectedRows > 0) changed.set(id, true);
+        }
+      }
+    } else if (operation === "delete") {
+      await connection.query(
+        "UPDATE articles SET deleted_at = NOW(), deleted_by_user_id = ? WHERE id IN (?)",
+        [req.user.id, articleIds]
+      );
+      for (const id of articleIds) {
+        const { status: currentStatus } = found.get(id);
+        await recordStatusTransition(connection, {
+          articleId: id,
+          fromStatus: currentStatus,
+          toStatus: currentStatus,
+          action: "trash",
+          userId: req.user.id,
+        });
+        changed.set(id, true);
+      }
+    }
 
-    if (!articleRows || articleRows.length === 0) {
-      return res.status(404).json({ error: "Article not found or not published" });
+    // Tag changes do not touch the article row themselves
+    if (operation === "add_tags" || operation === "remove_tags") {
+      const touched = articleIds.filter((id) => changed.get(id));
+      if (touched.length > 0) {
+        await connection.query("UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id IN (?)", [touched]);
+      }
     }
 
-    const sql = `
-      SELECT
-        c.id,
-        c.article_id,
-        c.user_id,
-        u.display_name AS author_display_name,
-        c.body,
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      operation,
+      applied: articleIds.filter((id) => changed.get(id)).length,
+      results: articleIds.map((id) => ({ id: String(id), ok: true, changed: changed.get(id) })),
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error applying bulk article operation:", error);
+    res.status(500).json({ error: "Failed to apply bulk operation" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/articles/:id/submit
+ * Submit a draft for review (draft -> pending_review)
+ * Authz: admin/editor only
+ * Body:
+ * {
+ *   "comment": "string (optional) note for the reviewer"
+ * }
+ */
+router.post("/:id/submit", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+  const { comment } = req.body || {};
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== "string") {
+    return res.status(400).json({ error: "comment must be a string" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id, status FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    if (rows[0].status !== "draft") {
+      await connection.rollback();
+      return res.status(409).json({ error: `Only drafts can be submitted for review (current status: ${rows[0].status})` });
+    }
+
+    await connection.execute(
+      "UPDATE articles SET status = 'pending_review', version = version + 1, updated_at = NOW() WHERE id = ?",
+      [id]
+    );
+    await recordStatusTransition(connection, {
+      articleId: id,
+      fromStatus: "draft",
+      toStatus: "pending_review",
+      action: "submit",
+      comment: comment && comment.trim() ? comment.trim() : null,
+      userId: req.user.id,
+    });
+
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      id: String(id),
+      status: "pending_review",
+      updated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error submitting article for review:", error);
+    res.status(500).json({ error: "Failed to submit article for review" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/articles/:id/review
+ * Approve or reject an article waiting for review
+ * Authz: reviewers (admins or users with can_review); not the article's own author
+ * Body:
+ * {
+ *   "decision": "approve" | "reject",
+ *   "comment": "string (required when rejecting)"
+ * }
+ * - approve: published now, or 'approved' until a future publish_at (the scheduler publishes it)
+ * - reject: back to 'draft' with the reviewer's comment in the history
+ */
+router.post("/:id/review", authenticate, requireReviewer(), async (req, res) => {
+  const { id } = req.params;
+  const { decision, comment } = req.body || {};
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  if (decision !== "approve" && decision !== "reject") {
+    return res.status(400).json({ error: "Invalid decision. Allowed: approve, reject" });
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== "string") {
+    return res.status(400).json({ error: "comment must be a string" });
+  }
+  const trimmedComment = typeof comment === "string" && comment.trim() ? comment.trim() : null;
+  if (decision === "reject" && !trimmedComment) {
+    return res.status(400).json({ error: "A comment is required when rejecting" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id, status, author_user_id, publish_at FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const article = rows[0];
+    if (article.status !== "pending_review") {
+      await connection.rollback();
+      return res.status(409).json({ error: `Article is not pending review (current status: ${article.status})` });
+    }
+    if (article.author_user_id === req.user.id) {
+      await connection.rollback();
+      return res.status(403).json({ error: "Authors cannot review their own articles" });
+    }
+
+    let toStatus;
+    if (decision === "reject") {
+      toStatus = "draft";
+      await connection.execute(
+        "UPDATE articles SET status = 'draft', version = version + 1, updated_at = NOW() WHERE id = ?",
+        [id]
+      );
+    } else if (article.publish_at && new Date(article.publish_at) > new Date()) {
+      toStatus = "approved";
+      await connection.execute(
+        "UPDATE articles SET status = 'approved', version = version + 1, updated_at = NOW() WHERE id = ?",
+        [id]
+      );
+    } else {
+      toStatus = "published";
+      await connection.execute(
+        "UPDATE articles SET status = 'published', published_at = NOW(), publish_at = NULL, version = version + 1, updated_at = NOW() WHERE id = ?",
+        [id]
+      );
+    }
+
+    await recordStatusTransition(connection, {
+      articleId: id,
+      fromStatus: "pending_review",
+      toStatus,
+      action: decision,
+      comment: trimmedComment,
+      userId: req.user.id,
+    });
+
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      id: String(id),
+      decision,
+      status: toStatus,
+      publish_at: toStatus === "approved" ? toISO(article.publish_at) : null,
+      published_at: toStatus === "published" ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error reviewing article:", error);
+    res.status(500).json({ error: "Failed to review article" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * GET /api/articles/:id/history
+ * Status transition history of an article, oldest first (admin/editor only)
+ */
+router.get("/:id/history", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+
+    const { rows: articleRows } = await query("SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const { rows } = await query(
+      `SELECT h.*, u.display_name AS user_display_name
+      FROM article_status_history h
+      LEFT JOIN users u ON h.user_id = u.id
+      WHERE h.article_id = ?
+      ORDER BY h.created_at ASC, h.id ASC`,
+      [id]
+    );
+
+    res.json(rows.map(formatTransition));
+  } catch (error) {
+    console.error("Error fetching article history:", error);
+    res.status(500).json({ error: "Failed to retrieve article history" });
+  }
+});
+
+// Editable state of a non-trashed article in one language (translation fields empty when it
+// has no translation in that language), or null
+async function loadEditableArticle(executor, id, languageCode) {
+  const [rows] = await executor.execute(
+    `SELECT
+       a.id, a.status, a.category_id, a.version, a.updated_at,
+       at.title, at.body AS content, at.body_format, at.body_source,
+       at.excerpt, at.word_count, at.reading_time_minutes, at.slug,
+       GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
+       GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls
+     FROM articles a
+     LEFT JOIN article_translations at
+       ON a.id = at.article_id AND at.language_code = ?
+     LEFT JOIN article_tags artag ON a.id = artag.article_id
+     LEFT JOIN tags t ON artag.tag_id = t.id
+     LEFT JOIN article_media am ON a.id = am.article_id
+     LEFT JOIN media_assets ma ON am.media_asset_id = ma.id
+     WHERE a.id = ? AND a.deleted_at IS NULL
+     GROUP BY a.id`,
+    [languageCode, id]
+  );
+  return rows[0] || null;
+}
+
+// Response body of the editor read and PATCH (see GET /api/articles/:id/edit)
+function formatEditableArticle(article, languageCode) {
+  const mediaUrls = article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [];
+  return {
+    id: String(article.id),
+    language_code: languageCode,
+    title: article.title || "",
+    content: article.content || "",
+    ...sourceFields(article.body_format, article.body_source),
+    ...articleTextFields(article, languageCode),
+    slug: article.slug || "",
+    status: article.status,
+    version: Number(article.version),
+    category_id: article.category_id ? String(article.category_id) : null,
+    tags: article.tags_codes ? article.tags_codes.split(',') : [],
+    media_urls: mediaUrls,
+    image_urls: mediaUrls.filter(u => mimeFromUrl(u).startsWith('image/')),
+    video_urls: mediaUrls.filter(u => mimeFromUrl(u).startsWith('video/')),
+    updated_at: toISO(article.updated_at),
+  };
+}
+
+/**
+ * GET /api/articles/:id/edit
+ * Editor read of an article in any status except trashed (draft, pending review, approved,
+ * scheduled, published, hidden), with the ETag that PUT, PATCH and translation edits must send
+ * back in If-Match. Admin/editor only.
+ * Query: lang=en|bn (default en; translation fields are empty when the article has none in it)
+ *
+ * Response: same shape as PATCH /api/articles/:id, with the ETag header
+ */
+router.get("/:id/edit", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lang } = req.query;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    if (lang !== undefined && lang !== "" && lang !== "en" && lang !== "bn") {
+      return res.status(400).json({ error: "Invalid language. Allowed: 'en' or 'bn'" });
+    }
+    const languageCode = lang === "bn" ? "bn" : "en";
+
+    const article = await loadEditableArticle(pool, id, languageCode);
+    if (!article) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    setArticleEtag(res, article.id, article.version);
+    res.set("Cache-Control", "private, no-cache");
+    res.json(formatEditableArticle(article, languageCode));
+  } catch (error) {
+    console.error("Error fetching article for editing:", error);
+    res.status(500).json({ error: "Failed to retrieve article" });
+  }
+});
+
+/**
+ * GET /api/articles/:id/views
+ * View statistics of an article (admin/editor only), in any status
+ * - Optional query: ?days=1..90 (default 30) for the daily series
+ * - Views still buffered in memory are not included until the next flush
+ *
+ * Response:
+ * {
+ *   "article_id": "string",
+ *   "total": 1520,
+ *   "last_24h": 48,
+ *   "last_7d": 310,
+ *   "by_language": { "en": { "total": 1200, "last_24h": 40, "last_7d": 250 }, "bn": { ... } },
+ *   "daily": [{ "date": "YYYY-MM-DD", "views": 12 }]   // UTC days, oldest first
+ * }
+ */
+router.get("/:id/views", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { days } = req.query;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    let daysInt = 30;
+    if (days !== undefined && days !== "") {
+      daysInt = /^\d+$/.test(String(days)) ? parseInt(String(days), 10) : NaN;
+      if (!Number.isInteger(daysInt) || daysInt < 1 || daysInt > 90) {
+        return res.status(400).json({ error: "Invalid days. Must be an integer between 1 and 90" });
+      }
+    }
+
+    const { rows: articleRows } = await query("SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const stats = await loadArticleViewStats(pool, id, { days: daysInt });
+    res.json({ article_id: String(id), ...stats });
+  } catch (error) {
+    console.error("Error fetching article views:", error);
+    res.status(500).json({ error: "Failed to retrieve article views" });
+  }
+});
+
+/**
+ * PUT /api/articles/:id/reaction
+ * Set the signed-in user's reaction to a published article, replacing any earlier one
+ * (one reaction per user per article). Any authenticated user may react.
+ *
+ * Request Body:
+ * {
+ *   "reaction": "helpful | not_helpful | like | love | insightful | sad",
+ *   "language_code": "en | bn (optional, default en; the edition that was read)"
+ * }
+ *
+ * Response:
+ * {
+ *   "ok": true,
+ *   "article_id": "string",
+ *   "reactions": { "counts": { "helpful": 3, ... }, "total": 5, "my_reaction": "helpful" }
+ * }
+ */
+router.put("/:id/reaction", authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reaction, language_code: languageCode } = req.body || {};
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    if (!REACTIONS.includes(reaction)) {
+      return res.status(400).json({ error: `reaction must be one of: ${REACTIONS.join(", ")}` });
+    }
+    if (languageCode !== undefined && languageCode !== "en" && languageCode !== "bn") {
+      return res.status(400).json({ error: "language_code must be 'en' or 'bn'" });
+    }
+
+    const { rows: articleRows } = await query(
+      "SELECT id FROM articles WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
+      [id]
+    );
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found or not published" });
+    }
+
+    await query(
+      `INSERT INTO article_reactions (article_id, user_id, reaction, language_code, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE reaction = VALUES(reaction), language_code = VALUES(language_code), updated_at = NOW()`,
+      [id, req.user.id, reaction, languageCode || "en"]
+    );
+
+    res.json({
+      ok: true,
+      article_id: String(id),
+      reactions: await loadReactionSummary(pool, id, req.user.id),
+    });
+  } catch (error) {
+    console.error("Error setting article reaction:", error);
+    res.status(500).json({ error: "Failed to save reaction" });
+  }
+});
+
+/**
+ * DELETE /api/articles/:id/reaction
+ * Remove the signed-in user's reaction to an article (no-op when there is none)
+ *
+ * Response: same shape as PUT /api/articles/:id/reaction, with "my_reaction": null
+ */
+router.delete("/:id/reaction", authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+
+    const { rows: articleRows } = await query("SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    await query("DELETE FROM article_reactions WHERE article_id = ? AND user_id = ?", [id, req.user.id]);
+
+    res.json({
+      ok: true,
+      article_id: String(id),
+      reactions: await loadReactionSummary(pool, id, req.user.id),
+    });
+  } catch (error) {
+    console.error("Error removing article reaction:", error);
+    res.status(500).json({ error: "Failed to remove reaction" });
+  }
+});
+
+/**
+ * GET /api/articles/:id/reactions
+ * Reaction breakdown of an article (admin/editor only), in any status
+ *
+ * Response:
+ * {
+ *   "article_id": "string",
+ *   "total": 42,
+ *   "counts": { "helpful": 30, "not_helpful": 5, "like": 4, "love": 2, "insightful": 1, "sad": 0 },
+ *   "helpful_rate": 0.86,                 // helpful / (helpful + not_helpful); null without answers
+ *   "by_language": { "en": { "counts": { ... }, "helpful_rate": 0.9 }, "bn": { ... } },
+ *   "last_7d": { ... },                   // counts of reactions set in the last 7 days
+ *   "last_30d": { ... },
+ *   "last_reacted_at": "ISO string|null"
+ * }
+ */
+router.get("/:id/reactions", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+
+    const { rows: articleRows } = await query("SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    res.json({ article_id: String(id), ...(await loadReactionBreakdown(pool, id)) });
+  } catch (error) {
+    console.error("Error fetching article reactions:", error);
+    res.status(500).json({ error: "Failed to retrieve reactions" });
+  }
+});
+/**
+ * PUT /api/articles/:id/schedule
+ * Set or clear the scheduled publish/expire times of an article
+ * Authz: admin/editor only
+ * Body (each field optional; null clears it):
+ * {
+ *   "publish_at": "ISO string|null",  // unpublished articles only; must be in the future
+ *   "expire_at": "ISO string|null"    // must be in the future and after publish_at
+ * }
+ * The in-process scheduler (src/jobs/articleScheduler.js) applies the transitions;
+ * publish_at only takes effect once the article has been approved in review.
+ */
+router.put("/:id/schedule", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const publishInput = parseDateInput(body.publish_at);
+  const expireInput = parseDateInput(body.expire_at);
+  if (publishInput.error) {
+    return res.status(400).json({ error: "Invalid publish_at. Expected an ISO date string or null" });
+  }
+  if (expireInput.error) {
+    return res.status(400).json({ error: "Invalid expire_at. Expected an ISO date string or null" });
+  }
+  if (!publishInput.provided && !expireInput.provided) {
+    return res.status(400).json({ error: "At least one of publish_at, expire_at must be provided" });
+  }
+
+  const now = new Date();
+  if (publishInput.value && publishInput.value <= now) {
+    return res.status(400).json({ error: "publish_at must be in the future" });
+  }
+  if (expireInput.value && expireInput.value <= now) {
+    return res.status(400).json({ error: "expire_at must be in the future" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Ensure the article exists and lock it for update
+    const [rows] = await connection.execute(
+      "SELECT id, status, publish_at, expire_at FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const article = rows[0];
+
+    if (publishInput.value && !["draft", "pending_review", "approved"].includes(article.status)) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Only unpublished articles can be scheduled for publishing" });
+    }
+
+    const publishAt = publishInput.provided ? publishInput.value : article.publish_at;
+    const expireAt = expireInput.provided ? expireInput.value : article.expire_at;
+
+    if (publishAt && expireAt && new Date(expireAt) <= new Date(publishAt)) {
+      await connection.rollback();
+      return res.status(400).json({ error: "expire_at must be after publish_at" });
+    }
+
+    await connection.execute(
+      "UPDATE articles SET publish_at = ?, expire_at = ?, version = version + 1, updated_at = NOW() WHERE id = ?",
+      [publishAt || null, expireAt || null, id]
+    );
+
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      id: String(id),
+      status: article.status,
+      publish_at: toISO(publishAt),
+      expire_at: toISO(expireAt),
+      updated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error scheduling article:", error);
+    res.status(500).json({ error: "Failed to schedule article" });
+  } finally {
+    connection.release();
+  }
+});
+/**
+ * PUT /api/articles/:id/contributors
+ * Replace the article's contributor credits (co-authors, translators, reviewers).
+ * The primary author (articles.author_user_id) is not part of the list and always stays credited.
+ * Authz: admin/editor only
+ * Requires If-Match with the article's ETag: 428 without it, 412 (with the current version)
+ * when the article changed since it was read. The response carries the new ETag.
+ *
+ * Body:
+ * {
+ *   "contributors": [
+ *     { "user_id": "12", "role": "co_author" },
+ *     { "user_id": "15", "role": "translator", "language_code": "bn" },
+ *     { "user_id": "3", "role": "reviewer" }
+ *   ]
+ * }
+ *
+ * Response:
+ * {
+ *   "id": "string",
+ *   "version": 8,
+ *   "contributors": [{ "user_id": "string", "display_name": "string|null", "role": "author|co_author|translator|reviewer", "language_code": "en|bn|null" }]
+ * }
+ */
+router.put("/:id/contributors", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+  const { contributors } = req.body || {};
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id, author_user_id, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const precondition = checkIfMatch(req, id, rows[0].version);
+    if (precondition) {
+      await connection.rollback();
+      return res.status(precondition.status).json(precondition.body);
+    }
+
+    const validated = await validateContributors(connection, contributors, rows[0].author_user_id);
+    if (validated.error) {
+      await connection.rollback();
+      return res.status(400).json({ error: validated.error });
+    }
+
+    await replaceContributors(connection, id, validated.contributors);
+    await connection.execute(
+      "UPDATE articles SET updated_at = NOW(), version = version + 1 WHERE id = ?",
+      [id]
+    );
+
+    const credits = await loadContributors(connection, id);
+    await connection.commit();
+
+    const version = setArticleEtag(res, id, Number(rows[0].version) + 1);
+    res.json({ id: String(id), version, contributors: credits });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error updating article contributors:", error);
+    res.status(500).json({ error: "Failed to update contributors" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * PUT /api/articles/:id/feature
+ * Feature an article (GET /api/articles/featured), or change its position/expiry if already featured.
+ * Unpublished articles can be featured ahead of time; they are listed once published.
+ * Authz: admin/editor only
+ *
+ * Body:
+ * {
+ *   "position": 0,                   // optional; lower comes first (default 0)
+ *   "expires_at": "ISO string|null"  // optional; must be in the future
+ * }
+ *
+ * Response: { "ok": true, "feature": { "article_id", "kind": "featured", "category_id": null, "position", "expires_at", ... } }
+ */
+router.put("/:id/feature", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  const input = parseFeatureInput(req.body || {});
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    await upsertFeature(connection, {
+      articleId: id,
+      kind: "featured",
+      position: input.position,
+      expiresAt: input.expiresAt,
+      userId: req.user.id,
+    });
+    const [featureRows] = await connection.execute(
+      "SELECT * FROM article_features WHERE article_id = ? AND kind = 'featured' AND category_id IS NULL",
+      [id]
+    );
+
+    await connection.commit();
+    res.json({ ok: true, feature: formatFeature(featureRows[0]) });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error featuring article:", error);
+    res.status(500).json({ error: "Failed to feature article" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * DELETE /api/articles/:id/feature
+ * Stop featuring an article
+ * Authz: admin/editor only
+ *
+ * Response: 204 No Content (404 if the article was not featured)
+ */
+router.delete("/:id/feature", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  try {
+    const removed = await removeFeature(pool, { articleId: id, kind: "featured" });
+    if (!removed) {
+      return res.status(404).json({ error: "Article is not featured" });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error unfeaturing article:", error);
+    res.status(500).json({ error: "Failed to unfeature article" });
+  }
+});
+
+/**
+ * PUT /api/articles/:id/pin
+ * Pin an article to the top of GET /api/articles, or, with category_id, to the top of
+ * GET /api/categories/:id/articles (the article must be in that category).
+ * Pinning again updates the position/expiry of the existing pin. A listing holds at most
+ * MAX_PINNED (10) live pins; pinning another article beyond that answers 409.
+ * Authz: admin/editor only
+ *
+ * Body:
+ * {
+ *   "category_id": "string|null",    // optional; omit or null for the main listing
+ *   "position": 0,                   // optional; lower comes first (default 0)
+ *   "expires_at": "ISO string|null"  // optional; must be in the future
+ * }
+ *
+ * Response: { "ok": true, "pin": { "article_id", "kind": "pinned", "category_id", "position", "expires_at", ... } }
+ */
+router.put("/:id/pin", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  const hasCategory = body.category_id !== undefined && body.category_id !== null && body.category_id !== "";
+  if (hasCategory && !/^\d+$/.test(String(body.category_id))) {
+    return res.status(400).json({ error: "Invalid category_id" });
+  }
+  const categoryId = hasCategory ? parseInt(String(body.category_id), 10) : null;
+  const input = parseFeatureInput(body);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id, category_id FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    if (categoryId !== null && Number(rows[0].category_id) !== categoryId) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Article is not in this category" });
+    }
+    if ((await countOtherLivePins(connection, { articleId: id, categoryId })) >= MAX_PINNED) {
+      await connection.rollback();
+      return res.status(409).json({ error: `This listing already has ${MAX_PINNED} pinned articles. Unpin one first` });
+    }
+
+    await upsertFeature(connection, {
+      articleId: id,
+      kind: "pinned",
+      categoryId,
+      position: input.position,
+      expiresAt: input.expiresAt,
+      userId: req.user.id,
+    });
+    const [pinRows] = await connection.execute(
+      "SELECT * FROM article_features WHERE article_id = ? AND kind = 'pinned' AND category_id <=> ?",
+      [id, categoryId]
+    );
+
+    await connection.commit();
+    res.json({ ok: true, pin: formatFeature(pinRows[0]) });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error pinning article:", error);
+    res.status(500).json({ error: "Failed to pin article" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * DELETE /api/articles/:id/pin
+ * Unpin an article from the main listing, or with ?category_id=<id> from that category's listing
+ * Authz: admin/editor only
+ *
+ * Response: 204 No Content (404 if there was no such pin)
+ */
+router.delete("/:id/pin", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+  const { category_id: rawCategoryId } = req.query;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  const hasCategory = rawCategoryId !== undefined && rawCategoryId !== "";
+  if (hasCategory && !/^\d+$/.test(String(rawCategoryId))) {
+    return res.status(400).json({ error: "Invalid category_id" });
+  }
+
+  try {
+    const removed = await removeFeature(pool, {
+      articleId: id,
+      kind: "pinned",
+      categoryId: hasCategory ? parseInt(String(rawCategoryId), 10) : null,
+    });
+    if (!removed) {
+      return res.status(404).json({ error: "Article is not pinned here" });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error unpinning article:", error);
+    res.status(500).json({ error: "Failed to unpin article" });
+  }
+});
+
+/**
+ * POST /api/articles/:id/preview
+ * Mint a signed, expiring preview link for one article and language, so that reviewers without
+ * an account (e.g. partner organisations) can read it before it is published.
+ * Authz: admin/editor only
+ *
+ * Body:
+ * {
+ *   "language_code": "en|bn",        // default "en"; the translation must exist
+ *   "expires_in_hours": 72           // optional; 1..720, default PREVIEW_TOKEN_TTL_HOURS (72)
+ * }
+ *
+ * Response (201):
+ * {
+ *   "article_id": "string",
+ *   "language_code": "en|bn",
+ *   "token": "string",
+ *   "url": "/api/articles/preview/<token>",
+ *   "expires_at": "ISO string"
+ * }
+ */
+router.post("/:id/preview", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+  const { language_code: languageCode = "en", expires_in_hours: expiresInHours } = req.body || {};
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  if (!["en", "bn"].includes(languageCode)) {
+    return res.status(400).json({ error: "Invalid language_code. Allowed: 'en' or 'bn'" });
+  }
+
+  let ttlHours = getPreviewTtlHours();
+  if (expiresInHours !== undefined && expiresInHours !== null) {
+    const parsed = /^\d+$/.test(String(expiresInHours)) ? parseInt(String(expiresInHours), 10) : NaN;
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PREVIEW_TTL_HOURS) {
+      return res.status(400).json({ error: `expires_in_hours must be an integer between 1 and ${MAX_PREVIEW_TTL_HOURS}` });
+    }
+    ttlHours = parsed;
+  }
+
+  try {
+    const { rows } = await query(
+      `SELECT a.id
+       FROM articles a
+       INNER JOIN article_translations at ON a.id = at.article_id AND at.language_code = ?
+       WHERE a.id = ? AND a.deleted_at IS NULL`,
+      [languageCode, id]
+    );
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ error: "Article not found in the requested language" });
+    }
+
+    const token = signPreviewToken({ articleId: id, languageCode, userId: req.user.id, ttlHours });
+    res.status(201).json({
+      article_id: String(id),
+      language_code: languageCode,
+      token,
+      url: `/api/articles/preview/${token}`,
+      expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString(),
+    });
+  } catch (error) {
+    console.error("Error creating article preview link:", error);
+    res.status(500).json({ error: "Failed to create preview link" });
+  }
+});
+
+/**
+ * GET /api/articles/:id/lock
+ * Who is editing the article right now (admin/editor only)
+ *
+ * Response:
+ * {
+ *   "locked": true,
+ *   "lock": {
+ *     "article_id": "string",
+ *     "user_id": "string",
+ *     "user_display_name": "string|null",
+ *     "acquired_at": "ISO string",
+ *     "heartbeat_at": "ISO string",
+ *     "expires_at": "ISO string"
+ *   },
+ *   "ttl_seconds": 120
+ * }
+ */
+router.get("/:id/lock", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    const [articleRows] = await connection.execute(
+      "SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL",
+      [id]
+    );
+    if (!Array.isArray(articleRows) || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const lock = await getActiveLock(connection, id);
+    res.json({
+      locked: Boolean(lock),
+      lock: lock ? formatLock(lock) : null,
+      ttl_seconds: getLockTtlSeconds(),
+    });
+  } catch (error) {
+    console.error("Error fetching article lock:", error);
+    res.status(500).json({ error: "Failed to retrieve article lock" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/articles/:id/lock
+ * Acquire the edit lock for the current user, or renew it (heartbeat) if they already hold it.
+ * Locks expire ARTICLE_LOCK_TTL_SECONDS (default 120) after the last call, so editors should
+ * call this periodically while the article is open. While the lock is live, writes to the
+ * article from other users answer 423 Locked.
+ * Authz: admin/editor only
+ *
+ * Response (200): { "ok": true, "renewed": false, "lock": { ... } }
+ * Response (423, held by someone else): { "error": "string", "lock": { ... } }
+ */
+router.post("/:id/lock", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Serialise lock changes on the article row
+    const [articleRows] = await connection.execute(
+      "SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(articleRows) || articleRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const current = await getActiveLock(connection, id, { forUpdate: true });
+    if (current && String(current.user_id) !== String(req.user.id)) {
+      await connection.rollback();
+      return res.status(423).json({
+        error: `Article is being edited by ${current.user_display_name || "another user"}`,
+        lock: formatLock(current),
+      });
+    }
+
+    // An expired lock (anyone's) is simply replaced; a live own lock keeps its acquired_at
+    await connection.execute(
+      `INSERT INTO article_locks (article_id, user_id, acquired_at, heartbeat_at, expires_at)
+       VALUES (?, ?, NOW(), NOW(), NOW() + INTERVAL ? SECOND)
+       ON DUPLICATE KEY UPDATE
+         acquired_at = IF(user_id = VALUES(user_id) AND expires_at > NOW(), acquired_at, NOW()),
+         user_id = VALUES(user_id),
+         heartbeat_at = NOW(),
+         expires_at = VALUES(expires_at)`,
+      [id, req.user.id, getLockTtlSeconds()]
+    );
+
+    const lock = await getActiveLock(connection, id);
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      renewed: Boolean(current),
+      lock: formatLock(lock),
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error acquiring article lock:", error);
+    res.status(500).json({ error: "Failed to acquire article lock" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * DELETE /api/articles/:id/lock
+ * Release the edit lock. The holder can release their own lock; admins can break anyone's
+ * (recorded in admin_audit_log as articles.lock_break).
+ * Authz: admin/editor only
+ *
+ * Response: 204 No Content (also when there is no live lock)
+ */
+router.delete("/:id/lock", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [articleRows] = await connection.execute(
+      "SELECT id FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(articleRows) || articleRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    const current = await getActiveLock(connection, id, { forUpdate: true });
+    const isHolder = current && String(current.user_id) === String(req.user.id);
+    if (current && !isHolder && req.user.role !== "admin") {
+      await connection.rollback();
+      return res.status(403).json({ error: "Only the lock holder or an admin can release this lock" });
+    }
+
+    await connection.execute("DELETE FROM article_locks WHERE article_id = ?", [id]);
+    if (current && !isHolder) {
+      await recordAdminAction(connection, {
+        userId: req.user.id,
+        action: "articles.lock_break",
+        details: { article_id: String(id), holder_user_id: String(current.user_id) },
+        ipAddress: req.ip || null,
+      });
+    }
+
+    await connection.commit();
+    res.status(204).send();
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error releasing article lock:", error);
+    res.status(500).json({ error: "Failed to release article lock" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/articles/:id/restore
+ * Bring an article back from the trash with the status it had when it was deleted
+ * Authz: admin/editor only
+ *
+ * Response:
+ * {
+ *   "ok": true,
+ *   "id": "string",
+ *   "status": "string",
+ *   "updated_at": "ISO string"
+ * }
+ */
+router.post("/:id/restore", authenticate, requireRole(['admin','editor']), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id, status, deleted_at FROM articles WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const { status, deleted_at: deletedAt } = rows[0];
+    if (!deletedAt) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Article is not in the trash" });
+    }
+
+    await connection.execute(
+      "UPDATE articles SET deleted_at = NULL, deleted_by_user_id = NULL, version = version + 1, updated_at = NOW() WHERE id = ?",
+      [id]
+    );
+    await recordStatusTransition(connection, {
+      articleId: id,
+      fromStatus: status,
+      toStatus: status,
+      action: "restore",
+      userId: req.user.id,
+    });
+
+    await connection.commit();
+
+    res.json({
+      ok: true,
+      id: String(id),
+      status,
+      updated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error restoring article:", error);
+    res.status(500).json({ error: "Failed to restore article" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * DELETE /api/articles/:id/purge
+ * Permanently delete a trashed article and everything attached to it
+ * (translations, revisions, tags, media links, comments, history) without waiting
+ * for the retention period. Only articles already in the trash can be purged.
+ * Authz: admin only
+ *
+ * Response: 204 No Content
+ */
+router.delete("/:id/purge", authenticate, requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || !/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT id, deleted_at FROM articles WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    if (!rows[0].deleted_at) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Only articles in the trash can be purged. Delete the article first" });
+    }
+
+    await purgeArticles(connection, [rows[0].id]);
+
+    await connection.commit();
+    res.status(204).send();
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error("Error purging article:", error);
+    res.status(500).json({ error: "Failed to purge article" });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * GET /api/articles/:id/comments
+ * List comments for a specific article (public; excludes soft-deleted)
+ *
+ * Response:
+ * [{
+ *   "id": "string",
+ *   "article_id": "string",
+ *   "user_id": "string",
+ *   "author_display_name": "string",
+ *   "body": "string",
+ *   "created_at": "ISO string",
+ *   "updated_at": "ISO string",
+ *   "edited_at": "ISO string|null",
+ *   "edited_by_user_id": "string|null",
+ *   "deleted_at": "ISO string|null",
+ *   "deleted_by_user_id": "string|null"
+ * }]
+ */
+router.get("/:id/comments", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !/^\d+$/.test(id)) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+
+        // Verify the article exists and is published
+        const { rows: articleRows } = await query(
+          "SELECT id FROM articles WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
+          [id]
+        );
+
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: "Article not found or not published" });
+    }
+
+    const sql = `
+      SELECT
+        c.id,
+        c.article_id,
+        c.user_id,
+        u.display_name AS author_display_name,
+        c.body,
         c.created_at,
         c.updated_at,
         c.edited_at,
@@ -1368,45 +3810,188 @@ router.get("/:id/comments", async (req, res) => {
       ORDER BY c.created_at ASC
     `;
 
-    const { rows } = await query(sql, [id]);
+    const { rows } = await query(sql, [id]);
+
+    const comments = rows.map((comment) => ({
+      id: String(comment.id),
+      article_id: String(comment.article_id),
+      user_id: String(comment.user_id),
+      author_display_name: comment.author_display_name,
+      body: comment.body,
+      created_at: toISO(comment.created_at),
+      updated_at: toISO(comment.updated_at),
+      edited_at: toISO(comment.edited_at),
+      edited_by_user_id: comment.edited_by_user_id ? String(comment.edited_by_user_id) : null,
+      deleted_at: toISO(comment.deleted_at),
+      deleted_by_user_id: comment.deleted_by_user_id ? String(comment.deleted_by_user_id) : null,
+    }));
+
+    res.json(comments);
+  } catch (error) {
+    console.error("Error fetching comments for article:", error);
+    res.status(500).json({ error: "Failed to retrieve comments" });
+  }
+});
+// Weights for GET /api/articles/:id/related: each shared tag, a shared category, and recency
+// (the full recency bonus for today, half of it after RELATED_RECENCY_DAYS, a third after twice that, ...)
+const RELATED_WEIGHTS = { tag: 3, category: 2, recency: 1 };
+const RELATED_RECENCY_DAYS = 30;
+
+/**
+ * GET /api/articles/:id/related
+ * Other published articles ranked by similarity to this one ("more like this")
+ * - Score = 3 per shared tag + 2 for the same category + up to 1 for recency;
+ *   ties go to the newest article. Unrelated articles only fill the list when
+ *   there are not enough related ones.
+ * - Public endpoint (no auth); the source article must be published
+ * - Optional query: ?lang=en|bn (default en), ?limit=1..20 (default 5)
+ *
+ * Response:
+ * {
+ *   "article_id": "string",
+ *   "items": [{
+ *     "id": "string",
+ *     "title": "string",
+ *     "slug": "string",
+ *     "excerpt": "string",
+ *     "word_count": 420,
+ *     "reading_time_minutes": 2,
+ *     "image_url": "string|null",
+ *     "created_at": "ISO string",
+ *     "published_at": "ISO string|null",
+ *     "shared_tags": 2,
+ *     "same_category": true,
+ *     "score": 8.42
+ *   }]
+ * }
+ */
+router.get("/:id/related", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lang, limit } = req.query;
+
+    if (!id || !/^\d+$/.test(String(id))) {
+      return res.status(400).json({ error: "Invalid article ID" });
+    }
+    const languageCode = (lang === 'bn') ? 'bn' : 'en';
+
+    let limitInt = 5;
+    if (limit !== undefined && limit !== "") {
+      limitInt = /^\d+$/.test(String(limit)) ? parseInt(String(limit), 10) : NaN;
+      if (!Number.isInteger(limitInt) || limitInt < 1 || limitInt > 20) {
+        return res.status(400).json({ error: "Invalid limit. Must be an integer between 1 and 20" });
+      }
+    }
+
+    const { rows: sourceRows } = await query(
+      "SELECT id, category_id FROM articles WHERE id = ? AND deleted_at IS NULL AND status = 'published'",
+      [id]
+    );
+    if (!sourceRows || sourceRows.length === 0) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const source = sourceRows[0];
 
-    const comments = rows.map((comment) => ({
-      id: String(comment.id),
-      article_id: String(comment.article_id),
-      user_id: String(comment.user_id),
-      author_display_name: comment.author_display_name,
-      body: comment.body,
-      created_at: toISO(comment.created_at),
-      updated_at: toISO(comment.updated_at),
-      edited_at: toISO(comment.edited_at),
-      edited_by_user_id: comment.edited_by_user_id ? String(comment.edited_by_user_id) : null,
-      deleted_at: toISO(comment.deleted_at),
-      deleted_by_user_id: comment.deleted_by_user_id ? String(comment.deleted_by_user_id) : null,
-    }));
+    const { rows } = await query(
+      `SELECT
+        a.id,
+        at.title,
+        at.slug,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        a.created_at,
+        a.published_at,
+        (
+          SELECT MIN(ma.url)
+          FROM article_media am
+          INNER JOIN media_assets ma ON am.media_asset_id = ma.id
+          WHERE am.article_id = a.id AND ma.type = 'image'
+        ) AS image_url,
+        COUNT(DISTINCT shared.tag_id) AS shared_tags,
+        (a.category_id <=> ?) AS same_category,
+        COUNT(DISTINCT shared.tag_id) * ?
+          + IF(a.category_id <=> ?, ?, 0)
+          + ? / (1 + GREATEST(DATEDIFF(NOW(), COALESCE(a.published_at, a.created_at)), 0) / ?) AS score
+      FROM articles a
+      INNER JOIN article_translations at
+        ON a.id = at.article_id AND at.language_code = ?
+      LEFT JOIN article_tags shared
+        ON shared.article_id = a.id
+        AND shared.tag_id IN (SELECT src.tag_id FROM article_tags src WHERE src.article_id = ?)
+      WHERE a.deleted_at IS NULL AND a.status = 'published' AND a.id <> ?
+      GROUP BY a.id, at.title, at.slug, at.excerpt, at.word_count, at.reading_time_minutes, a.created_at, a.published_at, a.category_id
+      ORDER BY score DESC, COALESCE(a.published_at, a.created_at) DESC, a.id DESC
+      LIMIT ${limitInt}`,
+      [
+        source.category_id,
+        RELATED_WEIGHTS.tag,
+        source.category_id,
+        RELATED_WEIGHTS.category,
+        RELATED_WEIGHTS.recency,
+        RELATED_RECENCY_DAYS,
+        languageCode,
+        id,
+        id,
+      ]
+    );
 
-    res.json(comments);
+    res.json({
+      article_id: String(id),
+      items: rows.map((article) => ({
+        id: String(article.id),
+        title: article.title,
+        slug: article.slug,
+        ...articleTextFields(article, languageCode),
+        image_url: article.image_url || null,
+        created_at: toISO(article.created_at),
+        published_at: toISO(article.published_at),
+        shared_tags: Number(article.shared_tags),
+        same_category: Boolean(Number(article.same_category)),
+        score: Math.round(Number(article.score) * 100) / 100,
+      })),
+    });
   } catch (error) {
-    console.error("Error fetching comments for article:", error);
-    res.status(500).json({ error: "Failed to retrieve comments" });
+    console.error("Error fetching related articles:", error);
+    res.status(500).json({ error: "Failed to retrieve related articles" });
   }
 });
+
 /**
  * GET /api/articles/:id/:lang
  * Retrieve a specific published article by ID for a specific language (path param)
+ * No version ETag (see GET /api/articles/:id)
+ * Query: format=html|markdown|text (default html; see GET /api/articles/:id)
+ * Counts a view like GET /api/articles/:id
  *
  * Response:
  * {
  *   "id": "string",
+ *   "slug": "string",
  *   "title": "string",
  *   "content": "string",
- *   "image_url": "string|null",
+ *   "content_format": "html|markdown|text",
+ *   "body_format": "html|markdown|blocks",
+ *   "body_source": "string|null",
+ *   "blocks": [{ "type": "string", ... }] | null,
+ *   "excerpt": "string",
+ *   "word_count": 420,
+ *   "reading_time_minutes": 2,
  *   "created_at": "ISO string",
  *   "updated_at": "ISO string",
+ *   "version": 3,
  *   "tags": ["code1","code2"],
- *   "tags_names": ["Name EN/BN", ...]
+ *   "tags_names": ["Name EN/BN", ...],
+ *   "media_urls": ["string"],
+ *   "image_urls": ["string"],
+ *   "video_urls": ["string"],
+ *   "contributors": [{ "user_id": "string", "display_name": "string|null", "role": "string", "language_code": "en|bn|null" }],
+ *   "collections": [{ "collection_id": "string", "code": "string", "title": "string", "part": 2, "total_parts": 5, "previous": { ... } | null, "next": { ... } | null }],
+ *   "reactions": { "counts": { ... }, "total": 6, "my_reaction": "string|null" },
+ *   "bookmarked": false
  * }
  */
-router.get("/:id/:lang", async (req, res) => {
+router.get("/:id/:lang", optionalAuthenticate, async (req, res) => {
   try {
     const { id, lang } = req.params;
 
@@ -1419,13 +4004,25 @@ router.get("/:id/:lang", async (req, res) => {
       return res.status(400).json({ error: "Invalid language. Allowed: 'en' or 'bn'" });
     }
 
+    const output = parseOutputFormat(req.query.format);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
+
     const sql = `
       SELECT
         a.id,
         at.title,
+        at.slug,
         at.body AS content,
+        at.body_format,
+        at.body_source,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        a.version,
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -1442,8 +4039,8 @@ router.get("/:id/:lang", async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.id = ? AND a.status = 'published'
-      GROUP BY a.id, at.title, at.body, a.created_at, a.updated_at
+      WHERE a.deleted_at IS NULL AND a.id = ? AND a.status = 'published'
+      GROUP BY a.id, at.title, at.slug, at.body, at.body_format, at.body_source, at.excerpt, at.word_count, at.reading_time_minutes, a.created_at, a.updated_at, a.version
     `;
 
     const { rows } = await query(sql, [lang, id]);
@@ -1453,17 +4050,27 @@ router.get("/:id/:lang", async (req, res) => {
     }
 
     const article = rows[0];
+    recordArticleView(req, article.id, lang);
+    // The reader's own reaction and bookmark are part of the body
+    res.set({ "Cache-Control": "private, no-cache", Vary: "Authorization" });
     res.json({
       id: String(article.id),
+      slug: article.slug,
       title: article.title,
-      content: article.content,
+      ...bodyFields(article, output.format),
+      ...articleTextFields(article, lang),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
+      version: Number(article.version),
       tags: article.tags_codes ? article.tags_codes.split(",") : [],
       tags_names: article.tags_names ? article.tags_names.split(",") : [],
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
+      contributors: await loadContributors(pool, article.id),
+      collections: await loadCollectionNavigation(pool, article.id, lang),
+      reactions: await loadReactionSummary(pool, article.id, req.user ? req.user.id : null),
+      bookmarked: await isBookmarked(pool, article.id, req.user ? req.user.id : null),
     });
   } catch (error) {
     console.error("Error fetching article by id and lang:", error);
@@ -1474,9 +4081,9 @@ router.get("/:id/:lang", async (req, res) => {
 /**
  * GET /api/articles/:lang
  * List published articles for a specific language (path param)
- * Optional query: ?search=term&amp;tag=code
+ * Optional query: ?search=term&amp;tag=code, plus limit/sort/cursor pagination
  *
- * Response: same shape as GET /api/articles (array)
+ * Response: same shape as GET /api/articles (paginated envelope)
  */
 router.get("/:lang", async (req, res, next) => {
   try {
@@ -1489,13 +4096,23 @@ router.get("/:lang", async (req, res, next) => {
       return next();
     }
 
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
+
     const baseSelect = `
       SELECT
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        ${keyset.select},
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -1512,7 +4129,7 @@ router.get("/:lang", async (req, res, next) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.status = 'published'
+      WHERE a.deleted_at IS NULL AND a.status = 'published'
     `;
 
     const conditions = [];
@@ -1529,17 +4146,16 @@ router.get("/:lang", async (req, res, next) => {
       params.push(tag.trim());
     }
 
-    const sql =
-      conditions.length > 0
-        ? `${baseSelect} AND ${conditions.join(" AND ")} GROUP BY a.id ORDER BY a.created_at DESC`
-        : `${baseSelect} GROUP BY a.id ORDER BY a.created_at DESC`;
+    const sql = `${baseSelect} ${conditions.map((c) => `AND ${c}`).join(" ")} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`;
+    params.push(...keyset.params);
 
     const { rows } = await query(sql, params);
 
-    const articles = rows.map((article) => ({
+    res.json(buildPage(rows, page, (article) => ({
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, lang),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
       tags: article.tags_codes ? article.tags_codes.split(",") : [],
@@ -1547,15 +4163,64 @@ router.get("/:lang", async (req, res, next) => {
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
-    }));
-
-    res.json(articles);
+    })));
   } catch (error) {
     console.error("Error fetching articles by language:", error);
     res.status(500).json({ error: "Failed to retrieve articles" });
   }
 });
-router.get("/:id", async (req, res) => {
+
+/**
+ * GET /api/articles/:id
+ * Retrieve a specific published article by ID with multilingual support
+ * The response also carries data that changes without a new article version (series navigation,
+ * reactions, bookmarks), so it has no version ETag: edits take theirs from GET /api/articles/:id/edit.
+ * It depends on the signed-in reader, so it is sent as private (Vary: Authorization).
+ * Query: lang=en|bn, format=html|markdown|text (default html; the format "content" is served in)
+ * Each read counts as a view (once per reader within ARTICLE_VIEW_DEDUP_MINUTES; a token is optional
+ * and only used to recognise signed-in readers)
+ *
+ * Response:
+ * {
+ *   "id": "string",
+ *   "slug": "string",
+ *   "title": "string",
+ *   "content": "string",
+ *   "content_format": "html|markdown|text",
+ *   "body_format": "html|markdown|blocks",
+ *   "body_source": "string|null (the Markdown source for Markdown-authored bodies)",
+ *   "blocks": [{ "type": "paragraph|heading|list|image|video|callout|quote", ... }] | null,
+ *   "excerpt": "string",
+ *   "word_count": 420,
+ *   "reading_time_minutes": 2,
+ *   "created_at": "ISO string",
+ *   "updated_at": "ISO string",
+ *   "version": 3,
+ *   "tags": ["code1","code2"],
+ *   "tags_names": ["Name EN/BN", ...],
+ *   "media_urls": ["string"],
+ *   "image_urls": ["string"],
+ *   "video_urls": ["string"],
+ *   "contributors": [{ "user_id": "string", "display_name": "string|null", "role": "author|co_author|translator|reviewer", "language_code": "en|bn|null" }],
+ *   "collections": [{
+ *     "collection_id": "string",
+ *     "code": "string",
+ *     "title": "string",
+ *     "part": 2,
+ *     "total_parts": 5,
+ *     "previous": { "article_id": "string", "title": "string", "slug": "string|null" } | null,
+ *     "next": { "article_id": "string", "title": "string", "slug": "string|null" } | null
+ *   }],
+ *   "reactions": {
+ *     "counts": { "helpful": 3, "not_helpful": 1, "like": 0, "love": 2, "insightful": 0, "sad": 0 },
+ *     "total": 6,
+ *     "my_reaction": "helpful|null"    // the signed-in reader's reaction (with a token)
+ *   },
+ *   "bookmarked": false                 // whether the signed-in reader bookmarked it (see /api/me/bookmarks)
+ * }
+ * Series navigation only counts published articles.
+ */
+router.get("/:id", optionalAuthenticate, async (req, res) => {
   try {
     const { id } = req.params;
     const { lang } = req.query; // Get the optional 'lang' query parameter
@@ -1564,6 +4229,11 @@ router.get("/:id", async (req, res) => {
       return res.status(400).json({ error: "Invalid article ID" });
     }
 
+    const output = parseOutputFormat(req.query.format);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
+
     // Determine the language code, default to 'en' if not specified or invalid
     const languageCode = (lang === 'bn') ? 'bn' : 'en';
 
@@ -1571,9 +4241,16 @@ router.get("/:id", async (req, res) => {
       SELECT
         a.id,
         at.title,
+        at.slug,
         at.body AS content,
+        at.body_format,
+        at.body_source,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
+        a.version,
         GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
         GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
         GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
@@ -1590,8 +4267,8 @@ router.get("/:id", async (req, res) => {
         ON a.id = am.article_id
       LEFT JOIN media_assets ma
         ON am.media_asset_id = ma.id
-      WHERE a.id = ? AND a.status = 'published'
-      GROUP BY a.id, at.title, at.body, a.created_at, a.updated_at
+      WHERE a.deleted_at IS NULL AND a.id = ? AND a.status = 'published'
+      GROUP BY a.id, at.title, at.slug, at.body, at.body_format, at.body_source, at.excerpt, at.word_count, at.reading_time_minutes, a.created_at, a.updated_at, a.version
     `;
 
     const { rows } = await query(sql, [languageCode, id]);
@@ -1601,17 +4278,27 @@ router.get("/:id", async (req, res) => {
     }
 
     const article = rows[0];
+    recordArticleView(req, article.id, languageCode);
+    // The reader's own reaction and bookmark are part of the body
+    res.set({ "Cache-Control": "private, no-cache", Vary: "Authorization" });
     res.json({
       id: String(article.id),
+      slug: article.slug,
       title: article.title,
-      content: article.content,
+      ...bodyFields(article, output.format),
+      ...articleTextFields(article, languageCode),
       created_at: toISO(article.created_at),
       updated_at: toISO(article.updated_at),
+      version: Number(article.version),
       tags: article.tags_codes ? article.tags_codes.split(',') : [],
       tags_names: article.tags_names ? article.tags_names.split(',') : [],
       media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
       image_urls: article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [],
       video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
+      contributors: await loadContributors(pool, article.id),
+      collections: await loadCollectionNavigation(pool, article.id, languageCode),
+      reactions: await loadReactionSummary(pool, article.id, req.user ? req.user.id : null),
+      bookmarked: await isBookmarked(pool, article.id, req.user ? req.user.id : null),
     });
   } catch (error) {
     console.error("Error fetching article:", error);
@@ -1648,7 +4335,7 @@ router.get("/:id/comments", async (req, res) => {
 
     // Verify the article exists and is published
     const { rows: articleRows } = await query(
-      "SELECT id FROM articles WHERE id = ? AND status = 'published'",
+      "SELECT id FROM articles WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
       [id]
     );
 
@@ -1731,7 +4418,7 @@ router.get("/:id/comments", async (req, res) => {
 
         // Verify the article exists and is published
         const { rows: articleRows } = await query(
-          "SELECT id FROM articles WHERE id = ? AND status = 'published'",
+          "SELECT id FROM articles WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
           [id]
         );
 
@@ -1793,6 +4480,7 @@ router.get("/:id/comments", async (req, res) => {
  * {
  *   "body": "Comment content"
  * }
+ * The body is stored sanitised: HTML outside the comment allowlist (see sanitizeUtils) is removed.
  *
  * Response (success):
  * {
@@ -1820,10 +4508,14 @@ router.post("/:id/comments", authenticate, async (req, res) => {
     if (!body || typeof body !== "string" || body.trim().length === 0) {
       return res.status(400).json({ error: "Comment body is required and cannot be empty" });
     }
+    const safeBody = sanitizeCommentHtml(body.trim()).trim();
+    if (safeBody.length === 0) {
+      return res.status(400).json({ error: "Comment body is empty after removing disallowed HTML" });
+    }
 
     // Verify the article exists and is published
     const { rows: articleRows } = await query(
-      "SELECT id FROM articles WHERE id = ? AND status = 'published'",
+      "SELECT id FROM articles WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
       [id]
     );
 
@@ -1834,7 +4526,7 @@ router.post("/:id/comments", authenticate, async (req, res) => {
     // Insert comment into database
     const { rows: insertResult } = await query(
       "INSERT INTO comments (article_id, user_id, body, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())",
-      [id, userId, body.trim()]
+      [id, userId, safeBody]
     );
 
     // Get the inserted comment with author display name
@@ -1974,6 +4666,10 @@ router.put("/comments/:id", authenticate, async (req, res) => {
     if (!body || typeof body !== "string" || body.trim().length === 0) {
       return res.status(400).json({ error: "Comment body is required and cannot be empty" });
     }
+    const safeBody = sanitizeCommentHtml(body.trim()).trim();
+    if (safeBody.length === 0) {
+      return res.status(400).json({ error: "Comment body is empty after removing disallowed HTML" });
+    }
 
     // Verify the comment exists and is not deleted
     const { rows: commentRows } = await query(
@@ -1990,7 +4686,7 @@ router.put("/comments/:id", authenticate, async (req, res) => {
     // Update comment in database
     await query(
       "UPDATE comments SET body = ?, edited_at = NOW(), edited_by_user_id = ?, updated_at = NOW() WHERE id = ?",
-      [body.trim(), userId, id]
+      [safeBody, userId, id]
     );
 
     // Return updated comment with all relevant fields
@@ -1999,7 +4695,7 @@ router.put("/comments/:id", authenticate, async (req, res) => {
       article_id: String(existingComment.article_id),
       user_id: String(existingComment.user_id),
       author_display_name: req.user.display_name, // Admin's display name
-      body: body.trim(),
+      body: safeBody,
       created_at: toISO(existingComment.created_at),
       updated_at: new Date().toISOString(),
       edited_at: new Date().toISOString(),
@@ -2012,12 +4708,20 @@ router.put("/comments/:id", authenticate, async (req, res) => {
 });
 /**
  * POST /api/articles
- * Create a new (published) article with English translation, optional image
+ * Create a new article with English translation, optional image
+ * - Articles are created as drafts unless another status is requested
+ * - 'pending_review' submits the new article straight to the review queue
+ * - 'published' is only allowed for admins: other reviewers would be publishing their own
+ *   article without review
  *
  * Request Body:
  * {
  *   "title": "string (required)",
- *   "content": "string (required)",
+ *   "content": "string (required unless blocks are given)",
+ *   "body_format": "html | markdown (optional, default html; markdown content is rendered to HTML and kept as source)",
+ *   "blocks": [{ "type": "paragraph | heading | list | image | video | callout | quote", ... }] (optional, instead of content),
+ *   "excerpt": "string (optional, max 1000 characters; generated from content when omitted)",
+ *   "status": "draft | pending_review | published (optional, default draft)",
  *   "media_urls": ["string (optional)"],
  *   "category_id": "integer (optional)",
  *   "category_code": "string (optional, e.g. 'general'); used if category_id not provided"
@@ -2027,12 +4731,37 @@ router.put("/comments/:id", authenticate, async (req, res) => {
  */
 router.post("/", authenticate, requireRole(['admin', 'editor']), async (req, res) => {
   try {
-    const { title, content, media_urls, category_id, category_code, language_code, tags } = req.body || {};
+    const {
+      title, content, blocks, body_format: bodyFormat, excerpt,
+      media_urls, category_id, category_code, language_code, tags, status,
+    } = req.body || {};
     // Backward compatibility: accept legacy single image_url too
     const image_url = (req.body && typeof req.body.image_url === 'string') ? req.body.image_url.trim() : undefined;
 
-    if (!title || !content) {
-      return res.status(400).json({ error: "Title and content are required" });
+    const input = readBodyInput({ content, blocks, bodyFormat });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    if (!title || (input.format !== "blocks" && !content)) {
+      return res.status(400).json({ error: "Title and content (or blocks) are required" });
+    }
+    const prepared = prepareBody(input.source, input.format ?? "html");
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
+    }
+    const excerptError = validateExcerpt(excerpt);
+    if (excerptError) {
+      return res.status(400).json({ error: excerptError });
+    }
+    const initialStatus = status === undefined || status === null ? "draft" : status;
+    if (!CREATE_STATUSES.includes(initialStatus)) {
+      return res.status(400).json({ error: `status must be one of: ${CREATE_STATUSES.join(", ")}` });
+    }
+    if (initialStatus === "published" && !canReview(req.user)) {
+      return res.status(403).json({ error: "Only reviewers can publish articles directly; create a draft or submit it for review" });
+    }
+    if (initialStatus === "published" && await isSelfPublish(pool, req.user, { authorUserId: req.user.id })) {
+      return res.status(403).json({ error: "Authors cannot publish their own articles without review. Submit the article for review instead" });
     }
     // media_urls is optional; if provided must be an array of strings. image_url may be a single string.
     if (media_urls !== undefined && (!Array.isArray(media_urls) || !media_urls.every(url => typeof url === 'string'))) {
@@ -2089,10 +4818,16 @@ router.post("/", authenticate, requireRole(['admin', 'editor']), async (req, res
 
       // Create article (include category_id and set published_at for published status)
       const [articleResult] = await connection.execute(
-        "INSERT INTO articles (category_id, author_user_id, status, published_at, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW(), NOW())",
-        [resolvedCategoryId, userId, "published"]
+        "INSERT INTO articles (category_id, author_user_id, status, published_at, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())",
+        [resolvedCategoryId, userId, initialStatus, initialStatus === "published" ? new Date() : null]
       );
       const articleId = articleResult.insertId;
+      await recordStatusTransition(connection, {
+        articleId,
+        toStatus: initialStatus,
+        action: initialStatus === "pending_review" ? "submit" : "create",
+        userId,
+      });
 
       // Determine the primary language for this creation
       const primaryLang = (language_code === 'bn') ? 'bn' : 'en';
@@ -2101,10 +4836,18 @@ router.post("/", authenticate, requireRole(['admin', 'editor']), async (req, res
       // Primary language translation
       const baseSlug = slugify(title);
       const primarySlug = await generateUniqueSlug(connection, baseSlug, primaryLang);
+      const text = translationTextFields(prepared.body, primaryLang, { excerpt });
       await connection.execute(
-        "INSERT INTO article_translations (article_id, language_code, title, slug, body, created_at, updated_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW())",
-        [articleId, primaryLang, title, primarySlug, content]
+        `INSERT INTO article_translations
+           (article_id, language_code, title, slug, excerpt, excerpt_auto, body, body_format, body_source,
+            word_count, reading_time_minutes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          articleId, primaryLang, title, primarySlug, text.excerpt, text.excerpt_auto,
+          prepared.body, prepared.bodyFormat, prepared.bodySource, text.word_count, text.reading_time_minutes,
+        ]
       );
+      await snapshotTranslation(connection, articleId, primaryLang, userId);
 
       // Secondary language placeholder (if not already created)
       const secondaryTitle = "";
@@ -2126,49 +4869,35 @@ router.post("/", authenticate, requireRole(['admin', 'editor']), async (req, res
       }
 
       // Handle media (media_urls array and legacy image_url)
-      if (allMediaUrls.length > 0) {
-        for (const mediaUrl of allMediaUrls) {
-          const trimmedUrl = mediaUrl.trim();
-          if (trimmedUrl.length > 0) {
-            const mime = mimeFromUrl(trimmedUrl);
-            const type = mime.startsWith('image/') ? 'image' : (mime.startsWith('video/') ? 'video' : 'other');
-
-            // Insert into media_assets if not already present (deduplicate by url_hash)
-            const [existingMediaRows] = await connection.execute(
-              "SELECT id FROM media_assets WHERE url = ?",
-              [trimmedUrl]
-            );
-
-            let mediaAssetId;
-            if (Array.isArray(existingMediaRows) && existingMediaRows.length > 0) {
-              mediaAssetId = existingMediaRows[0].id;
-            } else {
-              const [insertMediaRes] = await connection.execute(
-                "INSERT INTO media_assets (type, url, mime_type, created_at) VALUES (?, ?, ?, NOW())",
-                [type, trimmedUrl, mime]
-              );
-              mediaAssetId = insertMediaRes.insertId;
-            }
-
-            // Link media asset to article
-            await connection.execute(
-              "INSERT INTO article_media (article_id, media_asset_id) VALUES (?, ?)",
-              [articleId, mediaAssetId]
-            );
-          }
+      for (const mediaUrl of allMediaUrls) {
+        // Reuses an existing media_assets row for the same URL
+        const mediaAssetId = await findOrCreateMedia(connection, mediaUrl);
+        if (mediaAssetId) {
+          await connection.execute(
+            "INSERT INTO article_media (article_id, media_asset_id) VALUES (?, ?)",
+            [articleId, mediaAssetId]
+          );
         }
       }
 
       await connection.commit();
 
+      const version = setArticleEtag(res, articleId, 1);
       res.status(201).json({
         id: String(articleId),
         title,
-        content,
+        content: prepared.body,
+        ...sourceFields(prepared.bodyFormat, prepared.bodySource),
+        excerpt: text.excerpt,
+        word_count: text.word_count,
+        reading_time_minutes: text.reading_time_minutes,
         media_urls: allMediaUrls,
         image_urls: allMediaUrls.filter(u => mimeFromUrl(u).startsWith('image/')),
         video_urls: allMediaUrls.filter(u => mimeFromUrl(u).startsWith('video/')),
         language_code: primaryLang, // Indicate the language created
+        slug: primarySlug,
+        status: initialStatus,
+        version,
         tags: tags || [], // Include tags in the response
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -2188,13 +4917,19 @@ router.post("/", authenticate, requireRole(['admin', 'editor']), async (req, res
 /**
  * PUT /api/articles/:id
  * Update an existing article (English translation + optional image)
+ * Requires If-Match with the article's ETag: 428 without it, 412 (with the current version)
+ * when the article changed since it was read. The response carries the new ETag.
  *
  * Request Body:
  * {
  *   "title": "string (required)",
- *   "content": "string (required)",
+ *   "content": "string (required unless blocks are given)",
+ *   "body_format": "html | markdown (optional; defaults to the translation's current format)",
+ *   "blocks": [{ "type": "string", ... }] (optional, instead of content),
+ *   "excerpt": "string|null (optional; null or \"\" switches back to a generated excerpt)",
  *   "media_urls": ["string (optional)"]
  * }
+ * Without excerpt, a generated excerpt follows the new content and a hand-written one is kept.
  *
  * Response: Updated article object
  */
@@ -2202,15 +4937,23 @@ router.put("/:id", authenticate, requireRole(['admin', 'editor']), async (req, r
   const connection = await pool.getConnection();
   try {
     const { id } = req.params;
-    const { title, content, media_urls, language_code, tags } = req.body || {};
+    const { title, content, blocks, body_format: bodyFormat, excerpt, media_urls, language_code, tags } = req.body || {};
     // Backward compatibility: accept legacy single image_url too
     const image_url = (req.body && typeof req.body.image_url === 'string') ? req.body.image_url.trim() : undefined;
 
     if (!id || !/^\d+$/.test(id)) {
       return res.status(400).json({ error: "Invalid article ID" });
     }
-    if (!title || !content) {
-      return res.status(400).json({ error: "Title and content are required" });
+    const input = readBodyInput({ content, blocks, bodyFormat });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    if (!title || (input.format !== "blocks" && !content)) {
+      return res.status(400).json({ error: "Title and content (or blocks) are required" });
+    }
+    const excerptError = validateExcerpt(excerpt);
+    if (excerptError) {
+      return res.status(400).json({ error: excerptError });
     }
     // media_urls is optional; if provided, must be an array of strings. image_url may be a single string.
     if (media_urls !== undefined && (!Array.isArray(media_urls) || !media_urls.every(url => typeof url === 'string'))) {
@@ -2222,15 +4965,25 @@ router.put("/:id", authenticate, requireRole(['admin', 'editor']), async (req, r
 
     await connection.beginTransaction();
 
-      // Verify article exists and is published within transaction
+      // Verify article exists within transaction (any status can be edited)
       const [articleRows] = await connection.execute(
-        "SELECT id, created_at FROM articles WHERE id = ? AND status = 'published' FOR UPDATE",
+        "SELECT id, status, created_at, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
         [id]
       );
       
       if (!articleRows || articleRows.length === 0) {
         await connection.rollback();
-        return res.status(404).json({ error: "Published article not found" });
+        return res.status(404).json({ error: "Article not found" });
+      }
+      const lockConflict = await checkEditLock(connection, id, req.user);
+      if (lockConflict) {
+        await connection.rollback();
+        return res.status(423).json(lockConflict);
+      }
+      const precondition = checkIfMatch(req, id, articleRows[0].version);
+      if (precondition) {
+        await connection.rollback();
+        return res.status(precondition.status).json(precondition.body);
       }
 
 
@@ -2238,14 +4991,42 @@ router.put("/:id", authenticate, requireRole(['admin', 'editor']), async (req, r
       // Determine the language code for this update
       const targetLang = (language_code === 'bn') ? 'bn' : 'en';
 
-      // Update specific language translation (also update slug with uniqueness)
-      const baseSlug = slugify(title);
-      const targetSlug = await generateUniqueSlug(connection, baseSlug, targetLang, parseInt(id, 10));
+      // Keep the pre-edit state recoverable for translations that predate revisions
+      await ensureBaselineRevision(connection, id, targetLang);
+
+      // Update specific language translation; the slug is only regenerated when the title changes
+      const [txRows] = await connection.execute(
+        "SELECT title, slug, excerpt, excerpt_auto, body_format FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
+        [id, targetLang]
+      );
+      const current = Array.isArray(txRows) && txRows.length > 0 ? txRows[0] : null;
+      const prepared = prepareBody(input.source, input.format ?? inheritedFormat(current?.body_format));
+      if (prepared.error) {
+        await connection.rollback();
+        return res.status(400).json({ error: prepared.error });
+      }
+      let targetSlug = current ? current.slug : null;
+      if (!current || current.title !== title || !current.slug) {
+        targetSlug = await generateUniqueSlug(connection, slugify(title), targetLang, parseInt(id, 10));
+        if (current) {
+          await recordSlugChange(connection, id, targetLang, current.slug, targetSlug);
+        }
+      }
+      const text = translationTextFields(prepared.body, targetLang, { excerpt, current });
       await connection.execute(
-        "UPDATE article_translations SET title = ?, slug = ?, body = ?, updated_at = NOW() WHERE article_id = ? AND language_code = ?",
-        [title, targetSlug, content, id, targetLang]
+        `UPDATE article_translations
+         SET title = ?, slug = ?, excerpt = ?, excerpt_auto = ?, body = ?, body_format = ?, body_source = ?,
+             word_count = ?, reading_time_minutes = ?, updated_at = NOW()
+         WHERE article_id = ? AND language_code = ?`,
+        [
+          title, targetSlug, text.excerpt, text.excerpt_auto, prepared.body, prepared.bodyFormat, prepared.bodySource,
+          text.word_count, text.reading_time_minutes, id, targetLang,
+        ]
       );
 
+      // Snapshot the saved state
+      await snapshotTranslation(connection, id, targetLang, req.user.id);
+
       // Handle tags: delete existing and insert new ones
       await connection.execute("DELETE FROM article_tags WHERE article_id = ?", [id]);
       const tagIds = await findOrCreateTags(connection, tags, targetLang);
@@ -2258,55 +5039,38 @@ router.put("/:id", authenticate, requireRole(['admin', 'editor']), async (req, r
 
       // Handle media (media_urls array and legacy image_url): delete existing and insert new ones
       await connection.execute("DELETE FROM article_media WHERE article_id = ?", [id]);
-      if (allMediaUrls.length > 0) {
-        for (const mediaUrl of allMediaUrls) {
-          const trimmedUrl = mediaUrl.trim();
-          if (trimmedUrl.length > 0) {
-            const mime = mimeFromUrl(trimmedUrl);
-            const type = mime.startsWith('image/') ? 'image' : (mime.startsWith('video/') ? 'video' : 'other');
-
-            // Insert into media_assets if not already present (deduplicate by url_hash)
-            const [existingMediaRows] = await connection.execute(
-              "SELECT id FROM media_assets WHERE url = ?",
-              [trimmedUrl]
-            );
-
-            let mediaAssetId;
-            if (Array.isArray(existingMediaRows) && existingMediaRows.length > 0) {
-              mediaAssetId = existingMediaRows[0].id;
-            } else {
-              const [insertMediaRes] = await connection.execute(
-                "INSERT INTO media_assets (type, url, mime_type, created_at) VALUES (?, ?, ?, NOW())",
-                [type, trimmedUrl, mime]
-              );
-              mediaAssetId = insertMediaRes.insertId;
-            }
-
-            // Link media asset to article
-            await connection.execute(
-              "INSERT INTO article_media (article_id, media_asset_id) VALUES (?, ?)",
-              [id, mediaAssetId]
-            );
-          }
+      for (const mediaUrl of allMediaUrls) {
+        // Reuses an existing media_assets row for the same URL
+        const mediaAssetId = await findOrCreateMedia(connection, mediaUrl);
+        if (mediaAssetId) {
+          await connection.execute(
+            "INSERT INTO article_media (article_id, media_asset_id) VALUES (?, ?)",
+            [id, mediaAssetId]
+          );
         }
       }
 
       // Touch the article
       await connection.execute(
-        "UPDATE articles SET updated_at = NOW() WHERE id = ?",
+        "UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?",
         [id]
       );
 
       await connection.commit();
 
+      const version = setArticleEtag(res, id, articleRows[0].version + 1);
       res.json({
         id: String(id),
         title,
-        content,
+        content: prepared.body,
+        ...sourceFields(prepared.bodyFormat, prepared.bodySource),
         media_urls: allMediaUrls,
         image_urls: allMediaUrls.filter(u => mimeFromUrl(u).startsWith('image/')),
         video_urls: allMediaUrls.filter(u => mimeFromUrl(u).startsWith('video/')),
         language_code: targetLang, // Indicate the language updated
+        slug: targetSlug,
+        status: articleRows[0].status,
+        version,
         tags: tags || [], // Include tags in the response
         created_at: toISO(articleRows[0].created_at),
         updated_at: new Date().toISOString(),
@@ -2314,8 +5078,6 @@ router.put("/:id", authenticate, requireRole(['admin', 'editor']), async (req, r
     } catch (err) {
       await connection.rollback();
       throw err;
-    } finally {
-      connection.release();
     }
   } catch (error) {
     console.error("Error updating article:", error);
@@ -2325,135 +5087,334 @@ router.put("/:id", authenticate, requireRole(['admin', 'editor']), async (req, r
   }
 });
 
+// Validate an optional list of strings from a PATCH body; returns an error message or null
+const invalidStringList = (value, name) => {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+    return `${name} must be an array of strings`;
+  }
+  return null;
+};
+
 /**
- * DELETE /api/articles/:id
- * Delete an article by ID (and related rows)
+ * PATCH /api/articles/:id
+ * Partially update an article (JSON merge semantics): fields that are not present are left
+ * untouched. Any status except trashed can be edited; status itself is changed through
+ * PUT /api/articles/:id/status.
+ * Requires If-Match like PUT /api/articles/:id.
  *
- * Response: 204 No Content
+ * Request Body (all optional, at least one field):
+ * {
+ *   "language_code": "en | bn (translation that title/content/excerpt apply to, default en)",
+ *   "title": "string (non-empty; regenerates the slug when it changes)",
+ *   "content": "string (non-empty)",
+ *   "body_format": "html | markdown",    // only with content; defaults to the translation's current format
+ *   "blocks": [{ "type": "string", ... }], // content blocks, instead of content
+ *   "excerpt": "string | null",          // null or "" switches back to a generated excerpt
+ *   "category_id": "integer", or "category_code": "string" (must exist),
+ *   "tags": ["code"] | null          // replace all tags (null removes them)
+ *   "tags_add": ["code"],            // unknown tags are created
+ *   "tags_remove": ["code"],
+ *   "media_urls": ["url"] | null     // replace all media (null removes them)
+ *   "media_add": ["url"],
+ *   "media_remove": ["url"]
+ * }
+ * "tags" cannot be combined with tags_add/tags_remove, nor "media_urls" with media_add/media_remove.
+ *
+ * Response: the updated article
+ * {
+ *   "id": "string",
+ *   "language_code": "en|bn",
+ *   "title": "string",
+ *   "content": "string (HTML)",
+ *   "body_format": "html|markdown|blocks",
+ *   "body_source": "string|null",
+ *   "blocks": [{ "type": "string", ... }] | null,
+ *   "excerpt": "string",
+ *   "word_count": 420,
+ *   "reading_time_minutes": 2,
+ *   "slug": "string",
+ *   "status": "string",
+ *   "version": 4,
+ *   "category_id": "string|null",
+ *   "tags": ["code"],
+ *   "media_urls": ["url"],
+ *   "image_urls": ["url"],
+ *   "video_urls": ["url"],
+ *   "updated_at": "ISO string"
+ * }
  */
-router.delete("/:id", authenticate, async (req, res) => {
+router.patch("/:id", authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const { id } = req.params;
+  const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : null;
+
+  if (!id || !/^\d+$/.test(id)) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  if (!body) {
+    return res.status(400).json({ error: "Request body must be a JSON object" });
+  }
+
+  const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+  const {
+    language_code: languageCode, title, content, blocks, body_format: bodyFormat, excerpt,
+    category_id: categoryId, category_code: categoryCode,
+  } = body;
+
+  if (has("status")) {
+    return res.status(400).json({ error: "status cannot be patched. Use PUT /api/articles/:id/status" });
+  }
+  if (has("language_code") && languageCode !== "en" && languageCode !== "bn") {
+    return res.status(400).json({ error: "language_code must be 'en' or 'bn'" });
+  }
+  if (has("title") && (typeof title !== "string" || title.trim().length === 0)) {
+    return res.status(400).json({ error: "title must be a non-empty string" });
+  }
+  if (has("content") && (typeof content !== "string" || content.trim().length === 0)) {
+    return res.status(400).json({ error: "content must be a non-empty string" });
+  }
+  const input = readBodyInput({ content, blocks, bodyFormat });
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+  if (has("body_format") && !has("content") && !has("blocks")) {
+    return res.status(400).json({ error: "body_format can only be given together with content" });
+  }
+  const excerptError = validateExcerpt(excerpt);
+  if (excerptError) {
+    return res.status(400).json({ error: excerptError });
+  }
+  if (has("category_id") && !/^\d+$/.test(String(categoryId))) {
+    return res.status(400).json({ error: "category_id must be an integer" });
+  }
+  if (has("category_code") && (typeof categoryCode !== "string" || categoryCode.trim().length === 0)) {
+    return res.status(400).json({ error: "category_code must be a non-empty string" });
+  }
+  for (const field of ["tags", "media_urls"]) {
+    if (has(field) && body[field] !== null) {
+      const error = invalidStringList(body[field], field);
+      if (error) return res.status(400).json({ error });
+    }
+  }
+  for (const field of ["tags_add", "tags_remove", "media_add", "media_remove"]) {
+    const error = invalidStringList(body[field], field);
+    if (error) return res.status(400).json({ error });
+  }
+  if (has("tags") && (has("tags_add") || has("tags_remove"))) {
+    return res.status(400).json({ error: "Use either tags or tags_add/tags_remove, not both" });
+  }
+  if (has("media_urls") && (has("media_add") || has("media_remove"))) {
+    return res.status(400).json({ error: "Use either media_urls or media_add/media_remove, not both" });
+  }
+
+  const patchable = [
+    "title", "content", "blocks", "excerpt", "category_id", "category_code",
+    "tags", "tags_add", "tags_remove", "media_urls", "media_add", "media_remove",
+  ];
+  if (!patchable.some(has)) {
+    return res.status(400).json({ error: `Nothing to update. Patchable fields: ${patchable.join(", ")}` });
+  }
+
+  const targetLang = languageCode === "bn" ? "bn" : "en";
   const connection = await pool.getConnection();
   try {
-    const { id } = req.params;
+    await connection.beginTransaction();
 
-    if (!id || !/^\d+$/.test(id)) {
-      return res.status(400).json({ error: "Invalid article ID" });
+    const [articleRows] = await connection.execute(
+      "SELECT id, status, category_id, version FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!articleRows || articleRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Article not found" });
     }
-    if (req.user.role !== "admin" && req.user.role !== "editor") {
-      return res.status(403).json({ error: "Insufficient permissions" });
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
+    }
+    const precondition = checkIfMatch(req, id, articleRows[0].version);
+    if (precondition) {
+      await connection.rollback();
+      return res.status(precondition.status).json(precondition.body);
     }
 
-    await connection.beginTransaction();
-
-      // Verify article exists and is published within transaction
-      const [articleRows] = await connection.execute(
-        "SELECT id FROM articles WHERE id = ? AND status = 'published' FOR UPDATE",
-        [id]
+    // Translation fields
+    if (has("title") || has("content") || has("blocks") || has("excerpt")) {
+      const [txRows] = await connection.execute(
+        "SELECT title, slug, excerpt, excerpt_auto, body, body_format FROM article_translations WHERE article_id = ? AND language_code = ? FOR UPDATE",
+        [id, targetLang]
       );
-      
-      if (!articleRows || articleRows.length === 0) {
+      if (!Array.isArray(txRows) || txRows.length === 0) {
         await connection.rollback();
-        return res.status(404).json({ error: "Published article not found" });
+        return res.status(404).json({ error: "Translation not found" });
       }
+      const current = txRows[0];
 
+      const prepared = has("content") || has("blocks")
+        ? prepareBody(input.source, input.format ?? inheritedFormat(current.body_format))
+        : null;
+      if (prepared && prepared.error) {
+        await connection.rollback();
+        return res.status(400).json({ error: prepared.error });
+      }
 
-    try {
-      // Delete in proper referential order
+      await ensureBaselineRevision(connection, id, targetLang);
+
+      const sets = [];
+      const params = [];
+      if (has("title")) {
+        sets.push("title = ?");
+        params.push(title);
+        if (current.title !== title || !current.slug) {
+          const newSlug = await generateUniqueSlug(connection, slugify(title), targetLang, parseInt(id, 10));
+          await recordSlugChange(connection, id, targetLang, current.slug, newSlug);
+          sets.push("slug = ?");
+          params.push(newSlug);
+        }
+      }
+      if (prepared) {
+        sets.push("body = ?", "body_format = ?", "body_source = ?");
+        params.push(prepared.body, prepared.bodyFormat, prepared.bodySource);
+      }
+      if (prepared || has("excerpt")) {
+        const text = translationTextFields(prepared ? prepared.body : current.body, targetLang, { excerpt, current });
+        sets.push("excerpt = ?", "excerpt_auto = ?", "word_count = ?", "reading_time_minutes = ?");
+        params.push(text.excerpt, text.excerpt_auto, text.word_count, text.reading_time_minutes);
+      }
+      await connection.execute(
+        `UPDATE article_translations SET ${sets.join(", ")}, updated_at = NOW() WHERE article_id = ? AND language_code = ?`,
+        [...params, id, targetLang]
+      );
+      await snapshotTranslation(connection, id, targetLang, req.user.id);
+    }
+
+    // Category (category_id wins when both are given)
+    if (has("category_id") || has("category_code")) {
+      const [catRows] = has("category_id")
+        ? await connection.execute("SELECT id FROM categories WHERE id = ?", [parseInt(String(categoryId), 10)])
+        : await connection.execute("SELECT id FROM categories WHERE code = ?", [categoryCode.trim().toLowerCase()]);
+      if (!Array.isArray(catRows) || catRows.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: "Category not found" });
+      }
+      await connection.execute("UPDATE articles SET category_id = ? WHERE id = ?", [catRows[0].id, id]);
+    }
+
+    // Tags
+    if (has("tags")) {
       await connection.execute("DELETE FROM article_tags WHERE article_id = ?", [id]);
-      await connection.execute("DELETE FROM article_translations WHERE article_id = ?", [id]);
-      await connection.execute("DELETE FROM article_media WHERE article_id = ?", [id]); // Delete from the new join table
-      // Note: media_assets themselves are not deleted here, as they might be shared by other articles
-      await connection.execute("DELETE FROM articles WHERE id = ?", [id]);
+    }
+    const tagsToAdd = has("tags") ? (body.tags || []) : (body.tags_add || []);
+    for (const tagId of await findOrCreateTags(connection, tagsToAdd, targetLang)) {
+      await connection.execute("INSERT IGNORE INTO article_tags (article_id, tag_id) VALUES (?, ?)", [id, tagId]);
+    }
+    const tagsToRemove = (body.tags_remove || []).map((t) => t.trim().toLowerCase()).filter(Boolean);
+    if (tagsToRemove.length > 0) {
+      await connection.query(
+        "DELETE artag FROM article_tags artag INNER JOIN tags t ON artag.tag_id = t.id WHERE artag.article_id = ? AND t.code IN (?)",
+        [id, tagsToRemove]
+      );
+    }
 
-      await connection.commit();
-      res.status(204).send();
-    } catch (err) {
-      await connection.rollback();
-      throw err;
-    } finally {
-      connection.release();
+    // Media
+    if (has("media_urls")) {
+      await connection.execute("DELETE FROM article_media WHERE article_id = ?", [id]);
+    }
+    const mediaToAdd = has("media_urls") ? (body.media_urls || []) : (body.media_add || []);
+    for (const mediaUrl of mediaToAdd) {
+      const mediaAssetId = await findOrCreateMedia(connection, mediaUrl);
+      if (mediaAssetId) {
+        await connection.execute(
+          "INSERT IGNORE INTO article_media (article_id, media_asset_id) VALUES (?, ?)",
+          [id, mediaAssetId]
+        );
+      }
     }
+    const mediaToRemove = (body.media_remove || []).map((u) => u.trim()).filter(Boolean);
+    if (mediaToRemove.length > 0) {
+      await connection.query(
+        "DELETE am FROM article_media am INNER JOIN media_assets ma ON am.media_asset_id = ma.id WHERE am.article_id = ? AND ma.url IN (?)",
+        [id, mediaToRemove]
+      );
+    }
+
+    await connection.execute("UPDATE articles SET version = version + 1, updated_at = NOW() WHERE id = ?", [id]);
+
+    // Read back the merged state
+    const article = await loadEditableArticle(connection, id, targetLang);
+
+    await connection.commit();
+
+    setArticleEtag(res, article.id, article.version);
+    res.json(formatEditableArticle(article, targetLang));
   } catch (error) {
-    console.error("Error deleting article:", error);
-    res.status(500).json({ error: "Failed to delete article" });
+    try { await connection.rollback(); } catch {}
+    console.error("Error patching article:", error);
+    res.status(500).json({ error: "Failed to update article" });
   } finally {
     connection.release();
   }
 });
 
 /**
- * DELETE /api/articles
- * Clear all articles and related data (utility endpoint)
+ * DELETE /api/articles/:id
+ * Move an article to the trash (soft delete). The article disappears from every listing
+ * and lookup but keeps its translations, tags, media links and history; it can be brought
+ * back with POST /api/articles/:id/restore until it is purged after TRASH_RETENTION_DAYS.
  *
  * Response: 204 No Content
  */
-router.delete("/", authenticate, async (req, res) => {
-  try {
-    if (req.user.role !== "admin" && req.user.role !== "editor") {
-      return res.status(403).json({ error: "Insufficient permissions" });
-    }
-
-    const connection = await pool.getConnection();
-    await connection.beginTransaction();
-
-    try {
-      await connection.execute("DELETE FROM article_translations");
-      await connection.execute("DELETE FROM article_tags");
-      await connection.execute(
-        "DELETE FROM media_assets WHERE type IN (?, ?)",
-        ["image", "video"]
-      );
-      await connection.execute("DELETE FROM articles");
+router.delete("/:id", authenticate, async (req, res) => {
+  const { id } = req.params;
 
-      await connection.commit();
-      res.status(204).send();
-    } catch (err) {
-      await connection.rollback();
-      throw err;
-    } finally {
-      connection.release();
-    }
-  } catch (error) {
-    console.error("Error clearing all articles:", error);
-    res.status(500).json({ error: "Failed to clear articles" });
+  if (!id || !/^\d+$/.test(id)) {
+    return res.status(400).json({ error: "Invalid article ID" });
+  }
+  if (req.user.role !== "admin" && req.user.role !== "editor") {
+    return res.status(403).json({ error: "Insufficient permissions" });
   }
-});
 
-/**
- * POST /api/articles/clear
- * Alternate utility endpoint to clear all articles and related data
- *
- * Response: 204 No Content
- */
-router.post("/clear", authenticate, async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    if (req.user.role !== "admin" && req.user.role !== "editor") {
-      return res.status(403).json({ error: "Insufficient permissions" });
-    }
-
-    const connection = await pool.getConnection();
     await connection.beginTransaction();
 
-    try {
-      await connection.execute("DELETE FROM article_translations");
-      await connection.execute("DELETE FROM article_tags");
-      await connection.execute(
-        "DELETE FROM media_assets WHERE type IN (?, ?)",
-        ["image", "video"]
-      );
-      await connection.execute("DELETE FROM articles");
-
-      await connection.commit();
-      res.status(204).send();
-    } catch (err) {
+    // Drafts and hidden articles can be trashed too
+    const [articleRows] = await connection.execute(
+      "SELECT id, status FROM articles WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [id]
+    );
+    if (!articleRows || articleRows.length === 0) {
       await connection.rollback();
-      throw err;
-    } finally {
-      connection.release();
+      return res.status(404).json({ error: "Article not found" });
+    }
+    const lockConflict = await checkEditLock(connection, id, req.user);
+    if (lockConflict) {
+      await connection.rollback();
+      return res.status(423).json(lockConflict);
     }
+    const { status } = articleRows[0];
+
+    await connection.execute(
+      "UPDATE articles SET deleted_at = NOW(), deleted_by_user_id = ? WHERE id = ?",
+      [req.user.id, id]
+    );
+    await recordStatusTransition(connection, {
+      articleId: id,
+      fromStatus: status,
+      toStatus: status,
+      action: "trash",
+      userId: req.user.id,
+    });
+
+    await connection.commit();
+    res.status(204).send();
   } catch (error) {
-    console.error("Error in clear articles endpoint:", error);
-    res.status(500).json({ error: "Failed to clear articles" });
+    try { await connection.rollback(); } catch {}
+    console.error("Error deleting article:", error);
+    res.status(500).json({ error: "Failed to delete article" });
+  } finally {
+    connection.release();
   }
 });
 
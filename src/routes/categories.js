@@ -4,6 +4,9 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth'); // Import authenticate middleware
 const { toISO } = require('../utils/articleUtils'); // Import utility functions
+const { parsePagination, keysetSql, buildPage } = require('../utils/pagination');
+const { MAX_PINNED, PIN_SQL } = require('../utils/featureUtils');
+const { articleTextFields } = require('../utils/textUtils');
 const { query, pool } = require('../../db'); // Import pool for transactions
 
 const router = express.Router();
@@ -83,23 +86,35 @@ router.get('/:id', async (req, res) => {
     console.error('Error fetching category:', error);
     res.status(500).json({ error: 'Failed to retrieve category' });
   }
+});
+
 /**
  * GET /api/categories/:id/articles
- * Retrieve all published articles in a specific category with multilingual support
+ * Retrieve published articles in a specific category with multilingual support
  *
- * Optional query: ?lang=en|bn
+ * Optional query: ?lang=en|bn, plus limit/sort/cursor pagination (see GET /api/articles)
+ * Articles pinned to this category come first on the first page (see GET /api/articles)
  *
  * Response:
- * [{
- *   "id": "string",
- *   "title": "string",
- *   "content": "string",
- *   "image_url": "string|null",
- *   "created_at": "ISO string",
- *   "updated_at": "ISO string",
- *   "tags": ["string"],
- *   "tags_names": ["string"]
- * }]
+ * {
+ *   "items": [{
+ *     "id": "string",
+ *     "title": "string",
+ *     "content": "string",
+ *     "image_url": "string|null",
+ *     "created_at": "ISO string",
+ *     "updated_at": "ISO string",
+ *     "tags": ["string"],
+ *     "tags_names": ["string"],
+ *     "media_urls": ["string"],
+ *     "image_urls": ["string"],
+ *     "video_urls": ["string"],
+ *     "pinned": false
+ *   }],
+ *   "next_cursor": "string|null",
+ *   "limit": 20,
+ *   "sort": "newest"
+ * }
  */
 router.get('/:id/articles', async (req, res) => {
   try {
@@ -111,56 +126,87 @@ router.get('/:id/articles', async (req, res) => {
       return res.status(400).json({ error: 'Invalid category ID' });
     }
 
+    const page = parsePagination(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
+
     // Check if category exists
-    const [categoryRows] = await query('SELECT id FROM categories WHERE id = ?', [id]);
+    const { rows: categoryRows } = await query('SELECT id FROM categories WHERE id = ?', [id]);
     if (!categoryRows || categoryRows.length === 0) {
       return res.status(404).json({ error: 'Category not found' });
     }
 
-    const sql = `
+    const baseSelect = `
       SELECT
         a.id,
         at.title,
         at.body AS content,
-        ma.url AS image_url,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         a.created_at,
         a.updated_at,
-        GROUP_CONCAT(t.code ORDER BY t.code ASC) AS tags_codes,
-        GROUP_CONCAT(CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names
+        ${keyset.select},
+        GROUP_CONCAT(DISTINCT t.code ORDER BY t.code ASC) AS tags_codes,
+        GROUP_CONCAT(DISTINCT CASE WHEN at.language_code = 'en' THEN t.name_en ELSE t.name_bn END ORDER BY t.code ASC) AS tags_names,
+        GROUP_CONCAT(DISTINCT ma.url ORDER BY ma.url ASC SEPARATOR '|||') AS media_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'image' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS image_urls,
+        GROUP_CONCAT(DISTINCT CASE WHEN ma.type = 'video' THEN ma.url END ORDER BY ma.url ASC SEPARATOR '|||') AS video_urls
       FROM articles a
       INNER JOIN article_translations at
         ON a.id = at.article_id AND at.language_code = ?
-      LEFT JOIN media_assets ma
-        ON a.id = ma.id
       LEFT JOIN article_tags artag
         ON a.id = artag.article_id
       LEFT JOIN tags t
         ON artag.tag_id = t.id
-      WHERE a.category_id = ? AND a.status = 'published'
-      GROUP BY a.id, at.title, at.body, ma.url, a.created_at, a.updated_at
-      ORDER BY a.published_at DESC
+      LEFT JOIN article_media am
+        ON a.id = am.article_id
+      LEFT JOIN media_assets ma
+        ON am.media_asset_id = ma.id
+      WHERE a.deleted_at IS NULL AND a.category_id = ? AND a.status = 'published'
     `;
 
-    const { rows } = await query(sql, [languageCode, id]);
-
-    const articles = rows.map((article) => ({
-      id: String(article.id),
-      title: article.title,
-      content: article.content,
-      image_url: article.image_url || null,
-      created_at: toISO(article.created_at),
-      updated_at: toISO(article.updated_at),
-      tags: article.tags_codes ? article.tags_codes.split(',') : [],
-      tags_names: article.tags_names ? article.tags_names.split(',') : [],
-    }));
+    // Pinned articles go above the first page and are left out of the pages themselves
+    const { rows } = await query(
+      `${baseSelect} AND ${PIN_SQL.notPinned} ${keyset.where} GROUP BY a.id ${keyset.orderBy}`,
+      [languageCode, id, id, ...keyset.params]
+    );
+
+    let pinnedRows = [];
+    if (!page.after) {
+      ({ rows: pinnedRows } = await query(
+        `${baseSelect} AND ${PIN_SQL.pinned} GROUP BY a.id ORDER BY ${PIN_SQL.position} ASC, a.id DESC LIMIT ${MAX_PINNED}`,
+        [languageCode, id, id, id]
+      ));
+    }
 
-    res.json(articles);
+    const mapArticle = (article) => {
+      const imageUrls = article.image_urls ? article.image_urls.split('|||').filter(Boolean) : [];
+      return {
+        id: String(article.id),
+        title: article.title,
+        content: article.content,
+        ...articleTextFields(article, languageCode),
+        image_url: imageUrls[0] || null,
+        created_at: toISO(article.created_at),
+        updated_at: toISO(article.updated_at),
+        tags: article.tags_codes ? article.tags_codes.split(',') : [],
+        tags_names: article.tags_names ? article.tags_names.split(',') : [],
+        media_urls: article.media_urls ? article.media_urls.split('|||').filter(Boolean) : [],
+        image_urls: imageUrls,
+        video_urls: article.video_urls ? article.video_urls.split('|||').filter(Boolean) : [],
+      };
+    };
+    const result = buildPage(rows, page, (article) => ({ ...mapArticle(article), pinned: false }));
+    result.items = [...pinnedRows.map((article) => ({ ...mapArticle(article), pinned: true })), ...result.items];
+    res.json(result);
   } catch (error) {
     console.error('Error fetching articles for category:', error);
     res.status(500).json({ error: 'Failed to retrieve articles for category' });
   }
 });
-});
 
 /**
  * POST /api/categories
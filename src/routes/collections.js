@@ -0,0 +1,442 @@
+// src/routes/collections.js
+// Collection routes for the Information Dissemination Platform
+// Collections are named, bilingual series of articles in a defined order (e.g. multi-part guides)
+
+const express = require('express');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { query, pool } = require('../../db');
+const { slugify } = require('../utils/articleUtils');
+const {
+  formatCollection,
+  findCollection,
+  loadCollectionItems,
+  validateCollectionArticles,
+  replaceCollectionItems,
+} = require('../utils/collectionUtils');
+
+const router = express.Router();
+
+const MAX_COLLECTION_ITEMS = 200;
+
+// Optional text field from a request body: undefined when absent, otherwise a trimmed string
+const optionalText = (value) => (value === undefined ? undefined : String(value ?? '').trim());
+
+// Current article order of a collection (all statuses), as numbers
+async function currentArticleIds(connection, collectionId) {
+  const [rows] = await connection.execute(
+    'SELECT article_id FROM collection_items WHERE collection_id = ? ORDER BY position ASC, article_id ASC',
+    [collectionId]
+  );
+  return rows.map((r) => Number(r.article_id));
+}
+
+// Collection with every item (any status) for editor responses
+async function editorView(connection, collection, languageCode) {
+  return {
+    ...formatCollection(collection, languageCode),
+    items: await loadCollectionItems(connection, collection.id, languageCode, { publishedOnly: false }),
+  };
+}
+
+/**
+ * GET /api/collections
+ * List collections with the number of published articles in each
+ *
+ * Optional query: ?lang=en|bn
+ *
+ * Response:
+ * [{
+ *   "id": "string",
+ *   "code": "string",
+ *   "title": "string",
+ *   "title_en": "string",
+ *   "title_bn": "string",
+ *   "description": "string",
+ *   "description_en": "string",
+ *   "description_bn": "string",
+ *   "article_count": 4,
+ *   "created_at": "ISO string",
+ *   "updated_at": "ISO string"
+ * }]
+ */
+router.get('/', async (req, res) => {
+  try {
+    const languageCode = req.query.lang === 'bn' ? 'bn' : 'en';
+
+    const { rows } = await query(`
+      SELECT c.*, COUNT(a.id) AS article_count
+      FROM collections c
+      LEFT JOIN collection_items ci ON ci.collection_id = c.id
+      LEFT JOIN articles a ON a.id = ci.article_id AND a.deleted_at IS NULL AND a.status = 'published'
+      GROUP BY c.id
+      ORDER BY c.${languageCode === 'bn' ? 'title_bn' : 'title_en'} ASC, c.id ASC
+    `);
+
+    res.json(rows.map((row) => ({
+      ...formatCollection(row, languageCode),
+      article_count: Number(row.article_count),
+    })));
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Failed to retrieve collections' });
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * Retrieve a collection (by ID or code) with its published articles in order
+ *
+ * Optional query: ?lang=en|bn
+ *
+ * Response:
+ * {
+ *   "id": "string",
+ *   "code": "string",
+ *   "title": "string",
+ *   ...,
+ *   "items": [{ "article_id": "string", "part": 1, "title": "string", "slug": "string|null" }]
+ * }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const languageCode = req.query.lang === 'bn' ? 'bn' : 'en';
+
+    const collection = await findCollection(pool, req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({
+      ...formatCollection(collection, languageCode),
+      items: await loadCollectionItems(pool, collection.id, languageCode),
+    });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ error: 'Failed to retrieve collection' });
+  }
+});
+
+/**
+ * POST /api/collections
+ * Create a collection (admin/editor)
+ *
+ * Request Body:
+ * {
+ *   "title_en": "string (required)",
+ *   "title_bn": "string (optional)",
+ *   "description_en": "string (optional)",
+ *   "description_bn": "string (optional)",
+ *   "code": "string (optional; defaults to a slug of title_en)",
+ *   "article_ids": ["string"] (optional; initial articles in order)
+ * }
+ *
+ * Response (201): the collection with all its items (any status, with "status")
+ */
+router.post('/', authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const { title_en: titleEn, title_bn: titleBn, description_en: descriptionEn, description_bn: descriptionBn, code, article_ids: articleIdsInput } = req.body || {};
+
+  if (!titleEn || typeof titleEn !== 'string' || titleEn.trim().length === 0) {
+    return res.status(400).json({ error: 'English title is required' });
+  }
+  const collectionCode = code !== undefined && code !== null && String(code).trim() !== ''
+    ? slugify(String(code), '')
+    : slugify(titleEn, '');
+  if (!collectionCode || /^\d+$/.test(collectionCode)) {
+    return res.status(400).json({ error: 'Invalid code. Use letters, digits and dashes, and at least one letter' });
+  }
+  if (Array.isArray(articleIdsInput) && articleIdsInput.length > MAX_COLLECTION_ITEMS) {
+    return res.status(400).json({ error: `A collection can hold at most ${MAX_COLLECTION_ITEMS} articles` });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute('SELECT id FROM collections WHERE code = ?', [collectionCode]);
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'A collection with this code already exists' });
+    }
+
+    let articleIds = [];
+    if (articleIdsInput !== undefined) {
+      const validated = await validateCollectionArticles(connection, articleIdsInput);
+      if (validated.error) {
+        await connection.rollback();
+        return res.status(400).json({ error: validated.error });
+      }
+      articleIds = validated.articleIds;
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO collections (code, title_en, title_bn, description_en, description_bn, created_by_user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [collectionCode, titleEn.trim(), optionalText(titleBn) || '', optionalText(descriptionEn) || '', optionalText(descriptionBn) || '', req.user.id]
+    );
+    await replaceCollectionItems(connection, result.insertId, articleIds);
+
+    const collection = await findCollection(connection, result.insertId);
+    const body = await editorView(connection, collection, 'en');
+    await connection.commit();
+
+    res.status(201).json(body);
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * PUT /api/collections/:id
+ * Update a collection's titles and descriptions (admin/editor); fields that are not sent are kept
+ *
+ * Request Body:
+ * {
+ *   "title_en": "string (optional, not empty)",
+ *   "title_bn": "string (optional)",
+ *   "description_en": "string (optional)",
+ *   "description_bn": "string (optional)"
+ * }
+ *
+ * Response: the collection with all its items (any status)
+ */
+router.put('/:id', authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const body = req.body || {};
+  const titleEn = optionalText(body.title_en);
+  if (titleEn !== undefined && titleEn.length === 0) {
+    return res.status(400).json({ error: 'English title cannot be empty' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const collection = await findCollection(connection, req.params.id, { forUpdate: true });
+    if (!collection) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const next = {
+      title_en: titleEn ?? collection.title_en,
+      title_bn: optionalText(body.title_bn) ?? collection.title_bn,
+      description_en: optionalText(body.description_en) ?? collection.description_en,
+      description_bn: optionalText(body.description_bn) ?? collection.description_bn,
+    };
+    await connection.execute(
+      `UPDATE collections
+       SET title_en = ?, title_bn = ?, description_en = ?, description_bn = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [next.title_en, next.title_bn, next.description_en, next.description_bn, collection.id]
+    );
+
+    const updated = await findCollection(connection, collection.id);
+    const response = await editorView(connection, updated, 'en');
+    await connection.commit();
+
+    res.json(response);
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error updating collection:', error);
+    res.status(500).json({ error: 'Failed to update collection' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection (admin/editor). The articles themselves are not touched.
+ *
+ * Response: 204 No Content
+ */
+router.delete('/:id', authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const collection = await findCollection(connection, req.params.id, { forUpdate: true });
+    if (!collection) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    await connection.execute('DELETE FROM collection_items WHERE collection_id = ?', [collection.id]);
+    await connection.execute('DELETE FROM collections WHERE id = ?', [collection.id]);
+
+    await connection.commit();
+    res.status(204).send();
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * PUT /api/collections/:id/articles
+ * Replace the articles of a collection with the given order (admin/editor)
+ *
+ * Request Body:
+ * {
+ *   "article_ids": ["12", "15", "19"]
+ * }
+ *
+ * Response: the collection with all its items (any status)
+ */
+router.put('/:id/articles', authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const { article_ids: articleIdsInput } = req.body || {};
+  if (Array.isArray(articleIdsInput) && articleIdsInput.length > MAX_COLLECTION_ITEMS) {
+    return res.status(400).json({ error: `A collection can hold at most ${MAX_COLLECTION_ITEMS} articles` });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const collection = await findCollection(connection, req.params.id, { forUpdate: true });
+    if (!collection) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const validated = await validateCollectionArticles(connection, articleIdsInput);
+    if (validated.error) {
+      await connection.rollback();
+      return res.status(400).json({ error: validated.error });
+    }
+
+    await replaceCollectionItems(connection, collection.id, validated.articleIds);
+    await connection.execute('UPDATE collections SET updated_at = NOW() WHERE id = ?', [collection.id]);
+
+    const response = await editorView(connection, collection, 'en');
+    await connection.commit();
+
+    res.json(response);
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error reordering collection:', error);
+    res.status(500).json({ error: 'Failed to update collection articles' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * POST /api/collections/:id/articles
+ * Add one article to a collection (admin/editor)
+ *
+ * Request Body:
+ * {
+ *   "article_id": "string (required)",
+ *   "position": 2 (optional; 1-based part number to insert at, default: append)
+ * }
+ *
+ * Response (201): the collection with all its items (any status)
+ */
+router.post('/:id/articles', authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const { article_id: articleIdInput, position } = req.body || {};
+
+  if (articleIdInput === undefined || articleIdInput === null || !/^\d+$/.test(String(articleIdInput))) {
+    return res.status(400).json({ error: 'article_id is required' });
+  }
+  if (position !== undefined && position !== null && (!/^\d+$/.test(String(position)) || parseInt(String(position), 10) < 1)) {
+    return res.status(400).json({ error: 'position must be a positive integer' });
+  }
+  const articleId = parseInt(String(articleIdInput), 10);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const collection = await findCollection(connection, req.params.id, { forUpdate: true });
+    if (!collection) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const validated = await validateCollectionArticles(connection, [articleId]);
+    if (validated.error) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const articleIds = await currentArticleIds(connection, collection.id);
+    if (articleIds.includes(articleId)) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Article is already in this collection' });
+    }
+    if (articleIds.length >= MAX_COLLECTION_ITEMS) {
+      await connection.rollback();
+      return res.status(409).json({ error: `A collection can hold at most ${MAX_COLLECTION_ITEMS} articles` });
+    }
+
+    const index = position === undefined || position === null
+      ? articleIds.length
+      : Math.min(parseInt(String(position), 10) - 1, articleIds.length);
+    articleIds.splice(index, 0, articleId);
+
+    await replaceCollectionItems(connection, collection.id, articleIds);
+    await connection.execute('UPDATE collections SET updated_at = NOW() WHERE id = ?', [collection.id]);
+
+    const response = await editorView(connection, collection, 'en');
+    await connection.commit();
+
+    res.status(201).json(response);
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error adding article to collection:', error);
+    res.status(500).json({ error: 'Failed to add article to collection' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * DELETE /api/collections/:id/articles/:articleId
+ * Remove an article from a collection (admin/editor); later parts move up
+ *
+ * Response: 204 No Content
+ */
+router.delete('/:id/articles/:articleId', authenticate, requireRole(['admin', 'editor']), async (req, res) => {
+  const { articleId } = req.params;
+  if (!/^\d+$/.test(String(articleId))) {
+    return res.status(400).json({ error: 'Invalid article ID' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const collection = await findCollection(connection, req.params.id, { forUpdate: true });
+    if (!collection) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const articleIds = await currentArticleIds(connection, collection.id);
+    if (!articleIds.includes(Number(articleId))) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Article is not in this collection' });
+    }
+
+    await replaceCollectionItems(connection, collection.id, articleIds.filter((id) => id !== Number(articleId)));
+    await connection.execute('UPDATE collections SET updated_at = NOW() WHERE id = ?', [collection.id]);
+
+    await connection.commit();
+    res.status(204).send();
+  } catch (error) {
+    try { await connection.rollback(); } catch {}
+    console.error('Error removing article from collection:', error);
+    res.status(500).json({ error: 'Failed to remove article from collection' });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
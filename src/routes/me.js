@@ -0,0 +1,430 @@
+// src/routes/me.js
+// Routes for the signed-in user's own data (any role, including readers): bookmarks and reading progress
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { query } = require('../../db');
+const { toISO } = require('../utils/articleUtils');
+const { articleTextFields } = require('../utils/textUtils');
+const { parsePagination, keysetSql, buildPage } = require('../utils/pagination');
+const { BOOKMARK_SORTS } = require('../utils/bookmarkUtils');
+
+const router = express.Router();
+
+const LANGUAGES = ['en', 'bn'];
+// An article counts as finished from this progress (percent) on
+const COMPLETE_PERCENT = 100;
+const MAX_POSITION_LENGTH = 255;
+
+// Progress row for API responses
+const formatProgress = (row) => ({
+  language_code: row.language_code,
+  progress: Number(row.progress),
+  position: row.position ?? null,
+  completed: Number(row.progress) >= COMPLETE_PERCENT,
+  updated_at: toISO(row.updated_at),
+});
+
+/**
+ * GET /api/me/bookmarks
+ * The signed-in user's reading list: bookmarked published articles, most recently saved first
+ *
+ * Optional query:
+ *   - lang: 'en' | 'bn' (default 'en'); articles without that translation are shown in the other one
+ *   - limit, cursor: pagination (see GET /api/articles; the only sort is "saved")
+ *
+ * Response:
+ * {
+ *   "items": [{
+ *     "id": "string",
+ *     "language_code": "en|bn",          // language of the title and excerpt
+ *     "title": "string",
+ *     "slug": "string",
+ *     "excerpt": "string",
+ *     "word_count": 420,
+ *     "reading_time_minutes": 2,
+ *     "image_url": "string|null",
+ *     "published_at": "ISO string|null",
+ *     "bookmarked_at": "ISO string"
+ *   }],
+ *   "next_cursor": "string|null",
+ *   "limit": 20,
+ *   "sort": "saved"
+ * }
+ * Bookmarks of articles that are unpublished or in the trash are kept but not listed.
+ */
+router.get('/bookmarks', authenticate, async (req, res) => {
+  try {
+    const { lang } = req.query;
+    if (lang !== undefined && lang !== '' && lang !== 'en' && lang !== 'bn') {
+      return res.status(400).json({ error: "Invalid language. Allowed: 'en' or 'bn'" });
+    }
+    const languageCode = lang === 'bn' ? 'bn' : 'en';
+
+    const page = parsePagination(req.query, { defaultSort: 'saved', sorts: BOOKMARK_SORTS });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const keyset = keysetSql(page);
+
+    const { rows } = await query(
+      `SELECT
+        a.id,
+        at.language_code,
+        at.title,
+        at.slug,
+        at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        a.published_at,
+        b.created_at AS bookmarked_at,
+        ${keyset.select},
+        (
+          SELECT MIN(ma.url)
+          FROM article_media am
+          INNER JOIN media_assets ma ON am.media_asset_id = ma.id
+          WHERE am.article_id = a.id AND ma.type = 'image'
+        ) AS image_url
+      FROM article_bookmarks b
+      INNER JOIN articles a
+        ON a.id = b.article_id AND a.deleted_at IS NULL AND a.status = 'published'
+      INNER JOIN article_translations at
+        ON at.article_id = a.id
+        AND at.language_code = (
+          SELECT t2.language_code FROM article_translations t2
+          WHERE t2.article_id = a.id
+          ORDER BY t2.language_code = ? DESC
+          LIMIT 1
+        )
+      WHERE b.user_id = ? ${keyset.where}
+      ${keyset.orderBy}`,
+      [languageCode, req.user.id, ...keyset.params]
+    );
+
+    res.json(
+      buildPage(rows, page, (article) => ({
+        id: String(article.id),
+        language_code: article.language_code,
+        title: article.title || '',
+        slug: article.slug || '',
+        ...articleTextFields(article, article.language_code),
+        image_url: article.image_url || null,
+        published_at: toISO(article.published_at),
+        bookmarked_at: toISO(article.bookmarked_at),
+      }))
+    );
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({ error: 'Failed to retrieve bookmarks' });
+  }
+});
+
+/**
+ * POST /api/me/bookmarks/:articleId
+ * Bookmark a published article. Bookmarking it again is a no-op.
+ *
+ * Response (201 when added, 200 when it was already bookmarked):
+ * { "ok": true, "article_id": "string", "bookmarked": true, "bookmarked_at": "ISO string" }
+ */
+router.post('/bookmarks/:articleId', authenticate, async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    if (!/^\d+$/.test(String(articleId))) {
+      return res.status(400).json({ error: 'Invalid article ID' });
+    }
+
+    const { rows: articleRows } = await query(
+      "SELECT id FROM articles WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
+      [articleId]
+    );
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: 'Article not found or not published' });
+    }
+
+    const { rows: result } = await query(
+      'INSERT IGNORE INTO article_bookmarks (user_id, article_id, created_at) VALUES (?, ?, NOW())',
+      [req.user.id, articleId]
+    );
+    const { rows: saved } = await query(
+      'SELECT created_at FROM article_bookmarks WHERE user_id = ? AND article_id = ?',
+      [req.user.id, articleId]
+    );
+
+    res.status(result.affectedRows > 0 ? 201 : 200).json({
+      ok: true,
+      article_id: String(articleId),
+      bookmarked: true,
+      bookmarked_at: toISO(saved[0] && saved[0].created_at),
+    });
+  } catch (error) {
+    console.error('Error adding bookmark:', error);
+    res.status(500).json({ error: 'Failed to add bookmark' });
+  }
+});
+
+/**
+ * DELETE /api/me/bookmarks/:articleId
+ * Remove a bookmark (also of articles that have since been unpublished or trashed).
+ * Removing a bookmark that does not exist is a no-op.
+ *
+ * Response: { "ok": true, "article_id": "string", "bookmarked": false }
+ */
+router.delete('/bookmarks/:articleId', authenticate, async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    if (!/^\d+$/.test(String(articleId))) {
+      return res.status(400).json({ error: 'Invalid article ID' });
+    }
+
+    await query('DELETE FROM article_bookmarks WHERE user_id = ? AND article_id = ?', [req.user.id, articleId]);
+
+    res.json({ ok: true, article_id: String(articleId), bookmarked: false });
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    res.status(500).json({ error: 'Failed to remove bookmark' });
+  }
+});
+
+/**
+ * GET /api/me/continue-reading
+ * Partially read published articles, most recently read first. An article read in both languages
+ * is listed once, in the language read last; it drops out once it is finished in that language.
+ *
+ * Optional query: ?limit=1-50 (default 10)
+ *
+ * Response:
+ * {
+ *   "items": [{
+ *     "id": "string",
+ *     "language_code": "en|bn",
+ *     "title": "string",
+ *     "slug": "string",
+ *     "excerpt": "string",
+ *     "word_count": 1800,
+ *     "reading_time_minutes": 9,
+ *     "image_url": "string|null",
+ *     "progress": 42.5,                 // percent read
+ *     "position": "string|null",        // where the reader left off, as reported by the client
+ *     "minutes_left": 6,                // null when the reading time is unknown
+ *     "last_read_at": "ISO string"
+ *   }]
+ * }
+ */
+router.get('/continue-reading', authenticate, async (req, res) => {
+  try {
+    const { limit } = req.query;
+    let limitInt = 10;
+    if (limit !== undefined && limit !== '') {
+      limitInt = /^\d+$/.test(String(limit)) ? parseInt(String(limit), 10) : NaN;
+      if (!Number.isInteger(limitInt) || limitInt < 1 || limitInt > 50) {
+        return res.status(400).json({ error: 'Invalid limit. Must be an integer between 1 and 50' });
+      }
+    }
+
+    const { rows } = await query(
+      `SELECT
+        a.id,
+        rp.language_code,
+        rp.progress,
+        rp.position,
+        rp.updated_at,
+        at.title,
+        at.slug,
+        at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
+        (
+          SELECT MIN(ma.url)
+          FROM article_media am
+          INNER JOIN media_assets ma ON am.media_asset_id = ma.id
+          WHERE am.article_id = a.id AND ma.type = 'image'
+        ) AS image_url
+      FROM reading_progress rp
+      INNER JOIN articles a
+        ON a.id = rp.article_id AND a.deleted_at IS NULL AND a.status = 'published'
+      INNER JOIN article_translations at
+        ON at.article_id = a.id AND at.language_code = rp.language_code
+      WHERE rp.user_id = ? AND rp.progress > 0 AND rp.progress < ?
+        AND NOT EXISTS (
+          SELECT 1 FROM reading_progress newer
+          WHERE newer.user_id = rp.user_id AND newer.article_id = rp.article_id
+            AND (newer.updated_at > rp.updated_at
+              OR (newer.updated_at = rp.updated_at AND newer.language_code > rp.language_code))
+        )
+      ORDER BY rp.updated_at DESC, a.id DESC
+      LIMIT ${limitInt}`,
+      [req.user.id, COMPLETE_PERCENT]
+    );
+
+    res.json({
+      items: rows.map((row) => {
+        const text = articleTextFields(row, row.language_code);
+        const progress = Number(row.progress);
+        return {
+          id: String(row.id),
+          language_code: row.language_code,
+          title: row.title || '',
+          slug: row.slug || '',
+          ...text,
+          image_url: row.image_url || null,
+          progress,
+          position: row.position ?? null,
+          minutes_left:
+            text.reading_time_minutes === null
+              ? null
+              : Math.max(1, Math.ceil(text.reading_time_minutes * (1 - progress / COMPLETE_PERCENT))),
+          last_read_at: toISO(row.updated_at),
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Error fetching continue reading:', error);
+    res.status(500).json({ error: 'Failed to retrieve continue reading' });
+  }
+});
+
+/**
+ * GET /api/me/progress/:articleId
+ * The signed-in user's reading progress on an article, per language
+ *
+ * Response:
+ * {
+ *   "article_id": "string",
+ *   "progress": [{
+ *     "language_code": "en|bn",
+ *     "progress": 42.5,
+ *     "position": "string|null",
+ *     "completed": false,
+ *     "updated_at": "ISO string"
+ *   }]
+ * }
+ * Languages not read yet are left out.
+ */
+router.get('/progress/:articleId', authenticate, async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    if (!/^\d+$/.test(String(articleId))) {
+      return res.status(400).json({ error: 'Invalid article ID' });
+    }
+
+    const { rows } = await query(
+      `SELECT language_code, progress, position, updated_at
+       FROM reading_progress
+       WHERE user_id = ? AND article_id = ?
+       ORDER BY updated_at DESC, language_code ASC`,
+      [req.user.id, articleId]
+    );
+
+    res.json({ article_id: String(articleId), progress: rows.map(formatProgress) });
+  } catch (error) {
+    console.error('Error fetching reading progress:', error);
+    res.status(500).json({ error: 'Failed to retrieve reading progress' });
+  }
+});
+
+/**
+ * PUT /api/me/progress/:articleId
+ * Report how far the signed-in user has read a published article in one language.
+ * The latest report wins, also when it is lower (the reader went back), so a device picks up
+ * where another one left off.
+ *
+ * Request Body:
+ * {
+ *   "language_code": "en | bn (optional, default en)",
+ *   "progress": 42.5,                   // percent read, 0-100; 100 marks the article finished
+ *   "position": "string (optional)"     // client-defined place to resume from (e.g. a block index or anchor), up to 255 characters
+ * }
+ *
+ * Response: { "ok": true, "article_id": "string", "progress": { same shape as GET } }
+ */
+router.put('/progress/:articleId', authenticate, async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    const { language_code: languageCode = 'en', progress, position } = req.body || {};
+
+    if (!/^\d+$/.test(String(articleId))) {
+      return res.status(400).json({ error: 'Invalid article ID' });
+    }
+    if (!LANGUAGES.includes(languageCode)) {
+      return res.status(400).json({ error: "language_code must be 'en' or 'bn'" });
+    }
+    if (typeof progress !== 'number' || !Number.isFinite(progress) || progress < 0 || progress > COMPLETE_PERCENT) {
+      return res.status(400).json({ error: `progress must be a number between 0 and ${COMPLETE_PERCENT}` });
+    }
+    if (position !== undefined && position !== null
+      && (typeof position !== 'string' || position.length > MAX_POSITION_LENGTH)) {
+      return res.status(400).json({ error: `position must be a string of at most ${MAX_POSITION_LENGTH} characters` });
+    }
+
+    const { rows: articleRows } = await query(
+      `SELECT a.id
+       FROM articles a
+       INNER JOIN article_translations at ON at.article_id = a.id AND at.language_code = ?
+       WHERE a.id = ? AND a.status = 'published' AND a.deleted_at IS NULL`,
+      [languageCode, articleId]
+    );
+    if (!articleRows || articleRows.length === 0) {
+      return res.status(404).json({ error: 'Article not found or not published in this language' });
+    }
+
+    const rounded = Math.round(progress * 100) / 100;
+    await query(
+      `INSERT INTO reading_progress (user_id, article_id, language_code, progress, position, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE progress = VALUES(progress), position = VALUES(position), updated_at = NOW()`,
+      [req.user.id, articleId, languageCode, rounded, position ?? null]
+    );
+    const { rows } = await query(
+      `SELECT language_code, progress, position, updated_at
+       FROM reading_progress
+       WHERE user_id = ? AND article_id = ? AND language_code = ?`,
+      [req.user.id, articleId, languageCode]
+    );
+
+    res.json({ ok: true, article_id: String(articleId), progress: formatProgress(rows[0]) });
+  } catch (error) {
+    console.error('Error saving reading progress:', error);
+    res.status(500).json({ error: 'Failed to save reading progress' });
+  }
+});
+
+/**
+ * DELETE /api/me/progress/:articleId
+ * Forget the signed-in user's progress on an article (all languages, or ?lang=en|bn only),
+ * which also removes it from continue reading
+ *
+ * Response: { "ok": true, "article_id": "string", "removed": 1 }
+ */
+router.delete('/progress/:articleId', authenticate, async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    const { lang } = req.query;
+
+    if (!/^\d+$/.test(String(articleId))) {
+      return res.status(400).json({ error: 'Invalid article ID' });
+    }
+    if (lang !== undefined && lang !== '' && !LANGUAGES.includes(lang)) {
+      return res.status(400).json({ error: "Invalid language. Allowed: 'en' or 'bn'" });
+    }
+
+    const params = [req.user.id, articleId];
+    let languageFilter = '';
+    if (LANGUAGES.includes(lang)) {
+      languageFilter = 'AND language_code = ?';
+      params.push(lang);
+    }
+    const { rows: result } = await query(
+      `DELETE FROM reading_progress WHERE user_id = ? AND article_id = ? ${languageFilter}`,
+      params
+    );
+
+    res.json({ ok: true, article_id: String(articleId), removed: result.affectedRows });
+  } catch (error) {
+    console.error('Error removing reading progress:', error);
+    res.status(500).json({ error: 'Failed to remove reading progress' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { query, pool } = require('../../db');
 const { toISO } = require('../utils/articleUtils');
+const { articleTextFields } = require('../utils/textUtils');
 
 const router = express.Router();
 
@@ -77,6 +78,8 @@ router.get('/popular', async (req, res) => {
       FROM tags t
       INNER JOIN article_tags artag
         ON t.id = artag.tag_id
+      INNER JOIN articles a
+        ON artag.article_id = a.id AND a.deleted_at IS NULL
       GROUP BY t.id, t.code, t.name_en, t.name_bn
       ORDER BY article_count DESC, t.name_en ASC
       LIMIT ?;
@@ -175,6 +178,9 @@ router.get('/:id/articles', async (req, res) => {
         a.id,
         at.title,
         at.body AS content,
+        at.excerpt,
+        at.word_count,
+        at.reading_time_minutes,
         ma.url AS image_url,
         a.created_at,
         a.updated_at,
@@ -189,8 +195,8 @@ router.get('/:id/articles', async (req, res) => {
         ON a.id = artag.article_id
       INNER JOIN tags t
         ON artag.tag_id = t.id
-      WHERE a.status = 'published' AND t.id = ?
-      GROUP BY a.id, at.title, at.body, ma.url, a.created_at, a.updated_at
+      WHERE a.deleted_at IS NULL AND a.status = 'published' AND t.id = ?
+      GROUP BY a.id, at.title, at.body, at.excerpt, at.word_count, at.reading_time_minutes, ma.url, a.created_at, a.updated_at
       ORDER BY a.created_at DESC
     `;
 
@@ -201,6 +207,7 @@ router.get('/:id/articles', async (req, res) => {
       id: String(article.id),
       title: article.title,
       content: article.content,
+      ...articleTextFields(article, languageCode),
       image_url: article.image_url || null,
       created_at: article.created_at ? toISO(article.created_at) : null,
       updated_at: article.updated_at ? toISO(article.updated_at) : null,
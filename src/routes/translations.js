@@ -51,7 +51,7 @@ router.get('/missing', async (req, res) => {
         GROUP_CONCAT(at.language_code) as existing_translations
       FROM articles a
       LEFT JOIN article_translations at ON a.id = at.article_id
-      WHERE a.status = ?
+      WHERE a.deleted_at IS NULL AND a.status = ?
       GROUP BY a.id
       HAVING COUNT(at.language_code) < 2
     `;
@@ -102,7 +102,7 @@ router.get('/missing', async (req, res) => {
 router.get('/status', async (req, res) => {
   try {
     // Get total number of published articles
-    const totalArticlesResult = await query('SELECT COUNT(*) as count FROM articles WHERE status = ?', ['published']);
+    const totalArticlesResult = await query('SELECT COUNT(*) as count FROM articles WHERE status = ? AND deleted_at IS NULL', ['published']);
     const totalArticles = totalArticlesResult.rows[0].count;
     
     // Get count of articles with translations for each language
@@ -112,7 +112,7 @@ router.get('/status', async (req, res) => {
         COUNT(DISTINCT article_id) as translated_articles
       FROM article_translations at
       INNER JOIN articles a ON at.article_id = a.id
-      WHERE a.status = ?
+      WHERE a.deleted_at IS NULL AND a.status = ?
       GROUP BY language_code
     `, ['published']);
     
@@ -140,7 +140,7 @@ router.get('/status', async (req, res) => {
         COUNT(at.language_code) as translation_count
       FROM articles a
       LEFT JOIN article_translations at ON a.id = at.article_id
-      WHERE a.status = ?
+      WHERE a.deleted_at IS NULL AND a.status = ?
       GROUP BY a.id
     `, ['published']);
     
@@ -53,6 +53,13 @@ router.put('/:id', authenticate, requireRole('admin'), userController.updateUser
  */
 router.put('/:id/activate', authenticate, requireRole('admin'), userController.toggleUserActiveStatus);
 
+/**
+ * PUT /api/users/:id/reviewer
+ * Grant/revoke article review permissions (admin only)
+ * Body: { "canReview": true|false }
+ */
+router.put('/:id/reviewer', authenticate, requireRole('admin'), userController.setReviewerStatus);
+
 /**
  * DELETE /api/users/:id
  * Soft delete user (admin only)
@@ -8,13 +8,16 @@ const helmet = require("helmet");
 const morgan = require("morgan");   // request logs
 const { ping, query } = require("../db");
 const { exec } = require('child_process'); // Import child_process
+const { startArticleScheduler } = require("./jobs/articleScheduler");
+const { startTrashPurge } = require("./jobs/trashPurge");
+const { startViewFlush, stopViewFlush } = require("./jobs/viewFlush");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // middleware
 app.use(express.json());
-app.use(cors());          // allow cross-origin (React / flutter dev servers)
+app.use(cors({ exposedHeaders: ["ETag"] }));   // allow cross-origin (React / flutter dev servers); ETag is read for If-Match
 app.use(
   helmet({
     contentSecurityPolicy: {
@@ -57,6 +60,12 @@ const adminRoutes = require('./routes/admin');
 // Import translation routes
 const translationRoutes = require('./routes/translations');
 
+// Import collection routes
+const collectionRoutes = require('./routes/collections');
+
+// Import routes for the signed-in user's own data
+const meRoutes = require('./routes/me');
+
 // health endpoint: returns server uptime + DB status
 api.get("/health", async (req, res) => {
   const started = Date.now();
@@ -108,6 +117,12 @@ api.use('/admin', adminRoutes);
 // Mount translation routes
 api.use('/translations', translationRoutes);
 
+// Mount collection routes
+api.use('/collections', collectionRoutes);
+
+// Mount the signed-in user's routes (bookmarks, reading progress)
+api.use('/me', meRoutes);
+
 // Endpoint to run PowerShell tests
 api.post('/run-tests', (req, res) => {
   exec('powershell.exe -File run-tests.ps1', (error, stdout, stderr) => {
@@ -140,4 +155,21 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('Database connection failed:', error.message);
   }
+
+  // Publish approved articles whose publish_at has passed and hide expired ones
+  startArticleScheduler();
+
+  // Permanently remove articles whose trash retention has passed
+  startTrashPurge();
+
+  // Write buffered article views in batches
+  startViewFlush();
 });
+
+// Write buffered article views before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    await stopViewFlush();
+    process.exit(0);
+  });
+}
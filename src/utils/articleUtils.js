@@ -9,6 +9,17 @@ const toISO = (d) => {
   return Number.isNaN(dt.getTime()) ? null : dt.toISOString();
 };
 
+// Utility: parse an optional date input from a request body.
+// undefined => not provided, null/"" => clear, otherwise must be a valid date string/timestamp.
+const parseDateInput = (value) => {
+  if (value === undefined) return { provided: false, value: undefined };
+  if (value === null || value === "") return { provided: true, value: null };
+  if (typeof value !== "string" && typeof value !== "number") return { provided: true, error: true };
+  const dt = new Date(value);
+  if (Number.isNaN(dt.getTime())) return { provided: true, error: true };
+  return { provided: true, value: dt };
+};
+
 // Utility: slug generator (ASCII-only, 255 chars max)
 const slugify = (text, fallback = "article") => {
   try {
@@ -24,7 +35,8 @@ const slugify = (text, fallback = "article") => {
   }
 };
 
-// Ensure slug uniqueness within a language; optionally exclude an article_id (for updates)
+// Ensure slug uniqueness within a language; optionally exclude an article_id (for updates).
+// Slugs other articles used previously (article_slug_history) are also taken, so old links keep redirecting.
 async function generateUniqueSlug(connection, base, language, excludeArticleId = null) {
   const maxLen = 255;
   const baseTrim =
@@ -35,13 +47,19 @@ async function generateUniqueSlug(connection, base, language, excludeArticleId =
     let rows;
     if (excludeArticleId !== null && excludeArticleId !== undefined) {
       [rows] = await connection.execute(
-        "SELECT 1 FROM article_translations WHERE slug = ? AND language_code = ? AND article_id <> ? LIMIT 1",
-        [candidate, language, excludeArticleId]
+        `SELECT 1 FROM article_translations WHERE slug = ? AND language_code = ? AND article_id <> ?
+         UNION ALL
+         SELECT 1 FROM article_slug_history WHERE slug = ? AND language_code = ? AND article_id <> ?
+         LIMIT 1`,
+        [candidate, language, excludeArticleId, candidate, language, excludeArticleId]
       );
     } else {
       [rows] = await connection.execute(
-        "SELECT 1 FROM article_translations WHERE slug = ? AND language_code = ? LIMIT 1",
-        [candidate, language]
+        `SELECT 1 FROM article_translations WHERE slug = ? AND language_code = ?
+         UNION ALL
+         SELECT 1 FROM article_slug_history WHERE slug = ? AND language_code = ?
+         LIMIT 1`,
+        [candidate, language, candidate, language]
       );
     }
 
@@ -59,6 +77,21 @@ async function generateUniqueSlug(connection, base, language, excludeArticleId =
   return baseTrim.slice(0, maxLen - fallbackSuffix.length) + fallbackSuffix;
 }
 
+// Remember a translation's previous slug so requests for it can be redirected.
+// If the new slug is one the article used before, it is live again and leaves the history.
+async function recordSlugChange(connection, articleId, language, oldSlug, newSlug) {
+  if (!oldSlug || oldSlug === newSlug) return;
+  await connection.execute(
+    `INSERT INTO article_slug_history (article_id, language_code, slug, created_at) VALUES (?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE article_id = VALUES(article_id), created_at = NOW()`,
+    [articleId, language, oldSlug]
+  );
+  await connection.execute(
+    "DELETE FROM article_slug_history WHERE article_id = ? AND language_code = ? AND slug = ?",
+    [articleId, language, newSlug]
+  );
+}
+
 // Utility: Find or create tags and return their IDs
 async function findOrCreateTags(connection, tagCodes, languageCode) {
   if (!Array.isArray(tagCodes) || tagCodes.length === 0) {
@@ -137,10 +170,36 @@ async function findOrCreateTags(connection, tagCodes, languageCode) {
    }
  };
 
+// Find a media asset by URL or create it (type and MIME derived from the URL).
+// Returns the asset id, or null for a blank URL.
+async function findOrCreateMedia(connection, url) {
+  const trimmedUrl = typeof url === "string" ? url.trim() : "";
+  if (!trimmedUrl) return null;
+
+  const [existingMediaRows] = await connection.execute(
+    "SELECT id FROM media_assets WHERE url = ?",
+    [trimmedUrl]
+  );
+  if (Array.isArray(existingMediaRows) && existingMediaRows.length > 0) {
+    return existingMediaRows[0].id;
+  }
+
+  const mime = mimeFromUrl(trimmedUrl);
+  const type = mime.startsWith("image/") ? "image" : (mime.startsWith("video/") ? "video" : "other");
+  const [insertMediaRes] = await connection.execute(
+    "INSERT INTO media_assets (type, url, mime_type, created_at) VALUES (?, ?, ?, NOW())",
+    [type, trimmedUrl, mime]
+  );
+  return insertMediaRes.insertId;
+}
+
 module.exports = {
   toISO,
+  parseDateInput,
   slugify,
   generateUniqueSlug,
+  recordSlugChange,
   findOrCreateTags,
+  findOrCreateMedia,
   mimeFromUrl,
 };
\ No newline at end of file
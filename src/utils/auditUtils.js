@@ -0,0 +1,36 @@
+// src/utils/auditUtils.js
+// Helpers for admin_audit_log (who ran destructive admin operations, and what they affected)
+
+const { toISO } = require("./articleUtils");
+
+// Append an entry; details is stored as JSON text
+async function recordAdminAction(connection, { userId, action, details = null, ipAddress = null }) {
+  await connection.execute(
+    `INSERT INTO admin_audit_log (user_id, action, details, ip_address, created_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [userId, action, details === null ? null : JSON.stringify(details), ipAddress]
+  );
+}
+
+// Shape an audit row (optionally joined with users.display_name) for API responses
+const formatAuditEntry = (row) => {
+  let details = null;
+  if (row.details) {
+    try {
+      details = JSON.parse(row.details);
+    } catch {
+      details = row.details;
+    }
+  }
+  return {
+    id: String(row.id),
+    user_id: row.user_id ? String(row.user_id) : null,
+    user_display_name: row.user_display_name || null,
+    action: row.action,
+    details,
+    ip_address: row.ip_address || null,
+    created_at: toISO(row.created_at),
+  };
+};
+
+module.exports = { recordAdminAction, formatAuditEntry };
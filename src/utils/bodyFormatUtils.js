@@ -0,0 +1,150 @@
+// src/utils/bodyFormatUtils.js
+// Authoring formats of article bodies (HTML, Markdown or content blocks) and the formats they are served in
+//
+// article_translations.body always holds sanitised HTML, so listings, search and excerpts
+// work the same for every article. A translation written in Markdown also keeps its source
+// in body_source (body_format = 'markdown'), one written as content blocks keeps the blocks
+// there as JSON (body_format = 'blocks'); body is the rendered HTML.
+
+const { Marked } = require("marked");
+const { sanitizeArticleHtml } = require("./sanitizeUtils");
+const { htmlToText } = require("./textUtils");
+const { normalizeBlocks, renderBlocksHtml, parseStoredBlocks } = require("./contentBlockUtils");
+
+const BODY_FORMATS = ["html", "markdown", "blocks"];
+const OUTPUT_FORMATS = ["html", "markdown", "text"];
+
+// The article title is the page's h1, so Markdown headings start at h2 ("#" -> h2)
+const markdown = new Marked({
+  gfm: true,
+  walkTokens(token) {
+    if (token.type === "heading") {
+      token.depth = Math.min(token.depth + 1, 6);
+    }
+  },
+});
+
+// Rendered, sanitised HTML from a Markdown source
+const renderMarkdown = (source) => sanitizeArticleHtml(markdown.parse(source));
+
+/**
+ * The body of a write request: content (in body_format) or blocks, never both.
+ * Returns { present, source, format } or { error }; format is undefined when the request
+ * leaves it to the translation's current one (see inheritedFormat).
+ */
+function readBodyInput({ content, blocks, bodyFormat }) {
+  if (blocks !== undefined) {
+    if (content !== undefined) {
+      return { error: "Send either content or blocks, not both" };
+    }
+    if (bodyFormat !== undefined && bodyFormat !== "blocks") {
+      return { error: "body_format must be \"blocks\" (or omitted) when blocks are given" };
+    }
+    return { present: true, source: blocks, format: "blocks" };
+  }
+  if (bodyFormat === "blocks") {
+    return { error: "body_format \"blocks\" takes blocks instead of content" };
+  }
+  return { present: content !== undefined && content !== null, source: content, format: bodyFormat };
+}
+
+// Format of new content sent without body_format: Markdown bodies stay Markdown, anything else is HTML
+const inheritedFormat = (currentFormat) => (currentFormat === "markdown" ? "markdown" : "html");
+
+/**
+ * Columns to store for a body written in the given format:
+ * { body (sanitised HTML), bodyFormat, bodySource (Markdown source, blocks JSON or null) }, or
+ * { error } when the format is unknown, the blocks are invalid or nothing is left after sanitising.
+ */
+function prepareBody(content, format = "html") {
+  if (!BODY_FORMATS.includes(format)) {
+    return { error: `body_format must be one of: ${BODY_FORMATS.join(", ")}` };
+  }
+  let body;
+  let bodySource = null;
+  if (format === "blocks") {
+    const parsed = normalizeBlocks(content);
+    if (parsed.error) return { error: parsed.error };
+    body = sanitizeArticleHtml(renderBlocksHtml(parsed.blocks));
+    bodySource = JSON.stringify(parsed.blocks);
+  } else if (format === "markdown") {
+    body = renderMarkdown(String(content));
+    bodySource = String(content);
+  } else {
+    body = sanitizeArticleHtml(String(content));
+  }
+  if (typeof body !== "string" || body.trim().length === 0) {
+    return { error: "Content is empty after removing disallowed HTML" };
+  }
+  return { body, bodyFormat: format, bodySource };
+}
+
+/**
+ * Body columns for stored content (a revision being restored): Markdown and blocks are rendered
+ * again from their source, HTML is sanitised again. Falls back to the stored HTML when the
+ * source is missing or no longer valid.
+ */
+function rebuildBody({ body, body_format: bodyFormat, body_source: bodySource }) {
+  if (bodyFormat === "markdown" && typeof bodySource === "string") {
+    return prepareBody(bodySource, "markdown");
+  }
+  if (bodyFormat === "blocks") {
+    const blocks = parseStoredBlocks(bodySource);
+    const prepared = blocks ? prepareBody(blocks, "blocks") : null;
+    if (prepared && !prepared.error) return prepared;
+  }
+  return { body: sanitizeArticleHtml(body || ""), bodyFormat: "html", bodySource: null };
+}
+
+// body_format / body_source / blocks for API responses
+const sourceFields = (bodyFormat, bodySource) => ({
+  body_format: bodyFormat || "html",
+  body_source: bodyFormat === "markdown" ? bodySource || "" : null,
+  blocks: bodyFormat === "blocks" ? parseStoredBlocks(bodySource) : null,
+});
+
+// Validate ?format= on article reads; returns { format } (default html) or { error }
+function parseOutputFormat(value) {
+  if (value === undefined || value === "") return { format: "html" };
+  if (!OUTPUT_FORMATS.includes(value)) {
+    return { error: `Invalid format. Allowed: ${OUTPUT_FORMATS.join(", ")}` };
+  }
+  return { format: value };
+}
+
+/**
+ * Body fields for an article read from a row with the stored body (as content), body_format
+ * and body_source, in the requested output format:
+ * - html: the rendered, sanitised HTML
+ * - markdown: the Markdown source; other bodies are returned as HTML, which is valid Markdown
+ * - text: plain text rendered from the HTML
+ * Bodies written as blocks also return the blocks.
+ */
+function bodyFields(row, format = "html") {
+  const html = row.content ?? row.body ?? "";
+  const bodyFormat = row.body_format || "html";
+  let content = html;
+  if (format === "markdown" && bodyFormat === "markdown") {
+    content = row.body_source || "";
+  } else if (format === "text") {
+    content = htmlToText(html);
+  }
+  return {
+    content,
+    content_format: format,
+    ...sourceFields(bodyFormat, row.body_source),
+  };
+}
+
+module.exports = {
+  BODY_FORMATS,
+  OUTPUT_FORMATS,
+  renderMarkdown,
+  readBodyInput,
+  inheritedFormat,
+  prepareBody,
+  rebuildBody,
+  sourceFields,
+  parseOutputFormat,
+  bodyFields,
+};
@@ -0,0 +1,22 @@
+// src/utils/bookmarkUtils.js
+// Readers' bookmarks (their reading list): one row per user and article
+
+// Reading list order: most recently saved first
+const BOOKMARK_SORTS = {
+  saved: { key: "b.created_at", direction: "DESC", type: "date" },
+};
+
+// Whether the user has bookmarked the article; false without a user
+async function isBookmarked(executor, articleId, userId = null) {
+  if (!userId) return false;
+  const [rows] = await executor.query(
+    "SELECT 1 FROM article_bookmarks WHERE user_id = ? AND article_id = ?",
+    [userId, articleId]
+  );
+  return rows.length > 0;
+}
+
+module.exports = {
+  BOOKMARK_SORTS,
+  isBookmarked,
+};
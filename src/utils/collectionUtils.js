@@ -0,0 +1,144 @@
+// src/utils/collectionUtils.js
+// Helpers for collections (ordered, bilingual article series) and their items
+
+const { toISO } = require('./articleUtils');
+
+// Localised title/description, falling back to English when the Bengali one is empty
+const localized = (row, field, languageCode) =>
+  (languageCode === 'bn' && row[`${field}_bn`]) ? row[`${field}_bn`] : (row[`${field}_en`] || '');
+
+// Shape a collection row for API responses
+const formatCollection = (row, languageCode = 'en') => ({
+  id: String(row.id),
+  code: row.code,
+  title: localized(row, 'title', languageCode),
+  title_en: row.title_en,
+  title_bn: row.title_bn || '',
+  description: localized(row, 'description', languageCode),
+  description_en: row.description_en || '',
+  description_bn: row.description_bn || '',
+  created_at: toISO(row.created_at),
+  updated_at: toISO(row.updated_at),
+});
+
+// Load a collection by numeric ID or code; returns the row or null
+async function findCollection(executor, idOrCode, { forUpdate = false } = {}) {
+  const column = /^\d+$/.test(String(idOrCode)) ? 'id' : 'code';
+  const [rows] = await executor.execute(
+    `SELECT * FROM collections WHERE ${column} = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [String(idOrCode)]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Items of a collection in order, with their title in the given language.
+ * publishedOnly leaves out unpublished and trashed articles (public reads); otherwise
+ * trashed articles are still left out but every status is listed, with the status.
+ */
+async function loadCollectionItems(executor, collectionId, languageCode = 'en', { publishedOnly = true } = {}) {
+  const [rows] = await executor.execute(
+    `SELECT ci.article_id, ci.position, a.status, at.title, at.slug
+     FROM collection_items ci
+     INNER JOIN articles a ON a.id = ci.article_id AND a.deleted_at IS NULL
+     LEFT JOIN article_translations at ON at.article_id = a.id AND at.language_code = ?
+     WHERE ci.collection_id = ?${publishedOnly ? " AND a.status = 'published'" : ''}
+     ORDER BY ci.position ASC, ci.article_id ASC`,
+    [languageCode, collectionId]
+  );
+  return rows.map((row, index) => ({
+    article_id: String(row.article_id),
+    part: index + 1,
+    title: row.title || '',
+    slug: row.slug || null,
+    ...(publishedOnly ? {} : { status: row.status }),
+  }));
+}
+
+/**
+ * Series navigation for an article: one entry per collection that contains it, with its
+ * part number among the published items and the previous/next published article.
+ */
+async function loadCollectionNavigation(executor, articleId, languageCode = 'en') {
+  const [rows] = await executor.execute(
+    `SELECT c.id, c.code, c.title_en, c.title_bn, ci.article_id, at.title, at.slug
+     FROM collection_items mine
+     INNER JOIN collections c ON c.id = mine.collection_id
+     INNER JOIN collection_items ci ON ci.collection_id = c.id
+     INNER JOIN articles a ON a.id = ci.article_id AND a.deleted_at IS NULL AND a.status = 'published'
+     LEFT JOIN article_translations at ON at.article_id = a.id AND at.language_code = ?
+     WHERE mine.article_id = ?
+     ORDER BY c.id ASC, ci.position ASC, ci.article_id ASC`,
+    [languageCode, articleId]
+  );
+
+  const byCollection = new Map();
+  for (const row of rows) {
+    if (!byCollection.has(row.id)) byCollection.set(row.id, { row, items: [] });
+    byCollection.get(row.id).items.push(row);
+  }
+
+  const link = (item) => (item
+    ? { article_id: String(item.article_id), title: item.title || '', slug: item.slug || null }
+    : null);
+
+  const navigation = [];
+  for (const { row, items } of byCollection.values()) {
+    const index = items.findIndex((item) => String(item.article_id) === String(articleId));
+    if (index === -1) continue;
+    navigation.push({
+      collection_id: String(row.id),
+      code: row.code,
+      title: localized(row, 'title', languageCode),
+      part: index + 1,
+      total_parts: items.length,
+      previous: link(items[index - 1]),
+      next: link(items[index + 1]),
+    });
+  }
+  return navigation;
+}
+
+// Validate a list of article IDs for a collection: unique, existing and not trashed.
+// Returns { articleIds } (numbers, in order) or { error }.
+async function validateCollectionArticles(connection, input) {
+  if (!Array.isArray(input) || input.some((id) => !/^\d+$/.test(String(id)))) {
+    return { error: 'article_ids must be an array of article IDs' };
+  }
+  const articleIds = input.map((id) => parseInt(String(id), 10));
+  if (new Set(articleIds).size !== articleIds.length) {
+    return { error: 'article_ids must not contain duplicates' };
+  }
+  if (articleIds.length > 0) {
+    const [rows] = await connection.query(
+      'SELECT id FROM articles WHERE id IN (?) AND deleted_at IS NULL',
+      [articleIds]
+    );
+    const found = new Set(rows.map((r) => Number(r.id)));
+    const missing = articleIds.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      return { error: `Articles not found: ${missing.join(', ')}` };
+    }
+  }
+  return { articleIds };
+}
+
+// Store the given order as positions 1..n, replacing the current items
+async function replaceCollectionItems(connection, collectionId, articleIds) {
+  await connection.execute('DELETE FROM collection_items WHERE collection_id = ?', [collectionId]);
+  for (const [index, articleId] of articleIds.entries()) {
+    await connection.execute(
+      'INSERT INTO collection_items (collection_id, article_id, position, created_at) VALUES (?, ?, ?, NOW())',
+      [collectionId, articleId, index + 1]
+    );
+  }
+}
+
+module.exports = {
+  formatCollection,
+  findCollection,
+  loadCollectionItems,
+  loadCollectionNavigation,
+  validateCollectionArticles,
+  replaceCollectionItems,
+};
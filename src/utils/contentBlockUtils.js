@@ -0,0 +1,150 @@
+// src/utils/contentBlockUtils.js
+// Structured article bodies: an ordered array of typed blocks
+//
+// Apps render blocks natively (callouts, step lists, media, quotes); every other client keeps
+// reading the HTML in article_translations.body, which is rendered from the blocks on write.
+// Block text is plain text: it is escaped when rendered, never interpreted as HTML.
+//
+//   { "type": "paragraph", "text": "..." }
+//   { "type": "heading", "text": "...", "level": 2 }                 (level 2-4, default 2)
+//   { "type": "list", "items": ["...", "..."], "style": "unordered" } (or "ordered")
+//   { "type": "image", "url": "https://...", "alt": "...", "caption": "..." }
+//   { "type": "video", "url": "https://...", "caption": "..." }
+//   { "type": "callout", "text": "...", "title": "...", "variant": "info" } (info, tip, warning, danger)
+//   { "type": "quote", "text": "...", "cite": "..." }
+
+const { escapeHtml } = require("./sanitizeUtils");
+
+const BLOCK_TYPES = ["paragraph", "heading", "list", "image", "video", "callout", "quote"];
+const HEADING_LEVELS = [2, 3, 4];
+const LIST_STYLES = ["unordered", "ordered"];
+const CALLOUT_VARIANTS = ["info", "tip", "warning", "danger"];
+const MAX_BLOCKS = 500;
+const MAX_LIST_ITEMS = 200;
+
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+const optionalText = (value) => (isText(value) ? value.trim() : null);
+const isHttpUrl = (value) => typeof value === "string" && /^https?:\/\/\S+$/i.test(value.trim());
+
+// Normalised copy of one block, or an error message
+function normalizeBlock(block) {
+  if (!block || typeof block !== "object" || Array.isArray(block)) return "must be an object";
+  if (!BLOCK_TYPES.includes(block.type)) return `type must be one of: ${BLOCK_TYPES.join(", ")}`;
+
+  switch (block.type) {
+    case "paragraph":
+      if (!isText(block.text)) return "text must be a non-empty string";
+      return { type: "paragraph", text: block.text.trim() };
+    case "heading": {
+      if (!isText(block.text)) return "text must be a non-empty string";
+      const level = block.level === undefined || block.level === null ? 2 : block.level;
+      if (!HEADING_LEVELS.includes(level)) return `level must be one of: ${HEADING_LEVELS.join(", ")}`;
+      return { type: "heading", level, text: block.text.trim() };
+    }
+    case "list": {
+      const style = block.style === undefined || block.style === null ? "unordered" : block.style;
+      if (!LIST_STYLES.includes(style)) return `style must be one of: ${LIST_STYLES.join(", ")}`;
+      if (!Array.isArray(block.items) || block.items.length === 0 || !block.items.every(isText)) {
+        return "items must be a non-empty array of non-empty strings";
+      }
+      if (block.items.length > MAX_LIST_ITEMS) return `items must have at most ${MAX_LIST_ITEMS} entries`;
+      return { type: "list", style, items: block.items.map((item) => item.trim()) };
+    }
+    case "image":
+      if (!isHttpUrl(block.url)) return "url must be an http(s) URL";
+      return { type: "image", url: block.url.trim(), alt: optionalText(block.alt), caption: optionalText(block.caption) };
+    case "video":
+      if (!isHttpUrl(block.url)) return "url must be an http(s) URL";
+      return { type: "video", url: block.url.trim(), caption: optionalText(block.caption) };
+    case "callout": {
+      if (!isText(block.text)) return "text must be a non-empty string";
+      const variant = block.variant === undefined || block.variant === null ? "info" : block.variant;
+      if (!CALLOUT_VARIANTS.includes(variant)) return `variant must be one of: ${CALLOUT_VARIANTS.join(", ")}`;
+      return { type: "callout", variant, title: optionalText(block.title), text: block.text.trim() };
+    }
+    case "quote":
+      if (!isText(block.text)) return "text must be a non-empty string";
+      return { type: "quote", text: block.text.trim(), cite: optionalText(block.cite) };
+    default:
+      return "is not supported";
+  }
+}
+
+/**
+ * Validate blocks from a request body. Returns { blocks } (normalised: trimmed text, defaults
+ * filled in, unknown properties dropped) or { error } naming the first invalid block.
+ */
+function normalizeBlocks(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "blocks must be a non-empty array" };
+  }
+  if (input.length > MAX_BLOCKS) {
+    return { error: `blocks must have at most ${MAX_BLOCKS} entries` };
+  }
+  const blocks = [];
+  for (const [index, block] of input.entries()) {
+    const normalized = normalizeBlock(block);
+    if (typeof normalized === "string") {
+      return { error: `blocks[${index}]: ${normalized}` };
+    }
+    blocks.push(normalized);
+  }
+  return { blocks };
+}
+
+// Escaped text with line breaks kept
+const inline = (text) => escapeHtml(text).replace(/\r?\n/g, "<br>");
+
+function renderBlock(block) {
+  switch (block.type) {
+    case "paragraph":
+      return `<p>${inline(block.text)}</p>`;
+    case "heading":
+      return `<h${block.level}>${inline(block.text)}</h${block.level}>`;
+    case "list": {
+      const tag = block.style === "ordered" ? "ol" : "ul";
+      return `<${tag}>${block.items.map((item) => `<li>${inline(item)}</li>`).join("")}</${tag}>`;
+    }
+    case "image": {
+      const caption = block.caption ? `<figcaption>${inline(block.caption)}</figcaption>` : "";
+      return `<figure><img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt || "")}">${caption}</figure>`;
+    }
+    case "video": {
+      // No player in the HTML allowlist: HTML-only clients get a link to the video
+      const label = block.caption ? inline(block.caption) : escapeHtml(block.url);
+      return `<figure><a href="${escapeHtml(block.url)}">${label}</a></figure>`;
+    }
+    case "callout": {
+      const title = block.title ? `<p><strong>${inline(block.title)}</strong></p>` : "";
+      return `<blockquote>${title}<p>${inline(block.text)}</p></blockquote>`;
+    }
+    case "quote": {
+      const cite = block.cite ? `<p>— <cite>${inline(block.cite)}</cite></p>` : "";
+      return `<blockquote><p>${inline(block.text)}</p>${cite}</blockquote>`;
+    }
+    default:
+      return "";
+  }
+}
+
+// HTML for normalised blocks (still to be sanitised like any other article body)
+const renderBlocksHtml = (blocks) => blocks.map(renderBlock).join("\n");
+
+// Blocks stored as JSON in body_source; null when missing or unreadable
+function parseStoredBlocks(source) {
+  if (typeof source !== "string" || source.length === 0) return null;
+  try {
+    const blocks = JSON.parse(source);
+    return Array.isArray(blocks) ? blocks : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  MAX_BLOCKS,
+  normalizeBlocks,
+  renderBlocksHtml,
+  parseStoredBlocks,
+};
@@ -0,0 +1,110 @@
+// src/utils/contributorUtils.js
+// Contributor credits (co-authors, translators, reviewers), stored in article_contributors
+//
+// The primary author stays in articles.author_user_id and is always listed first with
+// role "author"; article_contributors holds everyone else credited on the article.
+
+const CONTRIBUTOR_ROLES = ["co_author", "translator", "reviewer"];
+const MAX_CONTRIBUTORS = 50;
+
+// Credits shown on article reads, primary author first, then by role and the order they were given.
+// executor is the pool or a connection.
+async function loadContributors(executor, articleId) {
+  const [rows] = await executor.execute(
+    `SELECT c.user_id, u.display_name, c.role, c.language_code, c.sort_rank, c.position
+     FROM (
+       SELECT a.author_user_id AS user_id, 'author' AS role, NULL AS language_code, 0 AS sort_rank, 0 AS position
+       FROM articles a
+       WHERE a.id = ? AND a.author_user_id IS NOT NULL
+       UNION ALL
+       SELECT ac.user_id, ac.role, ac.language_code,
+              FIELD(ac.role, 'co_author', 'translator', 'reviewer') AS sort_rank, ac.position
+       FROM article_contributors ac
+       WHERE ac.article_id = ?
+     ) c
+     LEFT JOIN users u ON c.user_id = u.id
+     ORDER BY c.sort_rank ASC, c.position ASC, c.user_id ASC`,
+    [articleId, articleId]
+  );
+  return rows.map(formatContributor);
+}
+
+// Shape a contributor row for API responses
+const formatContributor = (row) => ({
+  user_id: String(row.user_id),
+  display_name: row.display_name || null,
+  role: row.role,
+  language_code: row.language_code || null,
+});
+
+/**
+ * Validate a contributor list from a request body against the article's primary author.
+ * Each entry is { user_id, role, language_code? }; language_code is only meaningful for
+ * translators (the language they translated into).
+ * Returns { contributors } (normalised) or { error }.
+ */
+async function validateContributors(connection, input, authorUserId) {
+  if (!Array.isArray(input)) {
+    return { error: "contributors must be an array" };
+  }
+  if (input.length > MAX_CONTRIBUTORS) {
+    return { error: `At most ${MAX_CONTRIBUTORS} contributors are allowed` };
+  }
+
+  const contributors = [];
+  const seen = new Set();
+  for (const [index, entry] of input.entries()) {
+    const { user_id: userId, role, language_code: languageCode = null } = entry || {};
+    if (userId === undefined || userId === null || !/^\d+$/.test(String(userId))) {
+      return { error: `contributors[${index}].user_id must be a user ID` };
+    }
+    if (!CONTRIBUTOR_ROLES.includes(role)) {
+      return { error: `contributors[${index}].role must be one of: ${CONTRIBUTOR_ROLES.join(", ")}` };
+    }
+    if (languageCode !== null && (role !== "translator" || !["en", "bn"].includes(languageCode))) {
+      return { error: `contributors[${index}].language_code is only allowed for translators ('en' or 'bn')` };
+    }
+    if (role === "co_author" && String(userId) === String(authorUserId)) {
+      return { error: `contributors[${index}] is already the article's author` };
+    }
+    const key = `${userId}:${role}`;
+    if (seen.has(key)) {
+      return { error: `contributors[${index}] duplicates an earlier entry` };
+    }
+    seen.add(key);
+    contributors.push({ userId: parseInt(String(userId), 10), role, languageCode, position: index });
+  }
+
+  const userIds = [...new Set(contributors.map((c) => c.userId))];
+  if (userIds.length > 0) {
+    const [rows] = await connection.query("SELECT id FROM users WHERE id IN (?) AND is_active = 1", [userIds]);
+    const found = new Set(rows.map((r) => Number(r.id)));
+    const unknown = userIds.filter((id) => !found.has(id));
+    if (unknown.length > 0) {
+      return { error: `Unknown or inactive users: ${unknown.join(", ")}` };
+    }
+  }
+
+  return { contributors };
+}
+
+// Replace all contributor credits of an article with a validated list
+async function replaceContributors(connection, articleId, contributors) {
+  await connection.execute("DELETE FROM article_contributors WHERE article_id = ?", [articleId]);
+  for (const c of contributors) {
+    await connection.execute(
+      `INSERT INTO article_contributors (article_id, user_id, role, language_code, position, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [articleId, c.userId, c.role, c.languageCode, c.position]
+    );
+  }
+}
+
+module.exports = {
+  CONTRIBUTOR_ROLES,
+  MAX_CONTRIBUTORS,
+  loadContributors,
+  formatContributor,
+  validateContributors,
+  replaceContributors,
+};
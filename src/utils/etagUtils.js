@@ -0,0 +1,53 @@
+// src/utils/etagUtils.js
+// Optimistic concurrency for article writes, based on articles.version
+//
+// Every change to an article (content, translations, tags, media, status, schedule) bumps
+// articles.version. Editor reads and writes expose it as an ETag; edits must send it back in If-Match.
+
+// Strong ETag for an article version, e.g. "42-7": the version is an exact revision counter
+const articleEtag = (id, version) => `"${id}-${version}"`;
+
+// Set the ETag header for an article and return the version for the response body
+function setArticleEtag(res, id, version) {
+  res.set("ETag", articleEtag(id, version));
+  return Number(version);
+}
+
+// Entity tags listed in an If-Match header, as sent. If-Match uses strong comparison
+// (RFC 7232), so weak tags (W/"...") are kept as-is and never match.
+const parseIfMatch = (header) =>
+  String(header)
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Check the If-Match header of a write against the article's current version.
+ * Returns null when the write may proceed, otherwise { status, body } to send:
+ * - 428 when the header is missing
+ * - 412 (with the current version) when it names another version
+ */
+function checkIfMatch(req, id, version) {
+  const header = req.get("If-Match");
+  if (!header) {
+    return {
+      status: 428,
+      body: { error: "If-Match header required. Send the ETag from your last read of the article" },
+    };
+  }
+  const current = articleEtag(id, version);
+  const tags = parseIfMatch(header);
+  if (tags.includes("*") || tags.includes(current)) {
+    return null;
+  }
+  return {
+    status: 412,
+    body: {
+      error: "Article was modified since you last read it. Reload it and reapply your changes",
+      current_version: Number(version),
+      etag: articleEtag(id, version),
+    },
+  };
+}
+
+module.exports = { articleEtag, setArticleEtag, checkIfMatch };
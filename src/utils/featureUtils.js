@@ -0,0 +1,117 @@
+// src/utils/featureUtils.js
+// Editorial promotion of articles, stored in article_features
+//
+// - featured: listed by GET /api/articles/featured, ordered by position
+// - pinned: shown above the regular items on the first page of a listing. A pin without a
+//   category belongs to GET /api/articles; a pin with one to GET /api/categories/:id/articles.
+// Both can carry an expires_at after which they stop applying (rows are kept, just ignored).
+
+const { toISO, parseDateInput } = require("./articleUtils");
+
+// Live pins per scope. Listings show this many above their pages and leave every pinned
+// article out of the pages, so pinning is refused beyond it.
+const MAX_PINNED = 10;
+
+// Condition on the f alias: the feature has not expired
+const LIVE_FEATURE = "(f.expires_at IS NULL OR f.expires_at > NOW())";
+
+// Pins in one scope (category_id null = the main listing), for queries on articles aliased as a
+const PIN_SCOPE = `FROM article_features f
+    WHERE f.article_id = a.id AND f.kind = 'pinned' AND f.category_id <=> ? AND ${LIVE_FEATURE}`;
+
+// SQL fragments for pinned-first listings; each takes the scope's category ID (or null) as its parameter.
+// pinned / notPinned are WHERE conditions, position is the pin's position for ORDER BY.
+const PIN_SQL = {
+  pinned: `EXISTS (SELECT 1 ${PIN_SCOPE})`,
+  notPinned: `NOT EXISTS (SELECT 1 ${PIN_SCOPE})`,
+  position: `(SELECT MIN(f.position) ${PIN_SCOPE})`,
+};
+
+/**
+ * Validate position / expires_at from a feature or pin request body.
+ * Returns { position, expiresAt } or { error }.
+ */
+function parseFeatureInput(body = {}) {
+  let position = 0;
+  if (body.position !== undefined && body.position !== null) {
+    if (!/^\d+$/.test(String(body.position))) {
+      return { error: "position must be a non-negative integer" };
+    }
+    position = parseInt(String(body.position), 10);
+  }
+
+  const expiresInput = parseDateInput(body.expires_at);
+  if (expiresInput.error) {
+    return { error: "Invalid expires_at. Expected an ISO date string or null" };
+  }
+  if (expiresInput.value && expiresInput.value <= new Date()) {
+    return { error: "expires_at must be in the future" };
+  }
+
+  return { position, expiresAt: expiresInput.value || null };
+}
+
+// Create or update the feature of an article in a scope (category_id null = no category).
+// Call inside a transaction with the article row locked FOR UPDATE.
+async function upsertFeature(connection, { articleId, kind, categoryId = null, position, expiresAt, userId }) {
+  const [existing] = await connection.execute(
+    "SELECT id FROM article_features WHERE article_id = ? AND kind = ? AND category_id <=> ?",
+    [articleId, kind, categoryId]
+  );
+  if (existing.length > 0) {
+    await connection.execute(
+      "UPDATE article_features SET position = ?, expires_at = ?, created_by_user_id = ?, created_at = NOW() WHERE id = ?",
+      [position, expiresAt, userId, existing[0].id]
+    );
+  } else {
+    await connection.execute(
+      `INSERT INTO article_features (article_id, kind, category_id, position, expires_at, created_by_user_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [articleId, kind, categoryId, position, expiresAt, userId]
+    );
+  }
+}
+
+// Remove the feature of an article in a scope; returns whether there was one.
+// executor is the pool or a connection.
+async function removeFeature(executor, { articleId, kind, categoryId = null }) {
+  const [result] = await executor.execute(
+    "DELETE FROM article_features WHERE article_id = ? AND kind = ? AND category_id <=> ?",
+    [articleId, kind, categoryId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Live pins in a scope (category_id null = the main listing) other than the given article's.
+// Call inside the pin transaction; the rows are locked so concurrent pins count each other.
+async function countOtherLivePins(connection, { articleId, categoryId = null }) {
+  const [rows] = await connection.execute(
+    `SELECT COUNT(*) AS count FROM article_features f
+     WHERE f.kind = 'pinned' AND f.category_id <=> ? AND f.article_id <> ? AND ${LIVE_FEATURE}
+     FOR UPDATE`,
+    [categoryId, articleId]
+  );
+  return Number(rows[0].count);
+}
+
+// Shape a feature row for API responses
+const formatFeature = (row) => ({
+  article_id: String(row.article_id),
+  kind: row.kind,
+  category_id: row.category_id ? String(row.category_id) : null,
+  position: Number(row.position),
+  expires_at: toISO(row.expires_at),
+  created_by_user_id: row.created_by_user_id ? String(row.created_by_user_id) : null,
+  created_at: toISO(row.created_at),
+});
+
+module.exports = {
+  MAX_PINNED,
+  LIVE_FEATURE,
+  PIN_SQL,
+  parseFeatureInput,
+  upsertFeature,
+  removeFeature,
+  countOtherLivePins,
+  formatFeature,
+};
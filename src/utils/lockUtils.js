@@ -0,0 +1,63 @@
+// src/utils/lockUtils.js
+// Soft edit locks ("someone is editing this article"), stored in article_locks
+//
+// A lock belongs to one user and expires unless its holder renews it (heartbeat).
+// While a lock is live, writes to the article from anyone else answer 423 Locked.
+
+const { toISO } = require("./articleUtils");
+
+const DEFAULT_LOCK_TTL_SECONDS = 120;
+
+// Seconds a lock stays live after acquisition or the last heartbeat (ARTICLE_LOCK_TTL_SECONDS, default 120)
+function getLockTtlSeconds() {
+  const raw = process.env.ARTICLE_LOCK_TTL_SECONDS;
+  const seconds = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_LOCK_TTL_SECONDS;
+  return Number.isInteger(seconds) && seconds > 0 ? seconds : DEFAULT_LOCK_TTL_SECONDS;
+}
+
+// Live lock on an article (joined with the holder's display name), or null
+async function getActiveLock(connection, articleId, { forUpdate = false } = {}) {
+  const [rows] = await connection.execute(
+    `SELECT l.article_id, l.user_id, u.display_name AS user_display_name,
+            l.acquired_at, l.heartbeat_at, l.expires_at
+     FROM article_locks l
+     LEFT JOIN users u ON l.user_id = u.id
+     WHERE l.article_id = ? AND l.expires_at > NOW()${forUpdate ? " FOR UPDATE" : ""}`,
+    [articleId]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+// Shape a lock row for API responses
+const formatLock = (row) => ({
+  article_id: String(row.article_id),
+  user_id: String(row.user_id),
+  user_display_name: row.user_display_name || null,
+  acquired_at: toISO(row.acquired_at),
+  heartbeat_at: toISO(row.heartbeat_at),
+  expires_at: toISO(row.expires_at),
+});
+
+/**
+ * Check that a user may write to an article. Call inside the write transaction, after the
+ * article row has been locked with FOR UPDATE.
+ * Returns null when there is no live lock or the user holds it, otherwise the 423 body.
+ */
+async function checkEditLock(connection, articleId, user) {
+  const lock = await getActiveLock(connection, articleId);
+  if (!lock || String(lock.user_id) === String(user.id)) {
+    return null;
+  }
+  return {
+    error: `Article is being edited by ${lock.user_display_name || "another user"}`,
+    lock: formatLock(lock),
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCK_TTL_SECONDS,
+  getLockTtlSeconds,
+  getActiveLock,
+  formatLock,
+  checkEditLock,
+};
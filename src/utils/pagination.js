@@ -0,0 +1,121 @@
+// src/utils/pagination.js
+// Shared keyset (cursor) pagination for article listings
+//
+// Listings select `sort_value` and order by (sort key, a.id). The cursor is an opaque
+// base64url token holding the sort name plus the last row's sort value and id, so the
+// next page continues strictly after that row even when new articles are inserted.
+
+const { toISO } = require("./articleUtils");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sort options for article listings. Ties are broken by a.id in the same direction.
+const ARTICLE_SORTS = {
+  newest: { key: "COALESCE(a.published_at, a.created_at)", direction: "DESC", type: "date" },
+  oldest: { key: "COALESCE(a.published_at, a.created_at)", direction: "ASC", type: "date" },
+  updated: { key: "a.updated_at", direction: "DESC", type: "date" },
+  title: { key: "at.title", direction: "ASC", type: "string" },
+};
+
+const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, v: value, id: String(id) })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed !== "object" || !/^\d+$/.test(String(parsed.id))) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+};
+
+// Parse ?limit, ?sort and ?cursor. Returns { error } when any of them is invalid.
+function parsePagination(reqQuery = {}, { defaultSort = "newest", sorts = ARTICLE_SORTS } = {}) {
+  const { limit, sort, cursor } = reqQuery;
+
+  let limitInt = DEFAULT_LIMIT;
+  if (limit !== undefined && limit !== "") {
+    const parsed = /^\d+$/.test(String(limit)) ? parseInt(String(limit), 10) : NaN;
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      return { error: `Invalid limit. Must be a positive integer (max ${MAX_LIMIT})` };
+    }
+    limitInt = Math.min(parsed, MAX_LIMIT);
+  }
+
+  const sortName = sort === undefined || sort === "" ? defaultSort : String(sort);
+  if (!Object.prototype.hasOwnProperty.call(sorts, sortName)) {
+    return { error: `Invalid sort. Allowed: ${Object.keys(sorts).join(", ")}` };
+  }
+  const order = sorts[sortName];
+
+  let after = null;
+  if (cursor !== undefined && cursor !== "") {
+    const decoded = decodeCursor(cursor);
+    // A cursor is only valid for the sort it was issued for
+    if (!decoded || decoded.s !== sortName || decoded.v === undefined || decoded.v === null) {
+      return { error: "Invalid cursor" };
+    }
+    let value = decoded.v;
+    if (order.type === "date") {
+      value = new Date(decoded.v);
+      if (Number.isNaN(value.getTime())) return { error: "Invalid cursor" };
+    } else {
+      value = String(value);
+    }
+    after = { value, id: parseInt(decoded.id, 10) };
+  }
+
+  return { limit: limitInt, sort: sortName, order, after };
+}
+
+// SQL fragments for a parsed page:
+// - select: column list entry exposing the sort key as sort_value
+// - where: "AND (...)" keyset condition (empty on the first page) with its params
+// - orderBy: ORDER BY + LIMIT (one extra row to detect a following page)
+function keysetSql(page) {
+  const { key, direction } = page.order;
+  const cmp = direction === "DESC" ? "<" : ">";
+  const select = `${key} AS sort_value`;
+  const orderBy = `ORDER BY ${key} ${direction}, a.id ${direction} LIMIT ${page.limit + 1}`;
+  if (!page.after) {
+    return { select, where: "", params: [], orderBy };
+  }
+  return {
+    select,
+    where: `AND (${key} ${cmp} ? OR (${key} = ? AND a.id ${cmp} ?))`,
+    params: [page.after.value, page.after.value, page.after.id],
+    orderBy,
+  };
+}
+
+// Drop the look-ahead row and wrap the mapped items in the listing envelope
+function buildPage(rows, page, mapRow) {
+  const list = Array.isArray(rows) ? rows : [];
+  const hasMore = list.length > page.limit;
+  const pageRows = hasMore ? list.slice(0, page.limit) : list;
+  const last = pageRows[pageRows.length - 1];
+
+  let nextCursor = null;
+  if (hasMore && last) {
+    const value = page.order.type === "date" ? toISO(last.sort_value) : String(last.sort_value ?? "");
+    nextCursor = encodeCursor(page.sort, value, last.id);
+  }
+
+  return {
+    items: pageRows.map(mapRow),
+    next_cursor: nextCursor,
+    limit: page.limit,
+    sort: page.sort,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  ARTICLE_SORTS,
+  parsePagination,
+  keysetSql,
+  buildPage,
+};
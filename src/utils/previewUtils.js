@@ -0,0 +1,63 @@
+// src/utils/previewUtils.js
+// Signed preview links for unpublished articles
+//
+// A preview token is a JWT with purpose "preview", bound to one article and language. It lets
+// someone without an account read that article in any status until the token expires. The
+// authenticate middleware refuses purpose-bound tokens, so a preview token is never an access token.
+
+const jwt = require("jsonwebtoken");
+
+const PREVIEW_PURPOSE = "preview";
+const DEFAULT_PREVIEW_TTL_HOURS = 72;
+const MAX_PREVIEW_TTL_HOURS = 30 * 24;
+
+// Default lifetime of a preview link in hours (PREVIEW_TOKEN_TTL_HOURS, default 72)
+function getPreviewTtlHours() {
+  const raw = process.env.PREVIEW_TOKEN_TTL_HOURS;
+  const hours = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_PREVIEW_TTL_HOURS;
+  return Number.isInteger(hours) && hours > 0 ? Math.min(hours, MAX_PREVIEW_TTL_HOURS) : DEFAULT_PREVIEW_TTL_HOURS;
+}
+
+// Sign a preview token; subject is the editor who issued it
+function signPreviewToken({ articleId, languageCode, userId, ttlHours }) {
+  return jwt.sign(
+    { purpose: PREVIEW_PURPOSE, article_id: String(articleId), lang: languageCode },
+    process.env.JWT_SECRET,
+    { subject: String(userId), expiresIn: ttlHours * 60 * 60 }
+  );
+}
+
+/**
+ * Verify a preview token.
+ * Returns { articleId, languageCode, issuedBy } or { error: "expired" | "invalid" }.
+ */
+function verifyPreviewToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: error.name === "TokenExpiredError" ? "expired" : "invalid" };
+  }
+  if (
+    !decoded ||
+    decoded.purpose !== PREVIEW_PURPOSE ||
+    !/^\d+$/.test(String(decoded.article_id)) ||
+    !["en", "bn"].includes(decoded.lang)
+  ) {
+    return { error: "invalid" };
+  }
+  return {
+    articleId: String(decoded.article_id),
+    languageCode: decoded.lang,
+    issuedBy: decoded.sub || null,
+    expiresAt: new Date(decoded.exp * 1000).toISOString(),
+  };
+}
+
+module.exports = {
+  DEFAULT_PREVIEW_TTL_HOURS,
+  MAX_PREVIEW_TTL_HOURS,
+  getPreviewTtlHours,
+  signPreviewToken,
+  verifyPreviewToken,
+};
@@ -0,0 +1,98 @@
+// src/utils/reactionUtils.js
+// Reader reactions on articles: one per user per article, from a fixed set
+
+// "helpful" / "not_helpful" answer "Was this helpful?"; the rest are emoji reactions
+const REACTIONS = ["helpful", "not_helpful", "like", "love", "insightful", "sad"];
+
+const emptyCounts = () => Object.fromEntries(REACTIONS.map((reaction) => [reaction, 0]));
+
+// Share of "helpful" among the helpful/not helpful answers (0-1, 2 decimals), or null without answers
+const helpfulRate = (counts) => {
+  const answers = counts.helpful + counts.not_helpful;
+  return answers > 0 ? Math.round((counts.helpful / answers) * 100) / 100 : null;
+};
+
+/**
+ * Reaction counts of an article for public reads, with the reader's own reaction when userId is given:
+ * { counts: { helpful: 3, ... }, total, my_reaction }
+ */
+async function loadReactionSummary(executor, articleId, userId = null) {
+  const [rows] = await executor.query(
+    "SELECT reaction, COUNT(*) AS count FROM article_reactions WHERE article_id = ? GROUP BY reaction",
+    [articleId]
+  );
+  const counts = emptyCounts();
+  for (const row of rows) {
+    if (row.reaction in counts) counts[row.reaction] = Number(row.count);
+  }
+
+  let myReaction = null;
+  if (userId) {
+    const [mine] = await executor.query(
+      "SELECT reaction FROM article_reactions WHERE article_id = ? AND user_id = ?",
+      [articleId, userId]
+    );
+    myReaction = mine.length > 0 ? mine[0].reaction : null;
+  }
+
+  return {
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    my_reaction: myReaction,
+  };
+}
+
+/**
+ * Breakdown of an article's reactions for editors: counts overall and per language edition,
+ * the helpful rate, and counts over the last 7 and 30 days (by when the reaction was last set).
+ */
+async function loadReactionBreakdown(executor, articleId, now = new Date()) {
+  const since7d = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const since30d = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const [rows] = await executor.query(
+    `SELECT reaction, language_code,
+       COUNT(*) AS count,
+       SUM(updated_at >= ?) AS last_7d,
+       SUM(updated_at >= ?) AS last_30d,
+       MAX(updated_at) AS last_reacted_at
+     FROM article_reactions
+     WHERE article_id = ?
+     GROUP BY reaction, language_code`,
+    [since7d, since30d, articleId]
+  );
+
+  const counts = emptyCounts();
+  const last7d = emptyCounts();
+  const last30d = emptyCounts();
+  const byLanguage = { en: emptyCounts(), bn: emptyCounts() };
+  let lastReactedAt = null;
+  for (const row of rows) {
+    if (!(row.reaction in counts)) continue;
+    counts[row.reaction] += Number(row.count);
+    last7d[row.reaction] += Number(row.last_7d) || 0;
+    last30d[row.reaction] += Number(row.last_30d) || 0;
+    if (byLanguage[row.language_code]) byLanguage[row.language_code][row.reaction] += Number(row.count);
+    if (row.last_reacted_at && (!lastReactedAt || new Date(row.last_reacted_at) > lastReactedAt)) {
+      lastReactedAt = new Date(row.last_reacted_at);
+    }
+  }
+
+  return {
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    counts,
+    helpful_rate: helpfulRate(counts),
+    by_language: {
+      en: { counts: byLanguage.en, helpful_rate: helpfulRate(byLanguage.en) },
+      bn: { counts: byLanguage.bn, helpful_rate: helpfulRate(byLanguage.bn) },
+    },
+    last_7d: last7d,
+    last_30d: last30d,
+    last_reacted_at: lastReactedAt ? lastReactedAt.toISOString() : null,
+  };
+}
+
+module.exports = {
+  REACTIONS,
+  loadReactionSummary,
+  loadReactionBreakdown,
+};
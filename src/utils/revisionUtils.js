@@ -0,0 +1,76 @@
+// src/utils/revisionUtils.js
+// Helpers for the article_revisions store (per-translation snapshots)
+
+const { toISO } = require("./articleUtils");
+
+// Fields compared when diffing two revisions, in display order
+const REVISION_FIELDS = ["title", "slug", "excerpt", "body"];
+
+// Copy the current state of a translation into article_revisions.
+// Returns the new revision id, or null when the translation does not exist.
+async function snapshotTranslation(connection, articleId, languageCode, userId = null, restoredFromRevisionId = null) {
+  const [result] = await connection.execute(
+    `INSERT INTO article_revisions
+       (article_id, translation_id, language_code, title, slug, excerpt, body, body_format, body_source,
+        edited_by_user_id, restored_from_revision_id, created_at)
+     SELECT article_id, id, language_code, title, slug, excerpt, body, body_format, body_source, ?, ?, NOW()
+     FROM article_translations
+     WHERE article_id = ? AND language_code = ?`,
+    [userId, restoredFromRevisionId, articleId, languageCode]
+  );
+  return result && result.affectedRows > 0 ? result.insertId : null;
+}
+
+// Translations written before the revision store existed have no history yet.
+// Snapshot their current state once (editor unknown) so the first edit can be undone.
+async function ensureBaselineRevision(connection, articleId, languageCode) {
+  const [rows] = await connection.execute(
+    "SELECT 1 FROM article_revisions WHERE article_id = ? AND language_code = ? LIMIT 1",
+    [articleId, languageCode]
+  );
+  if (Array.isArray(rows) && rows.length > 0) {
+    return null;
+  }
+  return snapshotTranslation(connection, articleId, languageCode, null);
+}
+
+// Field-level diff between two revision rows
+const diffRevisions = (from, to) => {
+  const changes = [];
+  const unchanged = [];
+  for (const field of REVISION_FIELDS) {
+    const before = from[field] ?? "";
+    const after = to[field] ?? "";
+    if (before === after) {
+      unchanged.push(field);
+    } else {
+      changes.push({ field, from: before, to: after });
+    }
+  }
+  return { changes, unchanged_fields: unchanged };
+};
+
+// Shape a revision row (optionally joined with users.display_name) for API responses
+const formatRevision = (row, { includeBody = false } = {}) => ({
+  id: String(row.id),
+  article_id: String(row.article_id),
+  language_code: row.language_code,
+  title: row.title || "",
+  slug: row.slug || "",
+  excerpt: row.excerpt || "",
+  ...(includeBody
+    ? { body: row.body || "", body_format: row.body_format || "html", body_source: row.body_source ?? null }
+    : {}),
+  edited_by_user_id: row.edited_by_user_id ? String(row.edited_by_user_id) : null,
+  edited_by_display_name: row.edited_by_display_name || null,
+  restored_from_revision_id: row.restored_from_revision_id ? String(row.restored_from_revision_id) : null,
+  created_at: toISO(row.created_at),
+});
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotTranslation,
+  ensureBaselineRevision,
+  diffRevisions,
+  formatRevision,
+};
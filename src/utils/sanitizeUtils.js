@@ -0,0 +1,109 @@
+// src/utils/sanitizeUtils.js
+// HTML sanitisation of article and comment bodies (applied on write)
+//
+// Bodies are rendered as HTML by the web frontend, so everything outside an allowlist of
+// tags and attributes is removed before it is stored: scripts, event handlers, inline
+// styles, iframes, javascript: URLs and the like. The allowlists can be replaced per kind
+// of content through the environment:
+//   ARTICLE_HTML_ALLOWED_TAGS="p,br,strong,a"            (comma-separated tag names)
+//   ARTICLE_HTML_ALLOWED_ATTRIBUTES="a=href|title;img=src|alt"
+// and the same with COMMENT_ for comments.
+
+const sanitizeHtml = require("sanitize-html");
+
+const DEFAULT_ALLOWLISTS = {
+  article: {
+    tags: [
+      "p", "br", "hr", "h2", "h3", "h4", "h5", "h6",
+      "strong", "b", "em", "i", "u", "s", "sub", "sup", "mark", "small", "span",
+      "blockquote", "q", "cite", "code", "pre",
+      "ul", "ol", "li", "dl", "dt", "dd",
+      "a", "img", "figure", "figcaption",
+      "table", "thead", "tbody", "tfoot", "tr", "th", "td", "caption",
+    ],
+    attributes: {
+      a: ["href", "title", "target", "rel"],
+      img: ["src", "alt", "title", "width", "height"],
+      th: ["colspan", "rowspan", "scope"],
+      td: ["colspan", "rowspan"],
+      ol: ["start"],
+      "*": ["lang", "dir"],
+    },
+  },
+  comment: {
+    tags: ["p", "br", "strong", "b", "em", "i", "u", "s", "code", "pre", "blockquote", "ul", "ol", "li", "a"],
+    attributes: {
+      a: ["href", "title"],
+    },
+  },
+};
+
+// Tags whose content is dropped along with the tag (rather than kept as text)
+const DISCARDED_CONTENT_TAGS = ["script", "style", "textarea", "option", "noscript", "iframe", "object", "embed"];
+
+const parseTagList = (raw) => raw.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean);
+
+// "a=href|title;img=src|alt" -> { a: ["href", "title"], img: ["src", "alt"] }
+function parseAttributeList(raw) {
+  const attributes = {};
+  for (const entry of raw.split(";")) {
+    const [tag, list = ""] = entry.split("=");
+    if (!tag || !tag.trim()) continue;
+    attributes[tag.trim().toLowerCase()] = list.split("|").map((a) => a.trim().toLowerCase()).filter(Boolean);
+  }
+  return attributes;
+}
+
+// Allowlist for "article" or "comment", from <KIND>_HTML_ALLOWED_TAGS / _ATTRIBUTES or the defaults
+function getAllowlist(kind) {
+  const prefix = kind.toUpperCase();
+  const rawTags = process.env[`${prefix}_HTML_ALLOWED_TAGS`];
+  const rawAttributes = process.env[`${prefix}_HTML_ALLOWED_ATTRIBUTES`];
+  return {
+    tags: rawTags !== undefined && rawTags.trim() !== "" ? parseTagList(rawTags) : DEFAULT_ALLOWLISTS[kind].tags,
+    attributes: rawAttributes !== undefined && rawAttributes.trim() !== ""
+      ? parseAttributeList(rawAttributes)
+      : DEFAULT_ALLOWLISTS[kind].attributes,
+  };
+}
+
+// Links that open a new window must not get a handle on this one
+const relForLinks = (tagName, attribs) => ({
+  tagName,
+  attribs: attribs.target === "_blank" ? { ...attribs, rel: "noopener noreferrer" } : attribs,
+});
+
+function sanitizeBody(html, kind) {
+  if (typeof html !== "string" || html.length === 0) return html;
+  const allowlist = getAllowlist(kind);
+  return sanitizeHtml(html, {
+    allowedTags: allowlist.tags,
+    allowedAttributes: allowlist.attributes,
+    allowedSchemes: ["http", "https", "mailto"],
+    allowedSchemesByTag: { img: ["http", "https"] },
+    allowProtocolRelative: false,
+    nonTextTags: DISCARDED_CONTENT_TAGS,
+    transformTags: { a: relForLinks },
+  });
+}
+
+// Sanitised article body (translations, restored revisions)
+const sanitizeArticleHtml = (html) => sanitizeBody(html, "article");
+
+// Sanitised comment body
+const sanitizeCommentHtml = (html) => sanitizeBody(html, "comment");
+
+// Escape text for insertion into HTML (e.g. around search highlight markup)
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+module.exports = {
+  getAllowlist,
+  sanitizeArticleHtml,
+  sanitizeCommentHtml,
+  escapeHtml,
+};
@@ -0,0 +1,210 @@
+// src/utils/textUtils.js
+// Plain-text helpers for article bodies: HTML stripping, excerpts, word counts and reading time
+//
+// Bodies are stored as HTML (or plain text) in English or Bengali. Everything here is
+// Unicode-aware: Bengali words are runs of Bengali letters and combining signs, and the
+// Bengali full stop (দাঁড়ি, U+0964 "।") ends a sentence like "." does in English.
+
+const EXCERPT_MAX_LENGTH = 220;
+// Longest excerpt accepted from a request body
+const EXCERPT_INPUT_MAX_LENGTH = 1000;
+
+// Reading speed in words per minute. Bengali text is read more slowly than English.
+const WORDS_PER_MINUTE = { en: 200, bn: 150 };
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// Decode numeric and common named entities
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === "#") {
+    const code = entity[1] === "x" || entity[1] === "X"
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : " ";
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Remove tags, scripts/styles and decode common entities; collapses whitespace
+function stripHtml(html) {
+  if (typeof html !== "string" || html.length === 0) return "";
+  return decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    // Block-level boundaries become spaces so words on either side do not merge
+    .replace(/<\/?(p|div|br|li|h[1-6]|blockquote|tr|td|th|section|article)\b[^>]*>/gi, " ")
+    .replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Excerpts are plain text with no markup at all, including tags that were only entity-encoded
+// in the source (&lt;script&gt; decodes to a tag, which is removed as well)
+const excerptText = (text) => stripHtml(text).replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim();
+
+/**
+ * Readable plain text from an HTML body, for SMS and low-bandwidth channels: paragraphs and
+ * headings are separated by blank lines, list items start with "- ", preformatted blocks keep
+ * their layout, links keep their URL in parentheses and images are replaced by their alt text.
+ */
+function htmlToText(html) {
+  if (typeof html !== "string" || html.length === 0) return "";
+  // Whitespace inside <pre> is content (code, step listings): each block is set aside as plain
+  // text behind a placeholder and put back after the rest has been normalised
+  const preformatted = [];
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => {
+      preformatted.push(decodeEntities(inner
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<[^>]*>/g, ""))
+        .replace(/\r\n?/g, "\n")
+        .replace(/^\n/, "")
+        .replace(/\s+$/, ""));
+      return `<p>\uE000${preformatted.length - 1}\uE001</p>`;
+    })
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/<a\b[^>]*\bhref="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const plainLabel = label.replace(/<[^>]*>/g, "").trim();
+      return plainLabel && decodeEntities(plainLabel) !== decodeEntities(href) ? `${label} (${href})` : href;
+    })
+    .replace(/<img\b[^>]*\balt="([^"]*)"[^>]*>/gi, (match, alt) => (alt ? `[${alt}]` : ""))
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "- ")
+    .replace(/<figcaption\b[^>]*>/gi, "\n")
+    .replace(/<\/(td|th)>/gi, "\t")
+    .replace(/<\/(tr|li|dt|dd|figcaption)>/gi, "\n")
+    .replace(/<\/?(p|div|h[1-6]|blockquote|pre|ul|ol|dl|table|figure|section|article|hr)\b[^>]*>/gi, "\n\n")
+    .replace(/<[^>]*>/g, "");
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .replace(/\uE000(\d+)\uE001/g, (match, index) => preformatted[index]);
+}
+
+// Words in plain text: runs of letters, digits and combining marks (Bengali vowel signs are marks)
+function countWords(text) {
+  if (typeof text !== "string" || text.length === 0) return 0;
+  const words = text.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’\-]*/gu);
+  return words ? words.length : 0;
+}
+
+// Estimated reading time in whole minutes (at least 1 for any non-empty text)
+function readingTimeMinutes(wordCount, languageCode = "en") {
+  if (!wordCount) return 0;
+  const wpm = WORDS_PER_MINUTE[languageCode] || WORDS_PER_MINUTE.en;
+  return Math.max(1, Math.round(wordCount / wpm));
+}
+
+// Sentences of plain text, keeping their terminators (. ! ? । ॥ and the ellipsis)
+const splitSentences = (text) => text.match(/[^.!?।॥…]+(?:[.!?।॥…]+["'”’)]*|$)/gu) || [];
+
+/**
+ * Excerpt from an article body: whole sentences up to maxLength characters. When even the
+ * first sentence is longer, it is cut at the last word boundary and ends with "…".
+ */
+function deriveExcerpt(body, maxLength = EXCERPT_MAX_LENGTH) {
+  const plain = excerptText(body);
+  if (plain.length <= maxLength) return plain;
+
+  let excerpt = "";
+  for (const sentence of splitSentences(plain)) {
+    const next = `${excerpt}${sentence}`;
+    if (next.trim().length > maxLength) break;
+    excerpt = next;
+  }
+  excerpt = excerpt.trim();
+  if (excerpt.length > 0) return excerpt;
+
+  // First sentence is too long: cut at a word boundary
+  const cut = plain.slice(0, maxLength);
+  const boundary = cut.search(/\s\S*$/u);
+  return `${(boundary > maxLength / 2 ? cut.slice(0, boundary) : cut).trim()}…`;
+}
+
+// Validate an excerpt from a request body (string, or null/"" for a generated one).
+// Returns an error message or null.
+function validateExcerpt(excerpt) {
+  if (excerpt === undefined || excerpt === null) return null;
+  if (typeof excerpt !== "string") return "excerpt must be a string or null";
+  if (excerpt.trim().length > EXCERPT_INPUT_MAX_LENGTH) {
+    return `excerpt must be at most ${EXCERPT_INPUT_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Text columns to store with a translation (excerpt, excerpt_auto, word_count, reading_time_minutes).
+ * - excerpt: a non-empty string is stored as plain text (tags removed, entities decoded); null
+ *   or "" asks for a generated one; undefined (not sent) keeps current's excerpt unless that
+ *   one was generated, in which case it is regenerated from the new body.
+ * - current: the stored translation row when updating ({ excerpt, excerpt_auto }), else null.
+ */
+function translationTextFields(body, languageCode, { excerpt, current = null } = {}) {
+  const plain = stripHtml(body);
+  const wordCount = countWords(plain);
+
+  const written = typeof excerpt === "string" ? excerptText(excerpt) : "";
+  const kept = excerpt === undefined && current && !Number(current.excerpt_auto) && current.excerpt
+    ? excerptText(current.excerpt)
+    : "";
+
+  let excerptValue;
+  let excerptAuto;
+  if (written.length > 0) {
+    excerptValue = written;
+    excerptAuto = 0;
+  } else if (kept.length > 0) {
+    excerptValue = kept;
+    excerptAuto = 0;
+  } else {
+    excerptValue = deriveExcerpt(body);
+    excerptAuto = 1;
+  }
+
+  return {
+    excerpt: excerptValue,
+    excerpt_auto: excerptAuto,
+    word_count: wordCount,
+    reading_time_minutes: readingTimeMinutes(wordCount, languageCode),
+  };
+}
+
+/**
+ * excerpt / word_count / reading_time_minutes for API responses from a row selected with
+ * at.excerpt, at.word_count, at.reading_time_minutes (and, where available, the body as
+ * content). Translations written before these columns existed are computed from the body.
+ */
+function articleTextFields(row, languageCode = "en") {
+  const body = row.content ?? row.body;
+  let wordCount = row.word_count;
+  if ((wordCount === null || wordCount === undefined) && typeof body === "string") {
+    wordCount = countWords(stripHtml(body));
+  }
+  let readingTime = row.reading_time_minutes;
+  if ((readingTime === null || readingTime === undefined) && wordCount !== null && wordCount !== undefined) {
+    readingTime = readingTimeMinutes(Number(wordCount), languageCode);
+  }
+  return {
+    excerpt: row.excerpt || (typeof body === "string" ? deriveExcerpt(body) : ""),
+    word_count: wordCount === null || wordCount === undefined ? null : Number(wordCount),
+    reading_time_minutes: readingTime === null || readingTime === undefined ? null : Number(readingTime),
+  };
+}
+
+module.exports = {
+  EXCERPT_MAX_LENGTH,
+  EXCERPT_INPUT_MAX_LENGTH,
+  WORDS_PER_MINUTE,
+  stripHtml,
+  excerptText,
+  htmlToText,
+  countWords,
+  readingTimeMinutes,
+  deriveExcerpt,
+  validateExcerpt,
+  translationTextFields,
+  articleTextFields,
+};
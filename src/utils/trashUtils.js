@@ -0,0 +1,130 @@
+// src/utils/trashUtils.js
+// Helpers for the article trash (soft delete via articles.deleted_at) and permanent purging
+
+const crypto = require("crypto");
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a trashed article is kept before it is purged (TRASH_RETENTION_DAYS, default 30)
+function getTrashRetentionDays() {
+  const raw = process.env.TRASH_RETENTION_DAYS;
+  const days = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_RETENTION_DAYS;
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// When a trashed article becomes eligible for purging
+const purgeAfter = (deletedAt, retentionDays = getTrashRetentionDays()) => {
+  if (!deletedAt) return null;
+  const date = deletedAt instanceof Date ? deletedAt : new Date(deletedAt);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(date.getTime() + retentionDays * DAY_MS).toISOString();
+};
+
+// Permanently remove articles and every row that references them.
+// media_assets themselves are kept, as they might be shared by other articles.
+async function purgeArticles(connection, articleIds) {
+  if (!Array.isArray(articleIds) || articleIds.length === 0) return 0;
+  await connection.query("DELETE FROM article_tags WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_media WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM comments WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_revisions WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_translations WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_slug_history WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_status_history WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_locks WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_contributors WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_features WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM collection_items WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_view_counts WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_reactions WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM article_bookmarks WHERE article_id IN (?)", [articleIds]);
+  await connection.query("DELETE FROM reading_progress WHERE article_id IN (?)", [articleIds]);
+  const [result] = await connection.query("DELETE FROM articles WHERE id IN (?)", [articleIds]);
+  return result ? result.affectedRows : 0;
+}
+
+// Rows a purge of the given articles would remove, per table. media_assets counts the
+// assets linked only to these articles (shared assets are kept).
+async function summarizeArticlePurge(connection, articleIds) {
+  const summary = {
+    articles: articleIds.length,
+    article_translations: 0,
+    article_revisions: 0,
+    article_tags: 0,
+    article_media: 0,
+    comments: 0,
+    article_status_history: 0,
+    article_slug_history: 0,
+    article_locks: 0,
+    article_contributors: 0,
+    article_features: 0,
+    collection_items: 0,
+    article_view_counts: 0,
+    article_reactions: 0,
+    article_bookmarks: 0,
+    reading_progress: 0,
+    media_assets: 0,
+  };
+  if (articleIds.length === 0) return summary;
+
+  for (const table of [
+    "article_translations",
+    "article_revisions",
+    "article_tags",
+    "article_media",
+    "comments",
+    "article_status_history",
+    "article_slug_history",
+    "article_locks",
+    "article_contributors",
+    "article_features",
+    "collection_items",
+    "article_view_counts",
+    "article_reactions",
+    "article_bookmarks",
+    "reading_progress",
+  ]) {
+    const [rows] = await connection.query(
+      `SELECT COUNT(*) AS count FROM ${table} WHERE article_id IN (?)`,
+      [articleIds]
+    );
+    summary[table] = Number(rows[0].count);
+  }
+  summary.media_assets = (await exclusiveMediaAssetIds(connection, articleIds)).length;
+  return summary;
+}
+
+// Media assets linked to the given articles and to no other article
+async function exclusiveMediaAssetIds(connection, articleIds) {
+  if (articleIds.length === 0) return [];
+  const [rows] = await connection.query(
+    `SELECT DISTINCT am.media_asset_id AS id
+     FROM article_media am
+     WHERE am.article_id IN (?)
+       AND NOT EXISTS (
+         SELECT 1 FROM article_media other
+         WHERE other.media_asset_id = am.media_asset_id AND other.article_id NOT IN (?)
+       )`,
+    [articleIds, articleIds]
+  );
+  return rows.map((r) => r.id);
+}
+
+// Stable digest of a purge target (ids + summary), used to detect changes between
+// the dry run and the confirmed purge
+const purgeFingerprint = (articleIds, summary) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ ids: [...articleIds].map(Number).sort((a, b) => a - b), summary }))
+    .digest("hex");
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  getTrashRetentionDays,
+  purgeAfter,
+  purgeArticles,
+  summarizeArticlePurge,
+  exclusiveMediaAssetIds,
+  purgeFingerprint,
+};
@@ -0,0 +1,186 @@
+// src/utils/viewUtils.js
+// Article view counting
+//
+// Reads of published articles are deduplicated per viewer in memory (a signed-in user, or a
+// hash of the client address and user agent for anonymous readers), buffered as hourly
+// counters and written to article_view_counts in batches by the view flush job. Nothing that
+// identifies a reader is stored.
+
+const crypto = require("crypto");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_DEDUP_MINUTES = 30;
+// Viewers remembered for deduplication; beyond this the oldest are forgotten early
+const MAX_TRACKED_VIEWERS = 100000;
+// Counters written per INSERT when flushing
+const FLUSH_BATCH_SIZE = 500;
+
+// Windows accepted by the trending list
+const VIEW_WINDOWS = { "24h": 24 * HOUR_MS, "7d": 7 * 24 * HOUR_MS };
+
+// Crawlers and link unfurlers are not readers
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|facebookexternalhit|preview/i;
+
+// `${viewer}|${articleId}` -> last counted view (ms), oldest first
+const lastSeen = new Map();
+// `${articleId}|${languageCode}|${hourStartMs}` -> views not yet written
+let pending = new Map();
+
+// Minutes within which repeated reads by the same viewer count once (ARTICLE_VIEW_DEDUP_MINUTES, default 30)
+function getViewDedupMinutes() {
+  const raw = process.env.ARTICLE_VIEW_DEDUP_MINUTES;
+  const minutes = raw !== undefined && raw !== "" ? parseInt(raw, 10) : DEFAULT_DEDUP_MINUTES;
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_DEDUP_MINUTES;
+}
+
+function viewerKey(req) {
+  if (req.user) return `user:${req.user.id}`;
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(`${req.ip || ""}|${req.get("user-agent") || ""}`)
+    .digest("hex")
+    .slice(0, 32);
+  return `anon:${fingerprint}`;
+}
+
+// Forget viewers whose deduplication window has passed
+function pruneViewers(now = Date.now()) {
+  const windowMs = getViewDedupMinutes() * 60 * 1000;
+  for (const [key, seenAt] of lastSeen) {
+    if (now - seenAt < windowMs) break;
+    lastSeen.delete(key);
+  }
+}
+
+/**
+ * Count a read of a published article, unless the same viewer was counted for it within the
+ * deduplication window or the client is a crawler.
+ * @returns {boolean} - whether the view was counted
+ */
+function recordArticleView(req, articleId, languageCode, now = Date.now()) {
+  if (BOT_USER_AGENT.test(req.get("user-agent") || "")) return false;
+
+  const key = `${viewerKey(req)}|${articleId}`;
+  const seenAt = lastSeen.get(key);
+  if (seenAt !== undefined && now - seenAt < getViewDedupMinutes() * 60 * 1000) return false;
+
+  // Re-inserting keeps the map ordered by last view
+  lastSeen.delete(key);
+  lastSeen.set(key, now);
+  if (lastSeen.size > MAX_TRACKED_VIEWERS) {
+    lastSeen.delete(lastSeen.keys().next().value);
+  }
+
+  const counter = `${articleId}|${languageCode}|${Math.floor(now / HOUR_MS) * HOUR_MS}`;
+  pending.set(counter, (pending.get(counter) || 0) + 1);
+  return true;
+}
+
+// Views counted but not written yet
+const bufferedViewCount = () => [...pending.values()].reduce((sum, views) => sum + views, 0);
+
+/**
+ * Write buffered views to article_view_counts. When a write fails, the views that were not
+ * written are kept for the next flush.
+ * @returns {number} - views written
+ */
+async function flushArticleViews(executor) {
+  pruneViewers();
+  if (pending.size === 0) return 0;
+
+  const batch = [...pending];
+  pending = new Map();
+
+  let written = 0;
+  for (let i = 0; i < batch.length; i += FLUSH_BATCH_SIZE) {
+    const chunk = batch.slice(i, i + FLUSH_BATCH_SIZE);
+    const rows = chunk.map(([counter, views]) => {
+      const [articleId, languageCode, hourStart] = counter.split("|");
+      return [parseInt(articleId, 10), languageCode, new Date(Number(hourStart)), views];
+    });
+    try {
+      await executor.query(
+        `INSERT INTO article_view_counts (article_id, language_code, bucket_start, views)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE views = views + VALUES(views)`,
+        [rows]
+      );
+    } catch (error) {
+      for (const [counter, views] of batch.slice(i)) {
+        pending.set(counter, (pending.get(counter) || 0) + views);
+      }
+      throw error;
+    }
+    written += rows.reduce((sum, row) => sum + row[3], 0);
+  }
+  return written;
+}
+
+// Start of a trending window ending now, or null for an unknown window
+function viewWindowStart(window, now = new Date()) {
+  const length = VIEW_WINDOWS[window];
+  return length ? new Date(now.getTime() - length) : null;
+}
+
+/**
+ * View statistics of one article: totals, the last 24 hours and 7 days, per language and per
+ * day for the last `days` days (oldest first, days without views included).
+ */
+async function loadArticleViewStats(executor, articleId, { days = 30, now = new Date() } = {}) {
+  const since24h = viewWindowStart("24h", now);
+  const since7d = viewWindowStart("7d", now);
+  const [byLanguage] = await executor.query(
+    `SELECT language_code,
+       SUM(views) AS total,
+       SUM(CASE WHEN bucket_start >= ? THEN views ELSE 0 END) AS last_24h,
+       SUM(CASE WHEN bucket_start >= ? THEN views ELSE 0 END) AS last_7d
+     FROM article_view_counts
+     WHERE article_id = ?
+     GROUP BY language_code`,
+    [since24h, since7d, articleId]
+  );
+
+  const firstDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1)));
+  const [dailyRows] = await executor.query(
+    `SELECT bucket_start, views FROM article_view_counts WHERE article_id = ? AND bucket_start >= ?`,
+    [articleId, firstDay]
+  );
+  const perDay = new Map();
+  for (const row of dailyRows) {
+    const day = new Date(row.bucket_start).toISOString().slice(0, 10);
+    perDay.set(day, (perDay.get(day) || 0) + Number(row.views));
+  }
+  const daily = [];
+  for (let i = 0; i < days; i++) {
+    const day = new Date(firstDay.getTime() + i * 24 * HOUR_MS).toISOString().slice(0, 10);
+    daily.push({ date: day, views: perDay.get(day) || 0 });
+  }
+
+  const languages = { en: { total: 0, last_24h: 0, last_7d: 0 }, bn: { total: 0, last_24h: 0, last_7d: 0 } };
+  for (const row of byLanguage) {
+    languages[row.language_code] = {
+      total: Number(row.total) || 0,
+      last_24h: Number(row.last_24h) || 0,
+      last_7d: Number(row.last_7d) || 0,
+    };
+  }
+  const sum = (field) => Object.values(languages).reduce((total, stats) => total + stats[field], 0);
+
+  return {
+    total: sum("total"),
+    last_24h: sum("last_24h"),
+    last_7d: sum("last_7d"),
+    by_language: languages,
+    daily,
+  };
+}
+
+module.exports = {
+  VIEW_WINDOWS,
+  getViewDedupMinutes,
+  recordArticleView,
+  bufferedViewCount,
+  flushArticleViews,
+  viewWindowStart,
+  loadArticleViewStats,
+};
@@ -0,0 +1,57 @@
+// src/utils/workflowUtils.js
+// Editorial workflow helpers: article statuses and the article_status_history log
+
+const { toISO } = require("./articleUtils");
+
+// All values of articles.status
+const ARTICLE_STATUSES = ["draft", "pending_review", "approved", "published", "hidden"];
+
+// Statuses an article may be created with; 'published' additionally requires reviewer rights
+const CREATE_STATUSES = ["draft", "pending_review", "published"];
+
+/**
+ * Whether publishing would skip the second pair of eyes: a reviewer publishing an article they
+ * wrote that nobody else has approved or published. Admins are exempt. fromStatus is null for
+ * an article being created; a hidden article passes when someone else published it before.
+ */
+async function isSelfPublish(connection, user, { articleId = null, authorUserId, fromStatus = null }) {
+  if (user.role === "admin" || Number(authorUserId) !== Number(user.id)) return false;
+  if (fromStatus === "approved" || fromStatus === "published") return false;
+  if (fromStatus !== "hidden") return true;
+  const [rows] = await connection.execute(
+    `SELECT 1 FROM article_status_history
+     WHERE article_id = ? AND to_status IN ('approved', 'published') AND (user_id IS NULL OR user_id <> ?)
+     LIMIT 1`,
+    [articleId, user.id]
+  );
+  return rows.length === 0;
+}
+
+// Record one status transition. userId is null for transitions made by the scheduler.
+async function recordStatusTransition(connection, { articleId, fromStatus = null, toStatus, action, comment = null, userId = null }) {
+  await connection.execute(
+    "INSERT INTO article_status_history (article_id, from_status, to_status, action, comment, user_id, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())",
+    [articleId, fromStatus, toStatus, action, comment, userId]
+  );
+}
+
+// Shape a history row (optionally joined with users.display_name) for API responses
+const formatTransition = (row) => ({
+  id: String(row.id),
+  article_id: String(row.article_id),
+  from_status: row.from_status || null,
+  to_status: row.to_status,
+  action: row.action,
+  comment: row.comment || null,
+  user_id: row.user_id ? String(row.user_id) : null,
+  user_display_name: row.user_display_name || null,
+  created_at: toISO(row.created_at),
+});
+
+module.exports = {
+  ARTICLE_STATUSES,
+  CREATE_STATUSES,
+  isSelfPublish,
+  recordStatusTransition,
+  formatTransition,
+};
@@ -0,0 +1,144 @@
+# test-admin-purge.ps1
+# PowerShell script to test the guarded bulk article purge:
+# - POST /api/admin/articles/purge/dry-run
+# - POST /api/admin/articles/purge
+# - GET  /api/admin/audit-log
+#
+# WARNING: the final test permanently deletes ALL articles. Run against a test database only.
+#
+# PREREQUISITES:
+# 1. Start the backend server with ALLOW_BULK_PURGE=true: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+$script:dryRun = $null
+
+Test-Endpoint -Name "Dry run requires authentication (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/articles/purge/dry-run"
+    }
+}
+
+Test-Endpoint -Name "Dry run reports what would be removed" -TestScript {
+    $script:dryRun = Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/articles/purge/dry-run" -AuthToken $token
+    if (-not $script:dryRun.confirm_token) { throw "No confirm_token returned" }
+    if ($null -eq $script:dryRun.summary.articles) { throw "Summary is missing the article count" }
+    Write-Host "Would remove $($script:dryRun.summary.articles) articles"
+}
+
+Test-Endpoint -Name "Purge without a confirmation token is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/articles/purge" -AuthToken $token -Body (@{} | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Confirmation token is not an access token (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/admin/stats" -AuthToken $script:dryRun.confirm_token
+    }
+}
+
+Test-Endpoint -Name "Purge is refused when content changed since the dry run (409)" -TestScript {
+    Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Purge Test $ts"
+        content = "Created after the dry run ($ts)."
+    } | ConvertTo-Json) | Out-Null
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/articles/purge" -AuthToken $token -Body (@{
+            confirm_token = $script:dryRun.confirm_token
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Purge with a fresh confirmation token" -TestScript {
+    $dryRun = Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/articles/purge/dry-run" -AuthToken $token
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/articles/purge" -AuthToken $token -Body (@{
+        confirm_token = $dryRun.confirm_token
+    } | ConvertTo-Json)
+    if ($response.summary.articles -ne $dryRun.summary.articles) { throw "Purged count differs from the dry run" }
+    $listing = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles"
+    if ($listing.items.Count -ne 0) { throw "Articles remain after the purge" }
+}
+
+Test-Endpoint -Name "Purge is recorded in the audit log" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/admin/audit-log?action=articles.bulk_purge&limit=1" -AuthToken $token
+    if ($response.entries.Count -ne 1) { throw "No audit entry found" }
+    if (-not $response.entries[0].user_id) { throw "Audit entry has no user" }
+}
+
+Write-Host "`nBulk purge tests completed." -ForegroundColor Green
@@ -0,0 +1,166 @@
+# test-article-blocks.ps1
+# PowerShell script to test structured content blocks on articles and translations
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$blocks = @(
+    @{ type = "heading"; text = "Steps $ts" },
+    @{ type = "list"; style = "ordered"; items = @("Boil water", "Add tea") },
+    @{ type = "callout"; variant = "warning"; title = "Careful"; text = "The kettle is <hot>" },
+    @{ type = "image"; url = "https://example.com/tea.jpg"; alt = "Tea"; caption = "A cup of tea" },
+    @{ type = "video"; url = "https://example.com/tea.mp4"; caption = "Watch" },
+    @{ type = "quote"; text = "Tea is life"; cite = "Someone" }
+)
+$articleId = $null
+
+Test-Endpoint -Name "Create an article from content blocks" -TestScript {
+    $body = @{ title = "Blocks Test $ts"; blocks = $blocks; status = "published" } | ConvertTo-Json -Depth 5
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    $script:articleId = $response.id
+    if ($response.body_format -ne "blocks") { throw "Expected body_format blocks, got $($response.body_format)" }
+    if ($response.blocks.Count -ne 6) { throw "Expected 6 blocks back, got $($response.blocks.Count)" }
+    if ($response.blocks[0].level -ne 2) { throw "Heading level should default to 2" }
+    if ($response.content -notmatch "<ol><li>Boil water</li><li>Add tea</li></ol>") { throw "List not rendered: $($response.content)" }
+    if ($response.content -notmatch "&lt;hot&gt;") { throw "Block text should be escaped: $($response.content)" }
+}
+
+Test-Endpoint -Name "Reads return the blocks with the rendered content" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($response.blocks.Count -ne 6) { throw "Blocks missing from the read" }
+    if ($response.blocks[2].type -ne "callout" -or $response.blocks[2].variant -ne "warning") { throw "Callout not stored as sent" }
+    if ($response.content -notmatch '<img src="https://example.com/tea.jpg"') { throw "Image not rendered: $($response.content)" }
+}
+
+Test-Endpoint -Name "Plain text rendering of blocks" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId?format=text"
+    if ($response.content -notmatch "(?m)^- Boil water$") { throw "List item missing: $($response.content)" }
+    if ($response.content -notmatch "Watch \(https://example.com/tea.mp4\)") { throw "Video link missing: $($response.content)" }
+}
+
+Test-Endpoint -Name "Invalid block is rejected with its index" -TestScript {
+    $body = @{ title = "Blocks Test $ts"; blocks = @(@{ type = "paragraph"; text = "ok" }, @{ type = "heading"; text = "x"; level = 1 }) } | ConvertTo-Json -Depth 5
+    try {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body | Out-Null
+        throw "Expected 400"
+    } catch {
+        if ($_.Exception.Response.StatusCode.value__ -ne 400) { throw }
+        if ($_.ErrorDetails.Message -notmatch "blocks\[1\]") { throw "Error does not name the block: $($_.ErrorDetails.Message)" }
+    }
+}
+
+Test-Endpoint -Name "Unknown block type is rejected" -TestScript {
+    $body = @{ title = "Blocks Test $ts"; blocks = @(@{ type = "carousel"; text = "x" }) } | ConvertTo-Json -Depth 5
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    }
+}
+
+Test-Endpoint -Name "content and blocks together are rejected" -TestScript {
+    $body = @{ title = "Blocks Test $ts"; content = "text"; blocks = @(@{ type = "paragraph"; text = "x" }) } | ConvertTo-Json -Depth 5
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    }
+}
+
+Test-Endpoint -Name "Bengali translation as blocks" -TestScript {
+    $body = @{ title = "ব্লক $ts"; blocks = @(@{ type = "paragraph"; text = "এটি একটি অনুচ্ছেদ।" }, @{ type = "callout"; text = "সতর্কতা" }) } | ConvertTo-Json -Depth 5
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/bn" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.body_format -ne "blocks") { throw "Expected body_format blocks" }
+    if ($response.blocks[1].variant -ne "info") { throw "Callout variant should default to info" }
+}
+
+Test-Endpoint -Name "Sending content switches back to HTML" -TestScript {
+    $body = @{ content = "<p>Plain HTML $ts</p>" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.body_format -ne "html") { throw "Expected body_format html, got $($response.body_format)" }
+    if ($null -ne $response.blocks) { throw "Blocks should be gone" }
+}
+
+# Cleanup
+if ($articleId) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nContent block tests completed." -ForegroundColor Green
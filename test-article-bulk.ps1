@@ -0,0 +1,158 @@
+# test-article-bulk.ps1
+# PowerShell script to test bulk article operations:
+# - POST /api/articles/bulk (set_status, move_category, add_tags, remove_tags, delete)
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+$tagCode = "bulk-$ts"
+
+$ids = @()
+foreach ($n in 1..3) {
+    $article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Bulk Test $n $ts"
+        content = "Article $n used by the bulk tests ($ts)."
+        status = "published"
+    } | ConvertTo-Json)
+    $ids += $article.id
+}
+Write-Host "Created articles $($ids -join ', ')" -ForegroundColor DarkCyan
+
+function Invoke-Bulk {
+    param ([hashtable]$Body)
+    return Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/bulk" -AuthToken $token -Body ($Body | ConvertTo-Json)
+}
+
+Test-Endpoint -Name "Unknown operation is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request { Invoke-Bulk -Body @{ ids = $ids; operation = "archive" } }
+}
+
+Test-Endpoint -Name "Unknown ID rolls back the whole batch (409)" -TestScript {
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-Bulk -Body @{ ids = ($ids + "999999999"); operation = "set_status"; status = "hidden" }
+    }
+    $article = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($ids[0])"
+    if ($article.id -ne $ids[0]) { throw "Article changed despite the rollback" }
+}
+
+Test-Endpoint -Name "Add tags to all articles" -TestScript {
+    $response = Invoke-Bulk -Body @{ ids = $ids; operation = "add_tags"; tags = @($tagCode) }
+    if ($response.applied -ne 3) { throw "Expected 3 changed articles, got $($response.applied)" }
+    $article = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($ids[1])"
+    if ($article.tags -notcontains $tagCode) { throw "Tag was not added" }
+}
+
+Test-Endpoint -Name "Adding the same tag again changes nothing" -TestScript {
+    $response = Invoke-Bulk -Body @{ ids = $ids; operation = "add_tags"; tags = @($tagCode) }
+    if ($response.applied -ne 0) { throw "Expected no changes, got $($response.applied)" }
+}
+
+Test-Endpoint -Name "Remove tags from one article" -TestScript {
+    $response = Invoke-Bulk -Body @{ ids = @($ids[0]); operation = "remove_tags"; tags = @($tagCode) }
+    if (-not $response.results[0].changed) { throw "Tag was not removed" }
+}
+
+Test-Endpoint -Name "Move articles to a category" -TestScript {
+    $response = Invoke-Bulk -Body @{ ids = $ids; operation = "move_category"; category_code = "general" }
+    if ($response.results.Count -ne 3) { throw "Expected 3 results" }
+}
+
+Test-Endpoint -Name "Unknown category is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-Bulk -Body @{ ids = $ids; operation = "move_category"; category_code = "no-such-category-$ts" }
+    }
+}
+
+Test-Endpoint -Name "Hide all articles" -TestScript {
+    $response = Invoke-Bulk -Body @{ ids = $ids; operation = "set_status"; status = "hidden" }
+    if ($response.applied -ne 3) { throw "Expected 3 changed articles, got $($response.applied)" }
+    Assert-StatusCode -Expected 404 -Request { Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($ids[2])" }
+}
+
+Test-Endpoint -Name "Delete moves all articles to the trash" -TestScript {
+    $response = Invoke-Bulk -Body @{ ids = $ids; operation = "delete" }
+    if ($response.applied -ne 3) { throw "Expected 3 trashed articles, got $($response.applied)" }
+    $trash = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/trash?limit=100" -AuthToken $token
+    foreach ($id in $ids) {
+        if (-not ($trash.items | Where-Object { $_.id -eq $id })) { throw "Article $id is not in the trash" }
+    }
+}
+
+Write-Host "`nBulk operation tests completed." -ForegroundColor Green
@@ -144,15 +144,17 @@ $commenterHeaders = @{
 }
 $unauthHeaders = @{"Content-Type" = "application/json"}
 
-# --- Test 1: Clear all articles (Admin) ---
-Write-Host "TEST 1: DELETE /api/articles (Admin - Clear all articles)" -ForegroundColor Magenta
+# --- Test 1: Clear all articles (Admin; requires ALLOW_BULK_PURGE=true on the server) ---
+Write-Host "TEST 1: POST /api/admin/articles/purge (Admin - Clear all articles)" -ForegroundColor Magenta
 try {
-    $response = Invoke-RestMethod -Uri "$baseUrl/articles" -Method Delete -Headers $adminHeaders
-    Write-TestResult -TestName "Clear all articles" -ExpectedStatusCode 204 -ActualStatusCode 204 -Response $null
+    $dryRun = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge/dry-run" -Method Post -Headers $adminHeaders
+    $purgeBody = @{ confirm_token = $dryRun.confirm_token } | ConvertTo-Json
+    $response = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge" -Method Post -Headers $adminHeaders -Body $purgeBody
+    Write-TestResult -TestName "Clear all articles" -ExpectedStatusCode 200 -ActualStatusCode 200 -Response $response
 } catch {
     $statusCode = $_.Exception.Response.StatusCode.Value__
     $responseBody = (New-Object System.IO.StreamReader($_.Exception.Response.GetResponseStream())).ReadToEnd()
-    Write-TestResult -TestName "Clear all articles" -ExpectedStatusCode 204 -ActualStatusCode $statusCode -Response ($responseBody | ConvertFrom-Json)
+    Write-TestResult -TestName "Clear all articles" -ExpectedStatusCode 200 -ActualStatusCode $statusCode -Response ($responseBody | ConvertFrom-Json)
 }
 
 # --- Test 2: Create a test article (Admin) ---
@@ -160,6 +162,7 @@ Write-Host "TEST 2: POST /api/articles (Admin - Create test article)" -Foregroun
 $articleData = @{
     title = "Test Article for Comments"
     content = "This article is for testing comments."
+    status = "published"
     image_url = "https://example.com/comment-test-image.jpg"
     category_code = "general"
 } | ConvertTo-Json
@@ -0,0 +1,195 @@
+# test-article-concurrency.ps1
+# PowerShell script to test optimistic concurrency on article edits:
+# - GET   /api/articles/:id/edit (editor read in any status, ETag + version)
+# - PUT   /api/articles/:id (If-Match required; 428 / 412)
+# - PATCH /api/articles/:id (If-Match)
+# - PUT   /api/articles/:id/translations/:lang (If-Match)
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Concurrency Test $ts"
+    content = "First version ($ts)."
+    status = "published"
+} | ConvertTo-Json)
+$articleId = $article.id
+Write-Host "Created article $articleId" -ForegroundColor DarkCyan
+
+function Get-Etag {
+    param ([int]$Version)
+    return "`"$articleId-$Version`""
+}
+
+$script:readVersion = $null
+
+Test-Endpoint -Name "The editor read returns the version and an ETag header" -TestScript {
+    $response = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$articleId/edit" -Headers @{ Authorization = "Bearer $token" } -UseBasicParsing -ErrorAction Stop
+    $body = $response.Content | ConvertFrom-Json
+    $script:readVersion = $body.version
+    $etag = $response.Headers["ETag"]
+    if ($etag -is [array]) { $etag = $etag[0] }
+    if ($etag -ne (Get-Etag -Version $script:readVersion)) { throw "Unexpected ETag '$etag' for version $($script:readVersion)" }
+}
+
+Test-Endpoint -Name "The public read sends no version ETag" -TestScript {
+    $response = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$articleId" -UseBasicParsing -ErrorAction Stop
+    $etag = $response.Headers["ETag"]
+    if ($etag -is [array]) { $etag = $etag[0] }
+    if ($etag -eq (Get-Etag -Version $script:readVersion)) { throw "Public reads must not send the version ETag" }
+}
+
+Test-Endpoint -Name "PUT without If-Match is rejected (428)" -TestScript {
+    Assert-StatusCode -Expected 428 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId" -AuthToken $token -Body (@{
+            title = "Concurrency Test $ts"
+            content = "No precondition ($ts)."
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "PUT with the current ETag succeeds and bumps the version" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch (Get-Etag -Version $script:readVersion) -Body (@{
+        title = "Concurrency Test $ts"
+        content = "Editor A's change ($ts)."
+    } | ConvertTo-Json)
+    if ($response.version -ne ($script:readVersion + 1)) { throw "Expected version $($script:readVersion + 1), got $($response.version)" }
+}
+
+Test-Endpoint -Name "A second editor with the stale ETag gets 412" -TestScript {
+    Assert-StatusCode -Expected 412 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/en" -AuthToken $token -IfMatch (Get-Etag -Version $script:readVersion) -Body (@{
+            content = "Editor B's change ($ts)."
+        } | ConvertTo-Json)
+    }
+    $current = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($current.content -ne "Editor A's change ($ts).") { throw "The stale write was applied" }
+}
+
+Test-Endpoint -Name "PATCH with the fresh ETag succeeds" -TestScript {
+    $current = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch (Get-Etag -Version $current.version) -Body (@{
+        content = "Editor B after reloading ($ts)."
+    } | ConvertTo-Json)
+    if ($response.version -ne ($current.version + 1)) { throw "Expected version $($current.version + 1), got $($response.version)" }
+}
+
+Test-Endpoint -Name "A weak ETag does not match" -TestScript {
+    $current = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/edit" -AuthToken $token
+    Assert-StatusCode -Expected 412 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "W/$(Get-Etag -Version $current.version)" -Body (@{
+            content = "Weakly matched ($ts)."
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Editors read an unpublished article with its ETag" -TestScript {
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/status" -AuthToken $token -Body (@{ status = "hidden" } | ConvertTo-Json) | Out-Null
+    $response = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$articleId/edit" -Headers @{ Authorization = "Bearer $token" } -UseBasicParsing -ErrorAction Stop
+    $body = $response.Content | ConvertFrom-Json
+    if ($body.status -ne "hidden") { throw "Expected the hidden article, got status $($body.status)" }
+    $etag = $response.Headers["ETag"]
+    if ($etag -is [array]) { $etag = $etag[0] }
+    if ($etag -ne (Get-Etag -Version $body.version)) { throw "Unexpected ETag '$etag' for version $($body.version)" }
+    $patched = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch $etag -Body (@{
+        content = "Edited while hidden ($ts)."
+    } | ConvertTo-Json)
+    if ($patched.version -ne ($body.version + 1)) { throw "Expected version $($body.version + 1), got $($patched.version)" }
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/status" -AuthToken $token -Body (@{ status = "published" } | ConvertTo-Json) | Out-Null
+}
+
+Test-Endpoint -Name "Status changes also bump the version" -TestScript {
+    $before = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/status" -AuthToken $token -Body (@{ status = "hidden" } | ConvertTo-Json) | Out-Null
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/status" -AuthToken $token -Body (@{ status = "published" } | ConvertTo-Json) | Out-Null
+    $after = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($after.version -ne ($before.version + 2)) { throw "Expected version $($before.version + 2), got $($after.version)" }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+
+Write-Host "`nConcurrency tests completed." -ForegroundColor Green
@@ -0,0 +1,193 @@
+# test-article-contributors.ps1
+# PowerShell script to test contributor credits:
+# - PUT /api/articles/:id/contributors
+# - contributors on GET /api/articles/:id and /:id/:lang
+# - GET /api/articles/by-author/:userId includes co-authored articles
+# - POST /api/articles/:id/duplicate keeps authorship and credits
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Setup: register a co-author and a translator (readers are fine; credits need no role)
+$coAuthor = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = "coauthor-$ts@example.com"
+    password = "password123"
+    displayName = "Co Author $ts"
+} | ConvertTo-Json)
+$coAuthorId = $coAuthor.user.id
+$translator = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = "translator-$ts@example.com"
+    password = "password123"
+    displayName = "Translator $ts"
+} | ConvertTo-Json)
+$translatorId = $translator.user.id
+Write-Host "Registered co-author id=$coAuthorId, translator id=$translatorId"
+
+$article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Contributors Test $ts"
+    content = "Jointly written report ($ts)."
+    status = "published"
+} | ConvertTo-Json)
+$articleId = $article.id
+Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/translations" -AuthToken $token -IfMatch "*" -Body (@{
+    language_code = "bn"
+    title = "Contributors Test BN $ts"
+    content = "BN body ($ts)."
+} | ConvertTo-Json) | Out-Null
+Write-Host "Created article $articleId" -ForegroundColor DarkCyan
+
+Test-Endpoint -Name "New article credits only its author" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($response.contributors.Count -ne 1 -or $response.contributors[0].role -ne "author") { throw "Expected only the author" }
+}
+
+Test-Endpoint -Name "Set co-author and translator credits" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/contributors" -AuthToken $token -IfMatch "*" -Body (@{
+        contributors = @(
+            @{ user_id = "$coAuthorId"; role = "co_author" },
+            @{ user_id = "$translatorId"; role = "translator"; language_code = "bn" }
+        )
+    } | ConvertTo-Json -Depth 4)
+    $roles = ($response.contributors | ForEach-Object { $_.role }) -join ","
+    if ($roles -ne "author,co_author,translator") { throw "Unexpected credits order: $roles" }
+}
+
+Test-Endpoint -Name "Article reads expose the credits" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/bn"
+    $credit = $response.contributors | Where-Object { $_.role -eq "translator" }
+    if (-not $credit -or $credit.user_id -ne "$translatorId" -or $credit.language_code -ne "bn") { throw "Translator credit missing" }
+    if ($credit.display_name -ne "Translator $ts") { throw "Unexpected display name '$($credit.display_name)'" }
+}
+
+Test-Endpoint -Name "by-author includes co-authored articles" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/by-author/$coAuthorId"
+    $item = $response.items | Where-Object { $_.id -eq "$articleId" }
+    if (-not $item) { throw "Co-authored article missing from by-author" }
+    if ($item.author_role -ne "co_author") { throw "Expected author_role co_author, got $($item.author_role)" }
+}
+
+Test-Endpoint -Name "Translators are not listed as authors" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/by-author/$translatorId"
+    if ($response.items | Where-Object { $_.id -eq "$articleId" }) { throw "Translated article listed under by-author" }
+}
+
+Test-Endpoint -Name "Invalid credits are rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/contributors" -AuthToken $token -IfMatch "*" -Body (@{
+            contributors = @(@{ user_id = "$coAuthorId"; role = "illustrator" })
+        } | ConvertTo-Json -Depth 4)
+    }
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/contributors" -AuthToken $token -IfMatch "*" -Body (@{
+            contributors = @(@{ user_id = "999999999"; role = "reviewer" })
+        } | ConvertTo-Json -Depth 4)
+    }
+}
+
+Test-Endpoint -Name "Credits require If-Match (428)" -TestScript {
+    Assert-StatusCode -Expected 428 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/contributors" -AuthToken $token -Body (@{
+            contributors = @()
+        } | ConvertTo-Json -Depth 4)
+    }
+}
+
+$script:copyId = $null
+
+Test-Endpoint -Name "Duplicate keeps the author and credits" -TestScript {
+    $copy = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/duplicate" -AuthToken $token
+    $script:copyId = $copy.id
+    $preview = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$($copy.id)/preview" -AuthToken $token -Body (@{ language_code = "en" } | ConvertTo-Json)
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/preview/$($preview.token)"
+    $roles = ($response.contributors | ForEach-Object { $_.role }) -join ","
+    if ($roles -ne "author,co_author,translator") { throw "Credits not copied: $roles" }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+if ($script:copyId) { Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($script:copyId)" -AuthToken $token | Out-Null }
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/users/$coAuthorId" -AuthToken $token | Out-Null
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/users/$translatorId" -AuthToken $token | Out-Null
+Write-Host "`nContributor credit tests completed." -ForegroundColor Green
@@ -0,0 +1,157 @@
+# test-article-drafts.ps1
+# PowerShell script to test draft authoring:
+# - POST   /api/articles (status defaults to draft; explicit status values)
+# - GET    /api/articles/drafts
+# - PUT    /api/articles/:id (drafts and hidden articles)
+# - DELETE /api/articles/:id (drafts)
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+$script:draftId = $null
+$script:hiddenId = $null
+
+Test-Endpoint -Name "Create without status produces a draft" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Draft Test $ts"
+        content = "Work in progress ($ts)."
+    } | ConvertTo-Json)
+    $script:draftId = $response.id
+    if ($response.status -ne "draft") { throw "Expected draft, got $($response.status)" }
+}
+
+Test-Endpoint -Name "Draft is listed by GET /articles/drafts" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/drafts?sort=updated" -AuthToken $token
+    if (-not ($response.items | Where-Object { $_.id -eq $script:draftId })) { throw "Draft not listed" }
+}
+
+Test-Endpoint -Name "Draft is not publicly readable (404)" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($script:draftId)"
+    }
+}
+
+Test-Endpoint -Name "Update a draft" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($script:draftId)" -AuthToken $token -IfMatch "*" -Body (@{
+        title = "Draft Test $ts (edited)"
+        content = "Second pass ($ts)."
+    } | ConvertTo-Json)
+    if ($response.status -ne "draft") { throw "Update changed status to $($response.status)" }
+}
+
+Test-Endpoint -Name "Unknown status is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+            title = "Bad Status $ts"
+            content = "Should not be created."
+            status = "archived"
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Create published, hide, then update the hidden article" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Hidden Test $ts"
+        content = "Published then hidden ($ts)."
+        status = "published"
+    } | ConvertTo-Json)
+    $script:hiddenId = $response.id
+    if ($response.status -ne "published") { throw "Expected published, got $($response.status)" }
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($script:hiddenId)/status" -AuthToken $token -Body (@{ status = "hidden" } | ConvertTo-Json) | Out-Null
+    $updated = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($script:hiddenId)" -AuthToken $token -IfMatch "*" -Body (@{
+        title = "Hidden Test $ts (edited)"
+        content = "Edited while hidden ($ts)."
+    } | ConvertTo-Json)
+    if ($updated.status -ne "hidden") { throw "Expected hidden, got $($updated.status)" }
+}
+
+Test-Endpoint -Name "Delete the draft and the hidden article" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($script:draftId)" -AuthToken $token | Out-Null
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($script:hiddenId)" -AuthToken $token | Out-Null
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($script:draftId)" -AuthToken $token
+    }
+}
+
+Write-Host "`nDraft authoring tests completed." -ForegroundColor Green
@@ -0,0 +1,161 @@
+# test-article-excerpts.ps1
+# PowerShell script to test generated excerpts, word counts and reading time on articles
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Two sentences fit in 220 characters, the third does not
+$sentence1 = "Flood waters receded across the northern districts on Tuesday ($ts)."
+$sentence2 = "Relief teams reached every affected village by evening."
+$sentence3 = "Officials said rebuilding roads and embankments would take several months, and asked residents to stay alert for further heavy rain through the end of the week."
+$htmlBody = "<p>$sentence1 <strong>$sentence2</strong></p><p>$sentence3</p>"
+
+$articleId = $null
+
+Test-Endpoint -Name "Create without excerpt generates one from whole sentences" -TestScript {
+    $body = @{ title = "Excerpt Test $ts"; content = $htmlBody; status = "published" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    $script:articleId = $response.id
+    if ($response.excerpt -ne "$sentence1 $sentence2") { throw "Unexpected excerpt: $($response.excerpt)" }
+    if ($response.excerpt -match "<") { throw "Excerpt still contains HTML" }
+    if ($response.word_count -lt 40) { throw "Expected a word count of at least 40, got $($response.word_count)" }
+    if ($response.reading_time_minutes -ne 1) { throw "Expected 1 minute, got $($response.reading_time_minutes)" }
+}
+
+Test-Endpoint -Name "Listings return excerpt, word_count and reading_time_minutes" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?search=$ts&limit=5"
+    $item = $response.items | Where-Object { $_.id -eq "$articleId" }
+    if (-not $item) { throw "Article $articleId not listed" }
+    if ($item.excerpt -ne "$sentence1 $sentence2") { throw "Unexpected excerpt in listing: $($item.excerpt)" }
+    if ($null -eq $item.word_count -or $null -eq $item.reading_time_minutes) { throw "Text stats missing from listing" }
+}
+
+Test-Endpoint -Name "A hand-written excerpt is kept when the content changes" -TestScript {
+    $body = @{ excerpt = "Editor's summary ($ts)" } | ConvertTo-Json
+    Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body | Out-Null
+    $body = @{ content = "<p>$sentence3</p>" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.excerpt -ne "Editor's summary ($ts)") { throw "Hand-written excerpt was replaced: $($response.excerpt)" }
+}
+
+Test-Endpoint -Name "excerpt null switches back to a generated excerpt" -TestScript {
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body '{"excerpt": null}'
+    if ($response.excerpt -ne $sentence3) { throw "Expected the excerpt generated from the new content, got: $($response.excerpt)" }
+}
+
+Test-Endpoint -Name "Bengali excerpt splits on the dari" -TestScript {
+    $bnBody = "<p>আজ সকালে উত্তরের জেলাগুলোতে বন্যার পানি নামতে শুরু করেছে ($ts)। ত্রাণ দল সন্ধ্যার মধ্যে সব গ্রামে পৌঁছেছে। কর্মকর্তারা জানিয়েছেন যে রাস্তা ও বাঁধ মেরামত করতে কয়েক মাস সময় লাগবে এবং সপ্তাহের শেষ পর্যন্ত ভারী বৃষ্টির জন্য বাসিন্দাদের সতর্ক থাকতে বলেছেন, কারণ নদীর পানি আবার বাড়তে পারে এবং নিচু এলাকাগুলো আবারও প্লাবিত হতে পারে।</p>"
+    $body = @{ title = "বন্যা $ts"; content = $bnBody } | ConvertTo-Json
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/bn" -AuthToken $token -IfMatch "*" -Body $body | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/bn"
+    if (-not $response.excerpt.EndsWith("পৌঁছেছে।")) { throw "Expected the excerpt to end after the second sentence, got: $($response.excerpt)" }
+    if ($response.word_count -lt 40) { throw "Expected Bengali words to be counted, got $($response.word_count)" }
+}
+
+Test-Endpoint -Name "A hand-written excerpt is stored as plain text" -TestScript {
+    $body = @{ excerpt = "<b>Flood</b> update <img src=x onerror=alert(1)>&amp; relief ($ts)" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.excerpt -ne "Flood update & relief ($ts)") { throw "Unexpected excerpt: $($response.excerpt)" }
+}
+
+Test-Endpoint -Name "A generated excerpt drops tags written as entities" -TestScript {
+    $body = @{ excerpt = $null; content = "<p>Never paste &lt;script&gt;alert(1)&lt;/script&gt; into a form ($ts).</p>" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.excerpt -match "<") { throw "Excerpt contains a tag: $($response.excerpt)" }
+    if ($response.excerpt -ne "Never paste alert(1) into a form ($ts).") { throw "Unexpected excerpt: $($response.excerpt)" }
+}
+
+Test-Endpoint -Name "An excerpt over 1000 characters is rejected" -TestScript {
+    $body = @{ excerpt = ("x" * 1001) } | ConvertTo-Json
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    }
+}
+
+# Cleanup
+if ($articleId) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nExcerpt tests completed." -ForegroundColor Green
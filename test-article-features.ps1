@@ -0,0 +1,197 @@
+# test-article-features.ps1
+# PowerShell script to test featured and pinned articles:
+# - PUT/DELETE /api/articles/:id/feature, GET /api/articles/featured
+# - PUT/DELETE /api/articles/:id/pin (main listing and per category)
+# - pinned-first GET /api/articles and GET /api/categories/:id/articles
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$category = Invoke-ApiRequest -Method POST -Url "$baseUrl/categories" -AuthToken $token -Body (@{
+    name_en = "Advisories $ts"
+} | ConvertTo-Json)
+$categoryId = $category.id
+
+$articleIds = @()
+foreach ($n in 1..3) {
+    $created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Feature Test $n $ts"
+        content = "Body $n ($ts)."
+        status = "published"
+        category_id = $categoryId
+    } | ConvertTo-Json)
+    $articleIds += $created.id
+}
+$oldest = $articleIds[0]
+Write-Host "Created category $categoryId with articles $($articleIds -join ', ')" -ForegroundColor DarkCyan
+
+Test-Endpoint -Name "Feature two articles in order" -TestScript {
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($articleIds[1])/feature" -AuthToken $token -Body (@{ position = 2 } | ConvertTo-Json) | Out-Null
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$oldest/feature" -AuthToken $token -Body (@{
+        position = 1
+        expires_at = (Get-Date).ToUniversalTime().AddDays(1).ToString("o")
+    } | ConvertTo-Json)
+    if ($response.feature.kind -ne "featured" -or $response.feature.position -ne 1) { throw "Unexpected feature $($response.feature | ConvertTo-Json)" }
+}
+
+Test-Endpoint -Name "GET /featured lists them by position" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/featured?category_id=$categoryId"
+    $ids = ($response.items | ForEach-Object { $_.id }) -join ","
+    if ($ids -ne "$oldest,$($articleIds[1])") { throw "Unexpected featured order: $ids" }
+    if (-not $response.items[0].featured_until) { throw "featured_until missing" }
+}
+
+Test-Endpoint -Name "Expiry in the past is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$oldest/feature" -AuthToken $token -Body (@{
+            expires_at = (Get-Date).ToUniversalTime().AddDays(-1).ToString("o")
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Unfeature removes the article from /featured" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($articleIds[1])/feature" -AuthToken $token | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/featured?category_id=$categoryId"
+    if ($response.items | Where-Object { $_.id -eq "$($articleIds[1])" }) { throw "Unfeatured article still listed" }
+}
+
+Test-Endpoint -Name "Pinned article comes first in GET /articles" -TestScript {
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$oldest/pin" -AuthToken $token | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?limit=2"
+    if ($response.items[0].id -ne "$oldest" -or -not $response.items[0].pinned) { throw "Pinned article is not first" }
+    $next = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?limit=100&cursor=$($response.next_cursor)"
+    if ($next.items | Where-Object { $_.id -eq "$oldest" }) { throw "Pinned article repeated on a later page" }
+}
+
+Test-Endpoint -Name "Category pin surfaces in the category listing only" -TestScript {
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($articleIds[1])/pin" -AuthToken $token -Body (@{ category_id = "$categoryId" } | ConvertTo-Json) | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/categories/$categoryId/articles"
+    if ($response.items[0].id -ne "$($articleIds[1])" -or -not $response.items[0].pinned) { throw "Category pin is not first" }
+    $main = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?limit=1"
+    if ($main.items | Where-Object { $_.id -eq "$($articleIds[1])" -and $_.pinned }) { throw "Category pin leaked into the main listing" }
+}
+
+Test-Endpoint -Name "Pinning to another category is refused (409)" -TestScript {
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$oldest/pin" -AuthToken $token -Body (@{ category_id = "1" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Unpin restores the regular order" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$oldest/pin" -AuthToken $token | Out-Null
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($articleIds[1])/pin?category_id=$categoryId" -AuthToken $token | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/categories/$categoryId/articles"
+    if ($response.items | Where-Object { $_.pinned }) { throw "Pinned items remain after unpinning" }
+    if ($response.items[0].id -ne "$($articleIds[2])") { throw "Expected the newest article first" }
+}
+
+Test-Endpoint -Name "A listing takes at most 10 pins (409 beyond)" -TestScript {
+    foreach ($n in 4..11) {
+        $created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+            title = "Feature Test $n $ts"
+            content = "Body $n ($ts)."
+            status = "published"
+            category_id = $categoryId
+        } | ConvertTo-Json)
+        $script:articleIds += $created.id
+    }
+    $pinBody = @{ category_id = "$categoryId" } | ConvertTo-Json
+    foreach ($articleId in $articleIds[0..9]) {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/pin" -AuthToken $token -Body $pinBody | Out-Null
+    }
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($articleIds[10])/pin" -AuthToken $token -Body $pinBody
+    }
+    # Updating an existing pin is still allowed
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$oldest/pin" -AuthToken $token -Body (@{ category_id = "$categoryId"; position = 5 } | ConvertTo-Json) | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/categories/$categoryId/articles?limit=100"
+    if ($response.items.Count -ne 11) { throw "Expected all 11 articles listed, got $($response.items.Count)" }
+}
+
+# Cleanup
+foreach ($articleId in $articleIds) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nFeatured and pinned article tests completed." -ForegroundColor Green
@@ -0,0 +1,197 @@
+# test-article-locks.ps1
+# PowerShell script to test article edit locks:
+# - POST   /api/articles/:id/lock (acquire / heartbeat)
+# - GET    /api/articles/:id/lock
+# - DELETE /api/articles/:id/lock (release / admin break)
+# - 423 Locked on writes by other users while the lock is live
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Setup: register a second editor
+$editorEmail = "lock-editor-$ts@example.com"
+$registered = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = $editorEmail
+    password = "password123"
+    displayName = "Lock Editor $ts"
+} | ConvertTo-Json)
+$editorId = $registered.user.id
+$editorToken = $registered.token
+Invoke-ApiRequest -Method PUT -Url "$baseUrl/users/$editorId" -AuthToken $token -Body (@{
+    displayName = "Lock Editor $ts"
+    email = $editorEmail
+    role = "editor"
+} | ConvertTo-Json) | Out-Null
+Write-Host "Registered editor id=$editorId"
+
+$article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Lock Test $ts"
+    content = "Original body ($ts)."
+    status = "published"
+} | ConvertTo-Json)
+$articleId = $article.id
+Write-Host "Created article $articleId" -ForegroundColor DarkCyan
+
+$script:acquiredAt = $null
+
+Test-Endpoint -Name "Unlocked article reports locked = false" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token
+    if ($response.locked) { throw "New article should not be locked" }
+}
+
+Test-Endpoint -Name "Editor acquires the lock" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/lock" -AuthToken $editorToken
+    if ($response.renewed) { throw "First acquisition reported as renewal" }
+    if ($response.lock.user_id -ne "$editorId") { throw "Lock held by $($response.lock.user_id), expected $editorId" }
+    $script:acquiredAt = $response.lock.acquired_at
+}
+
+Test-Endpoint -Name "Heartbeat renews the lock and keeps acquired_at" -TestScript {
+    Start-Sleep -Seconds 1
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/lock" -AuthToken $editorToken
+    if (-not $response.renewed) { throw "Heartbeat not reported as renewal" }
+    if ($response.lock.acquired_at -ne $script:acquiredAt) { throw "acquired_at changed on heartbeat" }
+}
+
+Test-Endpoint -Name "GET shows the holder" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token
+    if (-not $response.locked) { throw "Lock not reported" }
+    if ($response.lock.user_display_name -ne "Lock Editor $ts") { throw "Unexpected holder '$($response.lock.user_display_name)'" }
+}
+
+Test-Endpoint -Name "Another user cannot take the lock (423)" -TestScript {
+    Assert-StatusCode -Expected 423 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token
+    }
+}
+
+Test-Endpoint -Name "Writes by another user are rejected (423)" -TestScript {
+    Assert-StatusCode -Expected 423 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body (@{
+            content = "Admin's edit ($ts)."
+        } | ConvertTo-Json)
+    }
+    Assert-StatusCode -Expected 423 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/status" -AuthToken $token -Body (@{ status = "hidden" } | ConvertTo-Json)
+    }
+    Assert-StatusCode -Expected 423 -Request {
+        Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token
+    }
+}
+
+Test-Endpoint -Name "The holder can still write" -TestScript {
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $editorToken -IfMatch "*" -Body (@{
+        content = "Editor's edit ($ts)."
+    } | ConvertTo-Json)
+    if ($response.content -ne "Editor's edit ($ts).") { throw "Holder's edit not applied" }
+}
+
+Test-Endpoint -Name "Holder releases the lock" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/lock" -AuthToken $editorToken | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token
+    if ($response.locked) { throw "Lock still reported after release" }
+}
+
+Test-Endpoint -Name "Editor cannot release the admin's lock (403)" -TestScript {
+    Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token | Out-Null
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/lock" -AuthToken $editorToken
+    }
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token | Out-Null
+}
+
+Test-Endpoint -Name "Admin breaks an editor's lock and it is audited" -TestScript {
+    Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/lock" -AuthToken $editorToken | Out-Null
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/lock" -AuthToken $token
+    if ($response.locked) { throw "Lock still reported after break" }
+    $log = Invoke-ApiRequest -Method GET -Url "$baseUrl/admin/audit-log?action=articles.lock_break&limit=1" -AuthToken $token
+    if ($log.entries[0].details.article_id -ne "$articleId") { throw "Lock break not found in the audit log" }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/users/$editorId" -AuthToken $token | Out-Null
+Write-Host "`nEdit lock tests completed." -ForegroundColor Green
@@ -0,0 +1,169 @@
+# test-article-markdown.ps1
+# PowerShell script to test Markdown article bodies and html/markdown/text output formats
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$markdown = "# Heading $ts`n`nSome **bold** text and a [link](https://example.com).`n`n- first`n- second`n`n[bad](javascript:alert(1))"
+$articleId = $null
+
+Test-Endpoint -Name "Create an article written in Markdown" -TestScript {
+    $body = @{ title = "Markdown Test $ts"; content = $markdown; body_format = "markdown"; status = "published" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    $script:articleId = $response.id
+    if ($response.body_format -ne "markdown") { throw "Expected body_format markdown, got $($response.body_format)" }
+    if ($response.body_source -ne $markdown) { throw "Markdown source not returned" }
+    if ($response.content -notmatch "<h2>Heading $ts</h2>") { throw "# should render as h2: $($response.content)" }
+    if ($response.content -notmatch "<strong>bold</strong>") { throw "Bold not rendered: $($response.content)" }
+    if ($response.content -match "javascript:") { throw "javascript: link kept: $($response.content)" }
+}
+
+Test-Endpoint -Name "Read defaults to HTML" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($response.content_format -ne "html") { throw "Expected content_format html" }
+    if ($response.content -notmatch "<li>first</li>") { throw "List not rendered: $($response.content)" }
+}
+
+Test-Endpoint -Name "Read the Markdown source with format=markdown" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/en?format=markdown"
+    if ($response.content -ne $markdown) { throw "Expected the Markdown source, got $($response.content)" }
+}
+
+Test-Endpoint -Name "Read plain text with format=text" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId?format=text"
+    if ($response.content -match "<") { throw "Plain text contains markup: $($response.content)" }
+    if ($response.content -notmatch "link \(https://example.com\)") { throw "Link URL missing: $($response.content)" }
+    if ($response.content -notmatch "(?m)^- first$") { throw "List item missing: $($response.content)" }
+}
+
+Test-Endpoint -Name "Unknown format is rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId?format=pdf"
+    }
+}
+
+Test-Endpoint -Name "Unknown body_format is rejected" -TestScript {
+    $body = @{ title = "Markdown Test $ts"; content = "text"; body_format = "rst" } | ConvertTo-Json
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    }
+}
+
+Test-Endpoint -Name "Edits keep the Markdown format" -TestScript {
+    $body = @{ content = "Updated *text* $ts" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.body_format -ne "markdown") { throw "Format changed to $($response.body_format)" }
+    if ($response.content -notmatch "<em>text</em>") { throw "Markdown not rendered: $($response.content)" }
+}
+
+Test-Endpoint -Name "Plain text keeps the layout of code blocks" -TestScript {
+    $code = "if (x) {`n    doThing();`n`n}"
+    $fence = '```'
+    $body = @{ content = "Steps $ts`n`n$fence`n$code`n$fence" } | ConvertTo-Json
+    Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId?format=text"
+    if ($response.content -ne "Steps $ts`n`n$code") { throw "Code block layout lost: $($response.content)" }
+}
+
+Test-Endpoint -Name "Bengali translation in Markdown" -TestScript {
+    $body = @{ title = "মার্কডাউন $ts"; content = "## শিরোনাম`n`nএটি **গুরুত্বপূর্ণ**।"; body_format = "markdown" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/bn" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.body -notmatch "<h3>শিরোনাম</h3>") { throw "Heading not rendered: $($response.body)" }
+    $translations = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/translations?format=text"
+    $bn = $translations | Where-Object { $_.language_code -eq "bn" }
+    if ($bn.content -notmatch "গুরুত্বপূর্ণ") { throw "Plain text missing: $($bn.content)" }
+}
+
+Test-Endpoint -Name "body_format without content is rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body '{"body_format": "html"}'
+    }
+}
+
+# Cleanup
+if ($articleId) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nMarkdown tests completed." -ForegroundColor Green
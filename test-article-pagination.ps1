@@ -0,0 +1,183 @@
+# test-article-pagination.ps1
+# PowerShell script to test cursor pagination on article listings:
+# - GET /api/articles?limit=&sort=&cursor=
+# - GET /api/articles/:lang, /recent, /drafts (same envelope)
+# - GET /api/categories/:id/articles
+# Seeds three published articles sharing a unique tag and pages through them two at a time.
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+$tagCode = "page-$ts"
+$categoryCode = "paging-$ts"
+$script:seededIds = @()
+
+# Setup: three published articles with the same tag and category
+foreach ($n in 1..3) {
+    $created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Paging $n $ts"
+        content = "Pagination fixture $n ($ts)."
+        status = "published"
+        tags = @($tagCode)
+        category_code = $categoryCode
+    } | ConvertTo-Json)
+    $script:seededIds += $created.id
+    Start-Sleep -Seconds 1
+}
+Write-Host "Seeded articles: $($script:seededIds -join ', ')"
+
+Test-Endpoint -Name "First page has limit items and a next_cursor" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?tag=$tagCode&limit=2"
+    if ($response.items.Count -ne 2) { throw "Expected 2 items, got $($response.items.Count)" }
+    if (-not $response.next_cursor) { throw "Missing next_cursor" }
+    if ($response.sort -ne "newest") { throw "Expected default sort newest, got $($response.sort)" }
+    # newest first: the last seeded article leads
+    if ($response.items[0].id -ne $script:seededIds[2]) { throw "Unexpected first item $($response.items[0].id)" }
+    $script:cursor = $response.next_cursor
+}
+
+Test-Endpoint -Name "Second page continues after the cursor and ends the listing" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?tag=$tagCode&limit=2&cursor=$($script:cursor)"
+    if ($response.items.Count -ne 1) { throw "Expected 1 item, got $($response.items.Count)" }
+    if ($response.items[0].id -ne $script:seededIds[0]) { throw "Unexpected item $($response.items[0].id)" }
+    if ($null -ne $response.next_cursor) { throw "Expected next_cursor to be null on the last page" }
+}
+
+Test-Endpoint -Name "sort=oldest reverses the order" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?tag=$tagCode&sort=oldest"
+    $ids = ($response.items | ForEach-Object { $_.id }) -join ","
+    if ($ids -ne ($script:seededIds -join ",")) { throw "Unexpected order: $ids" }
+}
+
+Test-Endpoint -Name "sort=title pages alphabetically" -TestScript {
+    $first = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?tag=$tagCode&sort=title&limit=1"
+    $second = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?tag=$tagCode&sort=title&limit=1&cursor=$($first.next_cursor)"
+    if ($first.items[0].title -ne "Paging 1 $ts" -or $second.items[0].title -ne "Paging 2 $ts") {
+        throw "Unexpected titles: $($first.items[0].title), $($second.items[0].title)"
+    }
+}
+
+Test-Endpoint -Name "Category listing uses the same envelope" -TestScript {
+    $listed = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?tag=$tagCode&limit=1"
+    $article = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($listed.items[0].id)"
+    $categories = @(Invoke-ApiRequest -Method GET -Url "$baseUrl/categories")
+    $category = $categories | Where-Object { $_.name_en -eq ($categoryCode.Substring(0,1).ToUpper() + $categoryCode.Substring(1)) } | Select-Object -First 1
+    if (-not $category) { throw "Seeded category not found" }
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/categories/$($category.id)/articles?limit=2"
+    if ($response.items.Count -ne 2 -or -not $response.next_cursor) { throw "Unexpected category page" }
+    if ($article.id -ne $response.items[0].id) { throw "Category listing not ordered newest first" }
+}
+
+Test-Endpoint -Name "Language listing and recent listing are paginated" -TestScript {
+    $byLang = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/en?tag=$tagCode&limit=1"
+    $recent = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/recent?tag=$tagCode&limit=1"
+    if ($byLang.items.Count -ne 1 -or -not $byLang.next_cursor) { throw "Language listing not paginated" }
+    if ($recent.items.Count -ne 1 -or -not $recent.next_cursor) { throw "Recent listing not paginated" }
+}
+
+Test-Endpoint -Name "Invalid limit is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?limit=0"
+    }
+}
+
+Test-Endpoint -Name "Unknown sort is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?sort=popular"
+    }
+}
+
+Test-Endpoint -Name "Cursor issued for another sort is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?sort=title&cursor=$($script:cursor)"
+    }
+}
+
+Test-Endpoint -Name "Malformed cursor is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles?cursor=not-a-cursor"
+    }
+}
+
+# Cleanup
+foreach ($id in $script:seededIds) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$id" -AuthToken $token | Out-Null
+}
+Write-Host "`nPagination tests completed." -ForegroundColor Green
@@ -0,0 +1,148 @@
+# test-article-patch.ps1
+# PowerShell script to test partial article updates:
+# - PATCH /api/articles/:id (merge semantics, tag and media add/remove)
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Patch Test $ts"
+    content = "Original body ($ts)."
+    status = "published"
+    tags = @("patch-a-$ts", "patch-b-$ts")
+    media_urls = @("https://example.com/patch-$ts.jpg")
+} | ConvertTo-Json)
+$articleId = $article.id
+Write-Host "Created article $articleId" -ForegroundColor DarkCyan
+
+function Invoke-Patch {
+    param ([hashtable]$Body)
+    return Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body ($Body | ConvertTo-Json)
+}
+
+Test-Endpoint -Name "Patching only the title keeps content, tags and media" -TestScript {
+    $response = Invoke-Patch -Body @{ title = "Patch Test $ts (renamed)" }
+    if ($response.title -ne "Patch Test $ts (renamed)") { throw "Title not updated" }
+    if ($response.content -ne "Original body ($ts).") { throw "Content changed" }
+    if ($response.tags.Count -ne 2) { throw "Expected 2 tags, got $($response.tags.Count)" }
+    if ($response.media_urls.Count -ne 1) { throw "Media was stripped" }
+}
+
+Test-Endpoint -Name "tags_add and tags_remove edit tags in place" -TestScript {
+    $response = Invoke-Patch -Body @{ tags_add = @("patch-c-$ts"); tags_remove = @("patch-a-$ts") }
+    if ($response.tags -contains "patch-a-$ts") { throw "Tag was not removed" }
+    if ($response.tags -notcontains "patch-b-$ts" -or $response.tags -notcontains "patch-c-$ts") { throw "Unexpected tags: $($response.tags -join ', ')" }
+}
+
+Test-Endpoint -Name "media_add and media_remove edit media in place" -TestScript {
+    $response = Invoke-Patch -Body @{ media_add = @("https://example.com/patch-$ts.mp4"); media_remove = @("https://example.com/patch-$ts.jpg") }
+    if ($response.media_urls.Count -ne 1 -or $response.video_urls.Count -ne 1) { throw "Unexpected media: $($response.media_urls -join ', ')" }
+}
+
+Test-Endpoint -Name "tags: null removes all tags" -TestScript {
+    $response = Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body '{"tags": null}'
+    if ($response.tags.Count -ne 0) { throw "Tags remain: $($response.tags -join ', ')" }
+}
+
+Test-Endpoint -Name "Combining tags with tags_add is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request { Invoke-Patch -Body @{ tags = @("x"); tags_add = @("y") } }
+}
+
+Test-Endpoint -Name "Empty patch is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body '{}'
+    }
+}
+
+Test-Endpoint -Name "Unknown article returns 404" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/999999999" -AuthToken $token -IfMatch "*" -Body (@{ title = "Nope" } | ConvertTo-Json)
+    }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+
+Write-Host "`nPartial update tests completed." -ForegroundColor Green
@@ -0,0 +1,154 @@
+# test-article-preview.ps1
+# PowerShell script to test preview links for unpublished articles:
+# - POST /api/articles/:id/preview
+# - GET  /api/articles/preview/:token (no account)
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Preview Test $ts"
+    content = "Embargoed partner statement ($ts)."
+    status = "draft"
+} | ConvertTo-Json)
+$articleId = $article.id
+Write-Host "Created draft article $articleId" -ForegroundColor DarkCyan
+
+$script:preview = $null
+
+Test-Endpoint -Name "Draft is not visible on the public route (404)" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    }
+}
+
+Test-Endpoint -Name "Editor creates a preview link" -TestScript {
+    $script:preview = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/preview" -AuthToken $token -Body (@{
+        language_code = "en"
+        expires_in_hours = 2
+    } | ConvertTo-Json)
+    if (-not $script:preview.token) { throw "No token returned" }
+    if ($script:preview.url -ne "/api/articles/preview/$($script:preview.token)") { throw "Unexpected url $($script:preview.url)" }
+}
+
+Test-Endpoint -Name "Anyone with the link can read the draft" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/preview/$($script:preview.token)"
+    if ($response.id -ne "$articleId") { throw "Wrong article $($response.id)" }
+    if ($response.status -ne "draft") { throw "Expected status draft, got $($response.status)" }
+    if ($response.content -ne "Embargoed partner statement ($ts).") { throw "Unexpected content" }
+}
+
+Test-Endpoint -Name "Preview token is not an access token (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/drafts" -AuthToken $script:preview.token
+    }
+}
+
+Test-Endpoint -Name "Tampered link is rejected (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/preview/$($script:preview.token)x"
+    }
+}
+
+Test-Endpoint -Name "Missing translation cannot be previewed (404)" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/preview" -AuthToken $token -Body (@{ language_code = "bn" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Out-of-range lifetime is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/preview" -AuthToken $token -Body (@{ expires_in_hours = 10000 } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Preview stops working once the article is trashed (404)" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/preview/$($script:preview.token)"
+    }
+}
+
+Write-Host "`nPreview link tests completed." -ForegroundColor Green
@@ -0,0 +1,189 @@
+# test-article-reactions.ps1
+# PowerShell script to test reader reactions on articles and the editor breakdown
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+# 3. Registration is open (a reader account is created for the test)
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$readerEmail = "reactions.reader.$ts@example.com"
+$registered = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = $readerEmail
+    password = "password123"
+    displayName = "Reaction Reader $ts"
+} | ConvertTo-Json)
+$readerToken = $registered.token
+Write-Host "Registered reader id=$($registered.user.id)"
+
+$articleId = $null
+$draftId = $null
+
+Test-Endpoint -Name "Create a published article and a draft" -TestScript {
+    $body = @{ title = "Reactions Test $ts"; content = "<p>Was this helpful? ($ts)</p>"; status = "published" } | ConvertTo-Json
+    $script:articleId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+    $body = @{ title = "Reactions Draft $ts"; content = "<p>Not out yet.</p>" } | ConvertTo-Json
+    $script:draftId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+}
+
+Test-Endpoint -Name "A new article has no reactions" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($response.reactions.total -ne 0) { throw "Expected 0 reactions, got $($response.reactions.total)" }
+    if ($null -ne $response.reactions.my_reaction) { throw "Anonymous readers have no reaction" }
+}
+
+Test-Endpoint -Name "Readers react to a published article" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/reaction" -AuthToken $readerToken -Body (@{ reaction = "helpful" } | ConvertTo-Json)
+    if ($response.reactions.my_reaction -ne "helpful") { throw "Expected my_reaction helpful" }
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/reaction" -AuthToken $token -Body (@{ reaction = "love"; language_code = "bn" } | ConvertTo-Json) | Out-Null
+}
+
+Test-Endpoint -Name "A conditional read after reacting is not answered 304" -TestScript {
+    $before = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$articleId" -Headers @{ Authorization = "Bearer $readerToken" } -UseBasicParsing -ErrorAction Stop
+    $etag = $before.Headers["ETag"]
+    if ($etag -is [array]) { $etag = $etag[0] }
+    $cacheControl = $before.Headers["Cache-Control"]
+    if ($cacheControl -is [array]) { $cacheControl = $cacheControl -join ", " }
+    if ($cacheControl -notmatch "private") { throw "Expected a private response, got Cache-Control '$cacheControl'" }
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/reaction" -AuthToken $readerToken -Body (@{ reaction = "like" } | ConvertTo-Json) | Out-Null
+    $after = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$articleId" -Headers @{ Authorization = "Bearer $readerToken"; "If-None-Match" = $etag } -UseBasicParsing -ErrorAction Stop
+    if ($after.StatusCode -ne 200) { throw "Expected 200 with the new reaction, got $($after.StatusCode)" }
+    if (($after.Content | ConvertFrom-Json).reactions.my_reaction -ne "like") { throw "Expected my_reaction like" }
+}
+
+Test-Endpoint -Name "Reacting again replaces the reaction" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/reaction" -AuthToken $readerToken -Body (@{ reaction = "not_helpful" } | ConvertTo-Json)
+    if ($response.reactions.total -ne 2) { throw "Expected 2 reactions, got $($response.reactions.total)" }
+    if ($response.reactions.counts.helpful -ne 0) { throw "The helpful reaction should be replaced" }
+    if ($response.reactions.counts.not_helpful -ne 1) { throw "Expected 1 not_helpful" }
+}
+
+Test-Endpoint -Name "Article reads include counts and the reader's reaction" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/en" -AuthToken $readerToken
+    if ($response.reactions.counts.love -ne 1) { throw "Expected 1 love" }
+    if ($response.reactions.my_reaction -ne "not_helpful") { throw "Expected my_reaction not_helpful, got $($response.reactions.my_reaction)" }
+}
+
+Test-Endpoint -Name "Editors get the breakdown" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/reactions" -AuthToken $token
+    if ($response.total -ne 2) { throw "Expected 2 reactions" }
+    if ($response.helpful_rate -ne 0) { throw "Expected a helpful rate of 0, got $($response.helpful_rate)" }
+    if ($response.by_language.bn.counts.love -ne 1) { throw "Expected the love reaction under bn" }
+    if ($response.last_7d.not_helpful -ne 1) { throw "Expected 1 not_helpful in the last 7 days" }
+    if (-not $response.last_reacted_at) { throw "Expected last_reacted_at" }
+}
+
+Test-Endpoint -Name "Readers cannot see the breakdown" -TestScript {
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/reactions" -AuthToken $readerToken
+    }
+}
+
+Test-Endpoint -Name "Removing a reaction" -TestScript {
+    $response = Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/reaction" -AuthToken $readerToken
+    if ($null -ne $response.reactions.my_reaction) { throw "Expected no reaction after removing it" }
+    if ($response.reactions.total -ne 1) { throw "Expected 1 reaction left" }
+}
+
+Test-Endpoint -Name "Unknown reactions are rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/reaction" -AuthToken $readerToken -Body (@{ reaction = "angry" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Reacting requires a signed-in reader" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/reaction" -Body (@{ reaction = "like" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Unpublished articles take no reactions" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$draftId/reaction" -AuthToken $readerToken -Body (@{ reaction = "like" } | ConvertTo-Json)
+    }
+}
+
+# Cleanup
+foreach ($id in @($articleId, $draftId)) {
+    if ($id) { Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$id" -AuthToken $token | Out-Null }
+}
+Write-Host "`nReaction tests completed." -ForegroundColor Green
@@ -0,0 +1,135 @@
+# test-article-related.ps1
+# PowerShell script to test GET /api/articles/:id/related
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+function New-TestArticle {
+    param ([string]$Title, [string[]]$Tags)
+    $body = @{ title = "$Title $ts"; content = "$Title ($ts)."; status = "published" }
+    if ($Tags) { $body.tags = $Tags }
+    return (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body ($body | ConvertTo-Json)).id
+}
+
+$tagA = "related-a-$ts"
+$tagB = "related-b-$ts"
+$source = New-TestArticle -Title "Cyclone Source" -Tags @($tagA, $tagB)
+$bothTags = New-TestArticle -Title "Cyclone Both Tags" -Tags @($tagA, $tagB)
+$oneTag = New-TestArticle -Title "Cyclone One Tag" -Tags @($tagA)
+$unrelated = New-TestArticle -Title "Unrelated Latest"
+Write-Host "Created source $source and candidates $bothTags, $oneTag, $unrelated" -ForegroundColor DarkCyan
+
+Test-Endpoint -Name "Articles sharing more tags rank first" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$source/related?limit=10"
+    if ($response.items[0].id -ne "$bothTags") { throw "Expected $bothTags first, got $($response.items[0].id)" }
+    if ($response.items[1].id -ne "$oneTag") { throw "Expected $oneTag second, got $($response.items[1].id)" }
+    if ($response.items[0].shared_tags -ne 2) { throw "Expected 2 shared tags, got $($response.items[0].shared_tags)" }
+}
+
+Test-Endpoint -Name "The source article is never listed" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$source/related?limit=20"
+    if ($response.items | Where-Object { $_.id -eq "$source" }) { throw "Source article listed as related" }
+}
+
+Test-Endpoint -Name "limit is respected and validated" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$source/related?limit=1"
+    if ($response.items.Count -ne 1) { throw "Expected 1 item, got $($response.items.Count)" }
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$source/related?limit=50"
+    }
+}
+
+Test-Endpoint -Name "Unpublished source answers 404" -TestScript {
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$source/status" -AuthToken $token -Body (@{ status = "hidden" } | ConvertTo-Json) | Out-Null
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$source/related"
+    }
+}
+
+# Cleanup
+foreach ($articleId in @($source, $bothTags, $oneTag, $unrelated)) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nRelated article tests completed." -ForegroundColor Green
@@ -0,0 +1,233 @@
+# test-article-review.ps1
+# PowerShell script to test the editorial review workflow:
+# - POST /api/articles/:id/submit
+# - GET  /api/articles/review-queue
+# - POST /api/articles/:id/review
+# - GET  /api/articles/:id/history
+# - PUT  /api/users/:id/reviewer
+# Registers a throwaway user, promotes it to editor, and uses it as the article author
+# so the seeded admin can act as the (different) reviewer.
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Setup: register an editor (non-reviewer)
+$editorEmail = "review-editor-$ts@example.com"
+$registered = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = $editorEmail
+    password = "password123"
+    displayName = "Review Editor $ts"
+} | ConvertTo-Json)
+$editorId = $registered.user.id
+$editorToken = $registered.token
+Invoke-ApiRequest -Method PUT -Url "$baseUrl/users/$editorId" -AuthToken $token -Body (@{
+    displayName = "Review Editor $ts"
+    email = $editorEmail
+    role = "editor"
+} | ConvertTo-Json) | Out-Null
+Write-Host "Registered editor id=$editorId"
+
+$script:articleId = $null
+
+Test-Endpoint -Name "Editor cannot create an article as published (403)" -TestScript {
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $editorToken -Body (@{
+            title = "Review Test $ts"
+            content = "Public health advisory draft ($ts)."
+            status = "published"
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Editor creates an article straight into review" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $editorToken -Body (@{
+        title = "Review Test $ts"
+        content = "Public health advisory draft ($ts)."
+        status = "pending_review"
+    } | ConvertTo-Json)
+    $script:articleId = $response.id
+    if ($response.status -ne "pending_review") { throw "Expected pending_review, got $($response.status)" }
+}
+
+Test-Endpoint -Name "Editor cannot publish directly (403)" -TestScript {
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($script:articleId)/status" -AuthToken $editorToken -Body (@{ status = "published" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Review queue lists the submission" -TestScript {
+    $response = @(Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/review-queue" -AuthToken $token)
+    if (-not ($response | Where-Object { $_.id -eq $script:articleId })) { throw "Article not in review queue" }
+}
+
+Test-Endpoint -Name "Editor without review rights cannot review (403)" -TestScript {
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$($script:articleId)/review" -AuthToken $editorToken -Body (@{ decision = "approve" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Rejecting without a comment is refused (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$($script:articleId)/review" -AuthToken $token -Body (@{ decision = "reject" } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Admin rejects with a comment (back to draft)" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$($script:articleId)/review" -AuthToken $token -Body (@{
+        decision = "reject"
+        comment = "Please cite the source of the dosage figures."
+    } | ConvertTo-Json)
+    if ($response.status -ne "draft") { throw "Expected draft, got $($response.status)" }
+}
+
+Test-Endpoint -Name "Editor resubmits the draft" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$($script:articleId)/submit" -AuthToken $editorToken -Body (@{ comment = "Sources added." } | ConvertTo-Json)
+    if ($response.status -ne "pending_review") { throw "Expected pending_review, got $($response.status)" }
+}
+
+Test-Endpoint -Name "Admin approves (published)" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$($script:articleId)/review" -AuthToken $token -Body (@{ decision = "approve" } | ConvertTo-Json)
+    if ($response.status -ne "published") { throw "Expected published, got $($response.status)" }
+}
+
+Test-Endpoint -Name "History records every transition" -TestScript {
+    $response = @(Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($script:articleId)/history" -AuthToken $token)
+    $actions = ($response | ForEach-Object { $_.action }) -join ","
+    if ($actions -ne "submit,reject,submit,approve") { throw "Unexpected history: $actions" }
+    $response | ConvertTo-Json -Depth 5 | Write-Host
+}
+
+Test-Endpoint -Name "Grant reviewer rights to the editor" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/users/$editorId/reviewer" -AuthToken $token -Body (@{ canReview = $true } | ConvertTo-Json)
+    if (-not $response.ok) { throw "Reviewer flag not set" }
+    $user = Invoke-ApiRequest -Method GET -Url "$baseUrl/users/$editorId" -AuthToken $token
+    if (-not $user.user.canReview) { throw "canReview not reported on user" }
+}
+
+$script:ownDraftId = $null
+
+Test-Endpoint -Name "Reviewer cannot create their own article as published (403)" -TestScript {
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $editorToken -Body (@{
+            title = "Own Draft $ts"
+            content = "Reviewer's own report ($ts)."
+            status = "published"
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Reviewer cannot publish their own draft (403)" -TestScript {
+    $draft = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $editorToken -Body (@{
+        title = "Own Draft $ts"
+        content = "Reviewer's own report ($ts)."
+    } | ConvertTo-Json)
+    $script:ownDraftId = $draft.id
+    Assert-StatusCode -Expected 403 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($script:ownDraftId)/status" -AuthToken $editorToken -Body (@{ status = "published" } | ConvertTo-Json)
+    }
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/bulk" -AuthToken $editorToken -Body (@{
+            ids = @("$($script:ownDraftId)")
+            operation = "set_status"
+            status = "published"
+        } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Reviewer can publish a colleague's draft" -TestScript {
+    $draft = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Colleague Draft $ts"
+        content = "Admin's report ($ts)."
+    } | ConvertTo-Json)
+    try {
+        $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$($draft.id)/status" -AuthToken $editorToken -Body (@{ status = "published" } | ConvertTo-Json)
+        if ($response.status -ne "published") { throw "Expected published, got $($response.status)" }
+    } finally {
+        Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($draft.id)" -AuthToken $token | Out-Null
+    }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($script:articleId)" -AuthToken $token | Out-Null
+if ($script:ownDraftId) { Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$($script:ownDraftId)" -AuthToken $token | Out-Null }
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/users/$editorId" -AuthToken $token | Out-Null
+Write-Host "`nReview workflow tests completed." -ForegroundColor Green
@@ -0,0 +1,177 @@
+# test-article-revisions.ps1
+# PowerShell script to test article revision history:
+# - GET  /api/articles/:id/revisions
+# - GET  /api/articles/:id/revisions/diff?from=&to=
+# - GET  /api/articles/:id/revisions/:revId
+# - POST /api/articles/:id/revisions/:revId/restore
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Setup: create an article and edit its BN translation twice
+$created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Revision Test $ts"
+    content = "Original English body ($ts)."
+} | ConvertTo-Json)
+$articleId = $created.id
+Write-Host "Created article id=$articleId"
+
+Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/bn" -AuthToken $token -IfMatch "*" -Body (@{
+    title = "সংশোধন পরীক্ষা $ts"
+    content = "প্রথম বাংলা সংস্করণ।"
+} | ConvertTo-Json) | Out-Null
+Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/bn" -AuthToken $token -IfMatch "*" -Body (@{
+    content = "দ্বিতীয় বাংলা সংস্করণ।"
+} | ConvertTo-Json) | Out-Null
+
+$script:bnRevisions = @()
+
+Test-Endpoint -Name "List BN revisions (baseline + two saves)" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions?lang=bn" -AuthToken $token
+    $script:bnRevisions = @($response)
+    if ($script:bnRevisions.Length -lt 3) {
+        throw "Expected at least 3 revisions, received $($script:bnRevisions.Length)"
+    }
+    if ($script:bnRevisions[0].PSObject.Properties.Name -contains "body") {
+        throw "Revision listing should not include bodies"
+    }
+    Write-Host "Received $($script:bnRevisions.Length) revisions."
+}
+
+Test-Endpoint -Name "Diff the two saved BN revisions" -TestScript {
+    $newest = $script:bnRevisions[0].id
+    $previous = $script:bnRevisions[1].id
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions/diff?from=$previous&to=$newest" -AuthToken $token
+    $fields = @($response.changes | ForEach-Object { $_.field })
+    if (-not ($fields -contains "body")) { throw "Expected body to be reported as changed" }
+    if ($fields -contains "title") { throw "Title did not change between these revisions" }
+    $response | ConvertTo-Json -Depth 5 | Write-Host
+}
+
+Test-Endpoint -Name "Get a single revision with body" -TestScript {
+    $revId = $script:bnRevisions[1].id
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions/$revId" -AuthToken $token
+    if ($response.body -ne "প্রথম বাংলা সংস্করণ।") { throw "Unexpected revision body: $($response.body)" }
+}
+
+Test-Endpoint -Name "Restore requires If-Match (428) and a current ETag (412)" -TestScript {
+    $revId = $script:bnRevisions[1].id
+    Assert-StatusCode -Expected 428 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/revisions/$revId/restore" -AuthToken $token
+    }
+    $edit = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/edit" -AuthToken $token
+    Assert-StatusCode -Expected 412 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/revisions/$revId/restore" -AuthToken $token -IfMatch "`"$articleId-$($edit.version - 1)`""
+    }
+}
+
+Test-Endpoint -Name "Restore the first BN save" -TestScript {
+    $revId = $script:bnRevisions[1].id
+    $edit = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/edit" -AuthToken $token
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/revisions/$revId/restore" -AuthToken $token -IfMatch "`"$articleId-$($edit.version)`""
+    if ($response.restored_from_revision_id -ne $revId) { throw "Restore did not reference revision $revId" }
+    if ($response.version -ne $edit.version + 1) { throw "Expected version $($edit.version + 1), got $($response.version)" }
+    if ($response.body -ne "প্রথম বাংলা সংস্করণ।") { throw "Restored body mismatch" }
+}
+
+Test-Endpoint -Name "Diff across languages is rejected (400)" -TestScript {
+    $en = @(Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions?lang=en" -AuthToken $token)
+    $bnId = $script:bnRevisions[0].id
+    $enId = $en[0].id
+    Assert-StatusCode -Expected 400 -Request { Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions/diff?from=$enId&to=$bnId" -AuthToken $token }
+}
+
+Test-Endpoint -Name "Unknown revision returns 404" -TestScript {
+    Assert-StatusCode -Expected 404 -Request { Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions/999999999" -AuthToken $token }
+}
+
+Test-Endpoint -Name "Revisions require authentication (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request { Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/revisions" }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+Write-Host "`nRevision tests completed." -ForegroundColor Green
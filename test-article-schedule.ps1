@@ -0,0 +1,148 @@
+# test-article-schedule.ps1
+# PowerShell script to test scheduled publishing and automatic unpublishing:
+# - PUT /api/articles/:id/schedule
+# - GET /api/articles/scheduled
+# The scheduler itself runs in-process (ARTICLE_SCHEDULER_INTERVAL_MS); this script checks
+# validation and the editor listing. Set a short interval and re-run the listing to watch transitions.
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+$publishAt = (Get-Date).ToUniversalTime().AddHours(2).ToString("o")
+$expireAt = (Get-Date).ToUniversalTime().AddDays(3).ToString("o")
+$pastAt = (Get-Date).ToUniversalTime().AddHours(-1).ToString("o")
+
+# Setup: create a draft article
+$created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Schedule Test $ts"
+    content = "Campaign announcement body ($ts)."
+} | ConvertTo-Json)
+$articleId = $created.id
+Write-Host "Created draft article id=$articleId"
+
+Test-Endpoint -Name "Schedule publish and expiry for a draft" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/schedule" -AuthToken $token -Body (@{
+        publish_at = $publishAt
+        expire_at = $expireAt
+    } | ConvertTo-Json)
+    if (-not $response.publish_at -or -not $response.expire_at) { throw "Schedule not stored" }
+    $response | ConvertTo-Json | Write-Host
+}
+
+Test-Endpoint -Name "Scheduled listing includes the draft" -TestScript {
+    $response = @(Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/scheduled" -AuthToken $token)
+    $match = $response | Where-Object { $_.id -eq $articleId }
+    if (-not $match) { throw "Article $articleId not in scheduled listing" }
+    if ($match.next_transition.to -ne "published") { throw "Expected next transition to 'published'" }
+}
+
+Test-Endpoint -Name "publish_at in the past is rejected (400)" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/schedule" -AuthToken $token -Body (@{ publish_at = $pastAt } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "expire_at before publish_at is rejected (400)" -TestScript {
+    $early = (Get-Date).ToUniversalTime().AddHours(1).ToString("o")
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/schedule" -AuthToken $token -Body (@{ expire_at = $early } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Clearing publish_at with null" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/schedule" -AuthToken $token -Body (@{ publish_at = $null } | ConvertTo-Json)
+    if ($response.publish_at) { throw "publish_at was not cleared" }
+}
+
+Test-Endpoint -Name "Scheduling publish_at on a published article is rejected (409)" -TestScript {
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/status" -AuthToken $token -Body (@{ status = "published" } | ConvertTo-Json) | Out-Null
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/schedule" -AuthToken $token -Body (@{ publish_at = $publishAt } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Scheduled listing requires authentication (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request { Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/scheduled" }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+Write-Host "`nSchedule tests completed." -ForegroundColor Green
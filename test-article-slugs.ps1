@@ -0,0 +1,149 @@
+# test-article-slugs.ps1
+# PowerShell script to test slug-based article lookup:
+# - GET /api/articles/slug/:lang/:slug (current slug)
+# - GET /api/articles/slug/:lang/:slug (retired slug -> 301 to the current one)
+# - PUT /api/articles/:id keeps the slug when the title is unchanged
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+# 3. PowerShell 7+ (uses Invoke-WebRequest -SkipHttpErrorCheck)
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Setup: create a published article
+$created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Slug Test $ts"
+    content = "Original body ($ts)."
+    status = "published"
+} | ConvertTo-Json)
+$articleId = $created.id
+$script:originalSlug = $created.slug
+$script:currentSlug = $null
+Write-Host "Created article id=$articleId slug=$($script:originalSlug)"
+
+Test-Endpoint -Name "Resolve article by current slug" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/slug/en/$($script:originalSlug)"
+    if ($response.id -ne $articleId) { throw "Resolved wrong article: $($response.id)" }
+}
+
+Test-Endpoint -Name "Editing the body without changing the title keeps the slug" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body (@{
+        title = "Slug Test $ts"
+        content = "Body edit only ($ts)."
+    } | ConvertTo-Json)
+    if ($response.slug -ne $script:originalSlug) { throw "Slug changed to $($response.slug)" }
+}
+
+Test-Endpoint -Name "Changing the title regenerates the slug" -TestScript {
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body (@{
+        title = "Slug Test Renamed $ts"
+        content = "Body after rename ($ts)."
+    } | ConvertTo-Json)
+    if ($response.slug -eq $script:originalSlug) { throw "Slug was not regenerated" }
+    $script:currentSlug = $response.slug
+}
+
+Test-Endpoint -Name "Old slug answers 301 with the current location" -TestScript {
+    $response = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/slug/en/$($script:originalSlug)" -MaximumRedirection 0 -SkipHttpErrorCheck -ErrorAction SilentlyContinue
+    if ($response.StatusCode -ne 301) { throw "Expected 301, got $($response.StatusCode)" }
+    $location = [string]$response.Headers["Location"]
+    if (-not $location.EndsWith("/slug/en/$($script:currentSlug)")) { throw "Unexpected Location: $location" }
+    $hint = $response.Content | ConvertFrom-Json
+    if ($hint.slug -ne $script:currentSlug) { throw "Redirect hint has slug $($hint.slug)" }
+}
+
+Test-Endpoint -Name "Following the redirect returns the article" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/slug/en/$($script:originalSlug)"
+    if ($response.id -ne $articleId) { throw "Redirect resolved wrong article: $($response.id)" }
+    if ($response.slug -ne $script:currentSlug) { throw "Expected slug $($script:currentSlug), got $($response.slug)" }
+}
+
+Test-Endpoint -Name "Unknown slug returns 404" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/slug/en/no-such-slug-$ts"
+    }
+}
+
+# Cleanup
+Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+Write-Host "`nSlug lookup tests completed." -ForegroundColor Green
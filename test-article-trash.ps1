@@ -0,0 +1,145 @@
+# test-article-trash.ps1
+# PowerShell script to test the article trash:
+# - DELETE /api/articles/:id (moves to trash)
+# - GET    /api/articles/trash
+# - POST   /api/articles/:id/restore
+# - DELETE /api/articles/:id/purge
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$article = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Trash Test $ts"
+    content = "Article used by the trash tests ($ts)."
+    status = "published"
+} | ConvertTo-Json)
+$articleId = $article.id
+Write-Host "Created article $articleId" -ForegroundColor DarkCyan
+
+Test-Endpoint -Name "Purging a live article is rejected (409)" -TestScript {
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/purge" -AuthToken $token
+    }
+}
+
+Test-Endpoint -Name "Delete moves the article to the trash" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    }
+}
+
+Test-Endpoint -Name "Trashed article is listed with its purge date" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/trash?limit=100" -AuthToken $token
+    $entry = $response.items | Where-Object { $_.id -eq $articleId }
+    if (-not $entry) { throw "Article not listed in the trash" }
+    if (-not $entry.deleted_at -or -not $entry.purge_after) { throw "deleted_at/purge_after missing" }
+    if ($entry.status -ne "published") { throw "Expected the original status, got $($entry.status)" }
+}
+
+Test-Endpoint -Name "Trash listing requires admin/editor (401)" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/trash"
+    }
+}
+
+Test-Endpoint -Name "Restore brings the article back" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/restore" -AuthToken $token
+    if ($response.status -ne "published") { throw "Expected published, got $($response.status)" }
+    $restored = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($restored.id -ne $articleId) { throw "Restored article is not readable" }
+}
+
+Test-Endpoint -Name "Restoring a live article is rejected (409)" -TestScript {
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/restore" -AuthToken $token
+    }
+}
+
+Test-Endpoint -Name "Purge removes a trashed article permanently" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId/purge" -AuthToken $token | Out-Null
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/restore" -AuthToken $token
+    }
+}
+
+Write-Host "`nArticle trash tests completed." -ForegroundColor Green
@@ -0,0 +1,156 @@
+# test-article-views.ps1
+# PowerShell script to test article view counting, view statistics and the trending list
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+# 3. Default ARTICLE_VIEW_FLUSH_INTERVAL_MS (30000) and ARTICLE_VIEW_DEDUP_MINUTES (30)
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+# Buffered views are written every ARTICLE_VIEW_FLUSH_INTERVAL_MS (default 30000)
+$flushWaitSeconds = 35
+$articleId = $null
+
+Test-Endpoint -Name "Create a published article to read" -TestScript {
+    $body = @{ title = "Views Test $ts"; content = "<p>Counting readers ($ts).</p>"; status = "published" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    $script:articleId = $response.id
+}
+
+Test-Endpoint -Name "Read the article as an anonymous and a signed-in reader" -TestScript {
+    # The repeated anonymous read falls in the deduplication window and counts once
+    Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId" | Out-Null
+    Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/en" | Out-Null
+    Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+    Write-Host "Waiting $flushWaitSeconds seconds for the view flush..."
+    Start-Sleep -Seconds $flushWaitSeconds
+}
+
+Test-Endpoint -Name "View statistics count each reader once" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/views" -AuthToken $token
+    if ($response.total -ne 2) { throw "Expected 2 views, got $($response.total)" }
+    if ($response.last_24h -ne 2) { throw "Expected 2 views in the last 24h, got $($response.last_24h)" }
+    if ($response.by_language.en.total -ne 2) { throw "Expected 2 English views" }
+    if ($response.daily.Count -ne 30) { throw "Expected 30 days in the daily series, got $($response.daily.Count)" }
+}
+
+Test-Endpoint -Name "Trending lists the article" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/trending?window=7d&limit=50"
+    if ($response.window -ne "7d") { throw "Expected window 7d" }
+    $item = $response.items | Where-Object { $_.id -eq "$articleId" }
+    if (-not $item) { throw "Article $articleId not trending" }
+    if ($item.views -lt 2) { throw "Expected at least 2 views, got $($item.views)" }
+}
+
+Test-Endpoint -Name "Trending in Bengali only counts Bengali views" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/trending?lang=bn&limit=50"
+    if ($response.items | Where-Object { $_.id -eq "$articleId" }) { throw "Article has no Bengali views" }
+}
+
+Test-Endpoint -Name "Invalid trending window is rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/trending?window=1y"
+    }
+}
+
+Test-Endpoint -Name "View statistics require an editor" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/views"
+    }
+}
+
+Test-Endpoint -Name "Invalid days is rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId/views?days=365" -AuthToken $token
+    }
+}
+
+Test-Endpoint -Name "An invalid token still reads the article" -TestScript {
+    Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId" -AuthToken "not-a-token" | Out-Null
+}
+
+# Cleanup
+if ($articleId) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nView counting tests completed." -ForegroundColor Green
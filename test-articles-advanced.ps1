@@ -132,6 +132,7 @@ $articleBody  = "This article is created by test-articles-advanced.ps1 for endpo
 $createBody = @{
     title = $articleTitle
     content = $articleBody
+    status = "published"
     image_url = "https://example.com/test.jpg"
     language_code = "en"
     tags = @("alpha","beta")
@@ -243,7 +244,7 @@ $updateTx = @{
     excerpt = "Updated excerpt"
 } | ConvertTo-Json
 try {
-    $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations/en" -Method Put -Headers $headersAuth -Body $updateTx -ErrorAction Stop
+    $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations/en" -Method Put -Headers ($headersAuth + @{ "If-Match" = "*" }) -Body $updateTx -ErrorAction Stop
     Write-Result -TestName "Translations (update EN)" -StatusCode 200 -Response $resp
 } catch {
     $code = if ($_.Exception.Response) { $_.Exception.Response.StatusCode.Value__ } else { 0 }
@@ -257,7 +258,7 @@ try {
 
 Write-Host "TEST: DELETE /api/articles/$articleId/translations/bn" -ForegroundColor Magenta
 try {
-    Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations/bn" -Method Delete -Headers $headersAuth -ErrorAction Stop
+    Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations/bn" -Method Delete -Headers ($headersAuth + @{ "If-Match" = "*" }) -ErrorAction Stop
     Write-Result -TestName "Translations (delete BN)" -StatusCode 204 -Response "No Content"
 } catch {
     $code = if ($_.Exception.Response) { $_.Exception.Response.StatusCode.Value__ } else { 0 }
@@ -277,7 +278,7 @@ $addBn = @{
     excerpt = "বাংলা সারসংক্ষেপ"
 } | ConvertTo-Json
 try {
-    $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations" -Method Post -Headers $headersAuth -Body $addBn -ErrorAction Stop
+    $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations" -Method Post -Headers ($headersAuth + @{ "If-Match" = "*" }) -Body $addBn -ErrorAction Stop
     Write-Result -TestName "Translations (add BN)" -StatusCode 201 -Response $resp
 } catch {
     $code = if ($_.Exception.Response) { $_.Exception.Response.StatusCode.Value__ } else { 0 }
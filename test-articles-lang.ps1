@@ -142,6 +142,7 @@ $bnExcerpt = "বাংলা সারসংক্ষেপ $ts"
 $createBody = @{
     title = $enTitle
     content = $enBody
+    status = "published"
     image_url = "https://example.com/langtest.jpg"
     language_code = "en"   # primary language on create
     tags = @($tagCode, "alpha")
@@ -176,7 +177,7 @@ $putBN = @{
 } | ConvertTo-Json
 $bnUpdated = $false
 try {
-    $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations/bn" -Method Put -Headers $headersAuth -Body $putBN -ErrorAction Stop
+    $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations/bn" -Method Put -Headers ($headersAuth + @{ "If-Match" = "*" }) -Body $putBN -ErrorAction Stop
     $bnUpdated = $true
     Write-Result -TestName "Update BN translation (PUT)" -StatusCode 200 -Response $resp
 } catch {
@@ -189,7 +190,7 @@ try {
             excerpt = $bnExcerpt
         } | ConvertTo-Json
         try {
-            $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations" -Method Post -Headers $headersAuth -Body $postBN -ErrorAction Stop
+            $resp = Invoke-RestMethod -Uri "$apiBase/articles/$articleId/translations" -Method Post -Headers ($headersAuth + @{ "If-Match" = "*" }) -Body $postBN -ErrorAction Stop
             $bnUpdated = $true
             Write-Result -TestName "Add BN translation (POST fallback)" -StatusCode 201 -Response $resp
         } catch {
@@ -223,8 +224,8 @@ try {
     Write-Result -TestName "List articles (EN)" -StatusCode 200 -Response $resp
     try {
         $hasArticle = $false
-        if ($resp -is [System.Array]) {
-            foreach ($a in $resp) { if ($a.id -eq $articleId) { $hasArticle = $true; break } }
+        if ($resp.items -is [System.Array]) {
+            foreach ($a in $resp.items) { if ($a.id -eq $articleId) { $hasArticle = $true; break } }
         }
         if ($hasArticle) { Write-Host "Contains created EN article id=$articleId" -ForegroundColor DarkGreen }
         else { Write-Host "Created EN article not found in list" -ForegroundColor DarkYellow }
@@ -245,8 +246,8 @@ try {
     Write-Result -TestName "List articles (BN)" -StatusCode 200 -Response $resp
     try {
         $hasArticle = $false
-        if ($resp -is [System.Array]) {
-            foreach ($a in $resp) { if ($a.id -eq $articleId) { $hasArticle = $true; break } }
+        if ($resp.items -is [System.Array]) {
+            foreach ($a in $resp.items) { if ($a.id -eq $articleId) { $hasArticle = $true; break } }
         }
         if ($hasArticle) { Write-Host "Contains created BN article id=$articleId" -ForegroundColor DarkGreen }
         else { Write-Host "Created BN article not found in list" -ForegroundColor DarkYellow }
@@ -282,8 +283,8 @@ try {
     Write-Result -TestName "List articles (EN + tag filter)" -StatusCode 200 -Response $resp
     try {
         $hasArticle = $false
-        if ($resp -is [System.Array]) {
-            foreach ($a in $resp) { if ($a.id -eq $articleId) { $hasArticle = $true; break } }
+        if ($resp.items -is [System.Array]) {
+            foreach ($a in $resp.items) { if ($a.id -eq $articleId) { $hasArticle = $true; break } }
         }
         if ($hasArticle) { Write-Host "Tag-filtered list contains id=$articleId" -ForegroundColor DarkGreen }
         else { Write-Host "Tag-filtered list does not include created article" -ForegroundColor DarkYellow }
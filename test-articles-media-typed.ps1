@@ -43,11 +43,13 @@ try {
     Write-Result -TestName "Get profile" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
 }
 
-# Cleanup existing articles
-Write-Host "SETUP: DELETE /api/articles (cleanup)" -ForegroundColor Magenta
+# Cleanup existing articles (admin token and ALLOW_BULK_PURGE=true on the server required)
+Write-Host "SETUP: POST /api/admin/articles/purge (cleanup)" -ForegroundColor Magenta
 try {
-    Invoke-RestMethod -Uri "$baseUrl/articles" -Method Delete -Headers $authHeaders -ErrorAction Stop
-    Write-Result -TestName "Cleanup all articles" -StatusCode 204 -Response "All articles deleted."
+    $dryRun = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge/dry-run" -Method Post -Headers $authHeaders -ErrorAction Stop
+    $purgeBody = @{ confirm_token = $dryRun.confirm_token } | ConvertTo-Json
+    $purge = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge" -Method Post -Headers $authHeaders -Body $purgeBody -ErrorAction Stop
+    Write-Result -TestName "Cleanup all articles" -StatusCode 200 -Response $purge
 } catch {
     Write-Result -TestName "Cleanup all articles" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
 }
@@ -57,6 +59,7 @@ Write-Host "TEST 1: POST /api/articles (with image+video)" -ForegroundColor Mage
 $articleData = @{
     title = "Typed Media Test"
     content = "Verifying image_urls and video_urls across endpoints."
+    status = "published"
     media_urls = @(
         "https://example.com/pic1.jpg"
         "https://example.com/clip1.mp4"
@@ -99,7 +102,7 @@ Write-Host "TEST 3: GET /api/articles" -ForegroundColor Magenta
 try {
     $list = Invoke-RestMethod -Uri "$baseUrl/articles" -Method Get -Headers $headers -ErrorAction Stop
     Write-Result -TestName "Get all articles" -StatusCode 200 -Response $list
-    $found = $list | Where-Object { $_.id -eq $articleId }
+    $found = $list.items | Where-Object { $_.id -eq $articleId }
     Write-Check -Label "article present in list" -Condition ($null -ne $found)
     if ($found) {
         Write-Check -Label "image_urls present" -Condition ($found.PSObject.Properties.Name -contains "image_urls")
@@ -114,7 +117,7 @@ Write-Host "TEST 4: GET /api/articles/en" -ForegroundColor Magenta
 try {
     $listEn = Invoke-RestMethod -Uri "$baseUrl/articles/en" -Method Get -Headers $headers -ErrorAction Stop
     Write-Result -TestName "Get articles by lang (en)" -StatusCode 200 -Response $listEn
-    $foundEn = $listEn | Where-Object { $_.id -eq $articleId }
+    $foundEn = $listEn.items | Where-Object { $_.id -eq $articleId }
     Write-Check -Label "article present in /:lang list" -Condition ($null -ne $foundEn)
     if ($foundEn) {
         Write-Check -Label "typed arrays present (/articles/:lang)" -Condition ( ($foundEn.PSObject.Properties.Name -contains "image_urls") -and ($foundEn.PSObject.Properties.Name -contains "video_urls") )
@@ -138,7 +141,7 @@ Write-Host "TEST 6: GET /api/articles/recent?days=7" -ForegroundColor Magenta
 try {
     $recent = Invoke-RestMethod -Uri "$baseUrl/articles/recent?days=7" -Method Get -Headers $headers -ErrorAction Stop
     Write-Result -TestName "Get recent" -StatusCode 200 -Response $recent
-    $foundRecent = $recent | Where-Object { $_.id -eq $articleId }
+    $foundRecent = $recent.items | Where-Object { $_.id -eq $articleId }
     Write-Check -Label "article present in recent" -Condition ($null -ne $foundRecent)
     if ($foundRecent) {
         Write-Check -Label "typed arrays present (recent)" -Condition ( ($foundRecent.PSObject.Properties.Name -contains "image_urls") -and ($foundRecent.PSObject.Properties.Name -contains "video_urls") )
@@ -178,7 +181,7 @@ $updateData = @{
     tags = @("media-typed","updated")
 } | ConvertTo-Json
 try {
-    $upd = Invoke-RestMethod -Uri "$baseUrl/articles/$articleId" -Method Put -Headers $authHeaders -Body $updateData -ErrorAction Stop
+    $upd = Invoke-RestMethod -Uri "$baseUrl/articles/$articleId" -Method Put -Headers ($authHeaders + @{ "If-Match" = "*" }) -Body $updateData -ErrorAction Stop
     Write-Result -TestName "Update article (media)" -StatusCode 200 -Response $upd
     Write-Check -Label "image_urls count = 1" -Condition ($upd.image_urls.Count -eq 1)
     Write-Check -Label "video_urls count = 1" -Condition ($upd.video_urls.Count -eq 1)
@@ -202,7 +205,7 @@ Write-Host "TEST 10: GET /api/articles/hidden" -ForegroundColor Magenta
 try {
     $hidden = Invoke-RestMethod -Uri "$baseUrl/articles/hidden" -Method Get -Headers $authHeaders -ErrorAction Stop
     Write-Result -TestName "Get hidden" -StatusCode 200 -Response $hidden
-    $foundHidden = $hidden | Where-Object { $_.id -eq $articleId }
+    $foundHidden = $hidden.items | Where-Object { $_.id -eq $articleId }
     Write-Check -Label "article present in hidden" -Condition ($null -ne $foundHidden)
     if ($foundHidden) {
         Write-Check -Label "typed arrays present (hidden)" -Condition ( ($foundHidden.PSObject.Properties.Name -contains "image_urls") -and ($foundHidden.PSObject.Properties.Name -contains "video_urls") )
@@ -225,7 +228,7 @@ Write-Host "TEST 12: GET /api/articles/drafts" -ForegroundColor Magenta
 try {
     $drafts = Invoke-RestMethod -Uri "$baseUrl/articles/drafts" -Method Get -Headers $authHeaders -ErrorAction Stop
     Write-Result -TestName "Get drafts" -StatusCode 200 -Response $drafts
-    $foundDraft = $drafts | Where-Object { $_.id -eq $articleId }
+    $foundDraft = $drafts.items | Where-Object { $_.id -eq $articleId }
     Write-Check -Label "article present in drafts" -Condition ($null -ne $foundDraft)
     if ($foundDraft) {
         Write-Check -Label "typed arrays present (drafts)" -Condition ( ($foundDraft.PSObject.Properties.Name -contains "image_urls") -and ($foundDraft.PSObject.Properties.Name -contains "video_urls") )
@@ -48,8 +48,11 @@ $authHeaders = @{
     "Authorization" = "Bearer $token"
 }
 try {
-    Invoke-RestMethod -Uri "$baseUrl/articles" -Method Delete -Headers $authHeaders -ErrorAction Stop
-    Write-Result -TestName "Initial Cleanup: Delete all articles" -StatusCode 204 -Response "All articles deleted."
+    # Bulk purge: admin token and ALLOW_BULK_PURGE=true on the server required
+    $dryRun = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge/dry-run" -Method Post -Headers $authHeaders -ErrorAction Stop
+    $purgeBody = @{ confirm_token = $dryRun.confirm_token } | ConvertTo-Json
+    $purge = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge" -Method Post -Headers $authHeaders -Body $purgeBody -ErrorAction Stop
+    Write-Result -TestName "Initial Cleanup: Delete all articles" -StatusCode 200 -Response $purge
 } catch {
     Write-Result -TestName "Initial Cleanup: Delete all articles" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
 }
@@ -68,6 +71,7 @@ Write-Host "TEST 2: POST /api/articles (authenticated, with media)" -ForegroundC
 $articleData = @{
     title = "Article with Media"
     content = "This article features both an image and a video."
+    status = "published"
     media_urls = @(
         "https://example.com/image1.jpg",
         "https://example.com/video1.mp4",
@@ -116,7 +120,7 @@ if ($articleId) {
     } | ConvertTo-Json
 
     try {
-        $response = Invoke-RestMethod -Uri "$baseUrl/articles/$articleId" -Method Put -Headers $authHeaders -Body $updateData -ErrorAction Stop
+        $response = Invoke-RestMethod -Uri "$baseUrl/articles/$articleId" -Method Put -Headers ($authHeaders + @{ "If-Match" = "*" }) -Body $updateData -ErrorAction Stop
         Write-Result -TestName "Update article (authenticated, update media)" -StatusCode 200 -Response $response
     } catch {
         Write-Result -TestName "Update article (authenticated, update media)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
@@ -149,6 +153,7 @@ Write-Host "TEST 6: POST /api/articles (authenticated, no media)" -ForegroundCol
 $articleDataNoMedia = @{
     title = "Article with No Media"
     content = "This article should have no associated media."
+    status = "published"
     category_code = "no-media"
     language_code = "en"
     tags = @("no-media")
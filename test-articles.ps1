@@ -116,10 +116,10 @@ try {
     Write-Result -TestName "Delete article (unauthenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
 }
 
-# Test 8: Clear all articles without authentication (should return 401)
-Write-Host "TEST 8: DELETE /api/articles (unauthenticated)" -ForegroundColor Magenta
+# Test 8: Bulk purge dry run without authentication (should return 401)
+Write-Host "TEST 8: POST /api/admin/articles/purge/dry-run (unauthenticated)" -ForegroundColor Magenta
 try {
-    $response = Invoke-RestMethod -Uri "$baseUrl/articles" -Method Delete -Headers $headers
+    $response = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge/dry-run" -Method Post -Headers $headers
     Write-Result -TestName "Clear all articles (unauthenticated)" -StatusCode 204 -Response $response
 } catch {
     Write-Result -TestName "Clear all articles (unauthenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
@@ -139,6 +139,7 @@ Write-Host "TEST 9: POST /api/articles (authenticated)" -ForegroundColor Magenta
 $articleData = @{
     title = "Test Article"
     content = "This is a test article content"
+    status = "published"
     image_url = "https://example.com/image.jpg"
 } | ConvertTo-Json
 
@@ -153,8 +154,8 @@ try {
 # First, get all articles to find an existing one
 try {
     $articles = Invoke-RestMethod -Uri "$baseUrl/articles" -Method Get -Headers $headers
-    if ($articles.Count -gt 0) {
-        $articleId = $articles[0].id
+    if ($articles.items.Count -gt 0) {
+        $articleId = $articles.items[0].id
         Write-Host "TEST 10: PUT /api/articles/$articleId (authenticated)" -ForegroundColor Magenta
         $updateData = @{
             title = "Updated Test Article"
@@ -163,7 +164,7 @@ try {
         } | ConvertTo-Json
 
         try {
-            $response = Invoke-RestMethod -Uri "$baseUrl/articles/$articleId" -Method Put -Headers $headers -Body $updateData
+            $response = Invoke-RestMethod -Uri "$baseUrl/articles/$articleId" -Method Put -Headers ($headers + @{ "If-Match" = "*" }) -Body $updateData
             Write-Result -TestName "Update article (authenticated)" -StatusCode 200 -Response $response
         } catch {
             Write-Result -TestName "Update article (authenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
@@ -188,22 +189,24 @@ if (Test-Path variable:articleId) {
     }
 }
 
-# Test 12: Clear all articles with authentication
-Write-Host "TEST 12: DELETE /api/articles (authenticated)" -ForegroundColor Magenta
+# Test 12: Bulk purge dry run with authentication (admin token and ALLOW_BULK_PURGE=true required)
+Write-Host "TEST 12: POST /api/admin/articles/purge/dry-run (authenticated)" -ForegroundColor Magenta
+$dryRun = $null
 try {
-    $response = Invoke-RestMethod -Uri "$baseUrl/articles" -Method Delete -Headers $headers
-    Write-Result -TestName "Clear all articles (authenticated)" -StatusCode 204 -Response $response
+    $dryRun = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge/dry-run" -Method Post -Headers $headers
+    Write-Result -TestName "Bulk purge dry run (authenticated)" -StatusCode 200 -Response $dryRun
 } catch {
-    Write-Result -TestName "Clear all articles (authenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
+    Write-Result -TestName "Bulk purge dry run (authenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
 }
 
-# Test 13: Alternative clear endpoint with authentication
-Write-Host "TEST 13: POST /api/articles/clear (authenticated)" -ForegroundColor Magenta
+# Test 13: Bulk purge with the confirmation token from the dry run
+Write-Host "TEST 13: POST /api/admin/articles/purge (authenticated)" -ForegroundColor Magenta
 try {
-    $response = Invoke-RestMethod -Uri "$baseUrl/articles/clear" -Method Post -Headers $headers
-    Write-Result -TestName "Clear articles via POST (authenticated)" -StatusCode 204 -Response $response
+    $purgeBody = @{ confirm_token = $dryRun.confirm_token } | ConvertTo-Json
+    $response = Invoke-RestMethod -Uri "$baseUrl/admin/articles/purge" -Method Post -Headers $headers -Body $purgeBody
+    Write-Result -TestName "Bulk purge (authenticated)" -StatusCode 200 -Response $response
 } catch {
-    Write-Result -TestName "Clear articles via POST (authenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
+    Write-Result -TestName "Bulk purge (authenticated)" -StatusCode $_.Exception.Response.StatusCode.Value__ -Response $_.ErrorDetails.Message
 }
 
 Write-Host "API testing completed!" -ForegroundColor Green
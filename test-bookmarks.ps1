@@ -0,0 +1,195 @@
+# test-bookmarks.ps1
+# PowerShell script to test readers' bookmarks (GET/POST/DELETE /api/me/bookmarks)
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+# 3. Registration is open (a reader account is created for the test)
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$readerEmail = "bookmarks.reader.$ts@example.com"
+$registered = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = $readerEmail
+    password = "password123"
+    displayName = "Bookmark Reader $ts"
+} | ConvertTo-Json)
+$readerToken = $registered.token
+Write-Host "Registered reader id=$($registered.user.id)"
+
+$firstId = $null
+$secondId = $null
+$draftId = $null
+
+Test-Endpoint -Name "Create two published articles and a draft" -TestScript {
+    $body = @{ title = "Bookmark One $ts"; content = "<p>First saved article.</p>"; status = "published" } | ConvertTo-Json
+    $script:firstId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+    $body = @{ title = "Bookmark Two $ts"; content = "<p>Second saved article.</p>"; status = "published" } | ConvertTo-Json
+    $script:secondId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+    $body = @{ title = "Bookmark Draft $ts"; content = "<p>Not out yet.</p>" } | ConvertTo-Json
+    $script:draftId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+}
+
+Test-Endpoint -Name "A new reader has an empty reading list" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks" -AuthToken $readerToken
+    if ($response.items.Count -ne 0) { throw "Expected no bookmarks" }
+    if ($response.sort -ne "saved") { throw "Expected sort saved" }
+}
+
+Test-Endpoint -Name "Readers bookmark published articles" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/me/bookmarks/$firstId" -AuthToken $readerToken
+    if (-not $response.bookmarked) { throw "Expected bookmarked true" }
+    Start-Sleep -Seconds 1
+    Invoke-ApiRequest -Method POST -Url "$baseUrl/me/bookmarks/$secondId" -AuthToken $readerToken | Out-Null
+    # Bookmarking again is a no-op
+    Invoke-ApiRequest -Method POST -Url "$baseUrl/me/bookmarks/$secondId" -AuthToken $readerToken | Out-Null
+}
+
+Test-Endpoint -Name "The reading list is newest first and paginated" -TestScript {
+    $page = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks?limit=1" -AuthToken $readerToken
+    if ($page.items.Count -ne 1 -or $page.items[0].id -ne "$secondId") { throw "Expected the second article first" }
+    if (-not $page.next_cursor) { throw "Expected a next_cursor" }
+    if (-not $page.items[0].bookmarked_at) { throw "Expected bookmarked_at" }
+    $next = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks?limit=1&cursor=$($page.next_cursor)" -AuthToken $readerToken
+    if ($next.items.Count -ne 1 -or $next.items[0].id -ne "$firstId") { throw "Expected the first article on page 2" }
+    if ($next.next_cursor) { throw "Expected no more pages" }
+}
+
+Test-Endpoint -Name "Articles without the requested language fall back to the other one" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks?lang=bn" -AuthToken $readerToken
+    if ($response.items.Count -ne 2) { throw "Expected 2 bookmarks, got $($response.items.Count)" }
+    if ($response.items[0].language_code -ne "en") { throw "Expected the English translation" }
+}
+
+Test-Endpoint -Name "Article reads carry the bookmarked flag" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$firstId" -AuthToken $readerToken
+    if ($response.bookmarked -ne $true) { throw "Expected bookmarked true for the reader" }
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$firstId/en" -AuthToken $token
+    if ($response.bookmarked -ne $false) { throw "Expected bookmarked false for the admin" }
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$firstId"
+    if ($response.bookmarked -ne $false) { throw "Expected bookmarked false without a token" }
+}
+
+Test-Endpoint -Name "A conditional read after removing a bookmark is not answered 304" -TestScript {
+    $before = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$firstId" -Headers @{ Authorization = "Bearer $readerToken" } -UseBasicParsing -ErrorAction Stop
+    $script:bookmarkEtag = $before.Headers["ETag"]
+    if ($script:bookmarkEtag -is [array]) { $script:bookmarkEtag = $script:bookmarkEtag[0] }
+}
+
+Test-Endpoint -Name "Removing a bookmark" -TestScript {
+    $response = Invoke-ApiRequest -Method DELETE -Url "$baseUrl/me/bookmarks/$firstId" -AuthToken $readerToken
+    if ($response.bookmarked) { throw "Expected bookmarked false" }
+    $list = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks" -AuthToken $readerToken
+    if ($list.items | Where-Object { $_.id -eq "$firstId" }) { throw "The removed bookmark is still listed" }
+    $after = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$firstId" -Headers @{ Authorization = "Bearer $readerToken"; "If-None-Match" = $script:bookmarkEtag } -UseBasicParsing -ErrorAction Stop
+    if ($after.StatusCode -ne 200) { throw "Expected 200 after removing the bookmark, got $($after.StatusCode)" }
+    if (($after.Content | ConvertFrom-Json).bookmarked -ne $false) { throw "Expected bookmarked false" }
+}
+
+Test-Endpoint -Name "Trashed articles drop out of the reading list" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$secondId" -AuthToken $token | Out-Null
+    $list = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks" -AuthToken $readerToken
+    if ($list.items.Count -ne 0) { throw "Expected the trashed article to be hidden" }
+}
+
+Test-Endpoint -Name "Drafts cannot be bookmarked" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/me/bookmarks/$draftId" -AuthToken $readerToken
+    }
+}
+
+Test-Endpoint -Name "Bookmarks require a signed-in user" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks"
+    }
+}
+
+Test-Endpoint -Name "Invalid language is rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/me/bookmarks?lang=fr" -AuthToken $readerToken
+    }
+}
+
+# Cleanup
+foreach ($id in @($firstId, $draftId)) {
+    if ($id) { Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$id" -AuthToken $token | Out-Null }
+}
+Write-Host "`nBookmark tests completed." -ForegroundColor Green
@@ -47,16 +47,16 @@ Test-Endpoint -Name "Retrieve articles for a valid category (ID 1)" -TestScript
     $url = "$baseUrl/$categoryId/articles"
     $response = Invoke-ApiRequest -Method GET -Url $url
 
-    if ($response -is [System.Array]) {
-        Write-Host "Received $($response.Length) articles."
+    if ($response.items -is [System.Array]) {
+        Write-Host "Received $($response.items.Length) articles."
         # Further checks can be added here, e.g., check if articles have expected properties
-        # if ($response.Length -gt 0) {
+        # if ($response.items.Length -gt 0) {
         #     if (-not $response[0].id -or -not $response[0].title) {
         #         throw "Article missing expected properties (id, title)"
         #     }
         # }
     } else {
-        throw "Response is not an array of articles."
+        throw "Response does not contain an items array of articles."
     }
 }
 
@@ -66,11 +66,11 @@ Test-Endpoint -Name "Retrieve articles for a valid category (ID 1) in Bengali" -
     $url = "$baseUrl/$categoryId/articles?lang=bn"
     $response = Invoke-ApiRequest -Method GET -Url $url
 
-    if ($response -is [System.Array]) {
-        Write-Host "Received $($response.Length) articles in Bengali."
+    if ($response.items -is [System.Array]) {
+        Write-Host "Received $($response.items.Length) articles in Bengali."
         # Further checks can be added here for Bengali content
     } else {
-        throw "Response is not an array of articles."
+        throw "Response does not contain an items array of articles."
     }
 }
 
@@ -124,13 +124,13 @@ Test-Endpoint -Name "Retrieve articles for a category with no articles (ID 2)" -
     $url = "$baseUrl/$categoryId/articles"
     $response = Invoke-ApiRequest -Method GET -Url $url
 
-    if ($response -is [System.Array]) {
-        if ($response.Length -eq 0) {
-            Write-Host "Correctly received an empty array for category with no articles."
+    if ($response.items -is [System.Array]) {
+        if ($response.items.Length -eq 0) {
+            Write-Host "Correctly received an empty items array for category with no articles."
         } else {
-            throw "Expected an empty array, but received $($response.Length) articles."
+            throw "Expected an empty array, but received $($response.items.Length) articles."
         }
     } else {
-        throw "Response is not an array."
+        throw "Response does not contain an items array."
     }
 }
\ No newline at end of file
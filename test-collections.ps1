@@ -0,0 +1,185 @@
+# test-collections.ps1
+# PowerShell script to test collections (ordered article series):
+# - POST/PUT/DELETE /api/collections
+# - PUT/POST/DELETE /api/collections/:id/articles
+# - GET /api/collections/:id and series navigation on GET /api/articles/:id
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$parts = @()
+foreach ($n in 1..3) {
+    $created = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+        title = "Flood Guide Part $n $ts"
+        content = "Part $n ($ts)."
+        status = "published"
+    } | ConvertTo-Json)
+    $parts += $created.id
+}
+$draft = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body (@{
+    title = "Flood Guide Draft $ts"
+    content = "Unfinished part ($ts)."
+} | ConvertTo-Json)
+Write-Host "Created articles $($parts -join ', ') and draft $($draft.id)" -ForegroundColor DarkCyan
+
+$script:collectionId = $null
+$code = "flood-guide-$ts"
+
+Test-Endpoint -Name "Create a bilingual collection with initial articles" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/collections" -AuthToken $token -Body (@{
+        title_en = "Flood Guide $ts"
+        title_bn = "Flood Guide BN $ts"
+        code = $code
+        article_ids = @($parts[0], $parts[2])
+    } | ConvertTo-Json)
+    $script:collectionId = $response.id
+    if ($response.code -ne $code) { throw "Unexpected code $($response.code)" }
+    if ($response.items.Count -ne 2) { throw "Expected 2 items, got $($response.items.Count)" }
+}
+
+Test-Endpoint -Name "Duplicate code is rejected (409)" -TestScript {
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/collections" -AuthToken $token -Body (@{ title_en = "Other"; code = $code } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Insert an article at position 2 and append a draft" -TestScript {
+    Invoke-ApiRequest -Method POST -Url "$baseUrl/collections/$($script:collectionId)/articles" -AuthToken $token -Body (@{ article_id = $parts[1]; position = 2 } | ConvertTo-Json) | Out-Null
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/collections/$($script:collectionId)/articles" -AuthToken $token -Body (@{ article_id = $draft.id } | ConvertTo-Json)
+    $ids = ($response.items | ForEach-Object { $_.article_id }) -join ","
+    if ($ids -ne "$($parts[0]),$($parts[1]),$($parts[2]),$($draft.id)") { throw "Unexpected order: $ids" }
+}
+
+Test-Endpoint -Name "Adding the same article twice is rejected (409)" -TestScript {
+    Assert-StatusCode -Expected 409 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/collections/$($script:collectionId)/articles" -AuthToken $token -Body (@{ article_id = $parts[0] } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Public read by code lists published parts only" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/collections/$code?lang=bn"
+    if ($response.title -ne "Flood Guide BN $ts") { throw "Bengali title not used" }
+    $ids = ($response.items | ForEach-Object { $_.article_id }) -join ","
+    if ($ids -ne "$($parts[0]),$($parts[1]),$($parts[2])") { throw "Unexpected public items: $ids" }
+}
+
+Test-Endpoint -Name "Article read embeds previous/next navigation" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($parts[1])"
+    $nav = $response.collections | Where-Object { $_.collection_id -eq "$($script:collectionId)" }
+    if (-not $nav) { throw "Collection navigation missing" }
+    if ($nav.part -ne 2 -or $nav.total_parts -ne 3) { throw "Expected part 2 of 3, got $($nav.part) of $($nav.total_parts)" }
+    if ($nav.previous.article_id -ne "$($parts[0])" -or $nav.next.article_id -ne "$($parts[2])") { throw "Wrong previous/next" }
+}
+
+Test-Endpoint -Name "Reorder and remove update the navigation" -TestScript {
+    $before = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$($parts[0])" -UseBasicParsing -ErrorAction Stop
+    $script:navEtag = $before.Headers["ETag"]
+    if ($script:navEtag -is [array]) { $script:navEtag = $script:navEtag[0] }
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/collections/$($script:collectionId)/articles" -AuthToken $token -Body (@{
+        article_ids = @($parts[2], $parts[1], $parts[0])
+    } | ConvertTo-Json) | Out-Null
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/collections/$($script:collectionId)/articles/$($parts[1])" -AuthToken $token | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$($parts[0])"
+    $nav = $response.collections | Where-Object { $_.collection_id -eq "$($script:collectionId)" }
+    if ($nav.part -ne 2 -or $nav.previous.article_id -ne "$($parts[2])" -or $nav.next) { throw "Unexpected navigation after reorder" }
+}
+
+Test-Endpoint -Name "A conditional read after a reorder is not answered 304" -TestScript {
+    $response = Invoke-WebRequest -Method GET -Uri "$baseUrl/articles/$($parts[0])" -Headers @{ "If-None-Match" = $script:navEtag } -UseBasicParsing -ErrorAction Stop
+    if ($response.StatusCode -ne 200) { throw "Expected 200 with the new navigation, got $($response.StatusCode)" }
+}
+
+Test-Endpoint -Name "Delete the collection" -TestScript {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/collections/$($script:collectionId)" -AuthToken $token | Out-Null
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/collections/$($script:collectionId)"
+    }
+}
+
+# Cleanup
+foreach ($articleId in ($parts + $draft.id)) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nCollection tests completed." -ForegroundColor Green
@@ -0,0 +1,153 @@
+# test-content-sanitize.ps1
+# PowerShell script to test HTML sanitisation of article and comment bodies
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$dirty = "<p onclick=`"steal()`">Safe text ($ts)<script>alert(1)</script> <a href=`"javascript:alert(1)`">bad link</a> <a href=`"https://example.com`" target=`"_blank`">good link</a></p><iframe src=`"https://example.com`"></iframe>"
+$articleId = $null
+
+Test-Endpoint -Name "Article content is sanitised on create" -TestScript {
+    $body = @{ title = "Sanitise Test $ts"; content = $dirty; status = "published" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body
+    $script:articleId = $response.id
+    foreach ($forbidden in @("<script", "onclick", "javascript:", "<iframe")) {
+        if ($response.content -match [regex]::Escape($forbidden)) { throw "Response content still contains $forbidden" }
+    }
+    if ($response.content -notmatch "Safe text") { throw "Allowed text was removed: $($response.content)" }
+    if ($response.content -notmatch 'rel="noopener noreferrer"') { throw "target=_blank link without rel: $($response.content)" }
+}
+
+Test-Endpoint -Name "Stored content is the sanitised version" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/articles/$articleId"
+    if ($response.content -match "<script") { throw "Stored content contains a script tag" }
+    if ($response.content -notmatch '<a href="https://example.com"') { throw "Allowed link was removed: $($response.content)" }
+}
+
+Test-Endpoint -Name "Translation content is sanitised" -TestScript {
+    $body = @{ content = "<p>বাংলা ($ts)</p><img src=`"x`" onerror=`"steal()`">" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/articles/$articleId/translations/bn" -AuthToken $token -IfMatch "*" -Body $body
+    if ($response.body -match "onerror") { throw "Event handler kept in translation: $($response.body)" }
+}
+
+Test-Endpoint -Name "Content that is only disallowed HTML is rejected" -TestScript {
+    $body = @{ content = "<script>alert(1)</script>" } | ConvertTo-Json
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PATCH -Url "$baseUrl/articles/$articleId" -AuthToken $token -IfMatch "*" -Body $body
+    }
+}
+
+Test-Endpoint -Name "Comment bodies are sanitised" -TestScript {
+    $body = @{ body = "Nice <b>article</b> <img src=`"x`" onerror=`"steal()`"><script>alert(1)</script>" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/articles/$articleId/comments" -AuthToken $token -Body $body
+    if ($response.body -match "<img|<script") { throw "Disallowed markup kept in comment: $($response.body)" }
+    if ($response.body -notmatch "<b>article</b>") { throw "Allowed markup was removed: $($response.body)" }
+}
+
+Test-Endpoint -Name "Stored content scan defaults to a dry run" -TestScript {
+    $response = Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/content/sanitize" -AuthToken $token -Body '{}'
+    if ($response.dry_run -ne $true) { throw "Expected a dry run by default" }
+    if ($null -eq $response.scanned.article_translations -or $null -eq $response.scanned.comments) { throw "Scan counts missing" }
+    Write-Host "Dry run: $($response.changed.article_translations) translations and $($response.changed.comments) comments would change"
+}
+
+Test-Endpoint -Name "Stored content scan rejects a non-boolean dry_run" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method POST -Url "$baseUrl/admin/content/sanitize" -AuthToken $token -Body '{"dry_run": "no"}'
+    }
+}
+
+Test-Endpoint -Name "Search suggestion highlights are escaped" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/search/suggestions?q=Sanitise%20Test%20$ts&types=articles"
+    $item = $response.suggestions | Where-Object { $_.id -eq "$articleId" }
+    if (-not $item) { throw "Article $articleId not suggested" }
+    if ($item.highlight.title -notmatch "^<c>") { throw "Unexpected highlight: $($item.highlight.title)" }
+}
+
+# Cleanup
+if ($articleId) {
+    Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$articleId" -AuthToken $token | Out-Null
+}
+Write-Host "`nSanitisation tests completed." -ForegroundColor Green
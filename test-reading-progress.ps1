@@ -0,0 +1,176 @@
+# test-reading-progress.ps1
+# PowerShell script to test reading progress reports and the continue reading list
+#
+# PREREQUISITES:
+# 1. Start the backend server: npm start or npm run dev
+# 2. Seeded admin account exists: admin@example.com / admin
+# 3. Registration is open (a reader account is created for the test)
+
+$baseUrl = "http://localhost:3000/api"
+
+function Invoke-ApiRequest {
+    param (
+        [string]$Method,
+        [string]$Url,
+        [string]$Body = "",
+        [string]$AuthToken = "",
+        [string]$IfMatch = ""
+    )
+    $headers = @{}
+    if ($AuthToken) {
+        $headers["Authorization"] = "Bearer $AuthToken"
+    }
+    if ($IfMatch) {
+        $headers["If-Match"] = $IfMatch
+    }
+    if ($Body) {
+        $headers["Content-Type"] = "application/json"
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -Body $Body -ErrorAction Stop
+    } else {
+        return Invoke-RestMethod -Method $Method -Uri $Url -Headers $headers -ErrorAction Stop
+    }
+}
+
+function Test-Endpoint {
+    param (
+        [string]$Name,
+        [scriptblock]$TestScript
+    )
+    Write-Host "Running test: $Name" -ForegroundColor Cyan
+    try {
+        & $TestScript
+        Write-Host "Test Passed: $Name`n" -ForegroundColor Green
+    } catch {
+        Write-Host "Test Failed: $Name" -ForegroundColor Red
+        Write-Host "Error: $($_.Exception.Message)`n" -ForegroundColor Red
+    }
+}
+
+function Get-AdminAuthToken {
+    param(
+        [string]$Email = "admin@example.com",
+        [string]$Password = "admin"
+    )
+    $loginBody = @{ email = $Email; password = $Password } | ConvertTo-Json
+    try {
+        $response = Invoke-RestMethod -Uri "$baseUrl/auth/login" -Method Post -Body $loginBody -ContentType "application/json"
+        if ($response.token) {
+            Write-Host "Admin login successful. Token obtained." -ForegroundColor Green
+            return $response.token
+        }
+        Write-Host "Admin login failed: No token received." -ForegroundColor Red
+        exit 1
+    } catch {
+        Write-Host "Admin login failed. Status Code: $($_.Exception.Response.StatusCode.Value__). Error: $($_.ErrorDetails.Message)" -ForegroundColor Red
+        exit 1
+    }
+}
+
+function Assert-StatusCode {
+    param (
+        [scriptblock]$Request,
+        [int]$Expected
+    )
+    try {
+        & $Request | Out-Null
+        throw "Expected $Expected, but request succeeded."
+    } catch {
+        if (-not $_.Exception.Response) { throw }
+        $actual = $_.Exception.Response.StatusCode.Value__
+        if ($actual -ne $Expected) {
+            throw "Expected $Expected, but received $actual"
+        }
+        Write-Host "Correctly received $Expected."
+    }
+}
+$token = Get-AdminAuthToken
+$ts = Get-Date -Format 'yyyyMMddHHmmss'
+
+$readerEmail = "progress.reader.$ts@example.com"
+$registered = Invoke-ApiRequest -Method POST -Url "$baseUrl/auth/register" -Body (@{
+    email = $readerEmail
+    password = "password123"
+    displayName = "Progress Reader $ts"
+} | ConvertTo-Json)
+$readerToken = $registered.token
+Write-Host "Registered reader id=$($registered.user.id)"
+
+$guideId = $null
+$shortId = $null
+
+Test-Endpoint -Name "Create two published articles" -TestScript {
+    $paragraphs = (1..40 | ForEach-Object { "<p>Step $_ of a long guide with enough words to take a while to read ($ts).</p>" }) -join ""
+    $body = @{ title = "Progress Guide $ts"; content = $paragraphs; status = "published" } | ConvertTo-Json
+    $script:guideId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+    $body = @{ title = "Progress Short $ts"; content = "<p>A short note.</p>"; status = "published" } | ConvertTo-Json
+    $script:shortId = (Invoke-ApiRequest -Method POST -Url "$baseUrl/articles" -AuthToken $token -Body $body).id
+}
+
+Test-Endpoint -Name "Report progress from one device" -TestScript {
+    $body = @{ language_code = "en"; progress = 40; position = "block-12" } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/me/progress/$guideId" -AuthToken $readerToken -Body $body
+    if ($response.progress.progress -ne 40) { throw "Expected progress 40, got $($response.progress.progress)" }
+    if ($response.progress.completed) { throw "40% is not finished" }
+    Start-Sleep -Seconds 1
+    $body = @{ progress = 30 } | ConvertTo-Json
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/me/progress/$shortId" -AuthToken $readerToken -Body $body | Out-Null
+}
+
+Test-Endpoint -Name "Continue reading lists the most recent first" -TestScript {
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/continue-reading" -AuthToken $readerToken
+    if ($response.items.Count -ne 2) { throw "Expected 2 items, got $($response.items.Count)" }
+    if ($response.items[0].id -ne "$shortId") { throw "Expected the short article first" }
+    $guide = $response.items[1]
+    if ($guide.position -ne "block-12") { throw "Expected position block-12" }
+    if ($null -eq $guide.minutes_left) { throw "Expected minutes_left" }
+}
+
+Test-Endpoint -Name "Another device picks up and moves back" -TestScript {
+    Start-Sleep -Seconds 1
+    $body = @{ language_code = "en"; progress = 25.5; position = "block-8" } | ConvertTo-Json
+    Invoke-ApiRequest -Method PUT -Url "$baseUrl/me/progress/$guideId" -AuthToken $readerToken -Body $body | Out-Null
+    $response = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/progress/$guideId" -AuthToken $readerToken
+    if ($response.progress.Count -ne 1) { throw "Expected progress in one language" }
+    if ($response.progress[0].progress -ne 25.5) { throw "Expected the latest report to win" }
+    $list = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/continue-reading" -AuthToken $readerToken
+    if ($list.items[0].id -ne "$guideId") { throw "Expected the guide first after the latest report" }
+}
+
+Test-Endpoint -Name "Finished articles drop out of continue reading" -TestScript {
+    $body = @{ progress = 100 } | ConvertTo-Json
+    $response = Invoke-ApiRequest -Method PUT -Url "$baseUrl/me/progress/$shortId" -AuthToken $readerToken -Body $body
+    if (-not $response.progress.completed) { throw "Expected completed" }
+    $list = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/continue-reading" -AuthToken $readerToken
+    if ($list.items | Where-Object { $_.id -eq "$shortId" }) { throw "Finished article still listed" }
+}
+
+Test-Endpoint -Name "Forgetting progress" -TestScript {
+    $response = Invoke-ApiRequest -Method DELETE -Url "$baseUrl/me/progress/$guideId" -AuthToken $readerToken
+    if ($response.removed -ne 1) { throw "Expected 1 row removed" }
+    $list = Invoke-ApiRequest -Method GET -Url "$baseUrl/me/continue-reading" -AuthToken $readerToken
+    if ($list.items.Count -ne 0) { throw "Expected an empty continue reading list" }
+}
+
+Test-Endpoint -Name "Progress out of range is rejected" -TestScript {
+    Assert-StatusCode -Expected 400 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/me/progress/$guideId" -AuthToken $readerToken -Body (@{ progress = 120 } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "A missing translation is rejected" -TestScript {
+    Assert-StatusCode -Expected 404 -Request {
+        Invoke-ApiRequest -Method PUT -Url "$baseUrl/me/progress/$guideId" -AuthToken $readerToken -Body (@{ language_code = "bn"; progress = 10 } | ConvertTo-Json)
+    }
+}
+
+Test-Endpoint -Name "Progress requires a signed-in user" -TestScript {
+    Assert-StatusCode -Expected 401 -Request {
+        Invoke-ApiRequest -Method GET -Url "$baseUrl/me/continue-reading"
+    }
+}
+
+# Cleanup
+foreach ($id in @($guideId, $shortId)) {
+    if ($id) { Invoke-ApiRequest -Method DELETE -Url "$baseUrl/articles/$id" -AuthToken $token | Out-Null }
+}
+Write-Host "`nReading progress tests completed." -ForegroundColor Green
@@ -88,7 +88,7 @@ $ts = Get-Date -Format "yyyyMMddHHmmss"
 $seedTitle = "Suggestions Test Article $ts"
 $seedContent = "This is a suggestions demo body with unique token: SUGG-$ts and tag suggestionsdemo."
 $seedTags = @("suggestionsdemo", "alpha")
-$createBody = @{ title = $seedTitle; content = $seedContent; image_url = ""; language_code = "en"; tags = $seedTags } | ConvertTo-Json
+$createBody = @{ title = $seedTitle; content = $seedContent; status = "published"; image_url = ""; language_code = "en"; tags = $seedTags } | ConvertTo-Json
 $seedArticleId = $null
 
 Write-Host "Seeding a test article for suggestions..." -ForegroundColor DarkYellow
@@ -72,7 +72,7 @@ $ts = Get-Date -Format "yyyyMMddHHmmss"
 $seedTitle = "Search Test Article $ts"
 $seedContent = "This is a search demo body with unique token: TOKEN-$ts and tag searchdemo."
 $seedTags = @("searchdemo", "alpha")
-$createBody = @{ title = $seedTitle; content = $seedContent; image_url = ""; language_code = "en"; tags = $seedTags } | ConvertTo-Json
+$createBody = @{ title = $seedTitle; content = $seedContent; status = "published"; image_url = ""; language_code = "en"; tags = $seedTags } | ConvertTo-Json
 $seedArticleId = $null
 
 Write-Host "Seeding a test article..." -ForegroundColor DarkYellow